@@ -0,0 +1,7 @@
+// Used by babel-jest to run the client's ES module sources in tests
+module.exports = {
+  presets: [
+    ['@babel/preset-env', { targets: { node: 'current' } }],
+    ['@babel/preset-react', { runtime: 'automatic' }]
+  ]
+};
@@ -1,20 +1,39 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { Users, MessageSquare, GitCommit, Lock, Unlock, 
          Send, UserPlus, Settings, AlertCircle, CheckCircle, 
-         X, Menu, ChevronDown, ChevronUp, Map } from 'lucide-react';
+         X, Menu, ChevronDown, ChevronUp, Map, ClipboardCheck,
+         Undo, Redo, RotateCcw } from 'lucide-react';
+import { diffChange } from '../services/CollaborationManager';
 
-const CollaborativeEditingInterface = () => {
+/**
+ * Collaboration panel for the composition editor
+ * @param {Object} props - Component props
+ * @param {Object} props.mapService - Optional MapService of the editor's map, to draw edit regions on
+ */
+const CollaborativeEditingInterface = ({ mapService }) => {
   // State for panels visibility
   const [showCollaborators, setShowCollaborators] = useState(true);
   const [showChat, setShowChat] = useState(true);
   const [showChanges, setShowChanges] = useState(false);
+  const [showReview, setShowReview] = useState(false);
   const [showMobileMenu, setShowMobileMenu] = useState(false);
   
   // Mock data for demonstration
   const activeUsers = [
     { userId: 'user-456', name: 'Alice Cooper', color: '#FF0000', permission: 'admin', isOwner: true },
-    { userId: 'user-789', name: 'Bob Johnson', color: '#00FF00', permission: 'editor', isOwner: false }
+    { userId: 'user-789', name: 'Bob Johnson', color: '#00FF00', permission: 'editor', isOwner: false,
+      // Region Bob may change while the session limits edit regions
+      editScope: {
+        zone: [
+          { lat: 40.7308, lng: -73.9986 },
+          { lat: 40.7322, lng: -73.9986 },
+          { lat: 40.7322, lng: -73.9962 },
+          { lat: 40.7308, lng: -73.9962 }
+        ],
+        boundaryIds: ['boundary-2']
+      } }
   ];
+  const limitEditRegions = true;
   
   const messages = [
     { id: 'msg1', userId: 'user-456', timestamp: new Date(Date.now() - 60000), type: 'chat', content: 'Hi everyone! I just added a new sound to the fountain area.' },
@@ -27,6 +46,39 @@ const CollaborativeEditingInterface = () => {
     { id: 'change2', userId: 'user-789', timestamp: new Date(Date.now() - 90000), changeType: 'updateAudio', targetId: 'audio-1', status: 'applied' }
   ];
   
+  // Changes this user can undo and redo
+  const [undoCount, setUndoCount] = useState(2);
+  const [redoCount, setRedoCount] = useState(0);
+  const undoChange = () => {
+    setUndoCount(count => count - 1);
+    setRedoCount(count => count + 1);
+    showNotification('Undid your last change', 'info');
+  };
+  const redoChange = () => {
+    setRedoCount(count => count - 1);
+    setUndoCount(count => count + 1);
+    showNotification('Redid your change', 'info');
+  };
+  
+  // Restore the composition as it was right after a change (admins only)
+  const restoreToChange = (change) => {
+    showNotification(`Composition restored to ${formatTime(change.timestamp)}`, 'success');
+  };
+  
+  // Current state of the boundaries held changes target
+  const objectStates = {
+    'boundary-1': { version: 3, object: { name: 'Fountain', audioFile: 'fountain.mp3', volume: 0.8, loop: true } },
+    'boundary-2': { version: 2, object: { name: 'Arch', audioFile: 'bells.mp3', volume: 1, loop: false } }
+  };
+  
+  // Changes held for review (sessions with requireReview on)
+  const canReview = activeUsers[0].permission === 'admin';
+  const [reviewQueue, setReviewQueue] = useState([
+    { id: 'change3', userId: 'user-789', timestamp: new Date(Date.now() - 45000), changeType: 'updateAudio', targetId: 'boundary-1', baseVersion: 3, payload: { volume: 0.5, loop: true } },
+    { id: 'change4', userId: 'user-789', timestamp: new Date(Date.now() - 20000), changeType: 'deleteBoundary', targetId: 'boundary-2', baseVersion: 1, payload: {} }
+  ]);
+  const [reviewNotes, setReviewNotes] = useState({});
+  
   // UI state
   const [chatMessage, setChatMessage] = useState('');
   const [notification, setNotification] = useState(null);
@@ -45,6 +97,43 @@ const CollaborativeEditingInterface = () => {
     setChatMessage('');
   };
   
+  // Draw each collaborator's edit zone on the map in their colour
+  useEffect(() => {
+    if (!mapService || !limitEditRegions) return undefined;
+    
+    const zoned = activeUsers.filter(user => user.editScope && user.editScope.zone.length >= 3);
+    zoned.forEach(user => {
+      mapService.addPolygon(`edit-scope-${user.userId}`, user.editScope.zone, {
+        strokeColor: user.color,
+        strokeOpacity: 0.9,
+        strokeWeight: 2,
+        fillColor: user.color,
+        fillOpacity: 0.08,
+        clickable: false,
+        zIndex: 0
+      });
+    });
+    
+    return () => zoned.forEach(user => mapService.removePolygon(`edit-scope-${user.userId}`));
+  }, [mapService]);
+  
+  // Approve or reject a held change
+  const reviewChange = (change, decision) => {
+    const note = (reviewNotes[change.id] || '').trim();
+    setReviewQueue(queue => queue.filter(c => c.id !== change.id));
+    showNotification(
+      `Change ${decision === 'approve' ? 'approved' : 'rejected'}${note ? ` with note: ${note}` : ''}`,
+      decision === 'approve' ? 'success' : 'warning'
+    );
+  };
+  
+  // Format a field value for the review diff
+  const formatValue = (value) => {
+    if (value === undefined || value === null) return '—';
+    if (typeof value === 'object') return Array.isArray(value) ? `${value.length} points` : JSON.stringify(value);
+    return String(value);
+  };
+  
   // Render user avatar with color
   const renderUserAvatar = (user) => (
     <div 
@@ -93,6 +182,7 @@ const CollaborativeEditingInterface = () => {
               setShowCollaborators(true);
               setShowChat(false);
               setShowChanges(false);
+              setShowReview(false);
               setShowMobileMenu(false);
             }}
           >
@@ -105,6 +195,7 @@ const CollaborativeEditingInterface = () => {
               setShowCollaborators(false);
               setShowChat(true);
               setShowChanges(false);
+              setShowReview(false);
               setShowMobileMenu(false);
             }}
           >
@@ -117,12 +208,26 @@ const CollaborativeEditingInterface = () => {
               setShowCollaborators(false);
               setShowChat(false);
               setShowChanges(true);
+              setShowReview(false);
               setShowMobileMenu(false);
             }}
           >
             <GitCommit size={16} className="inline mr-2" />
             Changes
           </button>
+          <button
+            className="w-full py-2 px-3 text-left text-sm hover:bg-gray-200 dark:hover:bg-gray-600"
+            onClick={() => {
+              setShowCollaborators(false);
+              setShowChat(false);
+              setShowChanges(false);
+              setShowReview(true);
+              setShowMobileMenu(false);
+            }}
+          >
+            <ClipboardCheck size={16} className="inline mr-2" />
+            Review ({reviewQueue.length})
+          </button>
         </div>
       )}
       
@@ -179,6 +284,17 @@ const CollaborativeEditingInterface = () => {
                     <div className="text-xs text-gray-500 dark:text-gray-400">
                       {user.permission}
                     </div>
+                    {limitEditRegions && user.permission !== 'admin' && (
+                      <div className="text-xs flex items-center text-gray-500 dark:text-gray-400">
+                        <Map size={12} className="mr-1 flex-shrink-0" style={{ color: user.color }} />
+                        {user.editScope
+                          ? [
+                              user.editScope.zone.length >= 3 && 'Own zone',
+                              user.editScope.boundaryIds.length > 0 && `${user.editScope.boundaryIds.length} boundaries`
+                            ].filter(Boolean).join(' + ') || 'No edit region'
+                          : 'No edit region'}
+                      </div>
+                    )}
                   </div>
                 </div>
               ))}
@@ -254,7 +370,29 @@ const CollaborativeEditingInterface = () => {
         {/* Changes panel */}
         {showChanges && (
           <div className="flex-1 overflow-y-auto p-2 bg-white dark:bg-gray-800 min-h-16">
-            <h4 className="font-medium text-sm mb-2">Recent Changes</h4>
+            <div className="flex items-center justify-between mb-2">
+              <h4 className="font-medium text-sm">Recent Changes</h4>
+              <div className="flex space-x-1">
+                <button
+                  onClick={undoChange}
+                  disabled={undoCount === 0}
+                  className="p-1 rounded hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-40"
+                  aria-label="Undo"
+                  title="Undo your last change"
+                >
+                  <Undo size={16} />
+                </button>
+                <button
+                  onClick={redoChange}
+                  disabled={redoCount === 0}
+                  className="p-1 rounded hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-40"
+                  aria-label="Redo"
+                  title="Redo the change you undid"
+                >
+                  <Redo size={16} />
+                </button>
+              </div>
+            </div>
             
             <div className="space-y-2">
               {changes.map((change) => {
@@ -283,9 +421,105 @@ const CollaborativeEditingInterface = () => {
                       </div>
                     </div>
                     
-                    <div className="mt-1 text-sm">
-                      {changeType} - {change.targetId}
+                    <div className="mt-1 flex items-center justify-between text-sm">
+                      <span>{changeType} - {change.targetId}</span>
+                      {canReview && change.status === 'applied' && (
+                        <button
+                          onClick={() => restoreToChange(change)}
+                          className="flex items-center text-xs text-blue-600 dark:text-blue-400 hover:underline"
+                          title="Restore the composition as it was right after this change"
+                        >
+                          <RotateCcw size={12} className="mr-1" />
+                          Restore
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        )}
+        
+        {/* Review queue panel */}
+        {showReview && (
+          <div className="flex-1 overflow-y-auto p-2 bg-white dark:bg-gray-800 min-h-16">
+            <h4 className="font-medium text-sm mb-2">Waiting for Review ({reviewQueue.length})</h4>
+            
+            {reviewQueue.length === 0 && (
+              <div className="text-xs text-gray-500 dark:text-gray-400">No changes are waiting for review</div>
+            )}
+            
+            <div className="space-y-2">
+              {reviewQueue.map((change) => {
+                const author = activeUsers.find(u => u.userId === change.userId) || 
+                  { name: 'Unknown User', color: '#CCCCCC' };
+                const current = objectStates[change.targetId] || null;
+                const target = current ? current.object.name || change.targetId : change.targetId;
+                const diff = diffChange(change, current);
+                
+                const changeType = change.changeType.replace(/([A-Z])/g, ' $1')
+                  .toLowerCase().replace(/^./, str => str.toUpperCase());
+                
+                return (
+                  <div key={change.id} className="p-2 rounded border border-gray-200 dark:border-gray-700">
+                    <div className="flex items-center">
+                      {renderUserAvatar(author)}
+                      <div className="ml-2">
+                        <div className="text-sm font-medium">{changeType} - {target}</div>
+                        <div className="text-xs text-gray-500 dark:text-gray-400">
+                          {author.name}, {formatTime(change.timestamp)}
+                        </div>
+                      </div>
                     </div>
+                    
+                    {(diff.stale || diff.missing) && (
+                      <div className="mt-1 text-xs flex items-center text-yellow-700 dark:text-yellow-300">
+                        <AlertCircle size={12} className="mr-1" />
+                        {diff.missing
+                          ? 'This boundary has been deleted since'
+                          : 'This boundary has changed since, approving may conflict'}
+                      </div>
+                    )}
+                    
+                    <table className="mt-2 w-full text-xs">
+                      <tbody>
+                        {diff.fields.map(({ field, before, after }) => (
+                          <tr key={field} className="align-top">
+                            <td className="pr-2 text-gray-500 dark:text-gray-400">{field}</td>
+                            <td className="pr-2 line-through text-red-700 dark:text-red-300">{formatValue(before)}</td>
+                            <td className="text-green-700 dark:text-green-300">{formatValue(after)}</td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                    
+                    {canReview && (
+                      <div className="mt-2 flex space-x-1">
+                        <input
+                          type="text"
+                          value={reviewNotes[change.id] || ''}
+                          onChange={(e) => setReviewNotes({ ...reviewNotes, [change.id]: e.target.value })}
+                          placeholder="Note (optional)"
+                          maxLength={1000}
+                          className="flex-1 min-w-0 py-1 px-2 text-xs rounded border border-gray-300 dark:border-gray-600 bg-white dark:bg-gray-800"
+                        />
+                        <button
+                          onClick={() => reviewChange(change, 'approve')}
+                          className="p-1 rounded bg-green-100 hover:bg-green-200 text-green-700 dark:bg-green-900 dark:text-green-300"
+                          aria-label="Approve"
+                        >
+                          <CheckCircle size={16} />
+                        </button>
+                        <button
+                          onClick={() => reviewChange(change, 'reject')}
+                          className="p-1 rounded bg-red-100 hover:bg-red-200 text-red-700 dark:bg-red-900 dark:text-red-300"
+                          aria-label="Reject"
+                        >
+                          <X size={16} />
+                        </button>
+                      </div>
+                    )}
                   </div>
                 );
               })}
@@ -329,6 +563,17 @@ const CollaborativeEditingInterface = () => {
           <GitCommit size={16} className="mr-1" />
           Changes
         </button>
+        <button
+          className={`flex-1 py-2 text-sm flex justify-center items-center ${
+            showReview 
+              ? 'bg-blue-50 text-blue-700 dark:bg-blue-900/50 dark:text-blue-300' 
+              : 'hover:bg-gray-100 dark:hover:bg-gray-700'
+          }`}
+          onClick={() => setShowReview(!showReview)}
+        >
+          <ClipboardCheck size={16} className="mr-1" />
+          Review
+        </button>
         <button
           className="py-2 px-3 text-sm hover:bg-gray-100 dark:hover:bg-gray-700"
           onClick={() => showNotification('Settings would open here', 'info')}
@@ -1,5 +1,8 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
-import { MapPin, Layers, Volume2, Settings, User, Menu, X, Trash2, Download, Share2, Plus, AlertCircle } from 'lucide-react';
+import { MapPin, Layers, Volume2, Settings, User, Menu, X, Trash2, Download, Share2, Plus, AlertCircle, Play, Square } from 'lucide-react';
+import WaveformView from './WaveformView';
+import EnhancedAudioService from '../services/EnhancedAudioServices';
+import BoundaryTransitionManager from '../services/BoundaryTransitionManager';
 
 // Sample composition data for demonstration
 const sampleComposition = {
@@ -18,7 +21,7 @@ const sampleComposition = {
   ]
 };
 
-const EontaCompositionViewer = () => {
+const EontaCompositionViewer = ({ audioService }) => {
   const [composition, setComposition] = useState(sampleComposition);
   const [isMapVisible, setIsMapVisible] = useState(true);
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
@@ -34,7 +37,9 @@ const EontaCompositionViewer = () => {
   const [error, setError] = useState(null);
   const [isSaving, setIsSaving] = useState(false);
   const [notification, setNotification] = useState(null);
+  const [playingRegions, setPlayingRegions] = useState([]);
   const mapRef = useRef(null);
+  const transitionManagerRef = useRef(null);
 
   // Toggle dark mode
   useEffect(() => {
@@ -42,6 +47,24 @@ const EontaCompositionViewer = () => {
     localStorage.setItem('darkMode', isDarkMode);
   }, [isDarkMode]);
 
+  // Region audio plays through the app's audio service, or one created on first use
+  const getTransitionManager = useCallback(async () => {
+    if (!transitionManagerRef.current) {
+      const service = audioService || new EnhancedAudioService();
+      await service.initialize();
+      transitionManagerRef.current = new BoundaryTransitionManager(service);
+    }
+    return transitionManagerRef.current;
+  }, [audioService]);
+
+  // Release an audio service created here
+  useEffect(() => () => {
+    if (!audioService && transitionManagerRef.current) {
+      transitionManagerRef.current.audioService.dispose();
+    }
+    transitionManagerRef.current = null;
+  }, [audioService]);
+
   // Format region list items with volume sliders
   const renderRegionList = useCallback(() => {
     if (!composition.audioRegions || !Array.isArray(composition.audioRegions)) {
@@ -54,13 +77,24 @@ const EontaCompositionViewer = () => {
           <h3 className="font-medium text-gray-900 dark:text-white">
             {region.name || `Region ${region.id}`}
           </h3>
-          <button 
-            className="text-gray-500 hover:text-red-500"
-            onClick={() => handleDeleteRegion(region.id)}
-            aria-label={`Delete ${region.name || 'region'}`}
-          >
-            <Trash2 size={18} />
-          </button>
+          <div className="flex items-center space-x-2">
+            {region.audioFile && (
+              <button 
+                className="text-gray-500 hover:text-blue-500"
+                onClick={() => handleToggleRegionAudio(region)}
+                aria-label={`${playingRegions.includes(region.id) ? 'Stop' : 'Play'} ${region.name || 'region'}`}
+              >
+                {playingRegions.includes(region.id) ? <Square size={18} /> : <Play size={18} />}
+              </button>
+            )}
+            <button 
+              className="text-gray-500 hover:text-red-500"
+              onClick={() => handleDeleteRegion(region.id)}
+              aria-label={`Delete ${region.name || 'region'}`}
+            >
+              <Trash2 size={18} />
+            </button>
+          </div>
         </div>
         
         <div className="flex items-center">
@@ -78,9 +112,35 @@ const EontaCompositionViewer = () => {
             {region.volume || 0}%
           </span>
         </div>
+        
+        {region.audioFile && (
+          <div className="mt-3">
+            <WaveformView
+              fileName={region.audioFile}
+              loopStart={region.loopStart}
+              loopEnd={region.loopEnd}
+              onLoopChange={(loop) => handleLoopChange(region.id, loop)}
+            />
+          </div>
+        )}
       </div>
     ));
-  }, [composition.audioRegions]);
+  }, [composition.audioRegions, playingRegions]);
+
+  // Audition a region's audio as if walking into (or out of) it
+  const handleToggleRegionAudio = useCallback(async (region) => {
+    const manager = await getTransitionManager();
+    const settings = manager.createTransitionSettings(region, composition.transitionSettings);
+
+    if (playingRegions.includes(region.id)) {
+      manager.applyExitTransition(region.id, settings);
+      setPlayingRegions(prev => prev.filter(id => id !== region.id));
+    } else if (await manager.enterRegion(region.id, region.audioFile, settings)) {
+      setPlayingRegions(prev => [...prev, region.id]);
+    } else {
+      setError('Failed to play region audio. Please try again.');
+    }
+  }, [getTransitionManager, composition.transitionSettings, playingRegions]);
 
   // Handle volume change for an audio region
   const handleVolumeChange = useCallback((regionId, newVolume) => {
@@ -97,6 +157,16 @@ const EontaCompositionViewer = () => {
     }));
   }, []);
 
+  // Handle loop selection on a region's waveform
+  const handleLoopChange = useCallback((regionId, { loopStart, loopEnd }) => {
+    setComposition(prev => ({
+      ...prev,
+      audioRegions: prev.audioRegions.map(region => 
+        region.id === regionId ? { ...region, loopStart, loopEnd } : region
+      )
+    }));
+  }, []);
+
   // Handle region deletion
   const handleDeleteRegion = useCallback((regionId) => {
     if (!regionId) return;
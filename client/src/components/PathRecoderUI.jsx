@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useRef, useCallback } from 'react';
 import { Play, Square, Map, Timer, Mail, Download, Info, AlertCircle, Activity, Share2 } from 'lucide-react';
+import authService from '../services/AuthService';
 
 /**
  * Path Recorder UI Component
@@ -92,6 +93,43 @@ const PathRecorderUI = ({ pathRecorderService }) => {
     }
   }, [isRecording, pathRecorderService]);
   
+  /**
+   * Poll the server until a submitted recording has finished rendering
+   * @param {String} statusUrl - Status URL returned by the server
+   */
+  const pollRecordingStatus = useCallback((statusUrl) => {
+    if (pollingRef.current) {
+      clearInterval(pollingRef.current);
+    }
+    
+    pollingRef.current = setInterval(async () => {
+      try {
+        const status = await pathRecorderService.getRecordingStatus(statusUrl);
+        
+        setProcessingProgress(status.progress || 0);
+        
+        if (status.status === 'completed') {
+          clearInterval(pollingRef.current);
+          pollingRef.current = null;
+          setProcessingStatus('completed');
+          setDownloadUrl(status.downloadUrl);
+          setCompositionData(prev => ({ ...prev, ...status }));
+        } else if (status.status === 'error') {
+          clearInterval(pollingRef.current);
+          pollingRef.current = null;
+          setProcessingStatus(null);
+          setError(`Failed to render your composition: ${status.error || 'Unknown error'}`);
+        }
+      } catch (err) {
+        console.error('Error polling recording status:', err);
+        clearInterval(pollingRef.current);
+        pollingRef.current = null;
+        setProcessingStatus(null);
+        setError(`Lost track of your recording: ${err.message || 'Unknown error'}`);
+      }
+    }, 2000);
+  }, [pathRecorderService]);
+  
   /**
    * Stop recording the path
    */
@@ -127,7 +165,13 @@ const PathRecorderUI = ({ pathRecorderService }) => {
           if (composition) {
             setRecordingId(composition.recordingId);
             setCompositionData(composition);
-            setDownloadUrl(composition.downloadUrl);
+            
+            // The server renders in the background - poll until it's done
+            if (composition.statusUrl) {
+              pollRecordingStatus(composition.statusUrl);
+            } else {
+              setDownloadUrl(composition.downloadUrl);
+            }
           } else {
             setError('No composition was generated. Try recording a longer path.');
             setProcessingStatus(null);
@@ -169,7 +213,7 @@ const PathRecorderUI = ({ pathRecorderService }) => {
       console.error('Error stopping recording:', err);
       setError(`Failed to stop recording: ${err.message || 'Unknown error'}`);
     }
-  }, [isRecording, pathRecorderService]);
+  }, [isRecording, pathRecorderService, pollRecordingStatus]);
   
   /**
    * Send download link to email
@@ -187,11 +231,10 @@ const PathRecorderUI = ({ pathRecorderService }) => {
       // In a real implementation, this would call the API
       if (pathRecorderService && recordingId) {
         try {
-          const response = await fetch('/api/compositions/send-email', {
+          const response = await authService.fetch('/api/compositions/send-email', {
             method: 'POST',
             headers: {
-              'Content-Type': 'application/json',
-              'Authorization': `Bearer ${localStorage.getItem('authToken')}`
+              'Content-Type': 'application/json'
             },
             body: JSON.stringify({
               recordingId,
@@ -340,10 +383,14 @@ const PathRecorderUI = ({ pathRecorderService }) => {
     
     const handleCompletion = (event) => {
       const { recordingData, composition } = event.detail;
-      setProcessingStatus('completed');
       setCompositionData(composition);
       setRecordingId(composition.recordingId);
-      setDownloadUrl(composition.downloadUrl);
+      
+      // Rendering continues on the server; the status poll marks completion
+      if (composition.status !== 'processing') {
+        setProcessingStatus('completed');
+        setDownloadUrl(composition.downloadUrl);
+      }
     };
     
     const handlePositionUpdated = (event) => {
@@ -0,0 +1,312 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { ZoomIn, ZoomOut, Repeat, X, BarChart2, AlertCircle } from 'lucide-react';
+import authService from '../services/AuthService';
+
+const MAX_ZOOM = 64;
+const MIN_LOOP_SECONDS = 0.05;
+
+/**
+ * Pick the waveform level to draw
+ * Uses the coarsest level that still has at least one min/max pair per pixel.
+ * @param {Array<Object>} levels - Levels from GET /api/audio/:fileName/peaks (finest first)
+ * @param {Number} samplesPerPixel - Samples each canvas pixel covers
+ * @returns {Object} Level
+ */
+export function pickLevel(levels, samplesPerPixel) {
+  let chosen = levels[0];
+  levels.forEach(level => {
+    if (level.samplesPerPixel <= samplesPerPixel) {
+      chosen = level;
+    }
+  });
+  return chosen;
+}
+
+/**
+ * Format seconds as m:ss.s
+ * @param {Number} seconds - Time in seconds
+ * @returns {String} Formatted time
+ */
+function formatTime(seconds) {
+  const minutes = Math.floor(seconds / 60);
+  return `${minutes}:${(seconds - minutes * 60).toFixed(1).padStart(4, '0')}`;
+}
+
+/**
+ * Zoomable waveform (or spectrogram) of an uploaded audio file
+ * Dragging across the waveform selects the part of the file a region loops.
+ * @param {Object} props - Component props
+ * @param {String} props.fileName - Storage key of the audio file
+ * @param {Number} props.loopStart - Start of the loop selection in seconds
+ * @param {Number} props.loopEnd - End of the loop selection in seconds
+ * @param {Function} props.onLoopChange - Called with ({loopStart, loopEnd}), both undefined when cleared
+ * @param {Number} props.height - Height in pixels
+ */
+const WaveformView = ({ fileName, loopStart, loopEnd, onLoopChange, height = 96 }) => {
+  const [peaks, setPeaks] = useState(null);
+  const [status, setStatus] = useState('loading');
+  const [zoom, setZoom] = useState(1);
+  const [offset, setOffset] = useState(0); // seconds at the left edge
+  const [showSpectrogram, setShowSpectrogram] = useState(false);
+  const [dragSelection, setDragSelection] = useState(null);
+  const canvasRef = useRef(null);
+  const dragStartRef = useRef(null);
+
+  // Load the peaks, polling while the upload is still being processed
+  useEffect(() => {
+    if (!fileName) return undefined;
+
+    let cancelled = false;
+    let retryTimer = null;
+
+    const load = async () => {
+      try {
+        const response = await authService.fetch(`/api/audio/${encodeURIComponent(fileName)}/peaks`);
+
+        if (cancelled) return;
+
+        if (response.status === 202) {
+          setStatus('processing');
+          const retryAfter = parseInt(response.headers.get('Retry-After'), 10) || 5;
+          retryTimer = setTimeout(load, retryAfter * 1000);
+          return;
+        }
+
+        if (!response.ok) {
+          throw new Error(`Failed to load waveform: ${response.status}`);
+        }
+
+        const data = await response.json();
+        if (!cancelled) {
+          setPeaks(data.peaks);
+          setStatus('ready');
+        }
+      } catch (err) {
+        console.error('Error loading waveform:', err);
+        if (!cancelled) setStatus('error');
+      }
+    };
+
+    setStatus('loading');
+    setPeaks(null);
+    setZoom(1);
+    setOffset(0);
+    load();
+
+    return () => {
+      cancelled = true;
+      clearTimeout(retryTimer);
+    };
+  }, [fileName]);
+
+  const duration = peaks ? peaks.duration : 0;
+  const visibleDuration = duration / zoom;
+
+  // Keep the view inside the file
+  const clampOffset = useCallback((value, zoomLevel = zoom) => {
+    return Math.max(0, Math.min(duration - duration / zoomLevel, value));
+  }, [duration, zoom]);
+
+  // Convert a mouse position to a time in the file
+  const timeAtEvent = useCallback((event) => {
+    const rect = canvasRef.current.getBoundingClientRect();
+    const fraction = Math.max(0, Math.min(1, (event.clientX - rect.left) / rect.width));
+    return offset + fraction * visibleDuration;
+  }, [offset, visibleDuration]);
+
+  // Draw the waveform or spectrogram with the loop selection on top
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !peaks || duration <= 0) return;
+
+    const width = canvas.clientWidth;
+    const pixelRatio = window.devicePixelRatio || 1;
+    canvas.width = width * pixelRatio;
+    canvas.height = height * pixelRatio;
+
+    const context = canvas.getContext('2d');
+    context.setTransform(pixelRatio, 0, 0, pixelRatio, 0, 0);
+    context.clearRect(0, 0, width, height);
+
+    const isDark = document.body.classList.contains('dark');
+    const startSample = offset * peaks.sampleRate;
+    const samplesPerPixel = (visibleDuration * peaks.sampleRate) / width;
+
+    if (showSpectrogram && peaks.spectrogram && peaks.spectrogram.columns > 0) {
+      const { columns, hop, frequencies, data } = peaks.spectrogram;
+      const bands = frequencies.length;
+      const bandHeight = height / bands;
+
+      for (let x = 0; x < width; x++) {
+        const column = Math.floor((startSample + x * samplesPerPixel) / hop);
+        if (column >= columns) break;
+
+        for (let band = 0; band < bands; band++) {
+          const value = data[column * bands + band];
+          context.fillStyle = `hsl(${240 - (value / 255) * 240}, 90%, ${(value / 255) * 55}%)`;
+          context.fillRect(x, height - (band + 1) * bandHeight, 1, Math.ceil(bandHeight));
+        }
+      }
+    } else {
+      const level = pickLevel(peaks.levels, samplesPerPixel);
+      const scale = height / 2 / 128;
+      context.fillStyle = isDark ? '#60a5fa' : '#2563eb';
+
+      for (let x = 0; x < width; x++) {
+        const from = Math.floor((startSample + x * samplesPerPixel) / level.samplesPerPixel);
+        const to = Math.max(from + 1, Math.floor((startSample + (x + 1) * samplesPerPixel) / level.samplesPerPixel));
+        if (from >= level.length) break;
+
+        let min = 127;
+        let max = -128;
+        for (let i = from; i < Math.min(to, level.length); i++) {
+          min = Math.min(min, level.data[i * 2]);
+          max = Math.max(max, level.data[i * 2 + 1]);
+        }
+
+        const top = height / 2 - max * scale;
+        context.fillRect(x, top, 1, Math.max(1, (max - min) * scale));
+      }
+    }
+
+    const selection = dragSelection || (loopEnd > loopStart ? { start: loopStart, end: loopEnd } : null);
+    if (selection) {
+      const left = ((selection.start - offset) / visibleDuration) * width;
+      const right = ((selection.end - offset) / visibleDuration) * width;
+      context.fillStyle = 'rgba(250, 204, 21, 0.3)';
+      context.fillRect(left, 0, right - left, height);
+      context.fillStyle = 'rgba(202, 138, 4, 0.9)';
+      context.fillRect(left, 0, 1, height);
+      context.fillRect(right - 1, 0, 1, height);
+    }
+  }, [peaks, duration, offset, visibleDuration, showSpectrogram, loopStart, loopEnd, dragSelection, height]);
+
+  // Zoom around the centre of the view
+  const handleZoom = useCallback((factor) => {
+    const nextZoom = Math.max(1, Math.min(MAX_ZOOM, zoom * factor));
+    const centre = offset + visibleDuration / 2;
+    setZoom(nextZoom);
+    setOffset(clampOffset(centre - duration / nextZoom / 2, nextZoom));
+  }, [zoom, offset, visibleDuration, duration, clampOffset]);
+
+  // Scroll through the file with the mouse wheel
+  const handleWheel = useCallback((event) => {
+    if (zoom === 1) return;
+    const delta = Math.abs(event.deltaX) > Math.abs(event.deltaY) ? event.deltaX : event.deltaY;
+    setOffset(clampOffset(offset + (delta / canvasRef.current.clientWidth) * visibleDuration));
+  }, [zoom, offset, visibleDuration, clampOffset]);
+
+  const handleMouseDown = useCallback((event) => {
+    const time = timeAtEvent(event);
+    dragStartRef.current = time;
+    setDragSelection({ start: time, end: time });
+  }, [timeAtEvent]);
+
+  const handleMouseMove = useCallback((event) => {
+    if (dragStartRef.current === null) return;
+    const time = timeAtEvent(event);
+    setDragSelection({
+      start: Math.min(dragStartRef.current, time),
+      end: Math.max(dragStartRef.current, time)
+    });
+  }, [timeAtEvent]);
+
+  const handleMouseUp = useCallback(() => {
+    if (dragStartRef.current === null) return;
+    dragStartRef.current = null;
+
+    // A click without a drag leaves the selection as it was
+    if (dragSelection && dragSelection.end - dragSelection.start >= MIN_LOOP_SECONDS && onLoopChange) {
+      onLoopChange({
+        loopStart: Math.round(dragSelection.start * 1000) / 1000,
+        loopEnd: Math.round(dragSelection.end * 1000) / 1000
+      });
+    }
+    setDragSelection(null);
+  }, [dragSelection, onLoopChange]);
+
+  const handleClearLoop = useCallback(() => {
+    if (onLoopChange) {
+      onLoopChange({ loopStart: undefined, loopEnd: undefined });
+    }
+  }, [onLoopChange]);
+
+  if (status === 'loading' || status === 'processing') {
+    return (
+      <div className="flex items-center justify-center text-xs text-gray-500 dark:text-gray-400 bg-gray-50 dark:bg-gray-900 rounded" style={{ height }}>
+        {status === 'processing' ? 'Analyzing audio...' : 'Loading waveform...'}
+      </div>
+    );
+  }
+
+  if (status === 'error' || !peaks) {
+    return (
+      <div className="flex items-center justify-center text-xs text-red-600 dark:text-red-400 bg-gray-50 dark:bg-gray-900 rounded" style={{ height }}>
+        <AlertCircle size={14} className="mr-1" /> Waveform unavailable
+      </div>
+    );
+  }
+
+  const hasLoop = loopEnd > loopStart;
+
+  return (
+    <div>
+      <canvas
+        ref={canvasRef}
+        className="w-full bg-gray-50 dark:bg-gray-900 rounded cursor-crosshair"
+        style={{ height }}
+        onMouseDown={handleMouseDown}
+        onMouseMove={handleMouseMove}
+        onMouseUp={handleMouseUp}
+        onMouseLeave={handleMouseUp}
+        onWheel={handleWheel}
+        aria-label={`Waveform of ${fileName}`}
+      />
+
+      <div className="flex items-center justify-between mt-1 text-xs text-gray-600 dark:text-gray-300">
+        <span className="flex items-center">
+          <Repeat size={14} className="mr-1" />
+          {hasLoop ? `${formatTime(loopStart)} – ${formatTime(loopEnd)}` : `Whole file (${formatTime(duration)})`}
+          {hasLoop && (
+            <button
+              onClick={handleClearLoop}
+              className="ml-1 text-gray-500 hover:text-red-500"
+              aria-label="Clear loop selection"
+            >
+              <X size={14} />
+            </button>
+          )}
+        </span>
+
+        <span className="flex items-center space-x-1">
+          <button
+            onClick={() => setShowSpectrogram(prev => !prev)}
+            className={`p-1 rounded ${showSpectrogram ? 'bg-blue-100 dark:bg-blue-900 text-blue-600 dark:text-blue-400' : 'hover:bg-gray-100 dark:hover:bg-gray-700'}`}
+            aria-label={showSpectrogram ? 'Show waveform' : 'Show spectrogram'}
+            aria-pressed={showSpectrogram}
+          >
+            <BarChart2 size={14} />
+          </button>
+          <button
+            onClick={() => handleZoom(0.5)}
+            disabled={zoom <= 1}
+            className="p-1 rounded hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50"
+            aria-label="Zoom out"
+          >
+            <ZoomOut size={14} />
+          </button>
+          <button
+            onClick={() => handleZoom(2)}
+            disabled={zoom >= MAX_ZOOM}
+            className="p-1 rounded hover:bg-gray-100 dark:hover:bg-gray-700 disabled:opacity-50"
+            aria-label="Zoom in"
+          >
+            <ZoomIn size={14} />
+          </button>
+        </span>
+      </div>
+    </div>
+  );
+};
+
+export default WaveformView;
@@ -1,9 +1,10 @@
 // db.js - IndexedDB for offline compositions
 
 const DB_NAME = 'eonta-db';
-const DB_VERSION = 1;
+const DB_VERSION = 2;
 const COMPOSITIONS_STORE = 'compositions';
 const AUDIO_STORE = 'audio-files';
+const PENDING_CHANGES_STORE = 'pending-changes';
 
 class EontaDB {
   constructor() {
@@ -47,6 +48,12 @@ class EontaDB {
           const audioStore = db.createObjectStore(AUDIO_STORE, { keyPath: 'id' });
           audioStore.createIndex('compositionId', 'compositionId', { unique: false });
         }
+
+        // Create store for collaboration changes the server hasn't acknowledged yet
+        if (!db.objectStoreNames.contains(PENDING_CHANGES_STORE)) {
+          const pendingStore = db.createObjectStore(PENDING_CHANGES_STORE, { keyPath: 'clientId' });
+          pendingStore.createIndex('sessionId', 'sessionId', { unique: false });
+        }
       };
     });
   }
@@ -196,6 +203,88 @@ class EontaDB {
     });
   }
 
+  // Save a collaboration change waiting to be sent or acknowledged
+  async savePendingChange(change) {
+    const db = await this._ensureDB();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([PENDING_CHANGES_STORE], 'readwrite');
+      const store = transaction.objectStore(PENDING_CHANGES_STORE);
+      const request = store.put(change);
+      
+      request.onsuccess = event => {
+        resolve(event.target.result);
+      };
+      
+      request.onerror = event => {
+        reject(event.target.error);
+      };
+    });
+  }
+
+  // Get a session's pending changes, oldest first
+  async getPendingChanges(sessionId) {
+    const db = await this._ensureDB();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([PENDING_CHANGES_STORE], 'readonly');
+      const store = transaction.objectStore(PENDING_CHANGES_STORE);
+      const index = store.index('sessionId');
+      const request = index.getAll(sessionId);
+      
+      request.onsuccess = event => {
+        resolve(event.target.result.sort((a, b) => a.queuedAt - b.queuedAt));
+      };
+      
+      request.onerror = event => {
+        reject(event.target.error);
+      };
+    });
+  }
+
+  // Delete a pending change once the server has it
+  async deletePendingChange(clientId) {
+    const db = await this._ensureDB();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([PENDING_CHANGES_STORE], 'readwrite');
+      const store = transaction.objectStore(PENDING_CHANGES_STORE);
+      const request = store.delete(clientId);
+      
+      request.onsuccess = event => {
+        resolve(true);
+      };
+      
+      request.onerror = event => {
+        reject(event.target.error);
+      };
+    });
+  }
+
+  // Delete all of a session's pending changes
+  async clearPendingChanges(sessionId) {
+    const db = await this._ensureDB();
+    return new Promise((resolve, reject) => {
+      const transaction = db.transaction([PENDING_CHANGES_STORE], 'readwrite');
+      const store = transaction.objectStore(PENDING_CHANGES_STORE);
+      const index = store.index('sessionId');
+      const request = index.openKeyCursor(IDBKeyRange.only(sessionId));
+      
+      request.onsuccess = event => {
+        const cursor = event.target.result;
+        if (cursor) {
+          store.delete(cursor.primaryKey);
+          cursor.continue();
+        }
+      };
+      
+      transaction.oncomplete = () => {
+        resolve(true);
+      };
+      
+      transaction.onerror = event => {
+        reject(event.target.error);
+      };
+    });
+  }
+
   // Ensure database is initialized
   async _ensureDB() {
     if (this.db) return this.db;
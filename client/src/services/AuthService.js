@@ -0,0 +1,138 @@
+/**
+ * Auth Service
+ * Keeps the access token and refresh token issued at login or registration in
+ * localStorage and renews the access token through /api/users/refresh, shortly
+ * before it expires or when a request is refused with 401, so sessions last as
+ * long as the refresh token rather than the short-lived access token.
+ */
+const ACCESS_TOKEN_KEY = 'authToken';
+const REFRESH_TOKEN_KEY = 'refreshToken';
+
+// Renew access tokens this long before they expire (ms)
+const EXPIRY_MARGIN = 60000;
+
+class AuthService {
+  constructor() {
+    // Refresh in flight, shared so concurrent requests don't each spend the refresh token
+    this.refreshing = null;
+  }
+
+  /**
+   * Store the tokens returned by login, registration or refresh
+   * @param {Object} tokens - { token, refreshToken }
+   */
+  setTokens({ token, refreshToken }) {
+    if (token) localStorage.setItem(ACCESS_TOKEN_KEY, token);
+    if (refreshToken) localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  }
+
+  /**
+   * Forget the stored tokens (e.g. on logout, or once the refresh token is refused)
+   */
+  clearTokens() {
+    localStorage.removeItem(ACCESS_TOKEN_KEY);
+    localStorage.removeItem(REFRESH_TOKEN_KEY);
+  }
+
+  /**
+   * Read when a JWT expires
+   * @param {String} token - JWT
+   * @returns {Number|null} Expiry (ms since epoch), or null if it can't be read
+   */
+  _getExpiry(token) {
+    try {
+      const payload = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+      const { exp } = JSON.parse(atob(payload));
+      return typeof exp === 'number' ? exp * 1000 : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Exchange the refresh token for a new pair of tokens
+   * @returns {Promise<String|null>} New access token, or null if the user must log in again
+   */
+  refresh() {
+    if (!this.refreshing) {
+      this.refreshing = this._refresh().finally(() => {
+        this.refreshing = null;
+      });
+    }
+
+    return this.refreshing;
+  }
+
+  async _refresh() {
+    const refreshToken = localStorage.getItem(REFRESH_TOKEN_KEY);
+    if (!refreshToken) return null;
+
+    const response = await fetch('/api/users/refresh', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ refreshToken })
+    });
+
+    if (!response.ok) {
+      // Revoked or expired: only a new login helps
+      if (response.status === 401) this.clearTokens();
+      return null;
+    }
+
+    const tokens = await response.json();
+    this.setTokens(tokens);
+    return tokens.token;
+  }
+
+  /**
+   * Get an access token that isn't about to expire, refreshing it if needed
+   * @returns {Promise<String|null>} Access token, or null if not logged in
+   */
+  async getToken() {
+    const token = localStorage.getItem(ACCESS_TOKEN_KEY);
+    const expiry = token ? this._getExpiry(token) : null;
+
+    if (token && (expiry === null || expiry - Date.now() > EXPIRY_MARGIN)) {
+      return token;
+    }
+
+    try {
+      return (await this.refresh()) || token;
+    } catch (error) {
+      console.error('Error refreshing access token:', error);
+      return token;
+    }
+  }
+
+  /**
+   * Send an authenticated request, refreshing the access token and retrying once
+   * if it is refused with 401
+   * @param {String} url - Request URL
+   * @param {Object} options - fetch options
+   * @returns {Promise<Response>} Response
+   */
+  async fetch(url, options = {}) {
+    const token = await this.getToken();
+
+    if (!token) {
+      throw new Error('Authentication required');
+    }
+
+    const send = accessToken => fetch(url, {
+      ...options,
+      headers: {
+        ...options.headers,
+        'Authorization': `Bearer ${accessToken}`
+      }
+    });
+
+    const response = await send(token);
+    if (response.status !== 401) return response;
+
+    const refreshed = await this.refresh();
+    return refreshed ? send(refreshed) : response;
+  }
+}
+
+// Export a singleton instance
+export default new AuthService();
@@ -105,7 +105,7 @@ class BoundaryTransitionManager {
    * Apply transition when entering a boundary
    * Implements the core functionality described in thesis section 3.5.0
    * @param {String} regionId - ID of the region being entered
-   * @param {Object} audioData - Audio data including URL
+   * @param {Object} audioData - Audio source from EnhancedAudioService.getAudioSource ({ url, gain })
    * @param {Object} transitionSettings - Transition settings for the region
    * @param {Number} distanceToEdge - Distance to the boundary edge in meters
    */
@@ -126,6 +126,9 @@ class BoundaryTransitionManager {
     // This implements the position-based triggering described in thesis section 3.5.0
     const progress = Math.min(1, Math.max(0, (transitionRadius - distanceToEdge) / transitionRadius));
     
+    // Loudness correction so regions play at comparable levels
+    const normalizationGain = audioData.gain || 0;
+    
     try {
       // Set up audio node with appropriate transition type
       switch (fadeInType) {
@@ -134,6 +137,7 @@ class BoundaryTransitionManager {
           this.audioService.playAudio(regionId, audioData.url, {
             fadeIn: fadeInLength,
             volume: progress, // Start at current progress level
+            normalizationGain,
             loop: true // Matches the looping behavior described in thesis
           });
           break;
@@ -147,6 +151,7 @@ class BoundaryTransitionManager {
           this.audioService.playAudio(regionId, audioData.url, {
             fadeIn: fadeInLength,
             volume: progress,
+            normalizationGain,
             loop: true,
             effects: {
               lowpass: true,
@@ -164,6 +169,7 @@ class BoundaryTransitionManager {
           this.audioService.playAudio(regionId, audioData.url, {
             fadeIn: fadeInLength,
             volume: progress,
+            normalizationGain,
             loop: true
           });
       }
@@ -172,6 +178,37 @@ class BoundaryTransitionManager {
     }
   }
   
+  /**
+   * Start a region's audio as it is entered
+   * The file is looked up through the audio service, which picks the rendition and
+   * returns the loudness correction to play it with.
+   * @param {String} regionId - ID of the region being entered
+   * @param {String} audioFile - Storage key of the region's audio file
+   * @param {Object} transitionSettings - Transition settings for the region
+   * @param {Number} distanceToEdge - Distance to the boundary edge in meters
+   * @returns {Promise<boolean>} Whether playback started
+   */
+  async enterRegion(regionId, audioFile, transitionSettings, distanceToEdge = 0) {
+    if (!this.audioService) {
+      console.error('Audio service not available');
+      return false;
+    }
+    
+    if (!regionId || !audioFile) {
+      console.error('Invalid region data for transition');
+      return false;
+    }
+    
+    try {
+      const audioData = await this.audioService.getAudioSource(audioFile);
+      this.applyEntryTransition(regionId, audioData, transitionSettings, distanceToEdge);
+      return true;
+    } catch (error) {
+      console.error(`Error loading audio for region ${regionId}:`, error);
+      return false;
+    }
+  }
+  
   /**
    * Apply transition when exiting a boundary
    * @param {String} regionId - ID of the region being exited
@@ -1,6 +1,75 @@
 // client/src/services/CollaborationManager.js
 
 import io from 'socket.io-client';
+import { isPolygonInPolygon } from './MapUtils';
+import eontaDB from '../db';
+import authService from './AuthService';
+
+// Fields of a boundary each change type touches, for deciding whether a conflicted change can be rebased
+const BOUNDARY_FIELDS = ['name', 'polygon', 'transitionSettings'];
+const AUDIO_FIELDS = ['audioFile', 'volume', 'loop', 'loopStart', 'loopEnd'];
+
+// Change types that target the composition itself
+const COMPOSITION_CHANGES = ['updateComposition', 'updateSettings', 'restoreComposition'];
+
+// Times a conflicted change is rebased and resubmitted before giving up
+const MAX_REBASE_ATTEMPTS = 3;
+
+// Changes this user can undo (and redo) in a row
+const MAX_UNDO_STEPS = 100;
+
+// How long to wait for the server to acknowledge a change (ms); unacknowledged
+// changes are sent again after the next reconnect
+const ACK_TIMEOUT = 10000;
+
+// Compare two JSON values
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+/**
+ * Get the fields of its target a change overwrites
+ * @param {Object} change - Change with changeType and payload
+ * @returns {Array<string>} Field names (settings fields are within transitionSettings)
+ */
+const getTouchedFields = (change) => {
+  switch (change.changeType) {
+    case 'deleteBoundary':
+      return [...BOUNDARY_FIELDS, ...AUDIO_FIELDS];
+    case 'deleteAudio':
+      return AUDIO_FIELDS;
+    default:
+      return Object.keys(change.payload || {});
+  }
+};
+
+/**
+ * Compare a proposed change with the current state of its target, for reviewing it
+ * @param {Object} change - Change with changeType, payload and baseVersion
+ * @param {Object|null} current - Current { version, object } of the target
+ * @returns {Object} { fields: [{ field, before, after }], stale, missing }
+ */
+export const diffChange = (change, current) => {
+  const deleting = change.changeType === 'deleteBoundary' || change.changeType === 'deleteAudio';
+  const before = current && current.object ? current.object : {};
+  const read = (object, field) => (change.changeType === 'updateSettings'
+    ? (object.transitionSettings || {})[field]
+    : object[field]);
+  
+  const fields = getTouchedFields(change)
+    .map(field => ({
+      field,
+      before: read(before, field),
+      after: deleting ? undefined : (change.payload || {})[field]
+    }))
+    .filter(({ before, after }) => !sameValue(before, after));
+  
+  return {
+    fields,
+    // The target changed since the change was made, so applying it may conflict
+    stale: !!current && change.baseVersion !== undefined && current.version !== change.baseVersion,
+    // The target was deleted in the meantime
+    missing: !current && change.changeType !== 'addBoundary'
+  };
+};
 
 /**
  * Collaboration Manager Service
@@ -15,9 +84,42 @@ class CollaborationManager {
     this.boundaries = new Map();
     this.lockedBoundaries = new Map();
     this.userCursors = new Map();
+    
+    // Boundaries this client holds locks on, kept alive by a heartbeat
+    this.userId = null;
+    this.heldLocks = new Set();
+    this.heartbeatTimer = null;
+    this.lockSettings = { ttl: 30000, heartbeatInterval: 10000 };
+    
+    // This user's permission and the changes waiting for an admin's review, keyed by change ID
+    this.permission = null;
+    this.reviewQueue = new Map();
+    
+    // What this user may change while the session limits edit regions (null when
+    // unlimited), and every collaborator's scope for showing on the map
+    this.editScope = null;
+    this.editScopes = new Map();
+    
     this.messages = [];
     this.changes = [];
     
+    // Version and contents of the composition and each boundary, keyed by ID
+    this.compositionId = null;
+    this.objectStates = new Map();
+    
+    // Changes this client submitted that the server hasn't applied yet, keyed by clientId
+    // in the order they were made. Until the server acknowledges them they are also kept
+    // in IndexedDB, and they are sent (again) in order after reconnecting, so edits made
+    // while offline aren't lost. New changes wait while earlier ones are being replayed.
+    this.pendingChanges = new Map();
+    this.replaying = false;
+    this.replayCount = 0;
+    
+    // Inverses of this user's applied changes, newest last: undoing submits the top of
+    // undoStack and its inverse lands on redoStack
+    this.undoStack = [];
+    this.redoStack = [];
+    
     // Callback handlers for events
     this.eventHandlers = {
       onUserJoined: null,
@@ -26,12 +128,24 @@ class CollaborationManager {
       onChangeSubmitted: null,
       onChangeApplied: null,
       onChangeConflict: null,
+      onChangeRebased: null,
+      onChangeRejected: null,
+      onChangeHeld: null,
+      onChangeReviewed: null,
+      onUndoStateChanged: null,
+      onEditScopeChanged: null,
+      onCollaboratorsChanged: null,
+      onSessionClosed: null,
       onBoundaryLocked: null,
       onBoundaryUnlocked: null,
+      onBoundaryLockDenied: null,
       onMessageReceived: null,
       onSessionJoined: null,
       onError: null,
-      onConnectionChanged: null
+      onConnectionChanged: null,
+      onJobProgress: null,
+      onJobCompleted: null,
+      onJobFailed: null
     };
     
     // Attempt to restore session from localStorage
@@ -40,7 +154,7 @@ class CollaborationManager {
   
   /**
    * Initialize the socket connection
-   * @param {string} token - JWT authentication token
+   * @param {string} token - JWT access token, used unless AuthService has a fresher one
    * @returns {Promise} Connection promise
    */
   async connect(token) {
@@ -58,9 +172,12 @@ class CollaborationManager {
         
         console.log(`Connecting to collaboration server at ${wsUrl}`);
         
-        // Initialize socket with authentication
+        // Initialize socket with authentication, fetching the token again for every
+        // reconnection so it outlives the access token it started with
         this.socket = io(wsUrl, {
-          auth: { token },
+          auth: (callback) => {
+            authService.getToken().then(current => callback({ token: current || token }));
+          },
           reconnection: true,
           reconnectionAttempts: 5,
           reconnectionDelay: 1000,
@@ -77,8 +194,10 @@ class CollaborationManager {
             this.eventHandlers.onConnectionChanged(true);
           }
           
-          // If we have an active session, rejoin it
+          // If we have an active session, rejoin it, holding new changes back until
+          // the ones made while disconnected have been replayed
           if (this.activeSession) {
+            this.replaying = true;
             this.joinSession(this.activeSession.id);
           }
           
@@ -89,6 +208,10 @@ class CollaborationManager {
           console.log('Disconnected from collaboration server');
           this.connected = false;
           
+          // The server releases this connection's locks when it goes away
+          this.heldLocks.clear();
+          this.stopHeartbeat();
+          
           if (this.eventHandlers.onConnectionChanged) {
             this.eventHandlers.onConnectionChanged(false);
           }
@@ -134,14 +257,44 @@ class CollaborationManager {
       
       // Set user color
       this.userColor = data.color;
+      this.userId = data.userId;
+      
+      // Current lock table
+      if (data.lockSettings) {
+        this.lockSettings = data.lockSettings;
+      }
+      this.lockedBoundaries.clear();
+      this.heldLocks.clear();
+      (data.locks || []).forEach(lock => this.setBoundaryLock(lock));
+      this.updateHeartbeat();
       
       // Save recent messages and changes
       this.messages = data.recentMessages || [];
       this.changes = data.recentChanges || [];
       
+      // Changes held for review
+      this.permission = data.permission || null;
+      this.reviewQueue.clear();
+      (data.reviewQueue || []).forEach(change => this.reviewQueue.set(change._id, change));
+      
+      // Edit regions
+      this.editScope = data.editScope || null;
+      this.editScopes.clear();
+      ((data.session && data.session.collaborators) || []).forEach(collaborator => {
+        if (collaborator.editScope) {
+          this.editScopes.set(String(collaborator.userId), collaborator.editScope);
+        }
+      });
+      
+      // Remember the versions changes must be made against
+      this.setComposition(data.composition);
+      
       // Save session to localStorage
       this.saveSession();
       
+      // Send the changes made while disconnected
+      this.replayPendingChanges(this.activeSession.id);
+      
       // Notify listeners
       if (this.eventHandlers.onSessionJoined) {
         this.eventHandlers.onSessionJoined(data);
@@ -172,6 +325,53 @@ class CollaborationManager {
       }
     });
     
+    // Session membership events
+    this.socket.on('collaborator:added', (data) => {
+      if (this.eventHandlers.onCollaboratorsChanged) {
+        this.eventHandlers.onCollaboratorsChanged({ ...data, type: 'added' });
+      }
+    });
+    
+    this.socket.on('collaborator:updated', (data) => {
+      if (data.userId === this.userId) {
+        this.permission = data.permission;
+      }
+      
+      const user = this.activeUsers.get(data.userId);
+      if (user) {
+        user.permission = data.permission;
+      }
+      
+      if (this.eventHandlers.onCollaboratorsChanged) {
+        this.eventHandlers.onCollaboratorsChanged({ ...data, type: 'updated' });
+      }
+    });
+    
+    this.socket.on('collaborator:removed', (data) => {
+      // Being removed ends the session for this user
+      if (data.userId === this.userId) {
+        this.endSession({ sessionId: this.activeSession && this.activeSession.id, reason: 'removed', ...data });
+        return;
+      }
+      
+      this.activeUsers.delete(data.userId);
+      this.userCursors.delete(data.userId);
+      
+      if (this.eventHandlers.onCollaboratorsChanged) {
+        this.eventHandlers.onCollaboratorsChanged({ ...data, type: 'removed' });
+      }
+    });
+    
+    this.socket.on('session:closed', (data) => {
+      console.log('Session closed:', data);
+      this.endSession(data);
+    });
+    
+    this.socket.on('session:joinDenied', (data) => {
+      console.log('Session join denied:', data);
+      this.handleJoinDenied(data);
+    });
+    
     this.socket.on('user:presence', (data) => {
       if (data.position) {
         this.userCursors.set(data.userId, data.position);
@@ -201,43 +401,111 @@ class CollaborationManager {
       }
     });
     
+    this.socket.on('change:held', (data) => {
+      console.log('Change held for review:', data);
+      
+      if (data.change) {
+        this.reviewQueue.set(data.change._id, data.change);
+      }
+      
+      if (this.eventHandlers.onChangeHeld) {
+        this.eventHandlers.onChangeHeld(data);
+      }
+    });
+    
+    this.socket.on('change:reviewed', (data) => {
+      console.log('Change reviewed:', data);
+      this.reviewQueue.delete(data.changeId);
+      
+      if (this.eventHandlers.onChangeReviewed) {
+        this.eventHandlers.onChangeReviewed(data);
+      }
+    });
+    
+    this.socket.on('scope:updated', (data) => {
+      console.log('Edit scope updated:', data);
+      this.editScopes.set(data.userId, data.editScope);
+      
+      // Only limited users have a scope to replace
+      if (data.userId === this.userId && this.editScope) {
+        const { zone, boundaryIds } = data.editScope;
+        this.editScope = {
+          zone: zone && zone.length >= 3 ? zone : null,
+          boundaryIds: boundaryIds || []
+        };
+      }
+      
+      if (this.eventHandlers.onEditScopeChanged) {
+        this.eventHandlers.onEditScopeChanged(data);
+      }
+    });
+    
     this.socket.on('change:applied', (data) => {
       console.log('Change applied:', data);
+      this.handleChangeApplied(data);
+    });
+    
+    this.socket.on('change:conflict', (data) => {
+      console.log('Change conflict:', data);
       
       // Update change status in local list
       const change = this.changes.find(c => c._id === data.changeId);
       if (change) {
-        change.status = 'applied';
+        change.status = 'conflicted';
+        change.error = data.error;
       }
       
-      if (this.eventHandlers.onChangeApplied) {
-        this.eventHandlers.onChangeApplied(data);
+      if (data.current) {
+        this.setObjectState(data.targetId, data.current.version, data.current.object);
       }
+      
+      // Someone else's conflict is only of interest to them
+      const pending = this.pendingChanges.get(data.clientId);
+      if (!pending) return;
+      
+      this.forgetPendingChange(data.clientId);
+      this.resolveConflict(pending, data);
     });
     
-    this.socket.on('change:conflict', (data) => {
-      console.log('Change conflict:', data);
+    this.socket.on('change:rejected', (data) => {
+      console.log('Change rejected:', data);
       
-      // Update change status in local list
       const change = this.changes.find(c => c._id === data.changeId);
       if (change) {
-        change.status = 'conflicted';
+        change.status = 'rejected';
+        change.error = data.error;
+      }
+      
+      const pending = this.pendingChanges.get(data.clientId);
+      if (!pending) return;
+      
+      this.forgetPendingChange(data.clientId);
+      
+      if (this.eventHandlers.onChangeRejected) {
+        this.eventHandlers.onChangeRejected({ ...data, change: pending });
+      }
+    });
+    
+    this.socket.on('change:failed', (data) => {
+      console.error('Change failed:', data);
+      
+      const change = this.changes.find(c => c._id === data.changeId);
+      if (change) {
+        change.status = 'failed';
         change.error = data.error;
       }
       
-      if (this.eventHandlers.onChangeConflict) {
-        this.eventHandlers.onChangeConflict(data);
+      // The change stays queued and is sent again after reconnecting
+      if (this.pendingChanges.has(data.clientId) && this.eventHandlers.onError) {
+        this.eventHandlers.onError(data.error);
       }
     });
     
     // Boundary lock events
     this.socket.on('boundary:locked', (data) => {
       console.log('Boundary locked:', data);
-      this.lockedBoundaries.set(data.boundaryId, {
-        userId: data.userId,
-        name: data.name,
-        timestamp: new Date(data.timestamp)
-      });
+      this.setBoundaryLock(data);
+      this.updateHeartbeat();
       
       if (this.eventHandlers.onBoundaryLocked) {
         this.eventHandlers.onBoundaryLocked(data);
@@ -247,12 +515,40 @@ class CollaborationManager {
     this.socket.on('boundary:unlocked', (data) => {
       console.log('Boundary unlocked:', data);
       this.lockedBoundaries.delete(data.boundaryId);
+      this.heldLocks.delete(data.boundaryId);
+      this.updateHeartbeat();
       
       if (this.eventHandlers.onBoundaryUnlocked) {
         this.eventHandlers.onBoundaryUnlocked(data);
       }
     });
     
+    this.socket.on('boundary:lockDenied', (data) => {
+      console.log('Boundary lock denied:', data);
+      this.setBoundaryLock(data);
+      
+      if (this.eventHandlers.onBoundaryLockDenied) {
+        this.eventHandlers.onBoundaryLockDenied(data);
+      }
+    });
+    
+    this.socket.on('boundary:renewed', (data) => {
+      // Locks missing from the list expired before the heartbeat arrived
+      const stillHeld = new Set(data.boundaryIds || []);
+      Array.from(this.heldLocks).forEach(boundaryId => {
+        if (!stillHeld.has(boundaryId)) {
+          this.heldLocks.delete(boundaryId);
+        }
+      });
+      
+      stillHeld.forEach(boundaryId => {
+        const lock = this.lockedBoundaries.get(boundaryId);
+        if (lock) lock.expiresAt = new Date(data.expiresAt);
+      });
+      
+      this.updateHeartbeat();
+    });
+    
     // Message events
     this.socket.on('message:received', (data) => {
       console.log('Message received:', data);
@@ -272,6 +568,29 @@ class CollaborationManager {
       }
     });
     
+    // Background job events (uploads, path renders)
+    this.socket.on('job:progress', (data) => {
+      if (this.eventHandlers.onJobProgress) {
+        this.eventHandlers.onJobProgress(data);
+      }
+    });
+    
+    this.socket.on('job:completed', (data) => {
+      console.log('Job completed:', data);
+      
+      if (this.eventHandlers.onJobCompleted) {
+        this.eventHandlers.onJobCompleted(data);
+      }
+    });
+    
+    this.socket.on('job:failed', (data) => {
+      console.error('Job failed:', data);
+      
+      if (this.eventHandlers.onJobFailed) {
+        this.eventHandlers.onJobFailed(data);
+      }
+    });
+    
     // Error events
     this.socket.on('error', (data) => {
       console.error('Socket error:', data);
@@ -313,17 +632,84 @@ class CollaborationManager {
     console.log(`Leaving session ${this.activeSession.id}...`);
     this.socket.emit('session:leave', { sessionId: this.activeSession.id });
     
+    this.resetSession();
+    return true;
+  }
+  
+  /**
+   * Stop collaborating in a session the server ended (closed, expired or removed from)
+   * @param {Object} data - { sessionId, reason }
+   * @param {boolean} keepQueue - Keep the changes waiting to be sent in IndexedDB
+   */
+  endSession(data, keepQueue = false) {
+    if (!this.activeSession) return;
+    
+    this.resetSession(keepQueue);
+    
+    if (this.eventHandlers.onSessionClosed) {
+      this.eventHandlers.onSessionClosed(data);
+    }
+  }
+  
+  /**
+   * Give up on a session the server wouldn't let this client (re)join, e.g. because it
+   * was closed or this user was removed while they were offline
+   * Changes queued for it are reported through onChangeRejected, unless joining only
+   * failed on the server's side: then they stay in IndexedDB and are sent on rejoining.
+   * @param {Object} data - { sessionId, reason, message }
+   */
+  handleJoinDenied(data) {
+    if (!this.activeSession || this.activeSession.id !== data.sessionId) return;
+    
+    const keepQueue = data.reason === 'error';
+    
+    if (!keepQueue && this.eventHandlers.onChangeRejected) {
+      this.pendingChanges.forEach(pending => {
+        this.eventHandlers.onChangeRejected({
+          changeId: null,
+          clientId: pending.clientId,
+          error: data.message,
+          current: null,
+          change: pending
+        });
+      });
+    }
+    
+    this.endSession(data, keepQueue);
+  }
+  
+  /**
+   * Forget the current session's state
+   * @param {boolean} keepQueue - Keep the changes waiting to be sent in IndexedDB
+   */
+  resetSession(keepQueue = false) {
+    // Changes still waiting to be sent can't be applied any more
+    if (this.activeSession && !keepQueue) {
+      eontaDB.clearPendingChanges(this.activeSession.id)
+        .catch(error => console.error('Error clearing pending changes:', error));
+    }
+    
     this.activeSession = null;
     this.activeUsers.clear();
     this.userCursors.clear();
     this.lockedBoundaries.clear();
+    this.heldLocks.clear();
+    this.stopHeartbeat();
     this.messages = [];
     this.changes = [];
+    this.permission = null;
+    this.reviewQueue.clear();
+    this.editScope = null;
+    this.editScopes.clear();
+    this.objectStates.clear();
+    this.pendingChanges.clear();
+    this.replaying = false;
+    this.undoStack = [];
+    this.redoStack = [];
+    this.compositionId = null;
     
     // Clear from localStorage
     localStorage.removeItem('eonta_active_session');
-    
-    return true;
   }
   
   /**
@@ -347,21 +733,526 @@ class CollaborationManager {
   
   /**
    * Submit a change to the composition
+   * The change is made against the version of its target this client last saw. If
+   * someone else changed the target first, the server reports a conflict and the
+   * change is rebased automatically when it doesn't touch what they changed.
+   * Changes made while disconnected are queued and sent after reconnecting.
    * @param {string} changeType - Type of change
    * @param {string} targetId - ID of the boundary/element being changed
    * @param {Object} payload - Change data
+   * @param {string} origin - 'edit', or 'undo'/'redo' for changes made by undo() and redo()
+   * @returns {string|boolean} The change's clientId, or false if not in a session
    */
-  submitChange(changeType, targetId, payload) {
-    if (!this.socket || !this.connected || !this.activeSession) {
+  submitChange(changeType, targetId, payload, origin = 'edit') {
+    if (!this.activeSession) {
       return false;
     }
     
-    console.log(`Submitting change: ${changeType} for ${targetId}`);
-    this.socket.emit('change:submit', {
+    // Changes to the composition itself target the composition
+    const target = COMPOSITION_CHANGES.includes(changeType) ? this.compositionId : targetId;
+    const state = changeType === 'addBoundary' ? null : this.objectStates.get(target);
+    
+    const pending = {
+      clientId: `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`,
       sessionId: this.activeSession.id,
       changeType,
-      targetId,
-      payload
+      targetId: target,
+      payload,
+      baseVersion: state ? state.version : undefined,
+      // What the target looked like when the change was made, for rebasing
+      base: state ? JSON.parse(JSON.stringify(state.object)) : null,
+      origin,
+      attempts: 0,
+      queuedAt: Date.now()
+    };
+    
+    if (!this.socket || !this.connected || this.replaying) {
+      console.log(`Queued change: ${changeType} for ${target}`);
+      this.trackPendingChange(pending);
+      return pending.clientId;
+    }
+    
+    this.sendChange(pending);
+    return pending.clientId;
+  }
+  
+  /**
+   * Send a pending change to the server
+   * @param {Object} pending - Pending change
+   * @returns {Promise<boolean>} Resolves once acknowledged: whether the server has the change
+   */
+  sendChange(pending) {
+    console.log(`Submitting change: ${pending.changeType} for ${pending.targetId}`);
+    this.trackPendingChange(pending);
+    
+    // Sent again after reconnecting unless acknowledged on this connection
+    pending.sentOn = this.socket.id;
+    
+    return new Promise(resolve => {
+      this.socket.timeout(ACK_TIMEOUT).emit('change:submit', {
+        sessionId: pending.sessionId,
+        changeType: pending.changeType,
+        targetId: pending.targetId,
+        payload: pending.payload,
+        baseVersion: pending.baseVersion,
+        clientId: pending.clientId,
+        origin: pending.origin
+      }, (error, response) => {
+        resolve(error ? false : this.handleChangeAck(pending, response));
+      });
+    });
+  }
+  
+  /**
+   * Deal with the server's acknowledgement of a change
+   * The outcome has normally been announced already (change:applied and so on); this
+   * covers changes the server had before the connection dropped, whose outcome this
+   * client missed, and changes the server refused.
+   * @param {Object} pending - The change as sent
+   * @param {Object} response - { changeId, status, error, duplicate } (with the change:applied
+   *   details, or the target's current state, for duplicates), or { error } if refused
+   * @returns {boolean} Whether the server has the change (false if it should be sent again)
+   */
+  handleChangeAck(pending, response) {
+    if (!response) return false;
+    
+    // Already settled, or resubmitted after rebasing
+    if (this.pendingChanges.get(pending.clientId) !== pending) return true;
+    
+    const data = { changeId: response.changeId, clientId: pending.clientId, error: response.error || null };
+    
+    switch (response.status) {
+      case 'applied':
+        if (response.duplicate) {
+          this.handleChangeApplied({ ...response, clientId: pending.clientId });
+        } else {
+          this.forgetPendingChange(pending.clientId);
+        }
+        break;
+      case 'conflicted': {
+        const current = response.current || this.objectStates.get(pending.targetId) || null;
+        if (response.current) {
+          this.setObjectState(pending.targetId, current.version, current.object);
+        }
+        
+        this.forgetPendingChange(pending.clientId);
+        this.resolveConflict(pending, { ...data, current });
+        break;
+      }
+      case 'failed':
+        // The server couldn't apply it: send it again after reconnecting
+        return false;
+      case 'pending':
+        // Waiting for review (or still being applied): the result is announced later
+        pending.acked = true;
+        eontaDB.deletePendingChange(pending.clientId)
+          .catch(error => console.error('Error removing pending change:', error));
+        break;
+      default:
+        this.forgetPendingChange(pending.clientId);
+        if (this.eventHandlers.onChangeRejected) {
+          this.eventHandlers.onChangeRejected({ ...data, current: null, change: pending });
+        }
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Take in a change the server applied
+   * @param {Object} data - change:applied event data (or a duplicate change's acknowledgement)
+   */
+  handleChangeApplied(data) {
+    // Update change status in local list
+    const change = this.changes.find(c => c._id === data.changeId);
+    if (change) {
+      change.status = 'applied';
+      change.targetId = data.targetId;
+    }
+    
+    // A restore replaces the whole composition
+    if (data.changeType === 'restoreComposition') {
+      this.setComposition(data.object);
+    } else {
+      this.setObjectState(data.targetId, data.version, data.object);
+    }
+    
+    const pending = this.pendingChanges.get(data.clientId);
+    if (pending) {
+      this.forgetPendingChange(data.clientId);
+      this.recordUndo(data);
+      this.advanceQueuedChanges(pending, data);
+    }
+    
+    if (this.eventHandlers.onChangeApplied) {
+      this.eventHandlers.onChangeApplied(data);
+    }
+  }
+  
+  /**
+   * Move queued changes made on top of one of this user's changes onto the version it
+   * created, so several offline edits to one boundary don't conflict with each other
+   * @param {Object} pending - This user's change that was applied
+   * @param {Object} data - change:applied event data
+   */
+  advanceQueuedChanges(pending, data) {
+    // Once someone else has changed the target too, queued changes conflict as usual
+    if (pending.baseVersion === undefined || !data.object || data.stale) return;
+    
+    this.pendingChanges.forEach(queued => {
+      if (queued.targetId !== data.targetId || queued.baseVersion !== pending.baseVersion) return;
+      if (queued.acked || (this.socket && queued.sentOn === this.socket.id)) return;
+      
+      queued.baseVersion = data.version;
+      queued.base = JSON.parse(JSON.stringify(data.object));
+      this.trackPendingChange(queued);
+    });
+  }
+  
+  /**
+   * Keep a change until the server has it, here and in IndexedDB
+   * @param {Object} pending - Pending change
+   */
+  trackPendingChange(pending) {
+    this.pendingChanges.set(pending.clientId, pending);
+    
+    const { sentOn, acked, ...stored } = pending;
+    eontaDB.savePendingChange(stored)
+      .catch(error => console.error('Error saving pending change:', error));
+  }
+  
+  /**
+   * Stop tracking a change the server has dealt with
+   * @param {string} clientId - The change's clientId
+   */
+  forgetPendingChange(clientId) {
+    this.pendingChanges.delete(clientId);
+    eontaDB.deletePendingChange(clientId)
+      .catch(error => console.error('Error removing pending change:', error));
+  }
+  
+  /**
+   * Send the changes made while disconnected, oldest first, each once the server has
+   * acknowledged the one before - including any saved before the page was reloaded
+   * Conflicts are rebased or reported through onChangeConflict as usual.
+   * @param {string} sessionId - The session just joined
+   */
+  async replayPendingChanges(sessionId) {
+    const replay = ++this.replayCount;
+    this.replaying = true;
+    
+    try {
+      const stored = await eontaDB.getPendingChanges(sessionId).catch(error => {
+        console.error('Error loading pending changes:', error);
+        return [];
+      });
+      
+      const missing = stored.filter(change => !this.pendingChanges.has(change.clientId));
+      if (missing.length > 0) {
+        const merged = [...this.pendingChanges.values(), ...missing].sort((a, b) => a.queuedAt - b.queuedAt);
+        this.pendingChanges = new Map(merged.map(pending => [pending.clientId, pending]));
+      }
+      
+      const next = () => [...this.pendingChanges.values()].find(pending =>
+        pending.sessionId === sessionId && !pending.acked && pending.sentOn !== this.socket.id);
+      
+      let pending;
+      while (replay === this.replayCount && this.connected && (pending = next())) {
+        // Unacknowledged ones are sent again after the next reconnect
+        if (!(await this.sendChange(pending))) break;
+      }
+    } finally {
+      if (replay === this.replayCount) {
+        this.replaying = false;
+      }
+    }
+  }
+  
+  /**
+   * Keep the inverse of one of this user's applied changes for undo or redo
+   * @param {Object} data - change:applied event data
+   */
+  recordUndo(data) {
+    if (!data.inverse) return;
+    
+    if (data.origin === 'undo') {
+      this.redoStack.push(data.inverse);
+    } else {
+      this.undoStack.push(data.inverse);
+      if (this.undoStack.length > MAX_UNDO_STEPS) {
+        this.undoStack.shift();
+      }
+      
+      // A new edit starts a new branch of history
+      if (data.origin !== 'redo') {
+        this.redoStack = [];
+      }
+    }
+    
+    this.notifyUndoState();
+  }
+  
+  /**
+   * Undo this user's last applied change
+   * The inverse is submitted like any other change, so it conflicts (and is rebased)
+   * if someone else changed the same target since.
+   * @returns {string|boolean} The inverse change's clientId, or false if there's nothing to undo
+   */
+  undo() {
+    return this.submitInverse(this.undoStack, 'undo');
+  }
+  
+  /**
+   * Redo the change this user last undid
+   * @returns {string|boolean} The change's clientId, or false if there's nothing to redo
+   */
+  redo() {
+    return this.submitInverse(this.redoStack, 'redo');
+  }
+  
+  /**
+   * Submit the inverse change on top of a stack
+   * @param {Array} stack - undoStack or redoStack
+   * @param {string} origin - 'undo' or 'redo'
+   * @returns {string|boolean} The change's clientId, or false if not submitted
+   */
+  submitInverse(stack, origin) {
+    if (stack.length === 0) return false;
+    
+    const inverse = stack[stack.length - 1];
+    const clientId = this.submitChange(inverse.changeType, inverse.targetId, inverse.payload, origin);
+    if (!clientId) return false;
+    
+    stack.pop();
+    this.notifyUndoState();
+    return clientId;
+  }
+  
+  /**
+   * Check whether this user has a change to undo
+   * @returns {boolean} Whether undo() will submit a change
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+  
+  /**
+   * Check whether this user has an undone change to redo
+   * @returns {boolean} Whether redo() will submit a change
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+  
+  /**
+   * Tell listeners whether undo and redo are available
+   */
+  notifyUndoState() {
+    if (this.eventHandlers.onUndoStateChanged) {
+      this.eventHandlers.onUndoStateChanged({ canUndo: this.canUndo(), canRedo: this.canRedo() });
+    }
+  }
+  
+  /**
+   * Get the fields of its target a change overwrites
+   * @param {Object} pending - Pending change
+   * @returns {Array<string>} Field names (settings fields are within transitionSettings)
+   */
+  getTouchedFields(pending) {
+    return getTouchedFields(pending);
+  }
+  
+  /**
+   * Rebase a conflicted change of this user's, or report the conflict
+   * @param {Object} pending - The conflicted change
+   * @param {Object} data - Conflict details, with the target's current { version, object }
+   */
+  resolveConflict(pending, data) {
+    if (this.rebaseChange(pending, data.current)) {
+      if (this.eventHandlers.onChangeRebased) {
+        this.eventHandlers.onChangeRebased({ ...data, change: pending });
+      }
+      return;
+    }
+    
+    if (this.eventHandlers.onChangeConflict) {
+      this.eventHandlers.onChangeConflict({ ...data, change: pending });
+    }
+  }
+  
+  /**
+   * Resubmit a conflicted change against the current version of its target, if
+   * none of the fields it overwrites were changed by someone else in the meantime
+   * @param {Object} pending - The conflicted change
+   * @param {Object} current - Current { version, object } of the target from the server
+   * @returns {boolean} Whether the change was resubmitted
+   */
+  rebaseChange(pending, current) {
+    if (!this.socket || !this.connected || !this.activeSession) return false;
+    if (!pending.base || !current || !current.object) return false;
+    // A restore would overwrite everything changed since, so it's never rebased
+    if (pending.changeType === 'restoreComposition') return false;
+    if (pending.attempts >= MAX_REBASE_ATTEMPTS) return false;
+    
+    const read = (object, field) => (pending.changeType === 'updateSettings'
+      ? (object.transitionSettings || {})[field]
+      : object[field]);
+    
+    const untouched = this.getTouchedFields(pending).every(field =>
+      sameValue(read(current.object, field), read(pending.base, field))
+    );
+    if (!untouched) return false;
+    
+    this.sendChange({
+      ...pending,
+      baseVersion: current.version,
+      base: JSON.parse(JSON.stringify(current.object)),
+      attempts: pending.attempts + 1
+    });
+    
+    return true;
+  }
+  
+  /**
+   * Remember the state of a composition as sent by the server
+   * @param {Object} composition - Composition with versions
+   */
+  setComposition(composition) {
+    this.objectStates.clear();
+    this.compositionId = null;
+    
+    if (!composition) return;
+    
+    const compositionId = composition._id || composition.id;
+    const { title, description, location, transitionSettings } = composition;
+    
+    this.compositionId = compositionId;
+    this.setObjectState(compositionId, composition.version, { title, description, location, transitionSettings });
+    
+    (composition.audioRegions || []).forEach(region => {
+      this.setObjectState(region._id, region.version, region);
+    });
+  }
+  
+  /**
+   * Remember the version and contents of the composition or a boundary
+   * @param {string} id - Composition or boundary ID
+   * @param {number|null} version - Version (null once deleted)
+   * @param {Object|null} object - Contents (null once deleted)
+   */
+  setObjectState(id, version, object) {
+    if (!id) return;
+    
+    if (object) {
+      this.objectStates.set(id, { version, object });
+    } else {
+      this.objectStates.delete(id);
+    }
+  }
+  
+  /**
+   * Get the last known version and contents of the composition or a boundary
+   * @param {string} id - Composition or boundary ID
+   * @returns {Object|null} { version, object }, or null if unknown
+   */
+  getObjectState(id) {
+    return this.objectStates.get(id) || null;
+  }
+  
+  /**
+   * Check whether this user may change a boundary, as the server will
+   * @param {string} boundaryId - Boundary ID
+   * @returns {boolean} Whether the boundary is within the user's edit region
+   */
+  canEditBoundary(boundaryId) {
+    if (!this.editScope) return true;
+    if (this.editScope.boundaryIds.includes(boundaryId)) return true;
+    
+    const state = this.objectStates.get(boundaryId);
+    return !!state && !!this.editScope.zone && isPolygonInPolygon(state.object.polygon, this.editScope.zone);
+  }
+  
+  /**
+   * Check whether this user may add a boundary with a given shape
+   * @param {Array} polygon - Array of {lat, lng}
+   * @returns {boolean} Whether the polygon is within the user's edit zone
+   */
+  canAddBoundary(polygon) {
+    if (!this.editScope) return true;
+    return !!this.editScope.zone && isPolygonInPolygon(polygon, this.editScope.zone);
+  }
+  
+  /**
+   * Get every collaborator's edit region, for drawing on the map
+   * @returns {Array} [{ userId, zone, boundaryIds }]
+   */
+  getEditScopes() {
+    return Array.from(this.editScopes.entries()).map(([userId, scope]) => ({
+      userId,
+      zone: scope.zone || [],
+      boundaryIds: scope.boundaryIds || []
+    }));
+  }
+  
+  /**
+   * Check whether this user can approve and reject held changes
+   * @returns {boolean} Whether the user is a session admin
+   */
+  canReview() {
+    return this.permission === 'admin';
+  }
+  
+  /**
+   * Get the changes waiting for review, oldest first
+   * @returns {Array} Held changes
+   */
+  getReviewQueue() {
+    return Array.from(this.reviewQueue.values())
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+  }
+  
+  /**
+   * Compare a held change with the current composition
+   * @param {Object} change - Held change
+   * @returns {Object} { fields: [{ field, before, after }], stale, missing }
+   */
+  getChangeDiff(change) {
+    return diffChange(change, this.getObjectState(change.targetId));
+  }
+  
+  /**
+   * Approve a held change, which is then applied (session admins only)
+   * @param {string} changeId - Change ID
+   * @param {string} note - Optional note for the author
+   */
+  approveChange(changeId, note) {
+    return this.reviewChange('approve', changeId, note);
+  }
+  
+  /**
+   * Reject a held change (session admins only)
+   * @param {string} changeId - Change ID
+   * @param {string} note - Optional note for the author
+   */
+  rejectChange(changeId, note) {
+    return this.reviewChange('reject', changeId, note);
+  }
+  
+  /**
+   * Send a review decision
+   * @param {string} decision - 'approve' or 'reject'
+   * @param {string} changeId - Change ID
+   * @param {string} note - Optional note
+   */
+  reviewChange(decision, changeId, note) {
+    if (!this.socket || !this.connected || !this.activeSession) {
+      return false;
+    }
+    
+    this.socket.emit(`change:${decision}`, {
+      sessionId: this.activeSession.id,
+      changeId,
+      note: note && note.trim() ? note.trim() : undefined
     });
     
     return true;
@@ -425,6 +1316,53 @@ class CollaborationManager {
     return true;
   }
   
+  /**
+   * Remember a boundary lock sent by the server
+   * @param {Object} lock - { boundaryId, userId, name, expiresAt }
+   */
+  setBoundaryLock(lock) {
+    this.lockedBoundaries.set(lock.boundaryId, {
+      userId: lock.userId,
+      name: lock.name,
+      expiresAt: lock.expiresAt ? new Date(lock.expiresAt) : null,
+      timestamp: lock.timestamp ? new Date(lock.timestamp) : new Date()
+    });
+    
+    if (this.userId && lock.userId === this.userId) {
+      this.heldLocks.add(lock.boundaryId);
+    } else {
+      this.heldLocks.delete(lock.boundaryId);
+    }
+  }
+  
+  /**
+   * Run the lock heartbeat while this client holds any locks
+   */
+  updateHeartbeat() {
+    if (this.heldLocks.size === 0) {
+      this.stopHeartbeat();
+      return;
+    }
+    
+    if (this.heartbeatTimer) return;
+    
+    this.heartbeatTimer = setInterval(() => {
+      if (this.socket && this.connected && this.activeSession) {
+        this.socket.emit('boundary:heartbeat', { sessionId: this.activeSession.id });
+      }
+    }, this.lockSettings.heartbeatInterval);
+  }
+  
+  /**
+   * Stop renewing locks
+   */
+  stopHeartbeat() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+  
   /**
    * Check if a boundary is locked by another user
    * @param {string} boundaryId - Boundary ID
@@ -440,13 +1378,7 @@ class CollaborationManager {
    * @returns {boolean} Whether boundary is locked by current user
    */
   isBoundaryLockedByMe(boundaryId) {
-    const lock = this.lockedBoundaries.get(boundaryId);
-    if (!lock) return false;
-    
-    // In a real implementation, you would get the current user ID from auth service
-    // For now, we'll use a dummy user ID
-    const currentUserId = localStorage.getItem('userId') || 'unknown';
-    return lock.userId === currentUserId;
+    return this.heldLocks.has(boundaryId);
   }
   
   /**
@@ -473,6 +1405,62 @@ class CollaborationManager {
     return this.changes;
   }
   
+  /**
+   * Get a page of the session's applied changes, newest first
+   * Only the latest changes are kept in memory; older ones are fetched from the server.
+   * @param {Object} options - { before: change ID to page from, limit }
+   * @returns {Promise<Array>} Changes
+   */
+  async getSessionHistory({ before, limit } = {}) {
+    const params = new URLSearchParams();
+    if (before) params.set('before', before);
+    if (limit) params.set('limit', limit);
+    
+    const data = await this.requestHistory('GET', `?${params}`);
+    return data.changes;
+  }
+  
+  /**
+   * Get the composition as it was right after a change
+   * @param {string} changeId - Applied change ID
+   * @returns {Promise<Object>} { asOf, composition, currentVersion }
+   */
+  async getCompositionAt(changeId) {
+    return this.requestHistory('GET', `/${changeId}/composition`);
+  }
+  
+  /**
+   * Restore the composition as it was right after a change (session admins only)
+   * Everyone gets the restored composition through change:applied.
+   * @param {string} changeId - Applied change ID
+   * @returns {Promise<Object>} The restore change
+   */
+  async restoreComposition(changeId) {
+    const data = await this.requestHistory('POST', `/${changeId}/restore`);
+    return data.change;
+  }
+  
+  /**
+   * Make a request to the active session's history API
+   * @param {string} method - HTTP method
+   * @param {string} path - Path after /history
+   * @returns {Promise<Object>} Response body
+   */
+  async requestHistory(method, path) {
+    if (!this.activeSession) {
+      throw new Error('Not in a session');
+    }
+    
+    const response = await authService.fetch(`/api/sessions/${this.activeSession.id}/history${path}`, { method });
+    
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      throw new Error(data.message || `Session history request failed: ${response.status}`);
+    }
+    
+    return data;
+  }
+  
   /**
    * Register event handlers
    * @param {string} eventName - Event name
@@ -504,10 +1492,22 @@ class CollaborationManager {
   }
   
   /**
-   * Restore session from localStorage
+   * Restore session from the link the page was opened with (?session=, as sent in
+   * invitation and notification emails), or else from localStorage
    */
   restoreSession() {
     try {
+      const linkedSessionId = new URLSearchParams(window.location.search).get('session');
+      if (linkedSessionId) {
+        this.activeSession = {
+          id: linkedSessionId,
+          name: null
+        };
+        
+        console.log(`Opening linked session: ${linkedSessionId}`);
+        return true;
+      }
+      
       const savedSession = localStorage.getItem('eonta_active_session');
       if (savedSession) {
         const session = JSON.parse(savedSession);
@@ -551,6 +1551,8 @@ class CollaborationManager {
     this.activeUsers.clear();
     this.userCursors.clear();
     this.lockedBoundaries.clear();
+    this.heldLocks.clear();
+    this.stopHeartbeat();
   }
   
   /**
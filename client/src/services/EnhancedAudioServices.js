@@ -4,6 +4,7 @@
  * Based on the original EONTA concept with modernized implementation
  */
 import eontaDB from '../db';
+import authService from './AuthService';
 
 class EnhancedAudioService {
   constructor() {
@@ -13,6 +14,9 @@ class EnhancedAudioService {
     this.audioContext = null;
     this.masterGain = null;
     
+    // Rendition to ask the server for (null lets it negotiate from the Accept header)
+    this.preferredRendition = null;
+    
     // Initialize effect factories
     this.effectFactories = {
       lowpass: this.createLowpassFilter.bind(this),
@@ -108,12 +112,44 @@ class EnhancedAudioService {
     }
   }
   
+  /**
+   * Choose the rendition to request for audio started from now on
+   * @param {String|null} rendition - Rendition name (e.g. 'low'), or null to let the server negotiate
+   */
+  setPreferredRendition(rendition) {
+    this.preferredRendition = rendition || null;
+  }
+  
+  /**
+   * Look up where to stream a region's audio file from
+   * @param {String} fileName - Storage key of the audio file
+   * @param {Object} options - Options
+   * @param {String} options.rendition - Rendition to request (defaults to the preferred one)
+   * @returns {Promise<Object>} { url, gain, rendition, ... } from GET /api/audio/:fileName, where gain
+   *   is the loudness correction to pass to playAudio as normalizationGain
+   */
+  async getAudioSource(fileName, options = {}) {
+    const rendition = options.rendition || this.preferredRendition;
+    const query = rendition ? `?rendition=${encodeURIComponent(rendition)}` : '';
+    
+    const response = await authService.fetch(`/api/audio/${encodeURIComponent(fileName)}${query}`);
+    
+    if (!response.ok) {
+      throw new Error(`Failed to get audio source: ${response.status}`);
+    }
+    
+    return await response.json();
+  }
+  
   /**
    * Play audio with effects
    * Implements the audio playback described in thesis section 3.5.0
    * @param {String} id - Unique identifier for this audio
    * @param {String} url - URL to audio file
    * @param {Object} options - Playback options
+   * @param {Number} options.normalizationGain - Loudness correction in dB, as returned by GET /api/audio/:fileName
+   * @param {Number} options.loopStart - Start of the part of the file to loop in seconds
+   * @param {Number} options.loopEnd - End of the part of the file to loop in seconds
    */
   async playAudio(id, url, options = {}) {
     // Ensure audioContext exists
@@ -127,6 +163,7 @@ class EnhancedAudioService {
       loop: true,  // Essential for continuous playback in boundaries
       volume: 1.0,
       fadeIn: 0.5,
+      normalizationGain: 0,
       effects: {}
     };
     
@@ -162,6 +199,13 @@ class EnhancedAudioService {
       source.buffer = audioBuffer;
       source.loop = settings.loop;
       
+      // Loop only the region's selection of the file
+      const hasLoopRegion = settings.loopEnd > settings.loopStart && settings.loopStart >= 0;
+      if (hasLoopRegion) {
+        source.loopStart = settings.loopStart;
+        source.loopEnd = settings.loopEnd;
+      }
+      
       // Create gain node for volume control
       const gainNode = this.audioContext.createGain();
       gainNode.gain.value = 0; // Start at 0 for fade-in
@@ -171,8 +215,15 @@ class EnhancedAudioService {
       this.gainNodes.set(id, gainNode);
       this.effectNodes.set(id, new Map());
       
-      // Connect source to gain
-      source.connect(gainNode);
+      // Connect source to gain, through a fixed loudness correction when needed
+      if (settings.normalizationGain) {
+        const normalizationNode = this.audioContext.createGain();
+        normalizationNode.gain.value = Math.pow(10, settings.normalizationGain / 20);
+        source.connect(normalizationNode);
+        normalizationNode.connect(gainNode);
+      } else {
+        source.connect(gainNode);
+      }
       
       // Create and connect effect chain
       let lastNode = gainNode;
@@ -195,7 +246,11 @@ class EnhancedAudioService {
       lastNode.connect(this.masterGain);
       
       // Start playback
-      source.start(0);
+      if (hasLoopRegion) {
+        source.start(0, settings.loopStart, settings.loop ? undefined : settings.loopEnd - settings.loopStart);
+      } else {
+        source.start(0);
+      }
       
       // Fade in - implements the smooth transitions described in thesis
       const now = this.audioContext.currentTime;
@@ -230,6 +230,38 @@ export function isPointInPolygon(point, polygon) {
   return inside;
 }
 
+/**
+ * Check if a polygon lies entirely within another one (e.g. a boundary inside an edit zone)
+ * Every vertex must be inside and no edges may cross, as checked by the server
+ * @param {Array} polygon - Array of {lat, lng} coordinates
+ * @param {Array} zone - Array of {lat, lng} coordinates
+ * @returns {Boolean} True if polygon is inside zone
+ */
+export function isPolygonInPolygon(polygon, zone) {
+  if (!Array.isArray(polygon) || polygon.length < 3 || !Array.isArray(zone) || zone.length < 3) {
+    return false;
+  }
+  
+  if (!polygon.every(point => isPointInPolygon(point, zone))) {
+    return false;
+  }
+  
+  // Which side of the line p-q point r is on
+  const side = (p, q, r) => Math.sign((q.lng - p.lng) * (r.lat - p.lat) - (q.lat - p.lat) * (r.lng - p.lng));
+  
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    for (let k = 0, l = zone.length - 1; k < zone.length; l = k++) {
+      const crosses =
+        side(polygon[j], polygon[i], zone[l]) * side(polygon[j], polygon[i], zone[k]) < 0 &&
+        side(zone[l], zone[k], polygon[j]) * side(zone[l], zone[k], polygon[i]) < 0;
+      
+      if (crosses) return false;
+    }
+  }
+  
+  return true;
+}
+
 /**
  * Get distance to polygon edge
  * Negative if inside, positive if outside
@@ -456,6 +488,7 @@ export default {
   distanceToLine,
   calculatePolygonCenter,
   isPointInPolygon,
+  isPolygonInPolygon,
   getDistanceToBoundaryEdge,
   simplifyPolygon,
   expandPolygon,
@@ -94,6 +94,7 @@ class MobileOptimizer {
       // If charging, use original settings
       if (isCharging) {
         this.isLowPowerMode = false;
+        this.updateAudioRendition();
         await this.restoreOriginalSettings();
         return;
       }
@@ -138,6 +139,9 @@ class MobileOptimizer {
         await this.restoreOriginalSettings();
       }
       
+      // Stream lighter renditions of region audio while saving power
+      this.updateAudioRendition();
+      
       // Update geolocation options
       if (this.pathRecorderService) {
         this.pathRecorderService.locationOptions = {
@@ -316,6 +320,23 @@ class MobileOptimizer {
       return isLowRAM || isSlowCPU || isSlowConnection;
     }
     
+    /**
+     * Get the audio rendition to request from GET /api/audio/:fileName
+     * @returns {String|null} 'low' in power-saving mode, otherwise null to let the server negotiate
+     */
+    getPreferredAudioRendition() {
+      return this.isLowPowerMode ? 'low' : null;
+    }
+    
+    /**
+     * Tell the audio service which rendition to request for audio it starts next
+     */
+    updateAudioRendition() {
+      if (this.audioService && this.audioService.setPreferredRendition) {
+        this.audioService.setPreferredRendition(this.getPreferredAudioRendition());
+      }
+    }
+    
     /**
      * Reduce audio quality to save battery
      * @param {Boolean} aggressive - Whether to apply aggressive reduction
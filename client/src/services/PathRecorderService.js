@@ -1,4 +1,5 @@
 import { calculateDistance } from './MapUtils';
+import authService from './AuthService';
 
 /**
  * Path Recorder Service
@@ -342,18 +343,11 @@ class PathRecorderService {
     }
     
     try {
-      const authToken = localStorage.getItem('authToken');
-      
-      if (!authToken) {
-        throw new Error('Authentication required');
-      }
-      
       // Submit the recording data to the server to generate the composition
-      const response = await fetch('/api/compositions/generate-from-path', {
+      const response = await authService.fetch('/api/compositions/generate-from-path', {
         method: 'POST',
         headers: {
-          'Content-Type': 'application/json',
-          'Authorization': `Bearer ${authToken}`
+          'Content-Type': 'application/json'
         },
         body: JSON.stringify({
           compositionId: recordingData.compositionId,
@@ -378,6 +372,25 @@ class PathRecorderService {
     }
   }
   
+  /**
+   * Get the rendering status of a submitted recording
+   * @param {String} statusUrl - Status URL returned by generateComposition
+   * @returns {Promise<Object>} Status including progress, downloadUrl and error
+   */
+  async getRecordingStatus(statusUrl) {
+    if (!statusUrl || typeof statusUrl !== 'string') {
+      throw new Error('Invalid status URL');
+    }
+    
+    const response = await authService.fetch(statusUrl);
+    
+    if (!response.ok) {
+      throw new Error(`Failed to get recording status: ${response.status}`);
+    }
+    
+    return await response.json();
+  }
+  
   /**
    * Helper method to dispatch error events
    * @param {String} errorMessage - Error message
@@ -0,0 +1,179 @@
+import authService from './AuthService';
+
+/**
+ * Resumable Uploader
+ * Uploads audio files in chunks through /api/audio/uploads so a dropped
+ * connection only costs the chunk in flight. Unfinished uploads are remembered
+ * in localStorage and picked up again when the same file is uploaded later.
+ */
+const STORAGE_PREFIX = 'eonta-upload:';
+
+class ResumableUploader {
+  constructor(options = {}) {
+    this.settings = {
+      maxRetries: 5,        // attempts per chunk before giving up
+      retryDelay: 1000,     // ms before the first retry, doubled after each failure
+      ...options
+    };
+    this.aborted = false;
+  }
+
+  /**
+   * Get the key an upload of a file is remembered under
+   * @param {File} file - File being uploaded
+   * @returns {String} localStorage key
+   */
+  _getResumeKey(file) {
+    return `${STORAGE_PREFIX}${file.name}:${file.size}:${file.lastModified}`;
+  }
+
+  /**
+   * Send an authenticated request to the uploads API
+   * @param {String} url - Request URL
+   * @param {Object} options - fetch options
+   * @returns {Promise<Response>} Response
+   */
+  async _request(url, options = {}) {
+    return authService.fetch(url, options);
+  }
+
+  /**
+   * Find a resumable upload of this file started earlier, or start a new one
+   * @param {File} file - File to upload
+   * @returns {Promise<Object>} Upload session
+   */
+  async _getSession(file) {
+    const resumeKey = this._getResumeKey(file);
+    const uploadId = localStorage.getItem(resumeKey);
+
+    if (uploadId) {
+      const response = await this._request(`/api/audio/uploads/${uploadId}`);
+      if (response.ok) {
+        const { upload } = await response.json();
+        if (upload.status === 'uploading') {
+          return upload;
+        }
+      }
+      localStorage.removeItem(resumeKey);
+    }
+
+    const response = await this._request('/api/audio/uploads', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        fileName: file.name,
+        size: file.size,
+        mimeType: file.type || undefined
+      })
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Failed to start upload: ${response.status} ${errorText}`);
+    }
+
+    const { upload } = await response.json();
+    localStorage.setItem(resumeKey, upload._id);
+    return upload;
+  }
+
+  /**
+   * Upload one chunk, retrying with backoff on network and server errors
+   * @param {Object} session - Upload session
+   * @param {File} file - File being uploaded
+   * @param {Number} index - Chunk index
+   */
+  async _uploadChunk(session, file, index) {
+    const start = index * session.chunkSize;
+    const chunk = file.slice(start, Math.min(start + session.chunkSize, file.size));
+
+    for (let attempt = 0; ; attempt++) {
+      if (this.aborted) {
+        throw new Error('Upload aborted');
+      }
+
+      let response = null;
+      try {
+        response = await this._request(`/api/audio/uploads/${session._id}/chunks/${index}`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/octet-stream' },
+          body: chunk
+        });
+      } catch (error) {
+        // Network failure - worth retrying
+      }
+
+      if (response && response.ok) {
+        return;
+      }
+
+      // Client errors won't go away by retrying
+      if (response && response.status >= 400 && response.status < 500) {
+        const errorText = await response.text();
+        throw new Error(`Failed to upload chunk ${index}: ${response.status} ${errorText}`);
+      }
+
+      if (attempt >= this.settings.maxRetries) {
+        throw new Error(`Failed to upload chunk ${index} after ${attempt + 1} attempts`);
+      }
+
+      await new Promise(resolve => setTimeout(resolve, this.settings.retryDelay * Math.pow(2, attempt)));
+    }
+  }
+
+  /**
+   * Upload a file, resuming an earlier attempt if there is one
+   * @param {File} file - Audio file to upload
+   * @param {Function} onProgress - Optional callback receiving a percentage (0-100)
+   * @returns {Promise<Object>} Same response as POST /api/audio/upload (file, asset and job)
+   */
+  async upload(file, onProgress) {
+    if (!file || !file.size) {
+      throw new Error('Invalid file');
+    }
+
+    this.aborted = false;
+    const session = await this._getSession(file);
+    const missing = session.missingChunks;
+    let done = session.totalChunks - missing.length;
+
+    const reportProgress = () => {
+      if (typeof onProgress === 'function') {
+        onProgress(Math.round((done / session.totalChunks) * 100));
+      }
+    };
+    reportProgress();
+
+    for (const index of missing) {
+      await this._uploadChunk(session, file, index);
+      done++;
+      reportProgress();
+    }
+
+    const response = await this._request(`/api/audio/uploads/${session._id}/complete`, {
+      method: 'POST'
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+
+      // A rejected file can't be resumed
+      if (response.status === 400) {
+        localStorage.removeItem(this._getResumeKey(file));
+      }
+      throw new Error(`Failed to complete upload: ${response.status} ${errorText}`);
+    }
+
+    localStorage.removeItem(this._getResumeKey(file));
+    return await response.json();
+  }
+
+  /**
+   * Stop uploading after the chunk in flight. The upload can be resumed later.
+   */
+  abort() {
+    this.aborted = true;
+  }
+}
+
+export default ResumableUploader;
@@ -2,32 +2,42 @@ const express = require('express');
 const router = express.Router();
 const multer = require('multer');
 const path = require('path');
-const jwt = require('jsonwebtoken');
-const AudioConverter = require('../server/services/AudioConverter');
+const os = require('os');
+const fs = require('fs');
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const tmp = require('tmp');
+const { Transform, pipeline } = require('stream');
+const { once } = require('events');
+const jobQueue = require('../server/services/JobQueue');
+const storage = require('../server/services/StorageService');
 const audioConfig = require('../server/config/audio');
+const AudioConverter = require('../server/services/AudioConverter');
+const AudioAsset = require('../server/models/AudioAsset');
+const UploadSession = require('../server/models/UploadSession');
+const Composition = require('../server/models/Composition');
+const quotaService = require('../server/services/QuotaService');
+const { auth } = require('../server/middleware/auth');
+const { negotiateRendition } = require('../server/utils/renditions');
+const { extractAudioMetadata } = require('../server/utils/audioProbe');
+const { selectPeaks } = require('../server/utils/peaks');
+const { normalizeEdits, estimateEditSize } = require('../server/utils/audioEdits');
 
-// AWS SDK v3 imports
-const { S3Client, PutObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
-const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
-
-// Configure AWS S3 Client
-const s3Client = new S3Client({
-  region: process.env.AWS_REGION,
-  credentials: {
-    accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-    secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+// Configure Multer for file upload
+// Files go to disk rather than memory so large uploads don't pile up in the heap
+const uploadStorage = multer.diskStorage({
+  destination: os.tmpdir(),
+  filename: (req, file, cb) => {
+    cb(null, `upload-${crypto.randomBytes(12).toString('hex')}${path.extname(file.originalname)}`);
   }
 });
-
-// Configure Multer for file upload
-const storage = multer.memoryStorage();
 const upload = multer({
-  storage,
+  storage: uploadStorage,
   limits: {
     fileSize: process.env.MAX_AUDIO_FILE_SIZE_MB * 1024 * 1024 || audioConfig.maxFileSizeMB * 1024 * 1024,
   },
   fileFilter: (req, file, cb) => {
-    // Accept all audio files
+    // Quick first check only - the client's type can't be trusted, so uploads are probed too
     if (file.mimetype.startsWith('audio/')) {
       cb(null, true);
     } else {
@@ -36,22 +46,116 @@ const upload = multer({
   }
 });
 
-// Middleware for protected routes
-const auth = (req, res, next) => {
-  const token = req.header('x-auth-token');
-  if (!token) return res.status(401).json({ message: 'No token, authorization denied' });
-  
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    req.user = decoded.user;
-    next();
-  } catch (err) {
-    res.status(401).json({ message: 'Token is not valid' });
+/**
+ * Probe an uploaded file, store it and queue its transcoding
+ * @param {string} ownerId - ID of the uploading user
+ * @param {string} filePath - Path of the uploaded file on disk
+ * @param {string} fileName - Original file name
+ * @param {number} size - Size in bytes
+ * @returns {Promise<Object>} Response body for the upload
+ * @throws {Error} With code 'InvalidAudio' if ffprobe doesn't recognise the file as audio
+ */
+async function ingestAudioFile(ownerId, filePath, fileName, size) {
+  // Reject anything ffprobe doesn't recognise as audio before it is stored
+  const metadata = extractAudioMetadata(await AudioConverter.probe(filePath));
+
+  // Create unique filename with timestamp
+  const uniqueFileName = `${Date.now()}-${path.basename(fileName)}`;
+
+  await storage.putFile(uniqueFileName, filePath, {
+    contentType: metadata.mimeType,
+    cacheControl: `max-age=${audioConfig.caching.maxAge}` // Cache based on config
+  });
+
+  const asset = new AudioAsset({
+    owner: ownerId,
+    key: uniqueFileName,
+    originalName: fileName,
+    title: path.basename(fileName, path.extname(fileName)),
+    size,
+    storageSize: size,
+    ...metadata
+  });
+
+  await asset.save();
+
+  // Transcode into the streaming renditions in the background - the original
+  // stays usable in the meantime
+  const job = await jobQueue.enqueue('audio-conversion', { assetId: asset.id }, { user: ownerId });
+  asset.job = job._id;
+  await asset.save();
+
+  // Generate a signed URL for the uploaded file
+  const fileUrl = await storage.getSignedUrl(uniqueFileName);
+
+  return {
+    success: true,
+    file: {
+      name: uniqueFileName,
+      originalName: fileName,
+      url: fileUrl,
+      size,
+      type: metadata.mimeType
+    },
+    asset,
+    job: {
+      id: job.id,
+      status: job.status,
+      statusUrl: `/api/jobs/${job.id}`
+    },
+    message: 'File upload successful, transcoding queued'
+  };
+}
+
+/**
+ * Send a 413 response for an upload that would exceed the user's quota
+ * @param {Object} res - Response
+ * @param {Object} usage - Usage from quotaService.checkQuota
+ */
+function sendQuotaExceeded(res, usage) {
+  res.status(413).json({
+    message: 'Storage quota exceeded',
+    usage: { used: usage.used, reserved: usage.reserved, quota: usage.quota, available: usage.available }
+  });
+}
+
+/**
+ * Check whether a user may hear an audio file
+ * Owners always can; anyone else only through a composition they can view.
+ * @param {string} userId - User ID
+ * @param {string} fileName - Storage key of the file
+ * @param {Object|null} asset - The file's AudioAsset, if it has one
+ * @returns {Promise<boolean>} Whether to serve the file
+ */
+async function canAccessAudio(userId, fileName, asset) {
+  if (asset && asset.isOwnedBy(userId)) {
+    return true;
   }
-};
+
+  return Composition.isAudioFileVisibleTo(fileName, userId);
+}
+
+/**
+ * Normalize tags from a request
+ * @param {*} tags - Array of strings or a comma-separated string
+ * @returns {Array<string>} Lowercased, trimmed, unique tags
+ * @throws {Error} If there are too many or they are too long
+ */
+function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+  const normalized = [...new Set(list.map(tag => String(tag).trim().toLowerCase()).filter(Boolean))];
+
+  if (normalized.length > 20 || normalized.some(tag => tag.length > 50)) {
+    throw new Error('Use at most 20 tags of up to 50 characters');
+  }
+
+  return normalized;
+}
 
 // @route   POST api/audio/upload
-// @desc    Upload audio file to S3 with automatic conversion to optimal format
+// @desc    Upload audio file to storage. The file is probed to make sure it really is
+//          audio, then transcoded into every rendition by a background job whose
+//          status is at /api/jobs/:id
 // @access  Private
 router.post('/upload', auth, upload.single('audio'), async (req, res) => {
   try {
@@ -59,91 +163,720 @@ router.post('/upload', auth, upload.single('audio'), async (req, res) => {
       return res.status(400).json({ message: 'No file uploaded' });
     }
 
-    let fileBuffer = req.file.buffer;
-    let fileName = req.file.originalname;
-    let fileMimetype = req.file.mimetype;
-    let wasConverted = false;
+    const usage = await quotaService.checkQuota(req.user.id, req.file.size);
+    if (!usage.allowed) {
+      return sendQuotaExceeded(res, usage);
+    }
+
+    const result = await ingestAudioFile(req.user.id, req.file.path, req.file.originalname, req.file.size);
+    res.status(202).json(result);
+  } catch (err) {
+    if (err.code === 'InvalidAudio') {
+      return res.status(400).json({ message: 'Invalid audio file', error: err.message });
+    }
+    console.error('Error in audio upload:', err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  } finally {
+    if (req.file) {
+      fs.unlink(req.file.path, () => {});
+    }
+  }
+});
+
+/**
+ * Delete the stored chunks of a resumable upload
+ * @param {Object} session - UploadSession document
+ */
+async function deleteChunks(session) {
+  await Promise.all(session.receivedChunks.map(index =>
+    storage.delete(session.getChunkKey(index)).catch(error => {
+      console.error(`Error deleting chunk ${index} of upload ${session._id}:`, error);
+    })
+  ));
+}
+
+/**
+ * Find one of the user's resumable uploads, abandoning it if it has expired
+ * @param {Object} req - Request with the upload ID in req.params.id
+ * @param {Object} res - Response, sent if the upload can't be used
+ * @returns {Promise<Object|null>} UploadSession document, or null if a response was sent
+ */
+async function findUploadSession(req, res) {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    res.status(404).json({ message: 'Upload not found' });
+    return null;
+  }
+
+  const session = await UploadSession.findOne({ _id: req.params.id, owner: req.user.id });
+  if (!session) {
+    res.status(404).json({ message: 'Upload not found' });
+    return null;
+  }
+
+  if (session.status === 'uploading' && session.isExpired()) {
+    session.status = 'aborted';
+    session.error = 'Upload expired';
+    await session.save();
+    await deleteChunks(session);
+  }
+
+  return session;
+}
+
+/**
+ * Create a stream that passes data through only if it is exactly the expected length
+ * @param {number} expected - Expected length in bytes
+ * @returns {Transform} Stream that errors with code 'ChunkSize' on a mismatch
+ */
+function exactLength(expected) {
+  let received = 0;
+  const sizeError = () => {
+    const error = new Error(`Chunk must be ${expected} bytes`);
+    error.code = 'ChunkSize';
+    return error;
+  };
+
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      received += chunk.length;
+      callback(received > expected ? sizeError() : null, chunk);
+    },
+    flush(callback) {
+      callback(received === expected ? null : sizeError());
+    }
+  });
+}
+
+// @route   POST api/audio/uploads
+// @desc    Start a resumable upload. Chunks of chunkSize bytes are then sent with
+//          PUT /api/audio/uploads/:id/chunks/:index in any order, and the upload is
+//          finished with POST /api/audio/uploads/:id/complete
+// @access  Private
+router.post('/uploads', auth, async (req, res) => {
+  try {
+    const { fileName, mimeType } = req.body;
+    const size = Number(req.body.size);
+    const settings = audioConfig.resumableUploads;
+
+    if (!fileName || typeof fileName !== 'string' || fileName.length > 255) {
+      return res.status(400).json({ message: 'fileName is required' });
+    }
+
+    if (!Number.isInteger(size) || size <= 0) {
+      return res.status(400).json({ message: 'size must be a positive number of bytes' });
+    }
+
+    if (size > settings.maxFileSizeMB * 1024 * 1024) {
+      return res.status(413).json({ message: `Files can be at most ${settings.maxFileSizeMB} MB` });
+    }
+
+    // Same quick first check as single uploads - the assembled file is probed too
+    if (mimeType !== undefined && (typeof mimeType !== 'string' || !mimeType.startsWith('audio/'))) {
+      return res.status(400).json({ message: 'Invalid file type. Only audio files are allowed.' });
+    }
+
+    const usage = await quotaService.checkQuota(req.user.id, size);
+    if (!usage.allowed) {
+      return sendQuotaExceeded(res, usage);
+    }
+
+    const chunkSize = settings.chunkSizeMB * 1024 * 1024;
+    const session = await UploadSession.create({
+      owner: req.user.id,
+      originalName: path.basename(fileName),
+      mimeType,
+      size,
+      chunkSize,
+      totalChunks: Math.ceil(size / chunkSize),
+      expiresAt: new Date(Date.now() + settings.expirationHours * 60 * 60 * 1000)
+    });
+
+    res.status(201).json({
+      success: true,
+      upload: session
+    });
+  } catch (err) {
+    console.error('Error starting upload:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/audio/uploads/:id
+// @desc    Get a resumable upload's status, including which chunks were received
+//          and which are still missing
+// @access  Private (uploader only)
+router.get('/uploads/:id', auth, async (req, res) => {
+  try {
+    const session = await findUploadSession(req, res);
+    if (!session) return;
+
+    res.status(200).json({
+      success: true,
+      upload: session
+    });
+  } catch (err) {
+    console.error('Error getting upload:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT api/audio/uploads/:id/chunks/:index
+// @desc    Upload one chunk (raw bytes, application/octet-stream). Chunks are
+//          numbered from 0 and sending a chunk again replaces it
+// @access  Private (uploader only)
+router.put('/uploads/:id/chunks/:index', auth, async (req, res) => {
+  try {
+    const session = await findUploadSession(req, res);
+    if (!session) return;
+
+    if (session.status !== 'uploading') {
+      return res.status(409).json({ message: `Upload is ${session.status}`, status: session.status });
+    }
+
+    const index = Number(req.params.index);
+    if (!Number.isInteger(index) || index < 0 || index >= session.totalChunks) {
+      return res.status(400).json({ message: `Chunk index must be from 0 to ${session.totalChunks - 1}` });
+    }
+
+    const expected = session.getChunkLength(index);
+    const contentLength = req.headers['content-length'];
+    if (contentLength !== undefined && Number(contentLength) !== expected) {
+      return res.status(400).json({ message: `Chunk ${index} must be ${expected} bytes` });
+    }
+
+    // Stream straight to storage - a short or oversized body fails the write
+    const body = pipeline(req, exactLength(expected), () => {});
+    try {
+      await storage.put(session.getChunkKey(index), body, {
+        contentType: 'application/octet-stream',
+        contentLength: expected
+      });
+    } catch (uploadError) {
+      if (uploadError.code === 'ChunkSize') {
+        return res.status(400).json({ message: uploadError.message });
+      }
+      throw uploadError;
+    }
+
+    const updated = await UploadSession.findOneAndUpdate(
+      { _id: session._id, status: 'uploading' },
+      { $addToSet: { receivedChunks: index } },
+      { new: true }
+    );
+
+    if (!updated) {
+      return res.status(409).json({ message: 'Upload is no longer accepting chunks' });
+    }
+
+    res.status(200).json({
+      success: true,
+      index,
+      receivedChunks: updated.receivedChunks.length,
+      missingChunks: updated.missingChunks
+    });
+  } catch (err) {
+    console.error('Error uploading chunk:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/audio/uploads/:id/complete
+// @desc    Assemble a resumable upload once every chunk is in. Responds like
+//          POST /api/audio/upload
+// @access  Private (uploader only)
+router.post('/uploads/:id/complete', auth, async (req, res) => {
+  let assembledFile = null;
+
+  try {
+    let session = await findUploadSession(req, res);
+    if (!session) return;
+
+    if (session.status !== 'uploading') {
+      return res.status(409).json({ message: `Upload is ${session.status}`, status: session.status });
+    }
+
+    const missingChunks = session.missingChunks;
+    if (missingChunks.length > 0) {
+      return res.status(400).json({ message: 'Upload is missing chunks', missingChunks });
+    }
+
+    // Claim the upload so a repeated request doesn't assemble it twice
+    session = await UploadSession.findOneAndUpdate(
+      { _id: session._id, status: 'uploading' },
+      { $set: { status: 'completing' } },
+      { new: true }
+    );
+    if (!session) {
+      return res.status(409).json({ message: 'Upload is already being completed' });
+    }
+
+    let result;
+    let output = null;
+    try {
+      assembledFile = tmp.fileSync({ postfix: path.extname(session.originalName) });
+      output = fs.createWriteStream(assembledFile.name);
+
+      for (let index = 0; index < session.totalChunks; index++) {
+        for await (const data of await storage.getStream(session.getChunkKey(index))) {
+          if (!output.write(data)) await once(output, 'drain');
+        }
+      }
+      output.end();
+      await once(output, 'finish');
+
+      const { size } = await fs.promises.stat(assembledFile.name);
+      if (size !== session.size) {
+        throw new Error(`Assembled upload is ${size} bytes, expected ${session.size}`);
+      }
+
+      result = await ingestAudioFile(req.user.id, assembledFile.name, session.originalName, session.size);
+    } catch (ingestError) {
+      if (output) output.destroy();
+
+      if (ingestError.code === 'InvalidAudio') {
+        session.status = 'aborted';
+        session.error = ingestError.message;
+        await session.save();
+        await deleteChunks(session);
+        return res.status(400).json({ message: 'Invalid audio file', error: ingestError.message });
+      }
+
+      // Let the client try completing again
+      await UploadSession.updateOne({ _id: session._id }, { $set: { status: 'uploading' } });
+      throw ingestError;
+    }
+
+    session.status = 'completed';
+    session.asset = result.asset._id;
+    await session.save();
+    await deleteChunks(session);
+
+    res.status(202).json(result);
+  } catch (err) {
+    console.error('Error completing upload:', err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  } finally {
+    if (assembledFile) assembledFile.removeCallback();
+  }
+});
+
+// @route   DELETE api/audio/uploads/:id
+// @desc    Abandon a resumable upload and delete its chunks
+// @access  Private (uploader only)
+router.delete('/uploads/:id', auth, async (req, res) => {
+  try {
+    const session = await findUploadSession(req, res);
+    if (!session) return;
+
+    if (session.status === 'completing' || session.status === 'completed') {
+      return res.status(409).json({ message: `Upload is ${session.status}`, status: session.status });
+    }
+
+    if (session.status === 'uploading') {
+      session.status = 'aborted';
+      await session.save();
+      await deleteChunks(session);
+    }
+
+    res.status(200).json({ success: true, message: 'Upload aborted' });
+  } catch (err) {
+    console.error('Error aborting upload:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/audio
+// @desc    List the user's audio library, newest first. Filter with ?search= (title
+//          or file name), ?tag= (comma-separated, all must match) and ?status=
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const { search, tag, status } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const skip = (page - 1) * limit;
+
+    const query = { owner: req.user.id };
+
+    if (search) {
+      // Escape regex special characters in the search term
+      const escaped = String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      query.$or = [
+        { title: { $regex: escaped, $options: 'i' } },
+        { originalName: { $regex: escaped, $options: 'i' } }
+      ];
+    }
+
+    if (tag) {
+      try {
+        query.tags = { $all: normalizeTags(tag) };
+      } catch (tagError) {
+        return res.status(400).json({ message: tagError.message });
+      }
+    }
+
+    if (status) {
+      if (!['processing', 'ready', 'error'].includes(status)) {
+        return res.status(400).json({ message: 'status must be processing, ready or error' });
+      }
+      query.status = status;
+    }
+
+    const [assets, total, usage] = await Promise.all([
+      AudioAsset.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit),
+      AudioAsset.countDocuments(query),
+      quotaService.getUsage(req.user.id)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      assets,
+      usage,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
+    });
+  } catch (err) {
+    console.error('Error listing audio library:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/audio/quota
+// @desc    Get the user's storage usage and quota in bytes
+// @access  Private
+router.get('/quota', auth, async (req, res) => {
+  try {
+    res.status(200).json({
+      success: true,
+      usage: await quotaService.getUsage(req.user.id)
+    });
+  } catch (err) {
+    console.error('Error getting storage quota:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PATCH api/audio/:fileName
+// @desc    Rename an asset (its title) or replace its tags. The storage key,
+//          which compositions reference, never changes
+// @access  Private (owner only)
+router.patch('/:fileName', auth, async (req, res) => {
+  try {
+    const asset = await AudioAsset.findByKey(req.params.fileName);
+    if (!asset || !asset.isOwnedBy(req.user.id)) {
+      return res.status(404).json({ message: 'Audio file not found' });
+    }
 
-    // Check if conversion is needed
-    if (AudioConverter.isConversionNeeded(req.file.mimetype)) {
+    const { title, tags } = req.body;
+
+    if (title !== undefined) {
+      if (typeof title !== 'string' || !title.trim() || title.length > 255) {
+        return res.status(400).json({ message: 'title must be 1 to 255 characters' });
+      }
+      asset.title = title.trim();
+    }
+
+    if (tags !== undefined) {
       try {
-        console.log(`Converting file from ${req.file.mimetype} to MP3 format...`);
-        const convertedFile = await AudioConverter.convertToOptimizedFormat(
-          req.file.buffer, 
-          req.file.originalname,
-          req.file.mimetype
-        );
-        
-        fileBuffer = convertedFile.buffer;
-        fileName = convertedFile.filename;
-        fileMimetype = convertedFile.mimetype;
-        wasConverted = true;
-        
-        console.log(`Conversion complete. New file size: ${fileBuffer.length / 1024} KB`);
-      } catch (conversionError) {
-        console.error('Error converting audio file:', conversionError);
-        // Fall back to original file if conversion fails
-        console.log('Using original file instead');
+        asset.tags = normalizeTags(tags);
+      } catch (tagError) {
+        return res.status(400).json({ message: tagError.message });
       }
     }
 
-    // Create unique filename with timestamp
-    const uniqueFileName = `${Date.now()}-${path.basename(fileName)}`;
-    
-    // Set up S3 upload parameters
-    const uploadParams = {
-      Bucket: process.env.S3_BUCKET_NAME,
-      Key: uniqueFileName,
-      Body: fileBuffer,
-      ContentType: fileMimetype,
-      ACL: 'private', // Restrict public access
-      CacheControl: `max-age=${audioConfig.caching.maxAge}` // Cache based on config
-    };
-
-    // Upload to S3 using the PutObjectCommand
-    const command = new PutObjectCommand(uploadParams);
-    await s3Client.send(command);
-    
-    // Generate the URL for the uploaded file
-    const fileUrl = `https://${process.env.S3_BUCKET_NAME}.s3.${process.env.AWS_REGION}.amazonaws.com/${uniqueFileName}`;
-    
+    await asset.save();
+
+    res.status(200).json({
+      success: true,
+      asset
+    });
+  } catch (err) {
+    console.error('Error updating audio asset:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/audio/:fileName/usage
+// @desc    List the compositions (and their regions) that use an asset. Other
+//          users' private compositions are only counted
+// @access  Private (owner only)
+router.get('/:fileName/usage', auth, async (req, res) => {
+  try {
+    const asset = await AudioAsset.findByKey(req.params.fileName);
+    if (!asset || !asset.isOwnedBy(req.user.id)) {
+      return res.status(404).json({ message: 'Audio file not found' });
+    }
+
+    const compositions = await Composition.find({ 'audioRegions.audioFile': asset.key })
+      .select('title creator isPublic audioRegions._id audioRegions.name audioRegions.audioFile');
+
+    const visible = compositions.filter(composition => composition.isVisibleTo(req.user.id));
+
     res.status(200).json({
       success: true,
-      file: {
-        name: uniqueFileName,
-        originalName: fileName,
-        url: fileUrl,
-        size: fileBuffer.length,
-        type: fileMimetype,
-        converted: wasConverted
+      compositions: visible.map(composition => ({
+        id: composition._id,
+        title: composition.title,
+        isPublic: composition.isPublic,
+        isOwn: composition.isOwnedBy(req.user.id),
+        regions: composition.audioRegions
+          .filter(region => region.audioFile === asset.key)
+          .map(region => ({ id: region._id, name: region.name }))
+      })),
+      hiddenCount: compositions.length - visible.length,
+      derivedCount: await AudioAsset.countDocuments({ derivedFrom: asset._id })
+    });
+  } catch (err) {
+    console.error('Error getting audio usage:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   DELETE api/audio/:fileName
+// @desc    Delete an asset with its renditions and peaks. Refused with 409 while the
+//          asset is used by a composition, unless ?force=true
+// @access  Private (owner only)
+router.delete('/:fileName', auth, async (req, res) => {
+  try {
+    const asset = await AudioAsset.findByKey(req.params.fileName);
+    if (!asset || !asset.isOwnedBy(req.user.id)) {
+      return res.status(404).json({ message: 'Audio file not found' });
+    }
+
+    // Its job would write renditions for an asset that no longer exists
+    if (asset.status === 'processing') {
+      return res.status(409).json({ message: 'The file is still being processed' });
+    }
+
+    const usedBy = await Composition.countDocuments({ 'audioRegions.audioFile': asset.key });
+    if (usedBy > 0 && req.query.force !== 'true') {
+      return res.status(409).json({
+        message: `The file is used by ${usedBy} composition(s). Add ?force=true to delete it anyway`,
+        usedBy
+      });
+    }
+
+    await AudioAsset.deleteOne({ _id: asset._id });
+
+    const keys = asset.getStorageKeys();
+    await Promise.all(keys.map(key => storage.delete(key).catch(error => {
+      // Left for the storage cleanup to find
+      console.error(`Error deleting ${key}:`, error);
+    })));
+
+    res.status(200).json({
+      success: true,
+      message: 'Audio file deleted',
+      freed: asset.storageSize || asset.size || 0
+    });
+  } catch (err) {
+    console.error('Error deleting audio asset:', err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/audio/:fileName/edits
+// @desc    Create a new asset from an uploaded file with edits applied: trimStart and
+//          trimEnd, fadeIn and fadeOut, loopCrossfade (all in seconds), gain (dB) and
+//          reverse. The new asset links back to the original and is processed by a
+//          background job whose status is at /api/jobs/:id
+// @access  Private (owner of the file only)
+router.post('/:fileName/edits', auth, async (req, res) => {
+  try {
+    const source = await AudioAsset.findByKey(req.params.fileName);
+    if (!source) {
+      return res.status(404).json({ message: 'Audio file not found' });
+    }
+
+    if (!source.isOwnedBy(req.user.id)) {
+      return res.status(403).json({ message: 'You do not have permission to edit this file' });
+    }
+
+    let edits;
+    try {
+      edits = normalizeEdits(req.body, source.duration);
+    } catch (editError) {
+      if (editError.code === 'InvalidEdit') {
+        return res.status(400).json({ message: editError.message });
+      }
+      throw editError;
+    }
+
+    // The edit is stored as FLAC, whatever the source was compressed with
+    const estimatedSize = estimateEditSize(source, edits.duration);
+    const usage = await quotaService.checkQuota(req.user.id, estimatedSize);
+    if (!usage.allowed) {
+      return sendQuotaExceeded(res, usage);
+    }
+
+    const baseName = path.basename(source.originalName, path.extname(source.originalName));
+    const extension = audioConfig.renditions.archive.extension;
+    const name = typeof req.body.name === 'string' && req.body.name.trim()
+      ? path.basename(req.body.name.trim()).slice(0, 200)
+      : `${baseName} (edited)`;
+
+    // The edited file is stored under this key once the job has made it
+    const asset = new AudioAsset({
+      owner: req.user.id,
+      key: `${Date.now()}-${baseName}-edit${extension}`,
+      originalName: `${name}${extension}`,
+      title: name,
+      tags: source.tags,
+      mimeType: audioConfig.renditions.archive.mimeType,
+      duration: edits.duration,
+      derivedFrom: source._id,
+      edits
+    });
+
+    await asset.save();
+
+    const job = await jobQueue.enqueue('audio-edit', { assetId: asset.id }, { user: req.user.id });
+    asset.job = job._id;
+    await asset.save();
+
+    res.status(202).json({
+      success: true,
+      asset,
+      job: {
+        id: job.id,
+        status: job.status,
+        statusUrl: `/api/jobs/${job.id}`
       },
-      message: `File upload successful${wasConverted ? ' (converted to MP3)' : ''}`
+      message: 'Edit queued'
     });
   } catch (err) {
-    console.error('Error in audio upload:', err);
+    console.error('Error creating audio edit:', err);
+    res.status(500).json({ message: 'Server error', error: err.message });
+  }
+});
+
+// @route   GET api/audio/:fileName/peaks
+// @desc    Get waveform peaks and a coarse spectrogram of an audio file. Use
+//          ?samplesPerPixel=n for just the coarsest level at least that detailed
+//          and ?spectrogram=false to leave the spectrogram out
+// @access  Private (owner, or listeners of a composition using the file)
+router.get('/:fileName/peaks', auth, async (req, res) => {
+  try {
+    const samplesPerPixel = req.query.samplesPerPixel !== undefined
+      ? parseInt(req.query.samplesPerPixel, 10)
+      : undefined;
+
+    if (samplesPerPixel !== undefined && !(samplesPerPixel > 0)) {
+      return res.status(400).json({ message: 'samplesPerPixel must be a positive integer' });
+    }
+
+    const asset = await AudioAsset.findByKey(req.params.fileName);
+
+    // Respond with 404 rather than 403 so storage keys can't be probed
+    if (!asset || !(await canAccessAudio(req.user.id, asset.key, asset))) {
+      return res.status(404).json({ message: 'Audio file not found' });
+    }
+
+    if (!asset.peaksKey) {
+      // Peaks are computed with the renditions
+      if (asset.status === 'processing') {
+        res.set('Retry-After', '5');
+        return res.status(202).json({ message: 'Peaks are still being computed', status: asset.status });
+      }
+      return res.status(404).json({ message: 'No peaks available for this file' });
+    }
+
+    const chunks = [];
+    for await (const chunk of await storage.getStream(asset.peaksKey)) {
+      chunks.push(chunk);
+    }
+    const peaks = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+
+    res.set('Cache-Control', `private, max-age=${audioConfig.caching.maxAge}`);
+    res.status(200).json({
+      success: true,
+      peaks: selectPeaks(peaks, {
+        samplesPerPixel,
+        spectrogram: req.query.spectrogram !== 'false'
+      })
+    });
+  } catch (err) {
+    console.error('Error getting audio peaks:', err);
     res.status(500).json({ message: 'Server error', error: err.message });
   }
 });
 
 // @route   GET api/audio/:fileName
-// @desc    Get a signed URL to access an audio file
-// @access  Private
+// @desc    Get a signed URL to access an audio file. The rendition is chosen with
+//          ?rendition=mp3|aac|opus|low|archive or negotiated from the Accept header
+// @access  Private (owner, or listeners of a composition using the file)
 router.get('/:fileName', auth, async (req, res) => {
   try {
     const { fileName } = req.params;
-    
-    // Set up the GetObjectCommand for generating a signed URL
-    const command = new GetObjectCommand({
-      Bucket: process.env.S3_BUCKET_NAME,
-      Key: fileName
-    });
+    const { rendition: requested } = req.query;
+
+    if (requested !== undefined && !Object.prototype.hasOwnProperty.call(audioConfig.renditions, requested)) {
+      return res.status(400).json({
+        message: `Unknown rendition. Use one of: ${Object.keys(audioConfig.renditions).join(', ')}`
+      });
+    }
+
+    // The response depends on the Accept header
+    res.vary('Accept');
+
+    const asset = await AudioAsset.findByKey(fileName);
+
+    // Respond with 404 rather than 403 so storage keys can't be probed
+    if (!(await canAccessAudio(req.user.id, fileName, asset))) {
+      return res.status(404).json({ message: 'Audio file not found' });
+    }
+
+    // Edited files only exist once their job has made them
+    if (asset && asset.derivedFrom && asset.size === undefined) {
+      if (asset.status === 'error') {
+        return res.status(409).json({ message: 'The edit failed', error: asset.error });
+      }
+      res.set('Retry-After', '5');
+      return res.status(202).json({ message: 'The edit is still being made', status: asset.status });
+    }
+
+    const renditions = asset ? asset.getRenditions() : {};
+    let key = fileName;
+    let rendition = 'original';
+
+    // Files still being transcoded (or uploaded before renditions existed) are served as uploaded
+    if (Object.keys(renditions).length > 0) {
+      const chosen = negotiateRendition(renditions, {
+        requested,
+        accept: req.header('accept')
+      });
 
+      if (!chosen) {
+        return res.status(406).json({
+          message: 'No rendition matches the Accept header',
+          renditions: Object.keys(renditions)
+        });
+      }
+
+      key = renditions[chosen].key;
+      rendition = chosen;
+    }
+    
     // Generate a signed URL that expires in 1 hour (3600 seconds)
-    const signedUrl = await getSignedUrl(s3Client, command, { expiresIn: 3600 });
+    const signedUrl = await storage.getSignedUrl(key, { expiresIn: 3600 });
     
     res.status(200).json({
       success: true,
       url: signedUrl,
+      rendition,
+      mimeType: renditions[rendition] ? renditions[rendition].mimeType : (asset && asset.mimeType),
+      renditions: Object.keys(renditions),
+      duration: asset ? asset.duration : undefined,
+      loudness: asset ? asset.loudness : undefined,
+      // Apply on playback so regions play at comparable levels
+      gain: asset ? asset.getPlaybackGain(rendition) : 0,
       expires: new Date(Date.now() + 3600 * 1000).toISOString()
     });
   } catch (err) {
@@ -152,4 +885,4 @@ router.get('/:fileName', auth, async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
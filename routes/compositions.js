@@ -1,48 +1,181 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
-// Composition model will be created later
-// const Composition = require('../server/models/Composition');
-
-// Middleware for protected routes
-const auth = (req, res, next) => {
-  const token = req.header('x-auth-token');
-  if (!token) return res.status(401).json({ message: 'No token, authorization denied' });
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const Composition = require('../server/models/Composition');
+const PathRecording = require('../server/models/PathRecording');
+const jobQueue = require('../server/services/JobQueue');
+const { auth, optionalAuth } = require('../server/middleware/auth');
+const {
+  parseNearQuery,
+  parseBoundingBox,
+  withinRadiusFilter,
+  withinBoundingBoxFilter
+} = require('../server/utils/geoQuery');
+
+// Fields a client is allowed to set on a composition
+const EDITABLE_FIELDS = ['title', 'description', 'location', 'audioRegions', 'transitionSettings', 'isPublic'];
+
+// Limits for submitted path recordings (one point per second for the 1 hour maximum, with headroom)
+const MAX_PATH_POINTS = 10000;
+const MAX_AUDIO_EVENTS = 20000;
+
+// How long rendered path recordings stay downloadable
+const RECORDING_EXPIRY_DAYS = 7;
+
+/**
+ * Copy the editable fields present in a request body
+ * @param {Object} body - Request body
+ * @returns {Object} Fields to set on the composition
+ */
+const pickEditableFields = (body) => {
+  const fields = {};
+  for (const field of EDITABLE_FIELDS) {
+    if (body[field] !== undefined) {
+      fields[field] = body[field];
+    }
+  }
+  return fields;
+};
+
+/**
+ * Send a response for an error thrown while saving a composition
+ * @param {Object} res - Express response
+ * @param {Error} err - The error
+ */
+const handleSaveError = (res, err) => {
+  if (err instanceof mongoose.Error.ValidationError || err instanceof mongoose.Error.CastError) {
+    return res.status(400).json({ message: 'Invalid composition data', error: err.message });
+  }
+
+  if (err instanceof mongoose.Error.VersionError) {
+    return res.status(409).json({ message: 'The composition was changed by someone else, reload it and try again' });
+  }
   
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'temporary_secret_key');
-    req.user = decoded.user;
-    next();
-  } catch (err) {
-    res.status(401).json({ message: 'Token is not valid' });
+  console.error(err);
+  res.status(500).json({ message: 'Server error' });
+};
+
+/**
+ * Validate a generate-from-path payload as sent by PathRecorderService
+ * @param {Object} body - Request body
+ * @returns {string|null} Error message, or null if the payload is valid
+ */
+const validatePathPayload = (body) => {
+  const { compositionId, path, audioEvents, duration, startTime, endTime } = body;
+  
+  if (!compositionId || !mongoose.Types.ObjectId.isValid(compositionId)) {
+    return 'A valid compositionId is required';
+  }
+  
+  if (!Array.isArray(path) || path.length < 2) {
+    return 'Path must contain at least 2 points';
+  }
+  
+  if (path.length > MAX_PATH_POINTS) {
+    return `Path cannot contain more than ${MAX_PATH_POINTS} points`;
+  }
+  
+  if (audioEvents !== undefined && (!Array.isArray(audioEvents) || audioEvents.length > MAX_AUDIO_EVENTS)) {
+    return `audioEvents must be an array of at most ${MAX_AUDIO_EVENTS} events`;
+  }
+  
+  for (const event of audioEvents || []) {
+    if (!event || !Array.isArray(event.activeRegions)) {
+      return 'Each audio event must have an activeRegions array';
+    }
+    
+    if (event.activeRegions.some(region => region.regionId && !mongoose.Types.ObjectId.isValid(region.regionId))) {
+      return 'audioEvents contain an invalid region ID';
+    }
+  }
+  
+  if (typeof duration !== 'number' || !Number.isFinite(duration) || duration < 0) {
+    return 'Duration must be a non-negative number';
+  }
+  
+  if (isNaN(new Date(startTime)) || isNaN(new Date(endTime)) || new Date(endTime) < new Date(startTime)) {
+    return 'startTime and endTime must be valid with endTime after startTime';
   }
+  
+  return null;
 };
 
 // @route   GET api/compositions
-// @desc    Get all compositions (or filtered by query params)
+// @desc    Get public compositions (or filtered by query params)
+//          ?lat=&lng=&radius= returns compositions near a point, nearest first
+//          ?bbox=west,south,east,north returns compositions inside a map viewport
 // @access  Public
-router.get('/', async (req, res) => {
+router.get('/', optionalAuth, async (req, res) => {
   try {
-    // For now, just return success with dummy data
+    const { creator, search, bbox } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const skip = (page - 1) * limit;
+    
+    // Logged-in users also see their own private compositions.
+    // IDs are cast explicitly because aggregation pipelines don't cast them.
+    const conditions = [
+      req.user
+        ? { $or: [{ isPublic: true }, { creator: new mongoose.Types.ObjectId(req.user.id) }] }
+        : { isPublic: true }
+    ];
+    
+    if (creator) {
+      if (!mongoose.Types.ObjectId.isValid(creator)) {
+        return res.status(400).json({ message: 'Invalid creator ID' });
+      }
+      conditions.push({ creator: new mongoose.Types.ObjectId(creator) });
+    }
+    
+    if (search) {
+      // Escape regex special characters in the search term
+      const escaped = String(search).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      conditions.push({ title: { $regex: escaped, $options: 'i' } });
+    }
+    
+    let near = null;
+    try {
+      if (req.query.lat !== undefined || req.query.lng !== undefined) {
+        near = parseNearQuery(req.query);
+      } else if (bbox) {
+        conditions.push(withinBoundingBoxFilter('location.coordinates', parseBoundingBox(bbox)));
+      }
+    } catch (parseError) {
+      return res.status(400).json({ message: parseError.message });
+    }
+    
+    const query = conditions.length === 1 ? conditions[0] : { $and: conditions };
+    
+    let compositions;
+    let total;
+    
+    if (near) {
+      [compositions, total] = await Promise.all([
+        Composition.findNear({ ...near, filter: query, skip, limit }),
+        Composition.countDocuments({ $and: [query, withinRadiusFilter('location.coordinates', near)] })
+      ]);
+    } else {
+      [compositions, total] = await Promise.all([
+        Composition.find(query)
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(limit)
+          .select('-audioRegions')
+          .populate('creator', 'name'),
+        Composition.countDocuments(query)
+      ]);
+    }
+    
     res.status(200).json({
       success: true,
-      compositions: [
-        {
-          id: '1',
-          title: 'Sample Composition 1',
-          creator: 'User 1',
-          location: 'New York',
-          createdAt: new Date()
-        },
-        {
-          id: '2',
-          title: 'Sample Composition 2',
-          creator: 'User 2',
-          location: 'San Francisco',
-          createdAt: new Date()
-        }
-      ],
-      message: 'Compositions endpoint reached successfully'
+      compositions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit)
+      }
     });
   } catch (err) {
     console.error(err);
@@ -55,31 +188,124 @@ router.get('/', async (req, res) => {
 // @access  Private
 router.post('/', auth, async (req, res) => {
   try {
-    const { title, description, boundaries, paths } = req.body;
+    const { title } = req.body;
 
     // Simple validation
     if (!title) {
       return res.status(400).json({ message: 'Title is required' });
     }
 
-    // For now, just return success
-    // In the full implementation, you would:
-    // 1. Create a new composition with user as creator
-    // 2. Save to database
+    const composition = new Composition({
+      ...pickEditableFields(req.body),
+      creator: req.user.id
+    });
+    
+    await composition.save();
     
     res.status(201).json({
       success: true,
-      composition: {
-        id: 'new-composition-id',
-        title,
-        description,
-        creator: req.user.id,
-        boundaries,
-        paths,
-        createdAt: new Date()
-      },
+      composition,
       message: 'Composition created successfully'
     });
+  } catch (err) {
+    handleSaveError(res, err);
+  }
+});
+
+// @route   POST api/compositions/generate-from-path
+// @desc    Save a recorded walk through a composition and queue it for rendering
+// @access  Private
+router.post('/generate-from-path', auth, async (req, res) => {
+  try {
+    const validationError = validatePathPayload(req.body);
+    if (validationError) {
+      return res.status(400).json({ message: validationError });
+    }
+    
+    const { compositionId, path, audioEvents, duration, startTime, endTime } = req.body;
+    
+    const composition = await Composition.findById(compositionId);
+    if (!composition || !composition.isVisibleTo(req.user.id)) {
+      return res.status(404).json({ message: 'Composition not found' });
+    }
+    
+    const recording = new PathRecording({
+      user: req.user.id,
+      composition: composition._id,
+      recordingId: `rec_${crypto.randomBytes(12).toString('hex')}`,
+      path,
+      audioEvents: audioEvents || [],
+      duration,
+      startTime: new Date(startTime),
+      endTime: new Date(endTime),
+      expiresAt: new Date(Date.now() + RECORDING_EXPIRY_DAYS * 24 * 60 * 60 * 1000),
+      metadata: {
+        userAgent: req.header('user-agent'),
+        ipAddress: req.ip
+      }
+    });
+    
+    // Run the model's own path check so the client gets a 400 instead of a failed save
+    const pathValidation = recording.validatePath();
+    if (!pathValidation.valid) {
+      return res.status(400).json({ message: pathValidation.message });
+    }
+    
+    // The pre-save hook calculates distance, speed and region statistics
+    await recording.save();
+    
+    // The mixdown and the map image are rendered independently in the background
+    const jobOptions = { user: req.user.id };
+    const renderJob = await jobQueue.enqueue('path-render', { recordingId: recording.recordingId }, jobOptions);
+    const mapJob = await jobQueue.enqueue('path-map', { recordingId: recording.recordingId }, jobOptions);
+    
+    res.status(202).json({
+      success: true,
+      recordingId: recording.recordingId,
+      compositionId: composition.id,
+      status: recording.status,
+      statusUrl: `${req.baseUrl}/recordings/${recording.recordingId}`,
+      jobs: {
+        render: renderJob.id,
+        map: mapJob.id
+      },
+      stats: recording.stats,
+      message: 'Recording saved and queued for rendering'
+    });
+  } catch (err) {
+    if (err instanceof mongoose.Error.ValidationError || err instanceof mongoose.Error.CastError) {
+      return res.status(400).json({ message: 'Invalid recording data', error: err.message });
+    }
+    
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   GET api/compositions/recordings/:recordingId
+// @desc    Get the rendering status of a path recording
+// @access  Private (recording owner only)
+router.get('/recordings/:recordingId', auth, async (req, res) => {
+  try {
+    const recording = await PathRecording.findOne({ recordingId: req.params.recordingId })
+      .select('-path -audioEvents');
+    
+    if (!recording || recording.user.toString() !== req.user.id) {
+      return res.status(404).json({ message: 'Recording not found' });
+    }
+    
+    res.status(200).json({
+      success: true,
+      recordingId: recording.recordingId,
+      compositionId: recording.composition,
+      status: recording.status,
+      progress: recording.progress,
+      downloadUrl: recording.status === 'completed' ? recording.downloadUrl : undefined,
+      mapImageUrl: recording.mapImageUrl,
+      expiresAt: recording.expiresAt,
+      error: recording.error,
+      stats: recording.stats
+    });
   } catch (err) {
     console.error(err);
     res.status(500).json({ message: 'Server error' });
@@ -88,37 +314,25 @@ router.post('/', auth, async (req, res) => {
 
 // @route   GET api/compositions/:id
 // @desc    Get a composition by ID
-// @access  Public
-router.get('/:id', async (req, res) => {
+// @access  Public (private compositions only for their creator)
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const { id } = req.params;
+    
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: 'Composition not found' });
+    }
 
-    // For now, just return success with dummy data
+    const composition = await Composition.findById(id).populate('creator', 'name');
+    
+    // Don't reveal the existence of private compositions
+    if (!composition || !composition.isVisibleTo(req.user && req.user.id)) {
+      return res.status(404).json({ message: 'Composition not found' });
+    }
+    
     res.status(200).json({
       success: true,
-      composition: {
-        id,
-        title: 'Sample Composition',
-        description: 'This is a sample composition',
-        creator: 'User 1',
-        location: 'New York',
-        boundaries: [
-          { lat: 40.712776, lng: -74.005974 },
-          { lat: 40.712976, lng: -74.005674 },
-          { lat: 40.713176, lng: -74.006274 }
-        ],
-        paths: [
-          {
-            points: [
-              { lat: 40.712876, lng: -74.005874, timestamp: new Date() },
-              { lat: 40.712976, lng: -74.005774, timestamp: new Date() }
-            ],
-            audioUrl: 'https://eonta-audio-files.s3.amazonaws.com/sample.mp3'
-          }
-        ],
-        createdAt: new Date()
-      },
-      message: 'Composition retrieved successfully'
+      composition
     });
   } catch (err) {
     console.error(err);
@@ -128,39 +342,59 @@ router.get('/:id', async (req, res) => {
 
 // @route   PUT api/compositions/:id
 // @desc    Update a composition
-// @access  Private
+// @access  Private (creator only)
 router.put('/:id', auth, async (req, res) => {
   try {
     const { id } = req.params;
-    const { title, description, boundaries, paths } = req.body;
+    
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: 'Composition not found' });
+    }
+    
+    const composition = await Composition.findById(id);
+    if (!composition) {
+      return res.status(404).json({ message: 'Composition not found' });
+    }
+    
+    if (!composition.isOwnedBy(req.user.id)) {
+      return res.status(403).json({ message: 'You do not have permission to update this composition' });
+    }
+    
+    composition.set(pickEditableFields(req.body));
+    await composition.save();
 
-    // For now, just return success
     res.status(200).json({
       success: true,
-      composition: {
-        id,
-        title,
-        description,
-        boundaries,
-        paths,
-        updatedAt: new Date()
-      },
+      composition,
       message: 'Composition updated successfully'
     });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ message: 'Server error' });
+    handleSaveError(res, err);
   }
 });
 
 // @route   DELETE api/compositions/:id
 // @desc    Delete a composition
-// @access  Private
+// @access  Private (creator only)
 router.delete('/:id', auth, async (req, res) => {
   try {
     const { id } = req.params;
+    
+    if (!mongoose.Types.ObjectId.isValid(id)) {
+      return res.status(404).json({ message: 'Composition not found' });
+    }
+    
+    const composition = await Composition.findById(id);
+    if (!composition) {
+      return res.status(404).json({ message: 'Composition not found' });
+    }
+    
+    if (!composition.isOwnedBy(req.user.id)) {
+      return res.status(403).json({ message: 'You do not have permission to delete this composition' });
+    }
+    
+    await composition.deleteOne();
 
-    // For now, just return success
     res.status(200).json({
       success: true,
       message: 'Composition deleted successfully'
@@ -0,0 +1,52 @@
+const express = require('express');
+const router = express.Router();
+const storage = require('../server/services/StorageService');
+
+// @route   GET api/files/*
+// @desc    Serve a locally stored file through a signed, expiring link
+// @access  Public (requires a valid signature)
+router.get('/*', async (req, res) => {
+  try {
+    // Only the local storage driver serves files itself
+    if (!storage.isLocal()) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    const key = req.params[0];
+    const { expires, signature } = req.query;
+
+    if (!storage.driver.verifySignature(key, expires, signature)) {
+      return res.status(403).json({ message: 'Invalid or expired link' });
+    }
+
+    const info = await storage.stat(key);
+    if (!info) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    const headers = {
+      'Cache-Control': info.cacheControl || 'private, max-age=0',
+      'X-Content-Type-Options': 'nosniff'
+    };
+    if (info.contentType) {
+      headers['Content-Type'] = info.contentType;
+    }
+
+    // sendFile handles Range requests, which audio seeking relies on
+    res.sendFile(storage.driver.resolvePath(key), { headers, dotfiles: 'deny' }, (err) => {
+      if (err && !res.headersSent) {
+        console.error('Error serving stored file:', err);
+        res.status(500).json({ message: 'Server error' });
+      }
+    });
+  } catch (err) {
+    if (err.code === 'InvalidKey') {
+      return res.status(404).json({ message: 'File not found' });
+    }
+
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
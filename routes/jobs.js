@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const Job = require('../server/models/Job');
+const { auth } = require('../server/middleware/auth');
+
+// @route   GET api/jobs/:id
+// @desc    Get the status, progress and result of a background job
+// @access  Private (job owner only)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    const job = await Job.findById(req.params.id);
+
+    // Respond with 404 rather than 403 so job IDs can't be probed
+    if (!job || !job.user || job.user.toString() !== req.user.id) {
+      return res.status(404).json({ message: 'Job not found' });
+    }
+
+    res.status(200).json({
+      success: true,
+      job
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,344 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+const CollaborationSession = require('../server/models/CollaborationSession');
+const changeReviewService = require('../server/services/ChangeReviewService');
+const editScopeService = require('../server/services/EditScopeService');
+const sessionHistoryService = require('../server/services/SessionHistoryService');
+const sessionService = require('../server/services/SessionService');
+const { auth } = require('../server/middleware/auth');
+
+// HTTP status for each error code from the session services
+const ERROR_STATUS = {
+  Forbidden: 403,
+  NotFound: 404,
+  InvalidSession: 400,
+  InvalidReview: 400,
+  InvalidScope: 400,
+  InvalidChange: 400,
+  AlreadyMember: 409,
+  SessionClosed: 409,
+  ChangeConflict: 409
+};
+
+/**
+ * Load a session the requesting user is a member of
+ * Responds with 404 rather than 403 to non-members so session IDs can't be probed.
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} options - { open: respond with 409 if the session was closed or has expired }
+ * @returns {Promise<Object|null>} The session, or null once a response was sent
+ */
+async function findMemberSession(req, res, { open = false } = {}) {
+  const session = mongoose.Types.ObjectId.isValid(req.params.id)
+    ? await CollaborationSession.findById(req.params.id)
+    : null;
+
+  if (!session || !session.hasMember(req.user.id)) {
+    res.status(404).json({ message: 'Session not found' });
+    return null;
+  }
+
+  if (open && !session.isOpen()) {
+    res.status(409).json({ message: 'This session has ended' });
+    return null;
+  }
+
+  return session;
+}
+
+/**
+ * Respond to an error from one of the session services
+ * @param {Object} res - Express response
+ * @param {Error} err - The error
+ */
+function sendError(res, err) {
+  if (ERROR_STATUS[err.code]) {
+    return res.status(ERROR_STATUS[err.code]).json({ message: err.message });
+  }
+  console.error(err);
+  res.status(500).json({ message: 'Server error' });
+}
+
+// @route   POST api/sessions
+// @desc    Start a collaboration session for one of your compositions
+// @access  Private (composition creator)
+router.post('/', auth, async (req, res) => {
+  try {
+    const session = await sessionService.create(req.user, {
+      compositionId: req.body.compositionId,
+      name: req.body.name,
+      description: req.body.description,
+      expiresAt: req.body.expiresAt,
+      settings: req.body.settings
+    });
+
+    res.status(201).json({
+      success: true,
+      session
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// @route   GET api/sessions
+// @desc    List the open sessions you own or collaborate in
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const sessions = await sessionService.listForUser(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      sessions
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// @route   GET api/sessions/:id
+// @desc    Get a session with its members and who is active
+// @access  Private (session members)
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const found = await findMemberSession(req, res);
+    if (!found) return;
+
+    const session = await CollaborationSession.getWithActiveUsers(found._id);
+
+    res.status(200).json({
+      success: true,
+      session,
+      isOpen: found.isOpen(),
+      permission: found.getPermission(req.user.id)
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// @route   POST api/sessions/:id/close
+// @desc    Close a session; connected members are told through session:closed
+// @access  Private (session admins)
+router.post('/:id/close', auth, async (req, res) => {
+  try {
+    const session = await findMemberSession(req, res);
+    if (!session) return;
+
+    const closed = await sessionService.close(session, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      session: closed
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// @route   POST api/sessions/:id/collaborators
+// @desc    Invite a registered user by email, as a viewer, editor or admin
+// @access  Private (session admins)
+router.post('/:id/collaborators', auth, async (req, res) => {
+  try {
+    const session = await findMemberSession(req, res, { open: true });
+    if (!session) return;
+
+    const collaborator = await sessionService.invite(session, req.user.id, {
+      email: req.body.email,
+      permission: req.body.permission
+    });
+
+    res.status(201).json({
+      success: true,
+      collaborator
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// @route   PUT api/sessions/:id/collaborators/:userId
+// @desc    Change a collaborator's permission level
+// @access  Private (session admins)
+router.put('/:id/collaborators/:userId', auth, async (req, res) => {
+  try {
+    const session = await findMemberSession(req, res, { open: true });
+    if (!session) return;
+
+    const collaborator = await sessionService.setPermission(
+      session,
+      req.user.id,
+      req.params.userId,
+      req.body.permission
+    );
+
+    res.status(200).json({
+      success: true,
+      collaborator
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// @route   DELETE api/sessions/:id/collaborators/:userId
+// @desc    Remove a collaborator, or leave a session yourself
+// @access  Private (session admins, or the collaborator)
+router.delete('/:id/collaborators/:userId', auth, async (req, res) => {
+  try {
+    const session = await findMemberSession(req, res);
+    if (!session) return;
+
+    await sessionService.removeCollaborator(session, req.user.id, req.params.userId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Collaborator removed'
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// @route   GET api/sessions/:id/reviews
+// @desc    Get the changes waiting for review in a session, oldest first
+// @access  Private (session members)
+router.get('/:id/reviews', auth, async (req, res) => {
+  try {
+    const session = await findMemberSession(req, res);
+    if (!session) return;
+
+    const changes = await changeReviewService.getQueue(session._id);
+
+    res.status(200).json({
+      success: true,
+      changes
+    });
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/sessions/:id/changes/:changeId/approve
+// @route   POST api/sessions/:id/changes/:changeId/reject
+// @desc    Approve (then apply) or reject a change held for review, with an optional note
+// @access  Private (session admins)
+['approve', 'reject'].forEach(decision => {
+  router.post(`/:id/changes/:changeId/${decision}`, auth, async (req, res) => {
+    try {
+      const session = await findMemberSession(req, res, { open: true });
+      if (!session) return;
+
+      const change = await changeReviewService[decision](
+        session,
+        req.params.changeId,
+        req.user.id,
+        req.body.note
+      );
+
+      res.status(200).json({
+        success: true,
+        change
+      });
+    } catch (err) {
+      sendError(res, err);
+    }
+  });
+});
+
+// @route   PUT api/sessions/:id/collaborators/:userId/edit-scope
+// @desc    Set the zone and boundaries a collaborator may change while limitEditRegions is on
+// @access  Private (session admins)
+router.put('/:id/collaborators/:userId/edit-scope', auth, async (req, res) => {
+  try {
+    const session = await findMemberSession(req, res, { open: true });
+    if (!session) return;
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.userId)) {
+      return res.status(404).json({ message: 'Collaborator not found' });
+    }
+
+    const editScope = await editScopeService.setScope(session, req.params.userId, {
+      zone: req.body.zone,
+      boundaryIds: req.body.boundaryIds
+    }, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      editScope
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// @route   GET api/sessions/:id/history
+// @desc    Get a session's applied changes, newest first (?before=changeId&limit=50 to page)
+// @access  Private (session members)
+router.get('/:id/history', auth, async (req, res) => {
+  try {
+    const session = await findMemberSession(req, res);
+    if (!session) return;
+
+    const changes = await sessionHistoryService.getHistory(session._id, {
+      before: req.query.before,
+      limit: req.query.limit
+    });
+
+    res.status(200).json({
+      success: true,
+      changes
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// @route   GET api/sessions/:id/history/:changeId/composition
+// @desc    Get the session's composition as it was right after a change
+// @access  Private (session members)
+router.get('/:id/history/:changeId/composition', auth, async (req, res) => {
+  try {
+    const session = await findMemberSession(req, res);
+    if (!session) return;
+
+    const { change, composition, currentVersion } = await sessionHistoryService.reconstruct(
+      session,
+      req.params.changeId
+    );
+
+    res.status(200).json({
+      success: true,
+      asOf: { changeId: change._id, appliedAt: change.appliedAt },
+      composition,
+      currentVersion
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+// @route   POST api/sessions/:id/history/:changeId/restore
+// @desc    Restore the composition as it was right after a change, as a new change
+// @access  Private (session admins)
+router.post('/:id/history/:changeId/restore', auth, async (req, res) => {
+  try {
+    const session = await findMemberSession(req, res, { open: true });
+    if (!session) return;
+
+    const change = await sessionHistoryService.restore(session, req.params.changeId, req.user);
+
+    res.status(200).json({
+      success: true,
+      change
+    });
+  } catch (err) {
+    sendError(res, err);
+  }
+});
+
+module.exports = router;
@@ -1,31 +1,8 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
-const bcrypt = require('bcryptjs');
-// User model will be created later
-// const User = require('../server/models/User');
-
-// Middleware for protected routes
-const auth = (req, res, next) => {
-  // Get token from header
-  const token = req.header('x-auth-token');
-
-  // Check if no token
-  if (!token) {
-    return res.status(401).json({ message: 'No token, authorization denied' });
-  }
-
-  try {
-    // Verify token
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    
-    // Add user from payload
-    req.user = decoded.user;
-    next();
-  } catch (err) {
-    res.status(401).json({ message: 'Token is not valid' });
-  }
-};
+const User = require('../server/models/User');
+const tokenService = require('../server/services/TokenService');
+const { auth } = require('../server/middleware/auth');
 
 // @route   POST api/users/register
 // @desc    Register a user
@@ -38,20 +15,43 @@ router.post('/register', async (req, res) => {
     if (!name || !email || !password) {
       return res.status(400).json({ message: 'Please enter all fields' });
     }
+    
+    if (typeof password !== 'string' || password.length < 8) {
+      return res.status(400).json({ message: 'Password must be at least 8 characters' });
+    }
+
+    // Check if user already exists
+    const existingUser = await User.findOne({ email: String(email).trim().toLowerCase() });
+    if (existingUser) {
+      return res.status(400).json({ message: 'User already exists' });
+    }
 
-    // For now, just return success 
-    // In the full implementation, you would:
-    // 1. Check if user already exists
-    // 2. Create new user with hashed password
-    // 3. Save to database
-    // 4. Generate JWT token
+    // Password is hashed by the model's pre-save hook
+    const user = new User({ name, email, password });
+    await user.save();
     
-    res.status(200).json({ 
+    const { token, refreshToken } = await tokenService.issueTokenPair(user, {
+      userAgent: req.header('user-agent')
+    });
+    
+    res.status(201).json({ 
       success: true,
-      message: 'Registration endpoint reached successfully'
+      token,
+      refreshToken,
+      user,
+      message: 'Registration successful'
     });
     
   } catch (err) {
+    // Unique index violation from a concurrent registration
+    if (err.code === 11000) {
+      return res.status(400).json({ message: 'User already exists' });
+    }
+    
+    if (err.name === 'ValidationError') {
+      return res.status(400).json({ message: 'Invalid user data', error: err.message });
+    }
+    
     console.error(err);
     res.status(500).json({ message: 'Server error' });
   }
@@ -69,22 +69,102 @@ router.post('/login', async (req, res) => {
       return res.status(400).json({ message: 'Please enter all fields' });
     }
 
-    // For now, just return success with dummy token
-    // In the full implementation, you would:
-    // 1. Find user by email
-    // 2. Validate password
-    // 3. Generate JWT token
+    const user = await User.findByEmailWithPassword(email);
     
-    const token = jwt.sign(
-      { user: { id: 'dummy-user-id' } },
-      process.env.JWT_SECRET || 'temporary_secret_key',
-      { expiresIn: process.env.JWT_EXPIRATION || '7d' }
-    );
+    // Use the same message for unknown email and wrong password
+    if (!user || !(await user.comparePassword(String(password)))) {
+      return res.status(400).json({ message: 'Invalid credentials' });
+    }
+    
+    user.lastLoginAt = new Date();
+    await user.save();
+
+    const { token, refreshToken } = await tokenService.issueTokenPair(user, {
+      userAgent: req.header('user-agent')
+    });
 
     res.status(200).json({
       success: true,
       token,
-      message: 'Login endpoint reached successfully'
+      refreshToken,
+      user,
+      message: 'Login successful'
+    });
+    
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/users/refresh
+// @desc    Exchange a refresh token for a new access token and refresh token
+// @access  Public (requires a valid refresh token)
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+    
+    const result = await tokenService.rotateRefreshToken(
+      refreshToken,
+      userId => User.findById(userId),
+      { userAgent: req.header('user-agent') }
+    );
+    
+    if (!result) {
+      return res.status(401).json({ message: 'Refresh token is not valid' });
+    }
+    
+    res.status(200).json({
+      success: true,
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
+    
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/users/logout
+// @desc    Revoke a refresh token
+// @access  Public (requires the refresh token being revoked)
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({ message: 'Refresh token is required' });
+    }
+    
+    await tokenService.revokeRefreshToken(refreshToken);
+    
+    // Respond the same way whether or not the token existed
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+    
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   POST api/users/logout-all
+// @desc    Revoke every refresh token for the current user (log out all devices)
+// @access  Private
+router.post('/logout-all', auth, async (req, res) => {
+  try {
+    await tokenService.revokeAllForUser(req.user.id);
+    
+    res.status(200).json({
+      success: true,
+      message: 'Logged out of all devices'
     });
     
   } catch (err) {
@@ -98,17 +178,73 @@ router.post('/login', async (req, res) => {
 // @access  Private
 router.get('/profile', auth, async (req, res) => {
   try {
-    // For now, just return success with dummy user data
-    // In the full implementation, you would find the user by ID
+    const user = await User.findById(req.user.id);
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    res.status(200).json({
+      success: true,
+      user
+    });
+    
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Collaboration emails a user can turn off
+const NOTIFICATION_PREFERENCES = ['collaborationInvites', 'reviewRequests', 'mentions', 'dailyDigest'];
+
+// @route   GET api/users/notification-preferences
+// @desc    Get which collaboration emails the current user receives
+// @access  Private
+router.get('/notification-preferences', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    
+    res.status(200).json({
+      success: true,
+      notificationPreferences: user.notificationPreferences
+    });
+    
+  } catch (err) {
+    console.error(err);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// @route   PUT api/users/notification-preferences
+// @desc    Turn collaboration emails on or off
+// @access  Private
+router.put('/notification-preferences', auth, async (req, res) => {
+  try {
+    const updates = {};
+    
+    for (const preference of NOTIFICATION_PREFERENCES) {
+      if (req.body[preference] === undefined) continue;
+      
+      if (typeof req.body[preference] !== 'boolean') {
+        return res.status(400).json({ message: `${preference} must be true or false` });
+      }
+      updates[`notificationPreferences.${preference}`] = req.body[preference];
+    }
+    
+    const user = await User.findByIdAndUpdate(req.user.id, { $set: updates }, { new: true });
+    
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
     
     res.status(200).json({
       success: true,
-      user: {
-        id: req.user.id,
-        name: 'Test User',
-        email: 'test@example.com'
-      },
-      message: 'Profile endpoint reached successfully'
+      notificationPreferences: user.notificationPreferences
     });
     
   } catch (err) {
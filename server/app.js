@@ -1,15 +1,32 @@
 // Load environment variables
 require('dotenv').config();
 
+const http = require('http');
 const express = require('express');
 const mongoose = require('mongoose');
 const cors = require('cors');
 const path = require('path');
+const tokenService = require('./services/TokenService');
+const jobQueue = require('./services/JobQueue');
+const registerJobs = require('./jobs');
+const WebSocketService = require('./services/WebSocketService');
+const collaborationNotifier = require('./services/CollaborationNotifier');
+
+// Refuse to start without a JWT secret rather than signing tokens with a guessable key
+try {
+  tokenService.validateConfig();
+} catch (err) {
+  console.error(`Configuration error: ${err.message}`);
+  process.exit(1);
+}
 
 // Import routes
 const userRoutes = require('../routes/users');
 const compositionRoutes = require('../routes/compositions');
 const audioRoutes = require('../routes/audio');
+const jobRoutes = require('../routes/jobs');
+const fileRoutes = require('../routes/files');
+const sessionRoutes = require('../routes/sessions');
 
 // Create Express app
 const app = express();
@@ -23,7 +40,8 @@ app.use(cors({
     process.env.CORS_ALLOWED_ORIGINS.split(',') : 
     ['http://localhost:3000', 'https://eonta.app']
 }));
-app.use(express.json());
+// Recorded walks can be several hundred KB of path points and audio events
+app.use(express.json({ limit: process.env.JSON_BODY_LIMIT || '5mb' }));
 app.use(express.urlencoded({ extended: true }));
 
 // Connect to MongoDB
@@ -31,7 +49,13 @@ mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true
 })
-.then(() => console.log('MongoDB connected successfully'))
+.then(() => {
+  console.log('MongoDB connected successfully');
+
+  // Background jobs are persisted in MongoDB, so only start working once connected
+  registerJobs(jobQueue);
+  jobQueue.start();
+})
 .catch(err => console.error('MongoDB connection error:', err));
 
 // Root route - Welcome page
@@ -44,6 +68,8 @@ app.get('/', (req, res) => {
       audio: '/api/audio',
       users: '/api/users',
       compositions: '/api/compositions',
+      jobs: '/api/jobs',
+      sessions: '/api/sessions',
       health: '/api/health'
     },
     documentation: '/api/docs',
@@ -60,12 +86,16 @@ if (process.env.NODE_ENV === 'production') {
 app.use('/api/users', userRoutes);
 app.use('/api/compositions', compositionRoutes);
 app.use('/api/audio', audioRoutes);
+app.use('/api/jobs', jobRoutes);
+app.use('/api/files', fileRoutes);
+app.use('/api/sessions', sessionRoutes);
 
 // API Documentation route
 app.get('/api/docs', (req, res) => {
   res.status(200).json({
     title: 'EONTA API Documentation',
     description: 'API endpoints for the EONTA platform',
+    authentication: 'Send the access token as "x-auth-token: <token>" or "Authorization: Bearer <token>"',
     version: '1.0.0',
     endpoints: {
       users: {
@@ -88,18 +118,68 @@ app.get('/api/docs', (req, res) => {
             password: 'string'
           }
         },
+        refresh: {
+          method: 'POST',
+          path: '/api/users/refresh',
+          description: 'Exchange a refresh token for a new access token and refresh token',
+          body: {
+            refreshToken: 'string'
+          }
+        },
+        logout: {
+          method: 'POST',
+          path: '/api/users/logout',
+          description: 'Revoke a refresh token',
+          body: {
+            refreshToken: 'string'
+          }
+        },
+        logoutAll: {
+          method: 'POST',
+          path: '/api/users/logout-all',
+          description: 'Revoke all refresh tokens for the current user',
+          auth: 'Required'
+        },
         profile: {
           method: 'GET',
           path: '/api/users/profile',
           description: 'Get user profile information',
           auth: 'Required'
+        },
+        getNotificationPreferences: {
+          method: 'GET',
+          path: '/api/users/notification-preferences',
+          description: 'Get which collaboration emails the current user receives',
+          auth: 'Required'
+        },
+        updateNotificationPreferences: {
+          method: 'PUT',
+          path: '/api/users/notification-preferences',
+          description: 'Turn collaboration emails on or off (all are on by default)',
+          auth: 'Required',
+          body: {
+            collaborationInvites: 'boolean (optional, invitations to sessions)',
+            reviewRequests: 'boolean (optional, changes waiting for your review as a session admin)',
+            mentions: 'boolean (optional, @mentions in session chat)',
+            dailyDigest: 'boolean (optional, daily summary of changes made while you were away)'
+          }
         }
       },
       compositions: {
         getAllCompositions: {
           method: 'GET',
           path: '/api/compositions',
-          description: 'Get all compositions or filter by parameters'
+          description: 'Get public compositions (and your own when logged in) or filter by parameters',
+          query: {
+            search: 'string (title search)',
+            lat: 'number (with lng: return compositions near this point, nearest first)',
+            lng: 'number',
+            radius: 'number (meters, default 1000, max 50000)',
+            bbox: 'string "west,south,east,north" (compositions inside a map viewport)',
+            creator: 'string (user ID)',
+            page: 'number',
+            limit: 'number (max 100)'
+          }
         },
         createComposition: {
           method: 'POST',
@@ -124,6 +204,26 @@ app.get('/api/docs', (req, res) => {
           description: 'Delete a composition',
           auth: 'Required'
         },
+        generateFromPath: {
+          method: 'POST',
+          path: '/api/compositions/generate-from-path',
+          description: 'Save a recorded walk and queue it for rendering. Returns a recordingId, statusUrl and the IDs of the render and map jobs',
+          auth: 'Required',
+          body: {
+            compositionId: 'string',
+            path: 'array of {lat, lng, timestamp, timeSinceStart, accuracy, alt}',
+            audioEvents: 'array of {timestamp, timeSinceStart, activeRegions: [{regionId, volume, effects}]}',
+            duration: 'number (ms)',
+            startTime: 'number (ms since epoch)',
+            endTime: 'number (ms since epoch)'
+          }
+        },
+        getRecordingStatus: {
+          method: 'GET',
+          path: '/api/compositions/recordings/:recordingId',
+          description: 'Get the rendering status, progress and download URL of a path recording',
+          auth: 'Required'
+        },
         shareComposition: {
           method: 'POST',
           path: '/api/compositions/:id/share',
@@ -132,21 +232,260 @@ app.get('/api/docs', (req, res) => {
         }
       },
       audio: {
+        listAudio: {
+          method: 'GET',
+          path: '/api/audio',
+          description: 'List your audio library with your storage usage',
+          auth: 'Required',
+          query: {
+            search: 'string (optional, matches title or file name)',
+            tag: 'string (optional, comma-separated, all must match)',
+            status: 'string (optional, processing, ready or error)',
+            page: 'number (default 1)',
+            limit: 'number (max 100)'
+          }
+        },
+        getQuota: {
+          method: 'GET',
+          path: '/api/audio/quota',
+          description: 'Get your storage usage and quota in bytes. Uploads and edits that would exceed it are refused with 413',
+          auth: 'Required'
+        },
+        updateAudio: {
+          method: 'PATCH',
+          path: '/api/audio/:fileName',
+          description: 'Rename one of your files or replace its tags',
+          auth: 'Required',
+          body: {
+            title: 'string (optional)',
+            tags: 'array of strings (optional)'
+          }
+        },
+        deleteAudio: {
+          method: 'DELETE',
+          path: '/api/audio/:fileName',
+          description: 'Delete one of your files with its renditions. Refused with 409 while a composition uses it unless ?force=true',
+          auth: 'Required'
+        },
+        getAudioUsage: {
+          method: 'GET',
+          path: '/api/audio/:fileName/usage',
+          description: 'List the compositions and regions that use one of your files',
+          auth: 'Required'
+        },
         uploadAudio: {
           method: 'POST',
           path: '/api/audio/upload',
-          description: 'Upload an audio file (auto-converts to optimal format)',
+          description: 'Upload an audio file. It is probed and rejected with 400 unless it really is audio, then returns 202 with its AudioAsset metadata (duration, sample rate, channels, codec) and a job that transcodes it into every rendition',
           auth: 'Required',
           contentType: 'multipart/form-data',
           formData: {
             audio: 'file'
           }
         },
+        startResumableUpload: {
+          method: 'POST',
+          path: '/api/audio/uploads',
+          description: 'Start a resumable upload for large files or unreliable connections. Returns the upload with its chunkSize and totalChunks',
+          auth: 'Required',
+          body: {
+            fileName: 'string',
+            size: 'number (bytes)',
+            mimeType: 'string (optional)'
+          }
+        },
+        getResumableUpload: {
+          method: 'GET',
+          path: '/api/audio/uploads/:id',
+          description: 'Get the status of a resumable upload, with receivedChunks and missingChunks',
+          auth: 'Required'
+        },
+        uploadChunk: {
+          method: 'PUT',
+          path: '/api/audio/uploads/:id/chunks/:index',
+          description: 'Upload chunk :index (from 0) of a resumable upload as raw bytes. Every chunk but the last must be exactly chunkSize bytes',
+          auth: 'Required',
+          contentType: 'application/octet-stream'
+        },
+        completeResumableUpload: {
+          method: 'POST',
+          path: '/api/audio/uploads/:id/complete',
+          description: 'Assemble a resumable upload once all chunks are in. Responds like uploadAudio, or with 400 and missingChunks',
+          auth: 'Required'
+        },
+        abortResumableUpload: {
+          method: 'DELETE',
+          path: '/api/audio/uploads/:id',
+          description: 'Abandon a resumable upload and delete its chunks',
+          auth: 'Required'
+        },
         getAudioUrl: {
           method: 'GET',
           path: '/api/audio/:fileName',
-          description: 'Get a signed URL to access an audio file',
+          description: 'Get a signed URL to access an audio file you own or that is used by a composition you can view, with its duration, loudness (LUFS) and the gain (dB) to apply on playback. Without ?rendition the Accept header picks among mp3, aac and opus',
+          auth: 'Required',
+          query: {
+            rendition: 'string (mp3, aac, opus, low or archive)'
+          }
+        },
+        editAudio: {
+          method: 'POST',
+          path: '/api/audio/:fileName/edits',
+          description: 'Create a new asset from one of your files with edits applied. Returns 202 with the derived asset (linked to the original by derivedFrom) and the job making it',
+          auth: 'Required',
+          body: {
+            trimStart: 'number (seconds, optional)',
+            trimEnd: 'number (seconds, optional)',
+            fadeIn: 'number (seconds, optional)',
+            fadeOut: 'number (seconds, optional)',
+            loopCrossfade: 'number (seconds, optional, makes the result loop seamlessly)',
+            gain: 'number (dB, optional)',
+            reverse: 'boolean (optional)',
+            name: 'string (optional)'
+          }
+        },
+        getAudioPeaks: {
+          method: 'GET',
+          path: '/api/audio/:fileName/peaks',
+          description: 'Get multi-resolution waveform peaks (8-bit min/max pairs) and a coarse spectrogram of an audio file. Returns 202 while the upload is still being processed',
+          auth: 'Required',
+          query: {
+            samplesPerPixel: 'number (optional, return only the coarsest level at least this detailed)',
+            spectrogram: 'boolean (optional, default true)'
+          }
+        }
+      },
+      files: {
+        getFile: {
+          method: 'GET',
+          path: '/api/files/:key',
+          description: 'Download a file from local storage. Only reachable through the signed, expiring links returned by other endpoints',
+          query: {
+            expires: 'number (seconds since epoch)',
+            signature: 'string'
+          }
+        }
+      },
+      jobs: {
+        getJob: {
+          method: 'GET',
+          path: '/api/jobs/:id',
+          description: 'Get the status, progress, result or error of a background job. Also pushed to connected sockets as job:progress, job:completed and job:failed',
+          auth: 'Required'
+        }
+      },
+      sessions: {
+        createSession: {
+          method: 'POST',
+          path: '/api/sessions',
+          description: 'Start a collaboration session for one of your compositions. Members then join it over Socket.IO on the same host',
+          auth: 'Required (composition creator)',
+          body: {
+            compositionId: 'string',
+            name: 'string (optional, defaults to the composition title)',
+            description: 'string (optional)',
+            expiresAt: 'date (optional, the session closes by itself after it)',
+            settings: '{ allowAnonymous, autoApproveEdits, limitEditRegions, requireReview, trackChanges } (optional, booleans)'
+          }
+        },
+        listSessions: {
+          method: 'GET',
+          path: '/api/sessions',
+          description: 'List the open sessions you own or collaborate in, most recently updated first',
           auth: 'Required'
+        },
+        getSession: {
+          method: 'GET',
+          path: '/api/sessions/:id',
+          description: 'Get a session with its members, who is active, whether it is still open and your permission',
+          auth: 'Required (session member)'
+        },
+        closeSession: {
+          method: 'POST',
+          path: '/api/sessions/:id/close',
+          description: 'Close a session. Connected members are told through session:closed',
+          auth: 'Required (session admin)'
+        },
+        inviteCollaborator: {
+          method: 'POST',
+          path: '/api/sessions/:id/collaborators',
+          description: 'Add a registered user to a session by email. Pushed to the session as collaborator:added',
+          auth: 'Required (session admin)',
+          body: {
+            email: 'string',
+            permission: 'string (optional, viewer, editor or admin; default viewer)'
+          }
+        },
+        setPermission: {
+          method: 'PUT',
+          path: '/api/sessions/:id/collaborators/:userId',
+          description: 'Change a collaborator\'s permission level. Pushed to the session as collaborator:updated',
+          auth: 'Required (session admin)',
+          body: {
+            permission: 'string (viewer, editor or admin)'
+          }
+        },
+        removeCollaborator: {
+          method: 'DELETE',
+          path: '/api/sessions/:id/collaborators/:userId',
+          description: 'Remove a collaborator, or leave a session yourself. Their locks are released and they are told through collaborator:removed',
+          auth: 'Required (session admin, or the collaborator)'
+        },
+        getReviewQueue: {
+          method: 'GET',
+          path: '/api/sessions/:id/reviews',
+          description: 'Get the changes waiting for review in a session with requireReview on, oldest first',
+          auth: 'Required (session member)'
+        },
+        approveChange: {
+          method: 'POST',
+          path: '/api/sessions/:id/changes/:changeId/approve',
+          description: 'Approve a change held for review. It is then applied like any other change and can still conflict; the session is told through change:reviewed and change:applied or change:conflict',
+          auth: 'Required (session admin)',
+          body: {
+            note: 'string (optional, at most 1000 characters)'
+          }
+        },
+        rejectChange: {
+          method: 'POST',
+          path: '/api/sessions/:id/changes/:changeId/reject',
+          description: 'Reject a change held for review. The session is told through change:reviewed and change:rejected',
+          auth: 'Required (session admin)',
+          body: {
+            note: 'string (optional, at most 1000 characters)'
+          }
+        },
+        setEditScope: {
+          method: 'PUT',
+          path: '/api/sessions/:id/collaborators/:userId/edit-scope',
+          description: 'Set what a collaborator may change while the session limits edit regions: boundaries inside the zone, plus the listed boundaries. Pushed to the session as scope:updated',
+          auth: 'Required (session admin)',
+          body: {
+            zone: 'array of {lat, lng} (3 to 1000 points, or empty for none)',
+            boundaryIds: 'array of boundary IDs (optional)'
+          }
+        },
+        getHistory: {
+          method: 'GET',
+          path: '/api/sessions/:id/history',
+          description: 'Get the changes applied in a session, newest first',
+          auth: 'Required (session member)',
+          query: {
+            before: 'change ID (optional, for the next page)',
+            limit: 'number (optional, default 50, at most 200)'
+          }
+        },
+        getCompositionAt: {
+          method: 'GET',
+          path: '/api/sessions/:id/history/:changeId/composition',
+          description: 'Get the composition as it was right after an applied change, rebuilt from the session history',
+          auth: 'Required (session member)'
+        },
+        restoreComposition: {
+          method: 'POST',
+          path: '/api/sessions/:id/history/:changeId/restore',
+          description: 'Restore the composition as it was right after an applied change. Recorded as a new restoreComposition change that can be undone, and pushed to the session as change:applied',
+          auth: 'Required (session admin)'
         }
       }
     }
@@ -180,8 +519,14 @@ app.use((err, req, res, next) => {
   });
 });
 
-// Start server
-app.listen(PORT, () => {
+// Start server, with real-time collaboration over Socket.IO on the same port
+const server = http.createServer(app);
+new WebSocketService(server);
+
+// Email collaborators about invitations, reviews, mentions and changes they missed
+collaborationNotifier.start();
+
+server.listen(PORT, () => {
   console.log(`Server running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
 });
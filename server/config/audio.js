@@ -10,10 +10,88 @@ module.exports = {
     bitrate: 192,                 // 192kbps - good quality for most music
     channels: 2,                  // Stereo
     sampleRate: 44100,            // 44.1 kHz
+    format: 'mp3',
     extension: '.mp3',
     mimeType: 'audio/mpeg'
   },
 
+  /**
+   * Renditions every upload is transcoded into
+   * A null bitrate, channel count or sample rate keeps the source's value.
+   */
+  renditions: {
+    // Widest browser support - same settings as targetFormat
+    mp3: {
+      codec: 'libmp3lame',
+      format: 'mp3',
+      bitrate: 192,
+      channels: 2,
+      sampleRate: 44100,
+      extension: '.mp3',
+      mimeType: 'audio/mpeg'
+    },
+    // High quality for installations and capable browsers
+    aac: {
+      codec: 'aac',
+      format: 'ipod',
+      bitrate: 256,
+      channels: 2,
+      sampleRate: 48000,
+      extension: '.m4a',
+      mimeType: 'audio/mp4',
+      outputOptions: ['-movflags', '+faststart']
+    },
+    opus: {
+      codec: 'libopus',
+      format: 'ogg',
+      bitrate: 160,
+      channels: 2,
+      sampleRate: 48000,
+      extension: '.opus',
+      mimeType: 'audio/ogg'
+    },
+    // Small mono file for MobileOptimizer's power-saving mode
+    low: {
+      codec: 'libmp3lame',
+      format: 'mp3',
+      bitrate: 64,
+      channels: 1,
+      sampleRate: 44100,
+      extension: '.mp3',
+      mimeType: 'audio/mpeg'
+    },
+    // Lossless copy of the source, never served unless asked for by name
+    archive: {
+      codec: 'flac',
+      format: 'flac',
+      bitrate: null,
+      channels: null,
+      sampleRate: null,
+      extension: '.flac',
+      mimeType: 'audio/flac',
+      lossless: true
+    }
+  },
+
+  /**
+   * Order in which renditions are offered when the Accept header matches several equally
+   * The first one is also served when nothing is negotiated
+   */
+  renditionPreference: ['mp3', 'aac', 'opus', 'low'],
+
+  /**
+   * Source types that are already lossless - anything else is archived as uploaded
+   */
+  losslessMimeTypes: [
+    'audio/wav',
+    'audio/x-wav',
+    'audio/wave',
+    'audio/flac',
+    'audio/x-flac',
+    'audio/aiff',
+    'audio/x-aiff'
+  ],
+
   /**
    * List of mime types that need conversion
    * MP3 files don't need conversion, everything else does
@@ -45,12 +123,111 @@ module.exports = {
     '.aiff': 'audio/aiff'
   },
 
+  /**
+   * EBU R128 loudness settings
+   * Every upload is measured; the gain needed to reach the target is stored so the
+   * client can apply it. With normalize enabled, renditions are also re-levelled.
+   */
+  loudness: {
+    targetLufs: parseFloat(process.env.AUDIO_TARGET_LUFS) || -16,  // Integrated loudness (LUFS)
+    truePeakLimit: -1,            // Never raise a file above this true peak (dBTP)
+    maxGain: 20,                  // Largest boost or cut applied (dB)
+    normalize: process.env.AUDIO_NORMALIZE === 'true'
+  },
+
+  /**
+   * Waveform and spectrogram data computed for every upload
+   * The finest waveform level has samplesPerPixel samples per min/max pair; each
+   * further level halves the resolution until it is narrower than minPixels.
+   */
+  peaks: {
+    sampleRate: 22050,            // Audio is decoded to mono at this rate (Hz)
+    samplesPerPixel: 256,
+    minPixels: 512,
+    spectrogram: {
+      fftSize: 1024,
+      maxColumns: 1024,           // Frames are spread out over long files to stay under this
+      bands: 64,                  // Log-spaced frequency bands per column
+      minFrequency: 40,           // Hz
+      minDb: -100,                // Quantized to 0-255 between minDb and maxDb
+      maxDb: 0
+    }
+  },
+
+  /**
+   * Upload validation with ffprobe
+   */
+  probe: {
+    // Containers accepted for upload (ffprobe format_name) and the type they are stored as
+    allowedFormats: {
+      'mp3': 'audio/mpeg',
+      'wav': 'audio/wav',
+      'flac': 'audio/flac',
+      'ogg': 'audio/ogg',
+      'mov,mp4,m4a,3gp,3g2,mj2': 'audio/mp4',
+      'aiff': 'audio/aiff',
+      'aac': 'audio/aac',
+      'matroska,webm': 'audio/webm'
+    },
+    maxDurationSeconds: 60 * 60   // 1 hour
+  },
+
   /**
    * Maximum file size in MB
    * This is overridden by the MAX_AUDIO_FILE_SIZE_MB environment variable if set
    */
   maxFileSizeMB: 30,
 
+  /**
+   * Storage each user may fill with uploads, edits and their renditions
+   * Overridden per user by User.storageQuotaMB
+   */
+  quota: {
+    defaultMB: parseInt(process.env.STORAGE_QUOTA_MB, 10) || 2048
+  },
+
+  /**
+   * Limits for edits (trim, fades, loop crossfade, gain, reverse) that derive a new asset
+   */
+  edits: {
+    minDuration: 0.1,             // Shortest result (seconds)
+    maxGain: 24,                  // Largest boost or cut (dB)
+    maxReverseSeconds: 10 * 60    // Reversing holds the whole selection in memory
+  },
+
+  /**
+   * Resumable uploads, sent in numbered chunks that can be retried one at a time
+   * The total size is overridden by the MAX_RESUMABLE_UPLOAD_MB environment variable if set
+   */
+  resumableUploads: {
+    chunkSizeMB: 5,
+    maxFileSizeMB: parseInt(process.env.MAX_RESUMABLE_UPLOAD_MB, 10) || 1024,
+    expirationHours: 24           // Unfinished uploads are abandoned after this long
+  },
+
+  /**
+   * Settings for offline mixdowns of recorded walks
+   */
+  mixdown: {
+    sampleRate: 44100,
+    channels: 2,
+    limiterLevel: 0.95,           // Peak limit after mixing (0-1)
+
+    // Default frequencies for filter effects when the recording doesn't specify one
+    lowpassFrequency: 1000,       // Hz
+    highpassFrequency: 1000,      // Hz
+
+    // aecho parameters (delays in ms) approximating the client's reverb and delay effects
+    reverb: {
+      delays: [40, 70, 110, 160],
+      decays: [0.4, 0.3, 0.25, 0.2]
+    },
+    delay: {
+      delays: [375],
+      decays: [0.4]
+    }
+  },
+
   /**
    * Default caching settings for audio files
    */
@@ -0,0 +1,21 @@
+/**
+ * Authentication configuration settings for EONTA
+ */
+module.exports = {
+  /**
+   * Lifetime of access tokens (any value accepted by jsonwebtoken's expiresIn)
+   * Kept short because access tokens cannot be revoked individually
+   */
+  accessTokenExpiration: process.env.JWT_EXPIRATION || '15m',
+
+  /**
+   * Lifetime of refresh tokens in days
+   */
+  refreshTokenExpirationDays: parseInt(process.env.JWT_REFRESH_EXPIRATION_DAYS, 10) || 30,
+
+  /**
+   * Recommended minimum length of the JWT_SECRET environment variable
+   * There is deliberately no default secret - the server refuses to start without one
+   */
+  minSecretLength: 32
+};
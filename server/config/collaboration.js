@@ -0,0 +1,65 @@
+/**
+ * Collaboration configuration settings for EONTA
+ */
+module.exports = {
+  /**
+   * Boundary locks held while a collaborator edits a boundary
+   */
+  locks: {
+    // A lock expires unless its holder renews it within this time (ms)
+    ttl: parseInt(process.env.BOUNDARY_LOCK_TTL_MS, 10) || 30 * 1000,
+
+    // How often clients renew the locks they hold (ms) - well inside the TTL
+    heartbeatInterval: 10 * 1000,
+
+    // How often expired locks are released and announced (ms)
+    sweepInterval: 5 * 1000
+  },
+
+  /**
+   * Collaboration sessions
+   */
+  sessions: {
+    // How often sessions past their expiresAt are closed and announced (ms)
+    expirySweepInterval: 60 * 1000,
+
+    // Colours given to collaborators for their cursors and edits, in order
+    colors: [
+      '#4A90E2', '#D0021B', '#7ED321', '#9013FE', '#F5A623',
+      '#50E3C2', '#BD10E0', '#00FF00', '#FF9500', '#8B572A'
+    ]
+  },
+
+  /**
+   * Rooms and presence across server processes (see PresenceService)
+   */
+  cluster: {
+    // 'memory' for a single server process; 'mongo' relays Socket.IO events and shares
+    // presence between processes through MongoDB (change streams need a replica set)
+    adapter: process.env.COLLABORATION_ADAPTER || 'memory',
+
+    // Collection Socket.IO events are relayed through, and how long they are kept (s)
+    eventsCollection: 'socket.io-adapter-events',
+    eventsRetention: 60 * 60,
+
+    // How often each process renews the presence of its connections (ms)
+    heartbeatInterval: 15 * 1000,
+
+    // Connections of a process that stopped renewing them (e.g. it crashed) are
+    // dropped after this long (ms)
+    presenceTtl: 60 * 1000
+  },
+
+  /**
+   * Collaboration emails (see EnhancedEmailService)
+   */
+  notifications: {
+    // Where the client is served; links in emails open sessions here
+    appUrl: (process.env.APP_URL || 'http://localhost:3000').replace(/\/+$/, ''),
+
+    // How often collaborators get a digest of the changes made while they were away; 0 turns digests off
+    digestIntervalHours: process.env.COLLABORATION_DIGEST_HOURS !== undefined
+      ? Math.max(0, Number(process.env.COLLABORATION_DIGEST_HOURS) || 0)
+      : 24
+  }
+};
@@ -0,0 +1,58 @@
+/**
+ * Background job queue settings for EONTA
+ */
+module.exports = {
+  /**
+   * How often idle workers check MongoDB for queued jobs (ms)
+   * Jobs enqueued by this process start immediately without waiting for the poll
+   */
+  pollInterval: parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 2000,
+
+  /**
+   * Maximum number of jobs running at once in this process, across all types
+   */
+  maxConcurrency: parseInt(process.env.JOB_MAX_CONCURRENCY, 10) || 2,
+
+  /**
+   * Per-type concurrency limits - ffmpeg jobs are CPU heavy, map images are not
+   */
+  concurrency: {
+    'audio-conversion': 1,
+    'audio-edit': 1,
+    'path-render': 1,
+    'path-map': 2,
+    'storage-cleanup': 1,
+    'collaboration-digest': 1
+  },
+
+  /**
+   * Attempts per job before it is marked as failed
+   */
+  maxAttempts: 3,
+
+  /**
+   * Delay before the first retry (ms), doubled for each further attempt
+   */
+  retryDelay: 5000,
+
+  /**
+   * A running job whose worker hasn't reported in this long is assumed lost
+   * (e.g. the server restarted) and is queued again (ms)
+   */
+  staleAfter: 10 * 60 * 1000,
+
+  /**
+   * How often recurring jobs are checked for being due (ms)
+   */
+  scheduleCheckInterval: 60 * 1000,
+
+  /**
+   * Minimum change in progress (percentage points) before it is saved and broadcast
+   */
+  progressStep: 5,
+
+  /**
+   * How long finished jobs are kept for status queries
+   */
+  retentionDays: 7
+};
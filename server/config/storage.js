@@ -0,0 +1,75 @@
+const path = require('path');
+
+const hasAwsCredentials = Boolean(
+  process.env.AWS_ACCESS_KEY_ID &&
+  process.env.AWS_SECRET_ACCESS_KEY &&
+  process.env.AWS_REGION
+);
+
+// Parse a non-negative number from the environment, where 0 is a meaningful value
+const parseNonNegative = (value, fallback) => {
+  const number = parseFloat(value);
+  return Number.isFinite(number) && number >= 0 ? number : fallback;
+};
+
+/**
+ * File storage configuration settings for EONTA
+ */
+module.exports = {
+  /**
+   * Storage driver: 's3' or 'local'
+   * Defaults to S3 when AWS credentials are configured, otherwise local disk
+   */
+  driver: process.env.STORAGE_DRIVER || (hasAwsCredentials ? 's3' : 'local'),
+
+  /**
+   * S3 driver settings
+   */
+  s3: {
+    bucket: process.env.S3_BUCKET_NAME,
+    region: process.env.AWS_REGION
+  },
+
+  /**
+   * Local disk driver settings
+   */
+  local: {
+    // Directory files are stored in
+    root: process.env.STORAGE_LOCAL_ROOT || path.join(__dirname, '../../storage'),
+
+    // Absolute base URL of this server, used to build signed links
+    publicUrl: process.env.STORAGE_PUBLIC_URL || process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3001}`,
+
+    // Route that serves stored files
+    routePath: '/api/files'
+  },
+
+  /**
+   * Default lifetime of signed URLs in seconds
+   */
+  signedUrlExpiration: 3600,
+
+  /**
+   * Longest allowed signed URL lifetime in seconds (an S3 limit of 7 days)
+   */
+  maxSignedUrlExpiration: 7 * 24 * 60 * 60,
+
+  /**
+   * Garbage collection of expired recordings and unused files (see GarbageCollector)
+   */
+  garbageCollection: {
+    // How often the cleanup job runs; 0 turns the schedule off
+    intervalHours: parseNonNegative(process.env.GC_INTERVAL_HOURS, 24),
+
+    // Report what would be deleted without deleting anything
+    dryRun: process.env.GC_DRY_RUN === 'true',
+
+    // Audio that no composition has used for this many days is deleted; 0 keeps it forever.
+    // Library uploads that were never placed in a composition are always kept.
+    unusedAudioDays: parseNonNegative(process.env.GC_UNUSED_AUDIO_DAYS, 90),
+
+    // Files no database record knows about are only deleted once they are this old,
+    // so files stored just before their record is saved are safe
+    orphanGraceHours: parseNonNegative(process.env.GC_ORPHAN_GRACE_HOURS, 24)
+  }
+};
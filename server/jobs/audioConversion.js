@@ -0,0 +1,169 @@
+const path = require('path');
+const tmp = require('tmp');
+const AudioConverter = require('../services/AudioConverter');
+const storage = require('../services/StorageService');
+const AudioAsset = require('../models/AudioAsset');
+const audioConfig = require('../config/audio');
+const { getRenditionKey } = require('../utils/renditions');
+const { getPeaksKey } = require('../utils/peaks');
+
+/**
+ * Decide whether a rendition can reuse the uploaded file instead of re-encoding it
+ * MP3 uploads already are the mp3 rendition (unless it has to be re-levelled). Lossy
+ * uploads are archived as-is since encoding them losslessly would only make them bigger,
+ * and so are files already in the archive format (such as edits).
+ * @param {string} name - Rendition name
+ * @param {Object} rendition - Rendition settings
+ * @param {string} mimetype - Type of the uploaded file
+ * @param {boolean} normalize - Whether streaming renditions are being normalized
+ * @returns {boolean} Whether to use the upload itself
+ */
+function canReuseSource(name, rendition, mimetype, normalize) {
+  if (rendition.lossless) {
+    return !AudioConverter.isLossless(mimetype) || mimetype === rendition.mimeType;
+  }
+
+  return name === 'mp3' && !normalize && !AudioConverter.isConversionNeeded(mimetype);
+}
+
+/**
+ * Audio conversion job
+ * Measures an uploaded file's loudness, computes its waveform peaks, transcodes it into
+ * every configured rendition and records the results on its AudioAsset, which
+ * GET /api/audio/:fileName negotiates from.
+ * Payload: { assetId }
+ * @param {Object} job - Job document
+ * @param {Object} context - Job context with reportProgress
+ * @returns {Promise<Object>} { assetId, file, renditions, errors }
+ */
+async function convertAudio(job, { reportProgress }) {
+  const asset = await AudioAsset.findById(job.payload.assetId);
+  if (!asset) {
+    return { assetId: job.payload.assetId, skipped: true };
+  }
+
+  const { key: sourceKey, originalName, mimeType, size } = asset;
+  const sourceTmpFile = tmp.fileSync({ postfix: path.extname(sourceKey) });
+
+  try {
+    await storage.downloadToFile(sourceKey, sourceTmpFile.name);
+
+    // A file that can't be decoded all the way through won't transcode either
+    try {
+      Object.assign(asset, await AudioConverter.analyzeLoudness(sourceTmpFile.name));
+    } catch (error) {
+      error.retryable = false;
+      throw error;
+    }
+    asset.gain = AudioConverter.calculateGain(asset);
+    await reportProgress(10);
+
+    const errors = {};
+    let peaksSize = 0;
+
+    // The waveform is a nicety, so the renditions are still made without it
+    try {
+      const peaks = JSON.stringify(await AudioConverter.generatePeaks(sourceTmpFile.name, { duration: asset.duration }));
+      const peaksKey = getPeaksKey(sourceKey);
+      await storage.put(peaksKey, peaks, {
+        contentType: 'application/json',
+        cacheControl: `max-age=${audioConfig.caching.maxAge}`
+      });
+      asset.peaksKey = peaksKey;
+      peaksSize = Buffer.byteLength(peaks);
+    } catch (error) {
+      console.error(`Error generating peaks of ${sourceKey}:`, error);
+      errors.peaks = error.message;
+    }
+    await reportProgress(20);
+
+    // Archives always keep the original levels
+    const normalize = audioConfig.loudness.normalize && asset.gain !== 0;
+
+    const names = Object.keys(audioConfig.renditions);
+    const renditions = {};
+
+    for (const [index, name] of names.entries()) {
+      const rendition = audioConfig.renditions[name];
+      const reportRenditionProgress = percent => {
+        reportProgress(20 + ((index + percent / 100) / names.length) * 75);
+      };
+
+      if (canReuseSource(name, rendition, mimeType, normalize)) {
+        renditions[name] = { key: sourceKey, mimeType, size, source: true };
+        continue;
+      }
+
+      const normalized = normalize && !rendition.lossless;
+      let transcoded = null;
+      try {
+        transcoded = await AudioConverter.transcode(sourceTmpFile.name, originalName, rendition, reportRenditionProgress, {
+          gain: normalized ? asset.gain : 0
+        });
+
+        const key = getRenditionKey(sourceKey, name);
+        const stored = await storage.putFile(key, transcoded.filePath, {
+          contentType: transcoded.mimetype,
+          cacheControl: `max-age=${audioConfig.caching.maxAge}`
+        });
+
+        renditions[name] = {
+          key,
+          mimeType: rendition.mimeType,
+          codec: rendition.codec,
+          bitrate: rendition.bitrate,
+          channels: rendition.channels,
+          sampleRate: rendition.sampleRate,
+          size: stored.size,
+          normalized
+        };
+      } catch (error) {
+        // One codec failing (e.g. missing from this ffmpeg build) shouldn't lose the others
+        console.error(`Error creating ${name} rendition of ${sourceKey}:`, error);
+        errors[name] = error.message;
+      } finally {
+        if (transcoded) transcoded.cleanup();
+      }
+    }
+
+    if (Object.values(renditions).every(rendition => rendition.source)) {
+      const error = new Error(`Could not transcode ${originalName}: ${names.map(name => errors[name]).filter(Boolean).join('; ')}`);
+
+      // Retrying won't help with a file ffmpeg can't read
+      error.retryable = false;
+      throw error;
+    }
+
+    asset.renditions = renditions;
+    asset.storageSize = (size || 0) + peaksSize + Object.values(renditions)
+      .filter(rendition => !rendition.source)
+      .reduce((total, rendition) => total + (rendition.size || 0), 0);
+    asset.status = 'ready';
+    asset.error = undefined;
+    await asset.save();
+
+    return {
+      assetId: asset.id,
+      file: { name: sourceKey, originalName, size, type: mimeType },
+      renditions,
+      errors: Object.keys(errors).length > 0 ? errors : undefined
+    };
+  } finally {
+    sourceTmpFile.removeCallback();
+  }
+}
+
+/**
+ * Mark the asset as failed once every attempt to transcode it has failed
+ * The uploaded file is still served as-is.
+ * @param {Object} job - Job document
+ * @param {Error} error - The last error
+ */
+async function onConversionFailed(job, error) {
+  await AudioAsset.updateOne(
+    { _id: job.payload.assetId },
+    { $set: { status: 'error', error: error.message } }
+  );
+}
+
+module.exports = { convertAudio, onConversionFailed };
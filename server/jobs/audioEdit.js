@@ -0,0 +1,68 @@
+const path = require('path');
+const tmp = require('tmp');
+const AudioConverter = require('../services/AudioConverter');
+const storage = require('../services/StorageService');
+const AudioAsset = require('../models/AudioAsset');
+const audioConfig = require('../config/audio');
+const { extractAudioMetadata } = require('../utils/audioProbe');
+const { convertAudio } = require('./audioConversion');
+
+/**
+ * Audio edit job
+ * Applies the edits recorded on a derived AudioAsset to the file it was derived
+ * from, stores the result under the asset's key and then converts it like an upload.
+ * Payload: { assetId }
+ * @param {Object} job - Job document
+ * @param {Object} context - Job context with reportProgress
+ * @returns {Promise<Object>} { assetId, file, renditions, errors }
+ */
+async function editAudio(job, { reportProgress }) {
+  const asset = await AudioAsset.findById(job.payload.assetId);
+  if (!asset) {
+    return { assetId: job.payload.assetId, skipped: true };
+  }
+
+  const source = await AudioAsset.findById(asset.derivedFrom);
+  if (!source) {
+    const error = new Error('The asset this edit was made from no longer exists');
+    error.retryable = false;
+    throw error;
+  }
+
+  const sourceTmpFile = tmp.fileSync({ postfix: path.extname(source.key) });
+  let edited = null;
+
+  try {
+    await storage.downloadToFile(source.key, sourceTmpFile.name);
+
+    try {
+      edited = await AudioConverter.applyEdits(sourceTmpFile.name, asset.edits, percent => {
+        reportProgress(percent * 0.4);
+      });
+    } catch (error) {
+      // The edits were validated against the source, so ffmpeg failing won't change on retry
+      error.retryable = false;
+      throw error;
+    }
+
+    const metadata = extractAudioMetadata(await AudioConverter.probe(edited.filePath));
+    const stored = await storage.putFile(asset.key, edited.filePath, {
+      contentType: metadata.mimeType,
+      cacheControl: `max-age=${audioConfig.caching.maxAge}`
+    });
+
+    Object.assign(asset, metadata, { size: stored.size, storageSize: stored.size });
+    await asset.save();
+    await reportProgress(40);
+  } finally {
+    if (edited) edited.cleanup();
+    sourceTmpFile.removeCallback();
+  }
+
+  // The edited file is now an upload like any other
+  return convertAudio(job, {
+    reportProgress: percent => reportProgress(40 + percent * 0.6)
+  });
+}
+
+module.exports = { editAudio };
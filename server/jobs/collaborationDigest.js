@@ -0,0 +1,17 @@
+const collaborationNotifier = require('../services/CollaborationNotifier');
+
+/**
+ * Collaboration digest job
+ * Emails collaborators the changes made in their sessions over the period before the job
+ * was queued, if they weren't there to see them.
+ * Payload: { hours } (length of the period)
+ * @param {Object} job - Job document
+ * @returns {Promise<Object>} { sent } - number of digests emailed
+ */
+async function sendCollaborationDigests(job) {
+  const since = new Date(new Date(job.createdAt).getTime() - job.payload.hours * 60 * 60 * 1000);
+  const sent = await collaborationNotifier.sendDailyDigests({ since });
+  return { sent };
+}
+
+module.exports = sendCollaborationDigests;
@@ -0,0 +1,37 @@
+const jobQueue = require('../services/JobQueue');
+const { convertAudio, onConversionFailed } = require('./audioConversion');
+const { editAudio } = require('./audioEdit');
+const { renderPath, onRenderFailed } = require('./pathRender');
+const generatePathMap = require('./pathMap');
+const cleanUpStorage = require('./storageCleanup');
+const sendCollaborationDigests = require('./collaborationDigest');
+const storageConfig = require('../config/storage');
+const collaborationConfig = require('../config/collaboration');
+
+/**
+ * Register the handlers for every background job type and schedule the recurring ones
+ * @param {Object} queue - Job queue (defaults to the shared queue)
+ * @returns {Object} The queue
+ */
+function registerJobs(queue = jobQueue) {
+  queue.register('audio-conversion', convertAudio, { onFailed: onConversionFailed });
+  queue.register('audio-edit', editAudio, { onFailed: onConversionFailed });
+  queue.register('path-render', renderPath, { onFailed: onRenderFailed });
+  queue.register('path-map', generatePathMap);
+  queue.register('storage-cleanup', cleanUpStorage);
+  queue.register('collaboration-digest', sendCollaborationDigests);
+
+  const { intervalHours } = storageConfig.garbageCollection;
+  if (intervalHours > 0) {
+    queue.schedule('storage-cleanup', {}, intervalHours * 60 * 60 * 1000);
+  }
+
+  const { digestIntervalHours } = collaborationConfig.notifications;
+  if (digestIntervalHours > 0) {
+    queue.schedule('collaboration-digest', { hours: digestIntervalHours }, digestIntervalHours * 60 * 60 * 1000);
+  }
+
+  return queue;
+}
+
+module.exports = registerJobs;
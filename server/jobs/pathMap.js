@@ -0,0 +1,31 @@
+const PathRecording = require('../models/PathRecording');
+const Composition = require('../models/Composition');
+const pathMapGenerator = require('../services/PathMapGenerator');
+
+/**
+ * Path map job
+ * Generates the map image of a recorded walk. Payload: { recordingId }
+ * @param {Object} job - Job document
+ * @returns {Promise<Object>} { recordingId, mapImageUrl }
+ */
+async function generatePathMap(job) {
+  const { recordingId } = job.payload;
+
+  const recording = await PathRecording.findOne({ recordingId }).select('recordingId path composition');
+  if (!recording) {
+    return { recordingId, skipped: true };
+  }
+
+  const composition = await Composition.findById(recording.composition).select('location');
+
+  const mapImageUrl = await pathMapGenerator.generatePathMapImage(recording, composition);
+  if (!mapImageUrl) {
+    throw new Error('Map image could not be generated');
+  }
+
+  await PathRecording.updateOne({ _id: recording._id }, { $set: { mapImageUrl } });
+
+  return { recordingId, mapImageUrl };
+}
+
+module.exports = generatePathMap;
@@ -0,0 +1,87 @@
+const PathRecording = require('../models/PathRecording');
+const Composition = require('../models/Composition');
+const pathRenderer = require('../services/PathRenderer');
+
+/**
+ * Save a recording's rendering progress so clients polling its status see it
+ * @param {Object} recording - PathRecording document
+ * @param {number} progress - Percentage (0-100)
+ */
+async function updateRecordingProgress(recording, progress) {
+  recording.progress = Math.max(0, Math.min(100, Math.round(progress)));
+
+  // Update directly rather than save() so progress writes can't collide with other saves,
+  // and only while rendering so a late one can't undo the final save
+  await PathRecording.updateOne(
+    { _id: recording._id, status: 'processing' },
+    { $set: { progress: recording.progress } }
+  );
+}
+
+/**
+ * Path render job
+ * Mixes down what the walker heard on a recorded walk. Payload: { recordingId }
+ * @param {Object} job - Job document
+ * @param {Object} context - Job context with reportProgress
+ * @returns {Promise<Object>} { recordingId, downloadUrl }
+ */
+async function renderPath(job, { reportProgress }) {
+  const { recordingId } = job.payload;
+
+  const recording = await PathRecording.findOne({ recordingId });
+  if (!recording) {
+    console.warn(`Path recording ${recordingId} no longer exists, skipping render`);
+    return { recordingId, skipped: true };
+  }
+
+  const composition = await Composition.findById(recording.composition);
+  if (!composition) {
+    throw new Error('Composition not found');
+  }
+
+  await updateRecordingProgress(recording, 5);
+
+  let lastSavedProgress = 5;
+  let progressWrites = Promise.resolve();
+  const { downloadUrl } = await pathRenderer.render(recording, composition, percent => {
+    reportProgress(percent);
+
+    // Mirror onto the recording, throttled to every 5%, one write at a time
+    const progress = 5 + percent * 0.9;
+    if (progress - lastSavedProgress >= 5) {
+      lastSavedProgress = progress;
+      progressWrites = progressWrites
+        .then(() => updateRecordingProgress(recording, progress))
+        .catch(err => {
+          console.error('Error saving render progress:', err);
+        });
+    }
+  });
+
+  // Let the last progress write land before the recording is completed
+  await progressWrites;
+
+  recording.downloadUrl = downloadUrl;
+  recording.status = 'completed';
+  recording.progress = 100;
+  recording.error = undefined;
+  await recording.save();
+
+  console.log(`Path recording ${recordingId} rendered successfully`);
+
+  return { recordingId, downloadUrl };
+}
+
+/**
+ * Mark the recording as failed once every attempt to render it has failed
+ * @param {Object} job - Job document
+ * @param {Error} error - The last error
+ */
+async function onRenderFailed(job, error) {
+  await PathRecording.updateOne(
+    { recordingId: job.payload.recordingId },
+    { $set: { status: 'error', error: error.message } }
+  );
+}
+
+module.exports = { renderPath, onRenderFailed };
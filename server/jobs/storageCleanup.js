@@ -0,0 +1,14 @@
+const garbageCollector = require('../services/GarbageCollector');
+
+/**
+ * Storage cleanup job
+ * Runs the garbage collector; the report of space reclaimed is kept as the job result.
+ * Payload: { dryRun } (optional, defaults to storageConfig.garbageCollection.dryRun)
+ * @param {Object} job - Job document
+ * @returns {Promise<Object>} Garbage collection report
+ */
+async function cleanUpStorage(job) {
+  return garbageCollector.run({ dryRun: job.payload.dryRun });
+}
+
+module.exports = cleanUpStorage;
@@ -0,0 +1,44 @@
+const tokenService = require('../services/TokenService');
+
+/**
+ * Middleware for protected routes
+ * Accepts the token from either the x-auth-token or the Authorization: Bearer header
+ */
+const auth = (req, res, next) => {
+  // Get token from header
+  const token = tokenService.getTokenFromRequest(req);
+
+  // Check if no token
+  if (!token) {
+    return res.status(401).json({ message: 'No token, authorization denied' });
+  }
+
+  try {
+    // Add user from payload
+    req.user = tokenService.verifyAccessToken(token);
+    next();
+  } catch (err) {
+    res.status(401).json({ message: 'Token is not valid' });
+  }
+};
+
+/**
+ * Middleware for public routes that behave differently for a logged-in user
+ * An invalid or missing token leaves the request anonymous
+ */
+const optionalAuth = (req, res, next) => {
+  const token = tokenService.getTokenFromRequest(req);
+  if (!token) return next();
+
+  try {
+    req.user = tokenService.verifyAccessToken(token);
+  } catch (err) {
+    // Treat an invalid token as an anonymous request
+  }
+  next();
+};
+
+module.exports = {
+  auth,
+  optionalAuth
+};
@@ -0,0 +1,208 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Rendition Schema
+ * One transcoded version of an asset (see audioConfig.renditions)
+ */
+const RenditionSchema = new Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  mimeType: {
+    type: String,
+    required: true
+  },
+  codec: String,
+  bitrate: Number,      // kbps
+  channels: Number,
+  sampleRate: Number,   // Hz
+  size: Number,         // bytes
+  // True when the rendition is the uploaded file itself
+  source: {
+    type: Boolean,
+    default: false
+  },
+  // True when the asset's gain has already been applied to this rendition
+  normalized: {
+    type: Boolean,
+    default: false
+  }
+}, { _id: false });
+
+/**
+ * Audio Asset Schema
+ * An uploaded audio file, with the metadata probed from it and its renditions
+ */
+const AudioAssetSchema = new Schema({
+  owner: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Storage key of the uploaded file - what compositions reference as audioFile
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  originalName: {
+    type: String,
+    trim: true,
+    maxlength: 255
+  },
+  // Name shown in the library - renaming doesn't change the key
+  title: {
+    type: String,
+    trim: true,
+    maxlength: 255
+  },
+  tags: {
+    type: [String],
+    default: []
+  },
+  // Type detected by ffprobe, not the one claimed by the client
+  mimeType: {
+    type: String,
+    required: true
+  },
+  size: {
+    type: Number, // bytes
+    min: 0
+  },
+  format: String, // ffprobe container name
+  codec: String,
+  duration: {
+    type: Number, // seconds
+    min: 0
+  },
+  sampleRate: Number, // Hz
+  channels: Number,
+  bitrate: Number, // bits per second
+  // Measured while transcoding (EBU R128)
+  loudness: {
+    type: Number // integrated loudness in LUFS
+  },
+  truePeak: {
+    type: Number // dBTP
+  },
+  loudnessRange: {
+    type: Number // LU
+  },
+  peak: {
+    type: Number // sample peak in dBFS
+  },
+  // Gain in dB that brings the asset to the target loudness (audioConfig.loudness)
+  gain: {
+    type: Number,
+    default: 0
+  },
+  renditions: {
+    type: Map,
+    of: RenditionSchema,
+    default: {}
+  },
+  // Asset this one was edited from, and the edits applied (see normalizeEdits)
+  derivedFrom: {
+    type: Schema.Types.ObjectId,
+    ref: 'AudioAsset',
+    index: true
+  },
+  edits: {
+    type: Object
+  },
+  // Bytes stored for the file, its renditions and its peaks - counted against the owner's quota
+  storageSize: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Storage key of the waveform and spectrogram data served at /api/audio/:fileName/peaks
+  peaksKey: {
+    type: String
+  },
+  // Last time the garbage collector saw a composition using the asset; unused assets are
+  // deleted after storageConfig.garbageCollection.unusedAudioDays
+  lastUsedAt: {
+    type: Date,
+    index: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'ready', 'error'],
+    default: 'processing'
+  },
+  error: {
+    type: String
+  },
+  // Transcoding job
+  job: {
+    type: Schema.Types.ObjectId,
+    ref: 'Job'
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    flattenMaps: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+AudioAssetSchema.index({ owner: 1, createdAt: -1 });
+AudioAssetSchema.index({ owner: 1, tags: 1 });
+
+// Instance method to get the renditions as a plain object keyed by name
+AudioAssetSchema.methods.getRenditions = function() {
+  const renditions = {};
+  this.renditions.forEach((rendition, name) => {
+    renditions[name] = rendition.toObject();
+  });
+  return renditions;
+};
+
+// Instance method to get the gain still to be applied on playback of a rendition
+AudioAssetSchema.methods.getPlaybackGain = function(renditionName) {
+  const rendition = this.renditions.get(renditionName);
+  if (rendition && rendition.normalized) {
+    return 0;
+  }
+  return this.gain || 0;
+};
+
+// Instance method to check whether a user owns this asset
+AudioAssetSchema.methods.isOwnedBy = function(userId) {
+  return Boolean(userId && this.owner && this.owner.toString() === userId.toString());
+};
+
+// Instance method to get the storage keys of everything stored for this asset
+AudioAssetSchema.methods.getStorageKeys = function() {
+  const keys = [this.key];
+  this.renditions.forEach(rendition => {
+    if (!rendition.source) keys.push(rendition.key);
+  });
+  if (this.peaksKey) keys.push(this.peaksKey);
+  return keys;
+};
+
+// Static method to get the bytes stored for a user's assets
+AudioAssetSchema.statics.getStorageUsed = async function(ownerId) {
+  const [result] = await this.aggregate([
+    { $match: { owner: new mongoose.Types.ObjectId(ownerId) } },
+    { $group: { _id: null, total: { $sum: { $ifNull: ['$storageSize', '$size'] } } } }
+  ]);
+  return result ? result.total : 0;
+};
+
+// Static method to find an asset by the storage key of its uploaded file
+AudioAssetSchema.statics.findByKey = function(key) {
+  return this.findOne({ key }).exec();
+};
+
+const AudioAsset = mongoose.model('AudioAsset', AudioAssetSchema);
+
+module.exports = AudioAsset;
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Boundary Lock Schema
+ * A collaborator's exclusive hold on one boundary of a session's composition while
+ * they edit it. Locks expire unless renewed (see BoundaryLockService).
+ */
+const BoundaryLockSchema = new Schema({
+  sessionId: {
+    type: Schema.Types.ObjectId,
+    ref: 'CollaborationSession',
+    required: true
+  },
+  boundaryId: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Display name of the holder, shown to the others
+  name: {
+    type: String,
+    trim: true
+  },
+  // Socket the lock was taken from - released when it disconnects
+  socketId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      delete ret.socketId; // Internal to the server
+      return ret;
+    }
+  }
+});
+
+// One lock per boundary
+BoundaryLockSchema.index({ sessionId: 1, boundaryId: 1 }, { unique: true });
+
+// Expired locks are released (and announced) by BoundaryLockService; this only
+// cleans up after servers that went away
+BoundaryLockSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 300 });
+
+const BoundaryLock = mongoose.model('BoundaryLock', BoundaryLockSchema);
+
+module.exports = BoundaryLock;
@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Collaboration Change Schema
+ * Represents a single change made in a collaborative session
+ */
+const CollaborationChangeSchema = new Schema({
+  // Session this change belongs to
+  sessionId: {
+    type: Schema.Types.ObjectId,
+    ref: 'CollaborationSession',
+    required: true,
+    index: true
+  },
+  
+  // User who made the change
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  
+  // When the change was made
+  timestamp: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  
+  // Type of change
+  changeType: {
+    type: String,
+    required: true,
+    enum: [
+      'addBoundary',
+      'updateBoundary',
+      'deleteBoundary',
+      'addAudio',
+      'updateAudio',
+      'deleteAudio',
+      'updateComposition',
+      'updateSettings',
+      'restoreComposition'
+    ]
+  },
+  
+  // ID of the boundary or object being changed
+  targetId: {
+    type: String,
+    index: true
+  },
+  
+  // Change data specific to the change type (see CompositionChangeService)
+  payload: {
+    type: Schema.Types.Mixed,
+    required: true
+  },
+  
+  // Version of the target the change was made against
+  baseVersion: {
+    type: Number
+  },
+  
+  // Version of the target once the change was applied
+  version: {
+    type: Number
+  },
+  
+  // State of the target before the change was applied ({ version, object }; the
+  // whole composition for restoreComposition), from which it can be undone
+  previous: {
+    type: Schema.Types.Mixed
+  },
+  
+  // Why the change was made: an edit, a user undoing or redoing one of theirs, or
+  // an admin restoring the composition as of an earlier change
+  origin: {
+    type: String,
+    enum: ['edit', 'undo', 'redo', 'restore'],
+    default: 'edit'
+  },
+  
+  // Change the composition was restored to (origin 'restore')
+  restoredTo: {
+    type: Schema.Types.ObjectId,
+    ref: 'CollaborationChange'
+  },
+  
+  // When the change was applied; orders the session's history
+  appliedAt: {
+    type: Date
+  },
+  
+  // ID the submitting client gave the change, echoed back so it can match up the result
+  clientId: {
+    type: String,
+    trim: true,
+    maxlength: 100
+  },
+  
+  // Status of the change
+  status: {
+    type: String,
+    enum: ['pending', 'applied', 'rejected', 'conflicted', 'failed'],
+    default: 'pending',
+    index: true
+  },
+  
+  // Error message if conflicted, rejected or failed
+  error: {
+    type: String
+  },
+  
+  // Whether the change waits for a session admin's approval (sessions with requireReview)
+  reviewRequired: {
+    type: Boolean,
+    default: false
+  },
+  
+  // Note the reviewer left when approving or rejecting the change
+  reviewNote: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  
+  // User who resolved conflict/approved/rejected (if applicable)
+  resolvedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  
+  // When the change was resolved
+  resolvedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Model method to get recent changes for a session
+CollaborationChangeSchema.statics.getRecentForSession = function(sessionId, limit = 50) {
+  return this.find({ sessionId })
+    .sort({ timestamp: -1 })
+    .limit(limit)
+    .select('-previous')
+    .populate('userId', 'name')
+    .exec();
+};
+
+// Applied changes are replayed in the order they were applied
+CollaborationChangeSchema.index({ sessionId: 1, status: 1, appliedAt: -1 });
+
+// Changes resent after a dropped connection are found by the clientId they were sent with
+CollaborationChangeSchema.index({ sessionId: 1, clientId: 1 });
+
+// Model method to get the changes in a session waiting for review, oldest first
+CollaborationChangeSchema.statics.getReviewQueue = function(sessionId) {
+  return this.find({
+    sessionId,
+    reviewRequired: true,
+    status: 'pending',
+    resolvedBy: { $exists: false }
+  })
+    .sort({ timestamp: 1 })
+    .populate('userId', 'name')
+    .exec();
+};
+
+module.exports = mongoose.model('CollaborationChange', CollaborationChangeSchema);
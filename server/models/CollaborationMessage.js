@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Collaboration Message Schema
+ * Represents a chat or system message in a collaboration session
+ */
+const CollaborationMessageSchema = new Schema({
+  // Session this message belongs to
+  sessionId: {
+    type: Schema.Types.ObjectId,
+    ref: 'CollaborationSession',
+    required: true,
+    index: true
+  },
+  
+  // User who sent the message (or 'system' for system messages)
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  
+  // When the message was sent
+  timestamp: {
+    type: Date,
+    default: Date.now,
+    index: true
+  },
+  
+  // Message type
+  type: {
+    type: String,
+    enum: ['chat', 'system', 'notification'],
+    default: 'chat'
+  },
+  
+  // Message content
+  content: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  
+  // Message has been read by users
+  readBy: [{
+    userId: {
+      type: Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    readAt: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Model method to get recent messages for a session
+CollaborationMessageSchema.statics.getRecentForSession = function(sessionId, limit = 20) {
+  return this.find({ sessionId })
+    .sort({ timestamp: -1 })
+    .limit(limit)
+    .populate('userId', 'name')
+    .exec();
+};
+
+module.exports = mongoose.model('CollaborationMessage', CollaborationMessageSchema);
@@ -1,4 +1,3 @@
-// server/models/CollaborationSession.js
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 
@@ -87,6 +86,39 @@ const CollaborationSessionSchema = new Schema({
     addedBy: {
       type: Schema.Types.ObjectId,
       ref: 'User'
+    },
+    
+    // What this user may change while settings.limitEditRegions is on: boundaries
+    // lying within the zone, plus the listed boundaries wherever they are
+    editScope: {
+      zone: {
+        type: [{
+          _id: false,
+          lat: {
+            type: Number,
+            required: true,
+            min: -90,
+            max: 90
+          },
+          lng: {
+            type: Number,
+            required: true,
+            min: -180,
+            max: 180
+          }
+        }],
+        default: undefined,
+        validate: {
+          validator: function(v) {
+            return !v || v.length === 0 || (v.length >= 3 && v.length <= 1000);
+          },
+          message: 'An edit zone must have between 3 and 1000 points'
+        }
+      },
+      boundaryIds: {
+        type: [String],
+        default: undefined
+      }
     }
   }],
   
@@ -159,6 +191,9 @@ CollaborationSessionSchema.virtual('activeCollaboratorCount').get(function() {
   ).length;
 });
 
+// Sessions past their expiry are closed periodically
+CollaborationSessionSchema.index({ status: 1, expiresAt: 1 });
+
 // Pre-save hook
 CollaborationSessionSchema.pre('save', function(next) {
   // Ensure owner isn't also in collaborators list
@@ -170,6 +205,28 @@ CollaborationSessionSchema.pre('save', function(next) {
   next();
 });
 
+// Instance method to get a user's permission level ('viewer' for non-members)
+CollaborationSessionSchema.methods.getPermission = function(userId) {
+  // Owner is always admin
+  if (String(this.owner) === String(userId)) {
+    return 'admin';
+  }
+  
+  const collaborator = this.collaborators.find(c => String(c.userId) === String(userId));
+  return collaborator ? collaborator.permission : 'viewer';
+};
+
+// Instance method to check whether a user is the owner or a collaborator
+CollaborationSessionSchema.methods.hasMember = function(userId) {
+  return String(this.owner) === String(userId) ||
+    this.collaborators.some(c => String(c.userId) === String(userId));
+};
+
+// Instance method to check whether the session is still open (active and not expired)
+CollaborationSessionSchema.methods.isOpen = function() {
+  return this.status === 'active' && !(this.expiresAt && this.expiresAt <= new Date());
+};
+
 // Model method to find active sessions for a user
 CollaborationSessionSchema.statics.findActiveForUser = function(userId) {
   return this.find({
@@ -177,7 +234,9 @@ CollaborationSessionSchema.statics.findActiveForUser = function(userId) {
       { owner: userId },
       { 'collaborators.userId': userId }
     ],
-    status: 'active'
+    status: 'active',
+    // Expired sessions may not have been closed yet
+    expiresAt: { $not: { $lte: new Date() } }
   })
   .sort({ updatedAt: -1 })
   .populate('compositionId', 'title description')
@@ -213,186 +272,3 @@ CollaborationSessionSchema.statics.getWithActiveUsers = async function(sessionId
 };
 
 module.exports = mongoose.model('CollaborationSession', CollaborationSessionSchema);
-
-// server/models/CollaborationChange.js
-const mongoose = require('mongoose');
-const Schema = mongoose.Schema;
-
-/**
- * Collaboration Change Schema
- * Represents a single change made in a collaborative session
- */
-const CollaborationChangeSchema = new Schema({
-  // Session this change belongs to
-  sessionId: {
-    type: Schema.Types.ObjectId,
-    ref: 'CollaborationSession',
-    required: true,
-    index: true
-  },
-  
-  // User who made the change
-  userId: {
-    type: Schema.Types.ObjectId,
-    ref: 'User',
-    required: true,
-    index: true
-  },
-  
-  // When the change was made
-  timestamp: {
-    type: Date,
-    default: Date.now,
-    index: true
-  },
-  
-  // Type of change
-  changeType: {
-    type: String,
-    required: true,
-    enum: [
-      'addBoundary',
-      'updateBoundary',
-      'deleteBoundary',
-      'addAudio',
-      'updateAudio',
-      'deleteAudio',
-      'updateComposition',
-      'updateSettings'
-    ]
-  },
-  
-  // ID of the boundary or object being changed
-  targetId: {
-    type: String,
-    index: true
-  },
-  
-  // Change data specific to the change type
-  payload: {
-    type: Schema.Types.Mixed,
-    required: true
-  },
-  
-  // Status of the change
-  status: {
-    type: String,
-    enum: ['pending', 'applied', 'rejected', 'conflicted'],
-    default: 'pending',
-    index: true
-  },
-  
-  // Error message if conflicted or rejected
-  error: {
-    type: String
-  },
-  
-  // User who resolved conflict/approved/rejected (if applicable)
-  resolvedBy: {
-    type: Schema.Types.ObjectId,
-    ref: 'User'
-  },
-  
-  // When the change was resolved
-  resolvedAt: {
-    type: Date
-  }
-}, {
-  timestamps: true,
-  toJSON: {
-    virtuals: true,
-    transform: function(doc, ret) {
-      delete ret.__v;
-      return ret;
-    }
-  }
-});
-
-// Model method to get recent changes for a session
-CollaborationChangeSchema.statics.getRecentForSession = function(sessionId, limit = 50) {
-  return this.find({ sessionId })
-    .sort({ timestamp: -1 })
-    .limit(limit)
-    .populate('userId', 'name')
-    .exec();
-};
-
-module.exports = mongoose.model('CollaborationChange', CollaborationChangeSchema);
-
-// server/models/CollaborationMessage.js
-const mongoose = require('mongoose');
-const Schema = mongoose.Schema;
-
-/**
- * Collaboration Message Schema
- * Represents a chat or system message in a collaboration session
- */
-const CollaborationMessageSchema = new Schema({
-  // Session this message belongs to
-  sessionId: {
-    type: Schema.Types.ObjectId,
-    ref: 'CollaborationSession',
-    required: true,
-    index: true
-  },
-  
-  // User who sent the message (or 'system' for system messages)
-  userId: {
-    type: Schema.Types.ObjectId,
-    ref: 'User',
-    required: true
-  },
-  
-  // When the message was sent
-  timestamp: {
-    type: Date,
-    default: Date.now,
-    index: true
-  },
-  
-  // Message type
-  type: {
-    type: String,
-    enum: ['chat', 'system', 'notification'],
-    default: 'chat'
-  },
-  
-  // Message content
-  content: {
-    type: String,
-    required: true,
-    trim: true
-  },
-  
-  // Message has been read by users
-  readBy: [{
-    userId: {
-      type: Schema.Types.ObjectId,
-      ref: 'User'
-    },
-    readAt: {
-      type: Date,
-      default: Date.now
-    }
-  }]
-}, {
-  timestamps: true,
-  toJSON: {
-    virtuals: true,
-    transform: function(doc, ret) {
-      delete ret.__v;
-      return ret;
-    }
-  }
-});
-
-// Model method to get recent messages for a session
-CollaborationMessageSchema.statics.getRecentForSession = function(sessionId, limit = 20) {
-  return this.find({ sessionId })
-    .sort({ timestamp: -1 })
-    .limit(limit)
-    .populate('userId', 'name')
-    .exec();
-};
-
-module.exports = mongoose.model('CollaborationMessage', CollaborationMessageSchema);
\ No newline at end of file
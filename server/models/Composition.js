@@ -0,0 +1,380 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Validate that a value is a usable latitude/longitude pair
+ * @param {Number} lat - Latitude
+ * @param {Number} lng - Longitude
+ * @returns {Boolean} Whether the coordinates are valid
+ */
+function isValidCoordinate(lat, lng) {
+  return (
+    typeof lat === 'number' &&
+    typeof lng === 'number' &&
+    !isNaN(lat) &&
+    !isNaN(lng) &&
+    lat >= -90 &&
+    lat <= 90 &&
+    lng >= -180 &&
+    lng <= 180
+  );
+}
+
+// Composition-level fields covered by the composition's version
+const COMPOSITION_FIELDS = ['title', 'description', 'location', 'transitionSettings', 'isPublic'];
+
+// Region fields covered by a region's version
+const REGION_FIELDS = ['name', 'polygon', 'audioFile', 'volume', 'loop', 'loopStart', 'loopEnd', 'transitionSettings'];
+
+/**
+ * Serialize the versioned fields of a document, to tell whether they changed
+ * @param {Object} doc - Composition or region document
+ * @param {Array<string>} fields - Fields to include
+ * @returns {string} Fingerprint
+ */
+function fingerprint(doc, fields) {
+  return JSON.stringify(fields.map(field => doc.get(field)));
+}
+
+/**
+ * Remember a composition's versions and contents as loaded, to work out which objects later changed
+ * @param {Object} composition - Composition document
+ */
+function rememberVersions(composition) {
+  composition.$locals.loaded = {
+    version: composition.version,
+    fingerprint: fingerprint(composition, COMPOSITION_FIELDS),
+    regions: new Map((composition.audioRegions || []).map(region => [
+      region._id.toString(),
+      { version: region.version, fingerprint: fingerprint(region, REGION_FIELDS) }
+    ]))
+  };
+}
+
+/**
+ * Transition Settings Schema
+ * Mirrors the defaults used by the client's BoundaryTransitionManager
+ */
+const TransitionSettingsSchema = new Schema({
+  fadeInLength: {
+    type: Number, // seconds
+    default: 1.5,
+    min: 0,
+    max: 60
+  },
+  fadeOutLength: {
+    type: Number, // seconds
+    default: 2.0,
+    min: 0,
+    max: 60
+  },
+  fadeInType: {
+    type: String,
+    default: 'volume_fade',
+    trim: true
+  },
+  fadeOutType: {
+    type: String,
+    default: 'volume_fade',
+    trim: true
+  },
+  transitionRadius: {
+    type: Number, // meters
+    default: 10,
+    min: 0,
+    max: 1000
+  },
+  blendingEnabled: {
+    type: Boolean,
+    default: true
+  },
+  crossfadeOverlap: {
+    type: Boolean,
+    default: true
+  },
+  // Filter, reverb, delay, pitch and spatial settings
+  advancedSettings: {
+    type: Object,
+    default: {}
+  }
+}, { _id: false });
+
+/**
+ * Audio Region Schema
+ * A polygon on the map that plays an audio file while the listener is inside it
+ */
+const AudioRegionSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  polygon: {
+    type: [{
+      _id: false,
+      lat: {
+        type: Number,
+        required: true,
+        min: -90,
+        max: 90
+      },
+      lng: {
+        type: Number,
+        required: true,
+        min: -180,
+        max: 180
+      }
+    }],
+    validate: {
+      validator: function(v) {
+        return Array.isArray(v) && v.length >= 3 && v.length <= 1000;
+      },
+      message: 'A region polygon must have between 3 and 1000 points'
+    }
+  },
+  // Storage key of the uploaded audio file (as returned by POST /api/audio/upload)
+  audioFile: {
+    type: String,
+    trim: true
+  },
+  volume: {
+    type: Number,
+    default: 1.0,
+    min: 0,
+    max: 1.0
+  },
+  loop: {
+    type: Boolean,
+    default: true
+  },
+  // Part of the audio file to play, in seconds (the whole file when unset)
+  loopStart: {
+    type: Number,
+    min: 0
+  },
+  loopEnd: {
+    type: Number,
+    min: 0,
+    validate: {
+      validator: function(v) {
+        return v === undefined || v === null || typeof this.loopStart !== 'number' || v > this.loopStart;
+      },
+      message: 'loopEnd must be after loopStart'
+    }
+  },
+  // Per-region overrides of the composition's transition settings
+  transitionSettings: {
+    type: TransitionSettingsSchema
+  },
+  // Incremented whenever the region changes, so collaborative changes made
+  // against an older version can be detected (see CompositionChangeService)
+  version: {
+    type: Number,
+    default: 1,
+    min: 1
+  }
+});
+
+/**
+ * Composition Schema
+ * An audio-geographic composition made of audio regions placed on a map
+ */
+const CompositionSchema = new Schema({
+  title: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 200
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 5000
+  },
+  creator: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // GeoJSON point for the composition's center ([lng, lat] order)
+  location: {
+    name: {
+      type: String,
+      trim: true,
+      maxlength: 200
+    },
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined,
+      validate: {
+        validator: function(v) {
+          // Only validate if present
+          if (!v) return true;
+
+          return v.length === 2 && isValidCoordinate(v[1], v[0]);
+        },
+        message: props => `${props.value} is not a valid [lng, lat] coordinate pair!`
+      }
+    }
+  },
+  audioRegions: [AudioRegionSchema],
+  transitionSettings: {
+    type: TransitionSettingsSchema,
+    default: () => ({})
+  },
+  // Visibility - private compositions are only visible to their creator
+  isPublic: {
+    type: Boolean,
+    default: false,
+    index: true
+  },
+  // Incremented whenever a composition-level field changes (regions have their own versions)
+  version: {
+    type: Number,
+    default: 1,
+    min: 1
+  }
+}, {
+  // Add timestamps for better auditing
+  timestamps: true,
+
+  // Concurrent saves fail with a VersionError instead of overwriting each other
+  optimisticConcurrency: true,
+
+  // Add toJSON option to clean up output
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v; // Remove version key
+      return ret;
+    }
+  }
+});
+
+// Index for listing a user's compositions
+CompositionSchema.index({ creator: 1, updatedAt: -1 });
+CompositionSchema.index({ isPublic: 1, createdAt: -1 });
+
+// Index for finding the compositions that use an audio file
+CompositionSchema.index({ 'audioRegions.audioFile': 1 });
+
+// Geospatial index for "near me" and map viewport searches.
+// The coordinate pair is indexed rather than the whole location object so that
+// compositions with only a location name (and no point yet) can still be saved.
+CompositionSchema.index({ 'location.coordinates': '2dsphere' });
+
+// Pre-validate hook to keep the GeoJSON type in sync with the coordinates
+CompositionSchema.pre('validate', function(next) {
+  if (this.location && this.location.coordinates && this.location.coordinates.length) {
+    this.location.type = 'Point';
+  }
+  next();
+});
+
+// Post-init hook to remember the versions loaded from the database
+CompositionSchema.post('init', function() {
+  rememberVersions(this);
+});
+
+// Pre-validate hook to bump the version of every object whose contents changed since it
+// was loaded. Versions are always derived from the loaded ones, so clients can't set them
+// and validating twice before a save doesn't bump twice.
+CompositionSchema.pre('validate', function(next) {
+  const loaded = this.$locals.loaded;
+
+  if (this.isNew || !loaded) {
+    this.version = 1;
+    (this.audioRegions || []).forEach(region => {
+      region.version = 1;
+    });
+    return next();
+  }
+
+  this.version = fingerprint(this, COMPOSITION_FIELDS) === loaded.fingerprint
+    ? loaded.version
+    : loaded.version + 1;
+
+  (this.audioRegions || []).forEach(region => {
+    const previous = loaded.regions.get(region._id.toString());
+
+    if (!previous) {
+      region.version = 1;
+    } else {
+      region.version = fingerprint(region, REGION_FIELDS) === previous.fingerprint
+        ? previous.version
+        : previous.version + 1;
+    }
+  });
+
+  next();
+});
+
+// Post-save hook so further changes to the same document are versioned from what was saved
+CompositionSchema.post('save', function() {
+  rememberVersions(this);
+});
+
+// Virtual for the number of audio regions
+CompositionSchema.virtual('regionCount').get(function() {
+  return this.audioRegions ? this.audioRegions.length : 0;
+});
+
+// Instance method to check whether a user owns this composition
+CompositionSchema.methods.isOwnedBy = function(userId) {
+  if (!userId || !this.creator) return false;
+
+  // creator may be populated
+  const creatorId = this.creator._id || this.creator;
+  return creatorId.toString() === userId.toString();
+};
+
+// Instance method to check whether a user may view this composition
+CompositionSchema.methods.isVisibleTo = function(userId) {
+  return this.isPublic || this.isOwnedBy(userId);
+};
+
+// Static method to check whether a user may hear an audio file through a composition they can view
+CompositionSchema.statics.isAudioFileVisibleTo = async function(audioFile, userId) {
+  const visibility = userId ? [{ isPublic: true }, { creator: userId }] : [{ isPublic: true }];
+  return Boolean(await this.exists({ 'audioRegions.audioFile': audioFile, $or: visibility }));
+};
+
+// Static method to find compositions created by a user
+CompositionSchema.statics.findByCreator = function(userId, limit = 50) {
+  return this.find({ creator: userId })
+    .sort({ updatedAt: -1 })
+    .limit(limit)
+    .exec();
+};
+
+// Static method to find compositions near a point, sorted by distance
+// Each result includes a `distance` field in meters
+CompositionSchema.statics.findNear = async function({ lng, lat, radius, filter = {}, skip = 0, limit = 20 }) {
+  const results = await this.aggregate([
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: [lng, lat] },
+        key: 'location.coordinates',
+        distanceField: 'distance',
+        maxDistance: radius,
+        query: filter,
+        spherical: true
+      }
+    },
+    { $skip: skip },
+    { $limit: limit },
+    { $project: { audioRegions: 0, __v: 0 } }
+  ]);
+
+  return this.populate(results, { path: 'creator', select: 'name' });
+};
+
+const Composition = mongoose.model('Composition', CompositionSchema);
+
+module.exports = Composition;
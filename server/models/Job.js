@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Job Schema
+ * A unit of background work (audio conversion and editing, path rendering, map generation,
+ * storage cleanup, collaboration digests)
+ * persisted so it survives restarts and can be retried
+ */
+const JobSchema = new Schema({
+  type: {
+    type: String,
+    required: true,
+    enum: ['audio-conversion', 'audio-edit', 'path-render', 'path-map', 'storage-cleanup', 'collaboration-digest']
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued'
+  },
+  // User the job was created for - only they can see its status
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    index: true
+  },
+  // Input for the job handler
+  payload: {
+    type: Object,
+    default: {}
+  },
+  // Output of the job handler once completed
+  result: {
+    type: Object
+  },
+  progress: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 3,
+    min: 1
+  },
+  // Earliest time the job may (re)start - pushed back between retries
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Last time the worker running this job reported in
+  lockedAt: {
+    type: Date
+  },
+  // Set on each claim, so a worker whose job was recovered as stale can't overwrite the new run
+  claimToken: {
+    type: String
+  },
+  startedAt: {
+    type: Date
+  },
+  completedAt: {
+    type: Date
+  },
+  // Message of the most recent failure
+  error: {
+    type: String
+  },
+  // Finished jobs are removed after this date
+  expiresAt: {
+    type: Date
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      delete ret.payload; // Internal to the handler
+      delete ret.lockedAt;
+      delete ret.claimToken;
+      return ret;
+    }
+  }
+});
+
+// For claiming the next runnable job
+JobSchema.index({ status: 1, type: 1, runAt: 1 });
+
+// Let MongoDB remove finished jobs automatically
+JobSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Whether the job has finished, successfully or not
+JobSchema.virtual('isFinished').get(function() {
+  return this.status === 'completed' || this.status === 'failed';
+});
+
+const Job = mongoose.model('Job', JobSchema);
+
+module.exports = Job;
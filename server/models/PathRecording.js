@@ -111,6 +111,13 @@ const PathRecordingSchema = new Schema({
     enum: ['processing', 'completed', 'error'],
     default: 'processing'
   },
+  // Rendering progress percentage while status is 'processing'
+  progress: {
+    type: Number,
+    default: 0,
+    min: 0,
+    max: 100
+  },
   downloadUrl: {
     type: String,
     trim: true,
@@ -248,6 +255,15 @@ PathRecordingSchema.virtual('isDownloadValid').get(function() {
   return new Date() < this.expiresAt;
 });
 
+// Instance method to get the key prefixes of the mixdown and map image in storage
+// (their extensions depend on the output format, so they are matched by prefix)
+PathRecordingSchema.methods.getStoragePrefixes = function() {
+  return [
+    `path-recordings/${this.recordingId}.`,
+    `path-maps/${this.recordingId}.`
+  ];
+};
+
 // Instance method to calculate total distance
 PathRecordingSchema.methods.calculateTotalDistance = function() {
   if (!this.path || this.path.length < 2) return 0;
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Presence Schema
+ * One collaboration socket connection, on any server process, and the sessions it
+ * has joined. Used by MongoPresenceAdapter so presence spans the whole cluster.
+ */
+const PresenceSchema = new Schema({
+  socketId: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  userId: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  // Display name of the user, shown to the others
+  name: {
+    type: String,
+    trim: true
+  },
+  // Server process holding the connection
+  nodeId: {
+    type: String,
+    required: true,
+    index: true
+  },
+  // Sessions joined through this connection
+  sessions: {
+    type: [String],
+    index: true
+  },
+  connectedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Renewed by the holding process while it runs; connections of a process that
+  // stopped renewing them (e.g. it crashed) are ignored, then deleted
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+PresenceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Presence = mongoose.model('Presence', PresenceSchema);
+
+module.exports = Presence;
@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+/**
+ * Upload Session Schema
+ * A resumable upload whose chunks are stored one by one until the client completes it
+ */
+const UploadSessionSchema = new Schema({
+  owner: {
+    type: Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  originalName: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 255
+  },
+  // Type declared by the client - the assembled file is probed before it is accepted
+  mimeType: {
+    type: String
+  },
+  size: {
+    type: Number, // bytes
+    required: true,
+    min: 1
+  },
+  chunkSize: {
+    type: Number, // bytes
+    required: true,
+    min: 1
+  },
+  totalChunks: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  // Indexes of the chunks stored so far
+  receivedChunks: {
+    type: [Number],
+    default: []
+  },
+  status: {
+    type: String,
+    enum: ['uploading', 'completing', 'completed', 'aborted'],
+    default: 'uploading'
+  },
+  // Set once completed
+  asset: {
+    type: Schema.Types.ObjectId,
+    ref: 'AudioAsset'
+  },
+  error: {
+    type: String
+  },
+  // Unfinished uploads can't be resumed after this date
+  expiresAt: {
+    type: Date,
+    required: true,
+    index: true
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v;
+      delete ret.id;
+      return ret;
+    }
+  }
+});
+
+// Indexes of the chunks still to be uploaded
+UploadSessionSchema.virtual('missingChunks').get(function() {
+  const received = new Set(this.receivedChunks);
+  const missing = [];
+  for (let index = 0; index < this.totalChunks; index++) {
+    if (!received.has(index)) missing.push(index);
+  }
+  return missing;
+});
+
+// Instance method to get the expected size of a chunk in bytes
+UploadSessionSchema.methods.getChunkLength = function(index) {
+  if (index === this.totalChunks - 1) {
+    return this.size - this.chunkSize * (this.totalChunks - 1);
+  }
+  return this.chunkSize;
+};
+
+// Instance method to get the storage key of a chunk
+UploadSessionSchema.methods.getChunkKey = function(index) {
+  return `uploads/${this._id}/${index}`;
+};
+
+// Instance method to check whether the upload can no longer be resumed
+UploadSessionSchema.methods.isExpired = function() {
+  return this.expiresAt.getTime() <= Date.now();
+};
+
+// Static method to get the bytes reserved by a user's unfinished uploads
+UploadSessionSchema.statics.getReservedSize = async function(ownerId) {
+  const [result] = await this.aggregate([
+    {
+      $match: {
+        owner: new mongoose.Types.ObjectId(ownerId),
+        status: { $in: ['uploading', 'completing'] },
+        expiresAt: { $gt: new Date() }
+      }
+    },
+    { $group: { _id: null, total: { $sum: '$size' } } }
+  ]);
+  return result ? result.total : 0;
+};
+
+const UploadSession = mongoose.model('UploadSession', UploadSessionSchema);
+
+module.exports = UploadSession;
@@ -0,0 +1,101 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const Schema = mongoose.Schema;
+
+// Cost factor for bcrypt password hashing
+const SALT_ROUNDS = 12;
+
+/**
+ * User Schema
+ * Stores EONTA user accounts with hashed passwords
+ */
+const UserSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 100
+  },
+  email: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxlength: 254,
+    validate: {
+      validator: function(v) {
+        return /^[a-zA-Z0-9._%+-]+@[a-zA-Z0-9.-]+\.[a-zA-Z]{2,}$/.test(v);
+      },
+      message: props => `${props.value} is not a valid email address!`
+    }
+  },
+  password: {
+    type: String,
+    required: true,
+    minlength: 8,
+    select: false // Never return the hash unless explicitly requested
+  },
+  lastLoginAt: {
+    type: Date
+  },
+  // Overrides the default audio storage quota (audioConfig.quota)
+  storageQuotaMB: {
+    type: Number,
+    min: 0
+  },
+  // Which collaboration emails the user wants (all on unless turned off)
+  notificationPreferences: {
+    collaborationInvites: { type: Boolean, default: true },
+    reviewRequests: { type: Boolean, default: true },
+    mentions: { type: Boolean, default: true },
+    dailyDigest: { type: Boolean, default: true }
+  }
+}, {
+  // Add timestamps for better auditing
+  timestamps: true,
+
+  // Add toJSON option to clean up output
+  toJSON: {
+    virtuals: true,
+    transform: function(doc, ret) {
+      delete ret.__v; // Remove version key
+      delete ret.password; // Never expose the password hash
+      return ret;
+    }
+  }
+});
+
+// Pre-save hook to hash the password whenever it changes
+UserSchema.pre('save', async function(next) {
+  try {
+    if (!this.isModified('password')) {
+      return next();
+    }
+
+    this.password = await bcrypt.hash(this.password, SALT_ROUNDS);
+    next();
+  } catch (error) {
+    next(error);
+  }
+});
+
+// Instance method to check a plain-text password against the stored hash
+UserSchema.methods.comparePassword = function(candidatePassword) {
+  if (!this.password) {
+    return Promise.resolve(false);
+  }
+
+  return bcrypt.compare(candidatePassword, this.password);
+};
+
+// Static method to find a user by email, including the password hash
+UserSchema.statics.findByEmailWithPassword = function(email) {
+  return this.findOne({ email: String(email).trim().toLowerCase() })
+    .select('+password')
+    .exec();
+};
+
+const User = mongoose.model('User', UserSchema);
+
+module.exports = User;
@@ -0,0 +1,29 @@
+/**
+ * Run the storage garbage collector once and print its report
+ * Usage: npm run gc -- [--dry-run]
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const garbageCollector = require('../services/GarbageCollector');
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+
+  await mongoose.connect(process.env.MONGODB_URI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true
+  });
+
+  try {
+    const report = await garbageCollector.run({ dryRun });
+    console.log(JSON.stringify(report, null, 2));
+    process.exitCode = report.errors.length > 0 ? 1 : 0;
+  } finally {
+    await mongoose.disconnect();
+  }
+}
+
+main().catch(error => {
+  console.error('Garbage collection failed:', error);
+  process.exit(1);
+});
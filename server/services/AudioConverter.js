@@ -2,10 +2,42 @@ const ffmpeg = require('fluent-ffmpeg');
 const tmp = require('tmp');
 const fs = require('fs');
 const path = require('path');
+const audioConfig = require('../config/audio');
+const { PeakBuilder } = require('../utils/peaks');
+const { buildEditFilterGraph } = require('../utils/audioEdits');
+
+// Effects rendered as a gated wet signal added to the mix, with their aecho settings
+const ECHO_EFFECTS = {
+  reverb: 'reverb',
+  convolutionSpace: 'reverb',
+  delay: 'delay',
+  spectralDelay: 'delay'
+};
+
+/**
+ * Format a number compactly for use in an ffmpeg expression
+ * @param {number} value - The number
+ * @returns {string} Formatted number
+ */
+function formatNumber(value) {
+  return String(Math.round(value * 1000) / 1000);
+}
+
+/**
+ * Parse an ffmpeg timemark (HH:MM:SS.xx) into seconds
+ * @param {string} timemark - Timemark reported by ffmpeg
+ * @returns {number} Seconds
+ */
+function parseTimemark(timemark) {
+  if (!timemark || typeof timemark !== 'string') return 0;
+
+  return timemark.split(':').reduce((total, part) => total * 60 + (parseFloat(part) || 0), 0);
+}
 
 /**
  * AudioConverter service for EONTA
- * Handles conversion of audio files to optimized MP3 format
+ * Handles conversion of audio files to optimized MP3 format and mixing of
+ * multiple tracks for offline renders
  */
 class AudioConverter {
   /**
@@ -68,6 +100,504 @@ class AudioConverter {
     });
   }
 
+  /**
+   * Transcode an audio file on disk into a rendition
+   * Unlike convertToOptimizedFormat, neither the input nor the output is held in memory.
+   * 
+   * @param {string} inputPath - Path of the source audio file
+   * @param {string} originalFilename - Original filename, used to name the output
+   * @param {Object} format - Rendition settings from audioConfig.renditions (defaults to targetFormat)
+   * @param {Function} onProgress - Optional callback receiving a percentage (0-100)
+   * @param {Object} options - Options
+   * @param {number} options.gain - Gain to apply in dB, e.g. from calculateGain
+   * @returns {Promise<{filePath: string, filename: string, mimetype: string, cleanup: Function}>} - Transcoded file info
+   */
+  transcode(inputPath, originalFilename, format = audioConfig.targetFormat, onProgress, options = {}) {
+    return new Promise((resolve, reject) => {
+      const outputTmpFile = tmp.fileSync({ postfix: format.extension });
+
+      const command = ffmpeg(inputPath)
+        .noVideo()
+        .audioCodec(format.codec)
+        .format(format.format);
+
+      // Settings left null keep the source's values (e.g. for lossless archives)
+      if (format.bitrate) command.audioBitrate(format.bitrate);
+      if (format.channels) command.audioChannels(format.channels);
+      if (format.sampleRate) command.audioFrequency(format.sampleRate);
+      if (format.outputOptions) command.outputOptions(format.outputOptions);
+      if (options.gain) command.audioFilters(`volume=${options.gain}dB`);
+
+      command
+        .output(outputTmpFile.name)
+        .on('progress', (progress) => {
+          if (typeof onProgress === 'function' && typeof progress.percent === 'number') {
+            onProgress(Math.max(0, Math.min(100, progress.percent)));
+          }
+        })
+        .on('end', () => {
+          resolve({
+            filePath: outputTmpFile.name,
+            filename: `${path.basename(originalFilename, path.extname(originalFilename))}${format.extension}`,
+            mimetype: format.mimeType,
+            cleanup: () => outputTmpFile.removeCallback()
+          });
+        })
+        .on('error', (err) => {
+          outputTmpFile.removeCallback();
+          reject(err);
+        })
+        .run();
+    });
+  }
+
+  /**
+   * Read the container and stream information of an audio file
+   * 
+   * @param {string} filePath - Path of the file
+   * @returns {Promise<Object>} - ffprobe output ({format, streams})
+   */
+  probe(filePath) {
+    return new Promise((resolve, reject) => {
+      ffmpeg.ffprobe(filePath, (err, data) => {
+        if (err) {
+          const error = new Error('File could not be read as audio');
+          error.code = 'InvalidAudio';
+          error.cause = err;
+          return reject(error);
+        }
+        resolve(data);
+      });
+    });
+  }
+
+  /**
+   * Apply edits (trim, reverse, gain, loop crossfade, fades) to a file
+   * The result is written losslessly in the archive format so it can be
+   * transcoded into renditions like any upload.
+   * 
+   * @param {string} inputPath - Path of the source audio file
+   * @param {Object} edits - Edits from normalizeEdits
+   * @param {Function} onProgress - Optional callback receiving a percentage (0-100)
+   * @returns {Promise<{filePath: string, mimetype: string, extension: string, cleanup: Function}>} - Edited file info
+   */
+  applyEdits(inputPath, edits, onProgress) {
+    return new Promise((resolve, reject) => {
+      const format = audioConfig.renditions.archive;
+      const outputTmpFile = tmp.fileSync({ postfix: format.extension });
+
+      ffmpeg(inputPath)
+        .complexFilter(buildEditFilterGraph(edits), 'edited')
+        .audioCodec(format.codec)
+        .format(format.format)
+        .output(outputTmpFile.name)
+        .on('progress', (progress) => {
+          if (typeof onProgress === 'function') {
+            const percent = (parseTimemark(progress.timemark) / edits.duration) * 100;
+            onProgress(Math.max(0, Math.min(100, percent)));
+          }
+        })
+        .on('end', () => {
+          resolve({
+            filePath: outputTmpFile.name,
+            mimetype: format.mimeType,
+            extension: format.extension,
+            cleanup: () => outputTmpFile.removeCallback()
+          });
+        })
+        .on('error', (err) => {
+          outputTmpFile.removeCallback();
+          reject(err);
+        })
+        .run();
+    });
+  }
+
+  /**
+   * Measure a file's loudness (EBU R128) and sample peak
+   * Decoding every sample also proves the file isn't corrupt part-way through.
+   * 
+   * @param {string} filePath - Path of the file
+   * @returns {Promise<{loudness: number, truePeak: number, loudnessRange: number, peak: number}>} - LUFS, dBTP, LU and dBFS
+   */
+  analyzeLoudness(filePath) {
+    return new Promise((resolve, reject) => {
+      const settings = audioConfig.loudness;
+      const stderrLines = [];
+
+      ffmpeg(filePath)
+        .noVideo()
+        .audioFilters([
+          'volumedetect',
+          `loudnorm=I=${settings.targetLufs}:TP=${settings.truePeakLimit}:print_format=json`
+        ])
+        .format('null')
+        .output('-')
+        .on('stderr', line => stderrLines.push(line))
+        .on('end', () => {
+          try {
+            resolve(this.parseLoudnessReport(stderrLines.join('\n')));
+          } catch (err) {
+            reject(err);
+          }
+        })
+        .on('error', reject)
+        .run();
+    });
+  }
+
+  /**
+   * Parse the volumedetect and loudnorm reports from ffmpeg's output
+   * 
+   * @param {string} output - ffmpeg stderr
+   * @returns {{loudness: number, truePeak: number, loudnessRange: number, peak: number}} - Measurements
+   */
+  parseLoudnessReport(output) {
+    // Digital silence is reported as -inf
+    const toDb = value => (String(value).trim() === '-inf' ? -Infinity : parseFloat(value));
+
+    const max = output.match(/max_volume:\s*(-?[\d.]+|-inf) dB/);
+    const json = output.match(/\{[^{}]*"input_i"[^{}]*\}/);
+
+    if (!max || !json) {
+      throw new Error('Could not measure audio loudness');
+    }
+
+    const report = JSON.parse(json[0]);
+
+    return {
+      loudness: toDb(report.input_i),
+      truePeak: toDb(report.input_tp),
+      loudnessRange: toDb(report.input_lra),
+      peak: toDb(max[1])
+    };
+  }
+
+  /**
+   * Calculate the gain that brings a file to the target loudness
+   * A boost is limited so the true peak stays under the configured limit.
+   * 
+   * @param {Object} measurement - Output of analyzeLoudness
+   * @returns {number} - Gain in dB (0 for silent files)
+   */
+  calculateGain({ loudness, truePeak }) {
+    const settings = audioConfig.loudness;
+
+    if (!Number.isFinite(loudness)) {
+      return 0;
+    }
+
+    let gain = settings.targetLufs - loudness;
+
+    if (Number.isFinite(truePeak)) {
+      gain = Math.min(gain, settings.truePeakLimit - truePeak);
+    }
+
+    gain = Math.max(-settings.maxGain, Math.min(settings.maxGain, gain));
+    return Math.round(gain * 100) / 100;
+  }
+
+  /**
+   * Compute waveform peaks and a spectrogram for a file
+   * The file is decoded to mono PCM and reduced as it streams out of ffmpeg.
+   * 
+   * @param {string} filePath - Path of the file
+   * @param {Object} options - Options
+   * @param {number} options.duration - Duration in seconds (from probing), used to space spectrogram frames
+   * @returns {Promise<Object>} - Peak data (see PeakBuilder.finish)
+   */
+  generatePeaks(filePath, options = {}) {
+    return new Promise((resolve, reject) => {
+      const settings = audioConfig.peaks;
+      const builder = new PeakBuilder({ sampleRate: settings.sampleRate, duration: options.duration });
+      let pending = Buffer.alloc(0);
+      let finished = 0;
+      let failed = false;
+
+      // Both the process and its output have to end before every sample is in
+      const finish = () => {
+        if (++finished === 2 && !failed) {
+          resolve(builder.finish());
+        }
+      };
+
+      const fail = (err) => {
+        if (failed) return;
+        failed = true;
+        reject(err);
+      };
+
+      const command = ffmpeg(filePath)
+        .noVideo()
+        .audioChannels(1)
+        .audioFrequency(settings.sampleRate)
+        .format('f32le')
+        .on('end', finish)
+        .on('error', fail);
+
+      const output = command.pipe();
+
+      // Without a listener, an error reading the output would crash the process
+      output.on('error', (err) => {
+        fail(err);
+        command.kill();
+      });
+
+      output.on('data', (chunk) => {
+        // Chunks don't necessarily end on a sample boundary
+        const data = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+        const usable = data.length - (data.length % 4);
+        const samples = new Float32Array(usable / 4);
+
+        for (let i = 0; i < samples.length; i++) {
+          samples[i] = data.readFloatLE(i * 4);
+        }
+
+        builder.addSamples(samples);
+        pending = data.subarray(usable);
+      });
+      output.on('end', finish);
+    });
+  }
+
+  /**
+   * Build an ffmpeg expression for a piecewise-linear volume envelope over time `t`
+   * Written as a flat sum of gated segments rather than nested if() calls so that
+   * long envelopes don't hit the expression parser's nesting limits.
+   * @param {Array<{time: number, volume: number}>} envelope - Keyframes in seconds, sorted by time
+   * @returns {string} ffmpeg expression
+   */
+  buildVolumeExpression(envelope) {
+    if (!Array.isArray(envelope) || envelope.length === 0) {
+      return '0';
+    }
+
+    const first = envelope[0];
+    const last = envelope[envelope.length - 1];
+    const terms = [];
+
+    if (first.volume > 0) {
+      terms.push(`lt(t,${formatNumber(first.time)})*${formatNumber(first.volume)}`);
+    }
+
+    for (let i = 0; i < envelope.length - 1; i++) {
+      const start = envelope[i];
+      const end = envelope[i + 1];
+
+      // Silent segments contribute nothing
+      if (start.volume === 0 && end.volume === 0) continue;
+
+      const t0 = formatNumber(start.time);
+      const t1 = formatNumber(end.time);
+      const gate = `gte(t,${t0})*lt(t,${t1})`;
+
+      if (start.volume === end.volume) {
+        terms.push(`${gate}*${formatNumber(start.volume)}`);
+      } else {
+        const slope = (end.volume - start.volume) / (end.time - start.time);
+        terms.push(`${gate}*(${formatNumber(start.volume)}+${formatNumber(slope)}*(t-${t0}))`);
+      }
+    }
+
+    if (last.volume > 0) {
+      terms.push(`gte(t,${formatNumber(last.time)})*${formatNumber(last.volume)}`);
+    }
+
+    return terms.length > 0 ? terms.join('+') : '0';
+  }
+
+  /**
+   * Build an ffmpeg expression that is non-zero while `t` is inside any of the intervals
+   * @param {Array<Array<number>>} intervals - [start, end] pairs in seconds
+   * @returns {string} ffmpeg expression
+   */
+  buildIntervalExpression(intervals) {
+    if (!Array.isArray(intervals) || intervals.length === 0) {
+      return '0';
+    }
+
+    return intervals
+      .map(([start, end]) => `between(t,${formatNumber(start)},${formatNumber(end)})`)
+      .join('+');
+  }
+
+  /**
+   * Whether a track plays only part of its file
+   * @param {Object} track - Track (see mixTracks)
+   * @returns {boolean} True if the track has a valid loop region
+   */
+  hasLoopRegion(track) {
+    return Number.isFinite(track.loopStart) && Number.isFinite(track.loopEnd) &&
+      track.loopStart >= 0 && track.loopEnd > track.loopStart;
+  }
+
+  /**
+   * Build the filter graph that mixes tracks with envelopes and timed effects
+   * Input `i` of the ffmpeg command must be the audio file of track `i`.
+   * @param {Array<Object>} tracks - Tracks (see mixTracks)
+   * @param {number} duration - Output duration in seconds
+   * @returns {string} filter_complex graph whose output is labelled [mix]
+   */
+  buildMixFilterGraph(tracks, duration) {
+    const settings = audioConfig.mixdown;
+    const chains = [];
+    const mixInputs = [];
+    const totalDuration = formatNumber(duration);
+
+    tracks.forEach((track, index) => {
+      const filters = [
+        `aformat=sample_fmts=fltp:sample_rates=${settings.sampleRate}:channel_layouts=stereo`
+      ];
+
+      // Play only the selected part of the file, looping it in memory instead of with -stream_loop
+      if (this.hasLoopRegion(track)) {
+        filters.push(
+          `atrim=start=${formatNumber(track.loopStart)}:end=${formatNumber(track.loopEnd)}`,
+          'asetpts=PTS-STARTPTS'
+        );
+        if (track.loop) {
+          filters.push(`aloop=loop=-1:size=${Math.round((track.loopEnd - track.loopStart) * settings.sampleRate)}`);
+        }
+      }
+
+      filters.push(
+        `atrim=0:${totalDuration}`,
+        `apad=whole_dur=${totalDuration}`
+      );
+      const echoes = [];
+
+      for (const effect of track.effects || []) {
+        if (!effect.intervals || effect.intervals.length === 0) continue;
+
+        const enable = this.buildIntervalExpression(effect.intervals);
+
+        if (effect.type === 'lowpass' || effect.type === 'highpass') {
+          const defaultFrequency = effect.type === 'lowpass'
+            ? settings.lowpassFrequency
+            : settings.highpassFrequency;
+          const frequency = Math.max(20, Math.min(20000, effect.frequency || defaultFrequency));
+          filters.push(`${effect.type}=f=${Math.round(frequency)}:enable='${enable}'`);
+        } else if (ECHO_EFFECTS[effect.type]) {
+          echoes.push({ settings: settings[ECHO_EFFECTS[effect.type]], enable });
+        }
+      }
+
+      filters.push(`volume=volume='${this.buildVolumeExpression(track.envelope)}':eval=frame:precision=float`);
+
+      const label = `t${index}`;
+
+      if (echoes.length === 0) {
+        chains.push(`[${index}:a]${filters.join(',')}[${label}]`);
+        mixInputs.push(`[${label}]`);
+        return;
+      }
+
+      // Split the enveloped signal into dry and one wet path per echo effect.
+      // aecho with an input gain of 0 outputs only the reflections.
+      const wetLabels = echoes.map((echo, echoIndex) => `${label}w${echoIndex}`);
+      chains.push(`[${index}:a]${filters.join(',')},asplit=${echoes.length + 1}[${label}]${wetLabels.map(l => `[${l}in]`).join('')}`);
+      mixInputs.push(`[${label}]`);
+
+      echoes.forEach((echo, echoIndex) => {
+        const wetLabel = wetLabels[echoIndex];
+        const aecho = `aecho=0:1:${echo.settings.delays.join('|')}:${echo.settings.decays.join('|')}`;
+        chains.push(`[${wetLabel}in]${aecho},volume=volume='${echo.enable}':eval=frame[${wetLabel}]`);
+        mixInputs.push(`[${wetLabel}]`);
+      });
+    });
+
+    // amix scales every input by 1/n, so scale back up and limit the peaks instead
+    const inputCount = mixInputs.length;
+    chains.push(
+      `${mixInputs.join('')}amix=inputs=${inputCount}:duration=longest:dropout_transition=0,` +
+      `volume=${inputCount},alimiter=limit=${settings.limiterLevel}[mix]`
+    );
+
+    return chains.join(';\n');
+  }
+
+  /**
+   * Mix several tracks into a single file in the target format
+   * Each track follows its own volume envelope and can have effects enabled for
+   * parts of the timeline, which is how a recorded walk is reproduced offline.
+   * 
+   * @param {Array<Object>} tracks - Tracks to mix
+   * @param {string} tracks[].inputPath - Path of the track's audio file
+   * @param {boolean} tracks[].loop - Whether to loop the file for the whole duration
+   * @param {number} tracks[].loopStart - Start of the part of the file to play (seconds, optional)
+   * @param {number} tracks[].loopEnd - End of the part of the file to play (seconds, optional)
+   * @param {Array<{time: number, volume: number}>} tracks[].envelope - Volume keyframes (seconds, 0-1)
+   * @param {Array<{type: string, intervals: Array, frequency: number}>} tracks[].effects - Timed effects
+   * @param {number} duration - Output duration in seconds
+   * @param {Function} onProgress - Optional callback receiving a percentage (0-100)
+   * @returns {Promise<{filePath: string, filename: string, mimetype: string, cleanup: Function}>} - Mixed file info
+   */
+  mixTracks(tracks, duration, onProgress) {
+    return new Promise((resolve, reject) => {
+      if (!Array.isArray(tracks) || tracks.length === 0) {
+        return reject(new Error('No tracks to mix'));
+      }
+
+      if (!(duration > 0)) {
+        return reject(new Error('Mix duration must be positive'));
+      }
+
+      const target = audioConfig.targetFormat;
+
+      // The graph can be too long for a command-line argument, so pass it as a script
+      const scriptTmpFile = tmp.fileSync({ postfix: '.txt' });
+      fs.writeFileSync(scriptTmpFile.name, this.buildMixFilterGraph(tracks, duration));
+
+      const outputTmpFile = tmp.fileSync({ postfix: target.extension });
+
+      const cleanup = () => {
+        scriptTmpFile.removeCallback();
+        outputTmpFile.removeCallback();
+      };
+
+      const command = ffmpeg();
+
+      tracks.forEach(track => {
+        command.input(track.inputPath);
+        if (track.loop && !this.hasLoopRegion(track)) {
+          command.inputOptions(['-stream_loop', '-1']);
+        }
+      });
+
+      command
+        .outputOptions([
+          '-filter_complex_script', scriptTmpFile.name,
+          '-map', '[mix]',
+          '-t', formatNumber(duration)
+        ])
+        .audioCodec(target.codec)
+        .audioBitrate(target.bitrate)
+        .audioChannels(audioConfig.mixdown.channels)
+        .audioFrequency(audioConfig.mixdown.sampleRate)
+        .output(outputTmpFile.name)
+        .on('progress', (progress) => {
+          if (typeof onProgress === 'function') {
+            const percent = (parseTimemark(progress.timemark) / duration) * 100;
+            onProgress(Math.max(0, Math.min(100, percent)));
+          }
+        })
+        .on('end', () => {
+          scriptTmpFile.removeCallback();
+          resolve({
+            filePath: outputTmpFile.name,
+            filename: `mixdown${target.extension}`,
+            mimetype: target.mimeType,
+            cleanup: () => outputTmpFile.removeCallback()
+          });
+        })
+        .on('error', (err) => {
+          cleanup();
+          reject(err);
+        })
+        .run();
+    });
+  }
+
   /**
    * Determine if file conversion is needed
    * 
@@ -82,6 +612,16 @@ class AudioConverter {
     
     return true;
   }
+
+  /**
+   * Determine if a file type is lossless
+   * 
+   * @param {string} mimetype - The file's mimetype
+   * @returns {boolean} - Whether the format is lossless
+   */
+  isLossless(mimetype) {
+    return audioConfig.losslessMimeTypes.includes(mimetype);
+  }
 }
 
 module.exports = new AudioConverter();
\ No newline at end of file
@@ -0,0 +1,164 @@
+const BoundaryLock = require('../models/BoundaryLock');
+const collaborationConfig = require('../config/collaboration');
+
+// MongoDB duplicate key error
+const DUPLICATE_KEY = 11000;
+
+/**
+ * Boundary Lock Service for EONTA
+ * Gives one collaborator at a time the right to change a boundary. Locks live in
+ * MongoDB so every server process sees the same ones, and expire unless the holder
+ * renews them, so a crashed browser can't keep a boundary locked.
+ */
+class BoundaryLockService {
+  /**
+   * Get the expiry date of a lock taken or renewed now
+   * @returns {Date} Expiry date
+   */
+  getExpiryDate() {
+    return new Date(Date.now() + collaborationConfig.locks.ttl);
+  }
+
+  /**
+   * Lock a boundary, or renew the lock if the user already holds it
+   * @param {Object} options - Options
+   * @param {string} options.sessionId - Session ID
+   * @param {string} options.boundaryId - Boundary ID
+   * @param {string} options.userId - User taking the lock
+   * @param {string} options.name - User's display name
+   * @param {string} options.socketId - Socket the lock is taken from
+   * @returns {Promise<{acquired: boolean, lock: Object}>} The lock, held by someone else if not acquired
+   */
+  async acquire({ sessionId, boundaryId, userId, name, socketId }) {
+    const now = new Date();
+
+    try {
+      // Matches the user's own lock or an expired one; otherwise the upsert collides with the holder's
+      const lock = await BoundaryLock.findOneAndUpdate(
+        {
+          sessionId,
+          boundaryId,
+          $or: [{ userId }, { expiresAt: { $lte: now } }]
+        },
+        { $set: { userId, name, socketId, expiresAt: this.getExpiryDate() } },
+        { upsert: true, new: true }
+      );
+
+      return { acquired: true, lock };
+    } catch (error) {
+      if (error.code !== DUPLICATE_KEY) throw error;
+
+      const lock = await BoundaryLock.findOne({ sessionId, boundaryId });
+      if (!lock) {
+        // Released in the meantime
+        return this.acquire({ sessionId, boundaryId, userId, name, socketId });
+      }
+
+      return { acquired: false, lock };
+    }
+  }
+
+  /**
+   * Extend the locks a socket holds in a session
+   * @param {string} sessionId - Session ID
+   * @param {string} socketId - Socket ID
+   * @returns {Promise<Array<string>>} IDs of the boundaries still locked by the socket
+   */
+  async renew(sessionId, socketId) {
+    await BoundaryLock.updateMany(
+      { sessionId, socketId, expiresAt: { $gt: new Date() } },
+      { $set: { expiresAt: this.getExpiryDate() } }
+    );
+
+    const locks = await BoundaryLock.find({ sessionId, socketId, expiresAt: { $gt: new Date() } }).select('boundaryId');
+    return locks.map(lock => lock.boundaryId);
+  }
+
+  /**
+   * Release a lock
+   * @param {string} sessionId - Session ID
+   * @param {string} boundaryId - Boundary ID
+   * @param {string} userId - Holder (omit to release whoever holds it)
+   * @returns {Promise<boolean>} Whether a lock was released
+   */
+  async release(sessionId, boundaryId, userId) {
+    const filter = { sessionId, boundaryId };
+    if (userId) filter.userId = userId;
+
+    const result = await BoundaryLock.deleteOne(filter);
+    return result.deletedCount > 0;
+  }
+
+  /**
+   * Release every lock taken from a socket
+   * @param {string} socketId - Socket ID
+   * @param {string} sessionId - Only release locks in this session
+   * @returns {Promise<Array<Object>>} The released locks
+   */
+  async releaseForSocket(socketId, sessionId) {
+    const filter = { socketId };
+    if (sessionId) filter.sessionId = sessionId;
+
+    return this.releaseMatching(filter);
+  }
+
+  /**
+   * Release every lock in a session
+   * @param {string} sessionId - Session ID
+   * @param {string} userId - Only release this user's locks
+   * @returns {Promise<Array<Object>>} The released locks
+   */
+  async releaseForSession(sessionId, userId) {
+    const filter = { sessionId };
+    if (userId) filter.userId = userId;
+
+    return this.releaseMatching(filter);
+  }
+
+  /**
+   * Release every lock that has expired
+   * @returns {Promise<Array<Object>>} The released locks
+   */
+  releaseExpired() {
+    return this.releaseMatching({ expiresAt: { $lte: new Date() } });
+  }
+
+  /**
+   * Release the locks matching a filter
+   * Each lock is only reported by the process that deleted it, so it is announced once.
+   * @param {Object} filter - MongoDB filter
+   * @returns {Promise<Array<Object>>} The released locks
+   */
+  async releaseMatching(filter) {
+    const locks = await BoundaryLock.find(filter);
+    const released = [];
+
+    for (const lock of locks) {
+      const result = await BoundaryLock.deleteOne({ _id: lock._id, expiresAt: lock.expiresAt });
+      if (result.deletedCount > 0) released.push(lock);
+    }
+
+    return released;
+  }
+
+  /**
+   * Get a boundary's lock unless it has expired
+   * @param {string} sessionId - Session ID
+   * @param {string} boundaryId - Boundary ID
+   * @returns {Promise<Object|null>} The lock
+   */
+  getLock(sessionId, boundaryId) {
+    return BoundaryLock.findOne({ sessionId, boundaryId, expiresAt: { $gt: new Date() } });
+  }
+
+  /**
+   * Get the unexpired locks in a session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Array<Object>>} Locks
+   */
+  getLocks(sessionId) {
+    return BoundaryLock.find({ sessionId, expiresAt: { $gt: new Date() } }).sort({ createdAt: 1 });
+  }
+}
+
+module.exports = new BoundaryLockService();
@@ -0,0 +1,128 @@
+const EventEmitter = require('events');
+const mongoose = require('mongoose');
+const CollaborationChange = require('../models/CollaborationChange');
+
+/**
+ * Create an error with a code
+ * @param {string} code - 'NotFound', 'Forbidden' or 'InvalidReview'
+ * @param {string} message - Error message
+ * @returns {Error} The error
+ */
+function reviewError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Change Review Service for EONTA
+ * In sessions with requireReview on, changes from editors are held as 'pending'
+ * until a session admin approves or rejects them. Approving doesn't bypass the usual
+ * checks: the change is then applied like any other and can still conflict.
+ *
+ * Emits 'change:approved' and 'change:rejected' with the reviewed change, so the
+ * WebSocketService applies and announces reviews made over REST as well.
+ */
+class ChangeReviewService extends EventEmitter {
+  /**
+   * Check whether a user's changes in a session have to be reviewed
+   * Admins' changes never are, and autoApproveEdits lets everyone's through
+   * without switching requireReview off.
+   * @param {Object} session - CollaborationSession document
+   * @param {string} userId - Author's user ID
+   * @returns {boolean} Whether the change is held for review
+   */
+  isReviewRequired(session, userId) {
+    const { requireReview, autoApproveEdits } = session.settings || {};
+    return !!requireReview && !autoApproveEdits && session.getPermission(userId) !== 'admin';
+  }
+
+  /**
+   * Get the changes waiting for review in a session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Array<Object>>} Pending changes, oldest first
+   */
+  getQueue(sessionId) {
+    return CollaborationChange.getReviewQueue(sessionId);
+  }
+
+  /**
+   * Approve a held change
+   * @param {Object} session - CollaborationSession document
+   * @param {string} changeId - Change ID
+   * @param {string} reviewerId - Reviewing user's ID
+   * @param {string} note - Optional note for the author
+   * @returns {Promise<Object>} The approved change, still 'pending' until it is applied
+   * @throws {Error} With code 'Forbidden', 'NotFound' or 'InvalidReview'
+   */
+  async approve(session, changeId, reviewerId, note) {
+    const change = await this.resolve(session, changeId, reviewerId, note, {});
+    this.emit('change:approved', change);
+    return change;
+  }
+
+  /**
+   * Reject a held change
+   * @param {Object} session - CollaborationSession document
+   * @param {string} changeId - Change ID
+   * @param {string} reviewerId - Reviewing user's ID
+   * @param {string} note - Optional note for the author, also kept as the change's error
+   * @returns {Promise<Object>} The rejected change
+   * @throws {Error} With code 'Forbidden', 'NotFound' or 'InvalidReview'
+   */
+  async reject(session, changeId, reviewerId, note) {
+    const change = await this.resolve(session, changeId, reviewerId, note, {
+      status: 'rejected',
+      error: typeof note === 'string' && note.trim() ? `Rejected in review: ${note.trim()}` : 'Rejected in review'
+    });
+    this.emit('change:rejected', change);
+    return change;
+  }
+
+  /**
+   * Mark a held change as reviewed
+   * Only the first of two admins reviewing the same change at once succeeds.
+   * @param {Object} session - CollaborationSession document
+   * @param {string} changeId - Change ID
+   * @param {string} reviewerId - Reviewing user's ID
+   * @param {string} note - Optional note
+   * @param {Object} update - Other fields to set
+   * @returns {Promise<Object>} The reviewed change
+   */
+  async resolve(session, changeId, reviewerId, note, update) {
+    if (session.getPermission(reviewerId) !== 'admin') {
+      throw reviewError('Forbidden', 'Only session admins can review changes');
+    }
+
+    if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > 1000)) {
+      throw reviewError('InvalidReview', 'The note must be text of at most 1000 characters');
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(changeId)) {
+      throw reviewError('NotFound', 'Change not found');
+    }
+
+    const fields = { ...update, resolvedBy: reviewerId, resolvedAt: new Date() };
+    if (note && note.trim()) fields.reviewNote = note.trim();
+
+    const change = await CollaborationChange.findOneAndUpdate(
+      {
+        _id: changeId,
+        sessionId: session._id,
+        reviewRequired: true,
+        status: 'pending',
+        resolvedBy: { $exists: false }
+      },
+      { $set: fields },
+      { new: true }
+    );
+
+    if (!change) {
+      throw reviewError('NotFound', 'Change not found or already reviewed');
+    }
+
+    return change;
+  }
+}
+
+module.exports = new ChangeReviewService();
@@ -0,0 +1,211 @@
+const emailService = require('./EnhancedEmailService');
+const sessionService = require('./SessionService');
+const CollaborationSession = require('../models/CollaborationSession');
+const CollaborationChange = require('../models/CollaborationChange');
+const User = require('../models/User');
+const collaborationConfig = require('../config/collaboration');
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} value - String
+ * @returns {string} Escaped string
+ */
+const escapeRegExp = value => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Collaboration Notifier for EONTA
+ * Emails collaborators about what happens in their sessions when they aren't there to see
+ * it: invitations, changes waiting for their review, chat mentions and a daily digest of
+ * changes. Users who are connected to the session already see these live, so they aren't
+ * emailed. Each email respects the recipient's notification preferences.
+ */
+class CollaborationNotifier {
+  constructor() {
+    this.started = false;
+  }
+
+  /**
+   * Start emailing invitations to collaborators as they are added
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    sessionService.on('collaborator:added', (event) => {
+      this.notifyInvite(event).catch(error => console.error('Error sending invitation email:', error));
+    });
+  }
+
+  /**
+   * Link to a session in the client
+   * @param {string} sessionId - Session ID
+   * @returns {string} URL
+   */
+  sessionUrl(sessionId) {
+    return `${collaborationConfig.notifications.appUrl}/?session=${encodeURIComponent(String(sessionId))}`;
+  }
+
+  /**
+   * Email a user who was added to a session
+   * @param {Object} event - SessionService 'collaborator:added' event { sessionId, userId, collaborator, invitedBy }
+   * @returns {Promise<Object|null>} Result of sending the email
+   */
+  async notifyInvite({ sessionId, userId, collaborator, invitedBy }) {
+    const [session, recipient, inviter] = await Promise.all([
+      CollaborationSession.findById(sessionId),
+      User.findById(userId),
+      User.findById(invitedBy)
+    ]);
+    if (!session || !recipient) return null;
+
+    return emailService.sendCollaborationInvite(recipient, {
+      inviterName: inviter ? inviter.name : 'A collaborator',
+      sessionName: session.name,
+      permission: collaborator.permission,
+      acceptUrl: this.sessionUrl(sessionId)
+    });
+  }
+
+  /**
+   * Email a session's admins about a change held for their review
+   * @param {Object} session - CollaborationSession document
+   * @param {Object} change - Held CollaborationChange
+   * @param {Object} author - { id, name }
+   * @param {Array<string>} onlineUserIds - Users connected to the session, who see it live
+   * @returns {Promise<number>} Number of emails sent
+   */
+  async notifyReviewRequest(session, change, author, onlineUserIds = []) {
+    const adminIds = this.getMemberIds(session)
+      .filter(id => session.getPermission(id) === 'admin');
+
+    const recipients = await this.findRecipients(adminIds, [author.id, ...onlineUserIds]);
+    return this.sendEach(recipients, recipient => emailService.sendReviewRequest(recipient, {
+      authorName: author.name,
+      sessionName: session.name,
+      changeType: change.changeType,
+      reviewUrl: this.sessionUrl(session._id)
+    }));
+  }
+
+  /**
+   * Email the members mentioned (as @name) in a chat message
+   * @param {Object} session - CollaborationSession document
+   * @param {Object} message - CollaborationMessage
+   * @param {Object} author - { id, name }
+   * @param {Array<string>} onlineUserIds - Users connected to the session, who see it live
+   * @returns {Promise<number>} Number of emails sent
+   */
+  async notifyMentions(session, message, author, onlineUserIds = []) {
+    if (typeof message.content !== 'string' || !message.content.includes('@')) return 0;
+
+    const members = await this.findRecipients(this.getMemberIds(session), [author.id, ...onlineUserIds]);
+    const mentioned = members.filter(member => this.isMentioned(message.content, member.name));
+
+    return this.sendEach(mentioned, recipient => emailService.sendMentionEmail(recipient, {
+      authorName: author.name,
+      sessionName: session.name,
+      content: message.content,
+      sessionUrl: this.sessionUrl(session._id)
+    }));
+  }
+
+  /**
+   * Check whether a message mentions a name (as @name, in any case)
+   * @param {string} content - Message
+   * @param {string} name - Name
+   * @returns {Boolean} Whether it's mentioned
+   */
+  isMentioned(content, name) {
+    if (!name) return false;
+    return new RegExp(`(^|\\s)@${escapeRegExp(name)}(?![\\w-])`, 'i').test(content);
+  }
+
+  /**
+   * Email each collaborator who wasn't in a session since a time about the changes made there
+   * A collaborator's own changes aren't included, and no email is sent if there is nothing else.
+   * @param {Object} options - { since }
+   * @returns {Promise<number>} Number of emails sent
+   */
+  async sendDailyDigests({ since }) {
+    const sessionIds = await CollaborationChange.distinct('sessionId', {
+      status: 'applied',
+      appliedAt: { $gte: since }
+    });
+
+    let sent = 0;
+    for (const sessionId of sessionIds) {
+      const session = await CollaborationSession.findById(sessionId);
+      if (!session || !session.isOpen()) continue;
+
+      const changes = await CollaborationChange.find({ sessionId, status: 'applied', appliedAt: { $gte: since } })
+        .sort({ appliedAt: 1 })
+        .select('-previous')
+        .populate('userId', 'name');
+
+      const away = [{ userId: session.owner, lastActive: session.ownerLastActive }, ...session.collaborators]
+        .filter(member => !member.lastActive || member.lastActive < since)
+        .map(member => String(member.userId));
+
+      const recipients = await this.findRecipients(away);
+      sent += await this.sendEach(recipients, (recipient) => {
+        const others = changes.filter(change => String(change.userId && change.userId._id) !== String(recipient._id));
+        if (others.length === 0) return null;
+
+        return emailService.sendDailyDigest(recipient, {
+          sessionName: session.name,
+          changes: others.map(change => ({
+            authorName: change.userId ? change.userId.name : 'A collaborator',
+            changeType: change.changeType,
+            appliedAt: change.appliedAt
+          })),
+          sessionUrl: this.sessionUrl(sessionId)
+        });
+      });
+    }
+
+    return sent;
+  }
+
+  /**
+   * IDs of a session's owner and collaborators
+   * @param {Object} session - CollaborationSession document
+   * @returns {Array<string>} User IDs
+   */
+  getMemberIds(session) {
+    return [String(session.owner), ...session.collaborators.map(c => String(c.userId))];
+  }
+
+  /**
+   * Load the users to email
+   * @param {Array<string>} userIds - User IDs
+   * @param {Array<string>} excludeIds - Users not to email
+   * @returns {Promise<Array<Object>>} Users
+   */
+  async findRecipients(userIds, excludeIds = []) {
+    const excluded = new Set(excludeIds.map(String));
+    const ids = [...new Set(userIds.map(String))].filter(id => !excluded.has(id));
+    if (ids.length === 0) return [];
+
+    return User.find({ _id: { $in: ids } });
+  }
+
+  /**
+   * Send an email to each recipient, carrying on past failures
+   * @param {Array<Object>} recipients - Users
+   * @param {Function} send - Sends one email, resolving to null if it wasn't sent
+   * @returns {Promise<number>} Number of emails sent
+   */
+  async sendEach(recipients, send) {
+    let sent = 0;
+    for (const recipient of recipients) {
+      try {
+        if (await send(recipient)) sent++;
+      } catch (error) {
+        console.error(`Error emailing ${recipient.email}:`, error.message);
+      }
+    }
+    return sent;
+  }
+}
+
+module.exports = new CollaborationNotifier();
@@ -0,0 +1,448 @@
+const mongoose = require('mongoose');
+const Composition = require('../models/Composition');
+const AudioAsset = require('../models/AudioAsset');
+
+// Attempts at applying a change when the composition is saved by someone else in between
+const MAX_ATTEMPTS = 3;
+
+// Fields each kind of change may set ("boundaries" are the composition's audio regions)
+const BOUNDARY_FIELDS = ['name', 'polygon', 'transitionSettings'];
+const AUDIO_FIELDS = ['audioFile', 'volume', 'loop', 'loopStart', 'loopEnd'];
+const COMPOSITION_FIELDS = ['title', 'description', 'location'];
+const SETTINGS_FIELDS = [
+  'fadeInLength', 'fadeOutLength', 'fadeInType', 'fadeOutType',
+  'transitionRadius', 'blendingEnabled', 'crossfadeOverlap', 'advancedSettings'
+];
+
+// Change types that target the composition itself rather than one of its boundaries
+const COMPOSITION_CHANGES = ['updateComposition', 'updateSettings', 'restoreComposition'];
+
+// Fields the audio of a boundary loses with deleteAudio
+const CLEARED_AUDIO_FIELDS = ['audioFile', 'loopStart', 'loopEnd'];
+
+/**
+ * Create an error with a code
+ * @param {string} code - 'ChangeConflict' or 'InvalidChange'
+ * @param {string} message - Error message
+ * @param {Object} details - Extra properties (e.g. the current state for conflicts)
+ * @returns {Error} The error
+ */
+function changeError(code, message, details = {}) {
+  const error = new Error(message);
+  error.code = code;
+  return Object.assign(error, details);
+}
+
+/**
+ * Copy the allowed fields present in a change payload
+ * @param {Object} payload - Change payload
+ * @param {Array<string>} fields - Allowed fields
+ * @returns {Object} Fields to set
+ * @throws {Error} With code 'InvalidChange' if there are none
+ */
+function pickFields(payload, fields) {
+  const picked = {};
+
+  fields.forEach(field => {
+    if (payload && payload[field] !== undefined) {
+      picked[field] = payload[field];
+    }
+  });
+
+  if (Object.keys(picked).length === 0) {
+    throw changeError('InvalidChange', `The change must set at least one of ${fields.join(', ')}`);
+  }
+
+  return picked;
+}
+
+/**
+ * Composition Change Service for EONTA
+ * Applies the changes collaborators submit through WebSocketService to the stored
+ * composition. Every boundary and the composition itself carry a version number; a
+ * change made against an older version than the stored one is a conflict rather than
+ * silently overwriting someone else's edit.
+ *
+ * Payloads by change type (targetId is the boundary's ID):
+ *   addBoundary       { name, polygon, audioFile?, volume?, ... } - targetId optional
+ *   updateBoundary    { name?, polygon?, transitionSettings? }
+ *   deleteBoundary    {}
+ *   addAudio          { audioFile, volume?, loop?, loopStart?, loopEnd? }
+ *   updateAudio       { audioFile?, volume?, loop?, loopStart?, loopEnd? }
+ *   deleteAudio       {}
+ *   updateComposition { title?, description?, location? }
+ *   updateSettings    { fadeInLength?, fadeOutLength?, ... } - composition transition settings
+ *   restoreComposition { title, description, location, transitionSettings, audioRegions, regionVersions } - whole
+ *                     composition; regionVersions maps each current boundary's ID to the version it replaces
+ * All but addBoundary need the change's baseVersion.
+ */
+class CompositionChangeService {
+  /**
+   * Apply a change to a composition and save it
+   * @param {string} compositionId - Composition ID
+   * @param {Object} change - CollaborationChange (changeType, targetId, payload, baseVersion, userId)
+   * @param {Function} authorize - Called with the loaded composition before the change is applied; throw to refuse it
+   * @returns {Promise<{targetId: string, version: number|null, object: Object|null, previous: Object}>} The changed
+   *   object's new state, and its state before the change
+   * @throws {Error} With code 'ChangeConflict' (and `current`) or 'InvalidChange', or whatever authorize throws
+   */
+  async applyChange(compositionId, change, authorize) {
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+      const composition = await Composition.findById(compositionId);
+      if (!composition) {
+        throw changeError('InvalidChange', 'The composition no longer exists');
+      }
+
+      if (authorize) {
+        await authorize(composition);
+      }
+
+      // What the target looked like before, so the change can be undone
+      const previous = this.getState(composition, change.changeType, change.targetId);
+      const targetId = await this.applyToComposition(composition, change);
+
+      try {
+        await composition.save();
+      } catch (error) {
+        // Saved by someone else since it was loaded - check the change against their version
+        if (error instanceof mongoose.Error.VersionError) continue;
+        throw error;
+      }
+
+      return { targetId, previous, ...this.getState(composition, change.changeType, targetId) };
+    }
+
+    throw changeError('ChangeConflict', 'The composition is changing too quickly, try again', { current: null });
+  }
+
+  /**
+   * Apply a change to a loaded composition without saving it
+   * @param {Object} composition - Composition document
+   * @param {Object} change - CollaborationChange
+   * @returns {Promise<string>} ID of the changed object
+   * @throws {Error} With code 'ChangeConflict' or 'InvalidChange'
+   */
+  async applyToComposition(composition, change) {
+    const { changeType, payload = {}, userId } = change;
+
+    if (changeType === 'addBoundary') {
+      return this.addBoundary(composition, change);
+    }
+
+    if (COMPOSITION_CHANGES.includes(changeType)) {
+      this.checkVersion(composition, change, 'The composition');
+
+      if (changeType === 'restoreComposition') {
+        await this.restoreComposition(composition, payload, userId);
+      } else if (changeType === 'updateComposition') {
+        composition.set(pickFields(payload, COMPOSITION_FIELDS));
+      } else {
+        Object.entries(pickFields(payload, SETTINGS_FIELDS)).forEach(([field, value]) => {
+          composition.set(`transitionSettings.${field}`, value);
+        });
+      }
+
+      await this.validate(composition);
+      return composition._id.toString();
+    }
+
+    const region = this.findBoundary(composition, change.targetId);
+    this.checkVersion(composition, change, 'This boundary', region);
+
+    switch (changeType) {
+      case 'updateBoundary':
+        region.set(pickFields(payload, BOUNDARY_FIELDS));
+        break;
+      case 'deleteBoundary':
+        composition.audioRegions.pull(region._id);
+        break;
+      case 'addAudio':
+      case 'updateAudio': {
+        const fields = pickFields(payload, AUDIO_FIELDS);
+        if (changeType === 'addAudio' && !fields.audioFile) {
+          throw changeError('InvalidChange', 'addAudio needs an audioFile');
+        }
+        if (fields.audioFile && fields.audioFile !== region.audioFile) {
+          await this.checkAudioFile(fields.audioFile, userId);
+        }
+        region.set(fields);
+        break;
+      }
+      case 'deleteAudio':
+        region.set({ audioFile: undefined, loopStart: undefined, loopEnd: undefined });
+        break;
+      default:
+        throw changeError('InvalidChange', `Unknown change type "${changeType}"`);
+    }
+
+    await this.validate(composition);
+    return region._id.toString();
+  }
+
+  /**
+   * Add a boundary, using the change's targetId as its ID when one is given
+   * @param {Object} composition - Composition document
+   * @param {Object} change - CollaborationChange
+   * @returns {Promise<string>} ID of the new boundary
+   */
+  async addBoundary(composition, change) {
+    const fields = pickFields(change.payload, [...BOUNDARY_FIELDS, ...AUDIO_FIELDS]);
+
+    if (change.targetId) {
+      if (!mongoose.Types.ObjectId.isValid(change.targetId)) {
+        throw changeError('InvalidChange', 'Boundary IDs must be ObjectIds');
+      }
+      if (composition.audioRegions.id(change.targetId)) {
+        throw changeError('ChangeConflict', 'A boundary with this ID already exists', {
+          current: this.getState(composition, 'updateBoundary', change.targetId)
+        });
+      }
+      fields._id = change.targetId;
+    }
+
+    if (fields.audioFile) {
+      await this.checkAudioFile(fields.audioFile, change.userId);
+    }
+
+    composition.audioRegions.push(fields);
+    await this.validate(composition);
+
+    return composition.audioRegions[composition.audioRegions.length - 1]._id.toString();
+  }
+
+  /**
+   * Replace a composition's contents with an earlier state of it
+   * Audio files that aren't in the composition any more are checked like new ones.
+   * @param {Object} composition - Composition document
+   * @param {Object} state - { title, description, location, transitionSettings, audioRegions }
+   * @param {string} userId - User restoring it
+   */
+  async restoreComposition(composition, state, userId) {
+    if (!Array.isArray(state.audioRegions)) {
+      throw changeError('InvalidChange', 'restoreComposition needs the audioRegions to restore');
+    }
+
+    const current = new Set(composition.audioRegions.map(region => region.audioFile).filter(Boolean));
+    const regions = state.audioRegions.map(region => {
+      if (!mongoose.Types.ObjectId.isValid(region._id)) {
+        throw changeError('InvalidChange', 'Boundary IDs must be ObjectIds');
+      }
+
+      const fields = { _id: region._id };
+      [...BOUNDARY_FIELDS, ...AUDIO_FIELDS].forEach(field => {
+        if (region[field] !== undefined && region[field] !== null) fields[field] = region[field];
+      });
+      return fields;
+    });
+
+    for (const audioFile of new Set(regions.map(region => region.audioFile).filter(Boolean))) {
+      if (!current.has(audioFile)) {
+        await this.checkAudioFile(audioFile, userId);
+      }
+    }
+
+    COMPOSITION_FIELDS.forEach(field => composition.set(field, state[field]));
+    composition.set('transitionSettings', state.transitionSettings || {});
+    composition.set('audioRegions', regions);
+  }
+
+  /**
+   * Build the change that undoes an applied change
+   * @param {Object} change - Applied CollaborationChange with `previous`
+   * @param {Object} result - The target's state after the change ({ version, object }), which the
+   *   inverse of a restore is made against
+   * @returns {Object|null} { changeType, targetId, payload }, or null if it can't be undone
+   */
+  invertChange(change, result) {
+    const { changeType, targetId } = change;
+    const payload = change.payload || {};
+    const before = change.previous && change.previous.object;
+
+    if (changeType === 'addBoundary') {
+      return { changeType: 'deleteBoundary', targetId, payload: {} };
+    }
+    if (!before) return null;
+
+    // Previous values of the fields, null where there were none so they get cleared
+    const restore = (fields, source = before) => fields.reduce((values, field) => {
+      values[field] = source[field] === undefined ? null : source[field];
+      return values;
+    }, {});
+    const touched = fields => fields.filter(field => payload[field] !== undefined);
+
+    switch (changeType) {
+      case 'deleteBoundary': {
+        const fields = {};
+        [...BOUNDARY_FIELDS, ...AUDIO_FIELDS].forEach(field => {
+          if (before[field] !== undefined && before[field] !== null) fields[field] = before[field];
+        });
+        return { changeType: 'addBoundary', targetId, payload: fields };
+      }
+      case 'updateBoundary':
+        return { changeType, targetId, payload: restore(touched(BOUNDARY_FIELDS)) };
+      case 'addAudio':
+      case 'updateAudio':
+        return { changeType: 'updateAudio', targetId, payload: restore(touched(AUDIO_FIELDS)) };
+      case 'deleteAudio':
+        return { changeType: 'updateAudio', targetId, payload: restore(CLEARED_AUDIO_FIELDS) };
+      case 'updateComposition':
+        return { changeType, targetId, payload: restore(touched(COMPOSITION_FIELDS)) };
+      case 'updateSettings':
+        return { changeType, targetId, payload: restore(touched(SETTINGS_FIELDS), before.transitionSettings || {}) };
+      case 'restoreComposition': {
+        const { title, description, location, transitionSettings, audioRegions } = before;
+        const regionVersions = this.getRegionVersions(result && result.object ? result.object.audioRegions : []);
+        return {
+          changeType,
+          targetId,
+          payload: { title, description, location, transitionSettings, audioRegions, regionVersions }
+        };
+      }
+      default:
+        return null;
+    }
+  }
+
+  /**
+   * Get the contents of a whole composition, with versions
+   * @param {Object} composition - Composition document
+   * @returns {Object} { _id, version, title, description, location, transitionSettings, audioRegions }
+   */
+  getSnapshot(composition) {
+    const { _id, version, title, description, location, transitionSettings, audioRegions } = composition.toJSON();
+    return { _id, version, title, description, location, transitionSettings, audioRegions };
+  }
+
+  /**
+   * Find the boundary a change targets
+   * @param {Object} composition - Composition document
+   * @param {string} targetId - Boundary ID
+   * @returns {Object} Region subdocument
+   * @throws {Error} With code 'ChangeConflict' if it has been deleted
+   */
+  findBoundary(composition, targetId) {
+    const region = mongoose.Types.ObjectId.isValid(targetId) ? composition.audioRegions.id(targetId) : null;
+
+    if (!region) {
+      throw changeError('ChangeConflict', 'This boundary has been deleted', {
+        current: { version: null, object: null }
+      });
+    }
+
+    return region;
+  }
+
+  /**
+   * Check that a change was made against the current version of its target
+   * @param {Object} composition - Composition document
+   * @param {Object} change - CollaborationChange
+   * @param {string} label - What the target is called in messages
+   * @param {Object} region - Target boundary (the composition itself when omitted)
+   * @throws {Error} With code 'ChangeConflict' (and the current state) if it is stale
+   */
+  checkVersion(composition, change, label, region) {
+    if (!Number.isInteger(change.baseVersion)) {
+      throw changeError('InvalidChange', 'baseVersion is required');
+    }
+
+    const target = region || composition;
+
+    if (target.version !== change.baseVersion) {
+      throw changeError(
+        'ChangeConflict',
+        `${label} was changed by someone else (now version ${target.version}, change made to version ${change.baseVersion})`,
+        { current: this.getState(composition, change.changeType, target._id.toString()) }
+      );
+    }
+
+    // A restore replaces every boundary, whose edits don't change the composition's version
+    if (change.changeType === 'restoreComposition') {
+      const base = change.payload && change.payload.regionVersions;
+      if (!base || typeof base !== 'object') {
+        throw changeError('InvalidChange', 'restoreComposition needs the regionVersions it was made against');
+      }
+
+      const current = this.getRegionVersions(composition.audioRegions);
+      const changed = Object.keys(current).length !== Object.keys(base).length ||
+        Object.entries(current).some(([id, version]) => base[id] !== version);
+
+      if (changed) {
+        throw changeError('ChangeConflict', 'Boundaries were changed by someone else since this restore was made', {
+          current: this.getState(composition, change.changeType, composition._id.toString())
+        });
+      }
+    }
+  }
+
+  /**
+   * Get the version of each boundary in a composition
+   * @param {Array<Object>} regions - Composition's audioRegions
+   * @returns {Object} Boundary ID -> version
+   */
+  getRegionVersions(regions = []) {
+    return regions.reduce((versions, region) => {
+      versions[String(region._id)] = region.version;
+      return versions;
+    }, {});
+  }
+
+  /**
+   * Check that a user may put an audio file in a composition
+   * Same rule as for hearing it: their own upload, or one already in a composition they can view.
+   * @param {string} audioFile - Storage key
+   * @param {string} userId - User ID
+   * @throws {Error} With code 'InvalidChange' if they may not
+   */
+  async checkAudioFile(audioFile, userId) {
+    const asset = await AudioAsset.findByKey(audioFile);
+
+    if (asset && asset.isOwnedBy(userId)) return;
+    if (await Composition.isAudioFileVisibleTo(audioFile, userId)) return;
+
+    throw changeError('InvalidChange', 'Audio file not found');
+  }
+
+  /**
+   * Validate a changed composition
+   * @param {Object} composition - Composition document
+   * @throws {Error} With code 'InvalidChange' if it is invalid
+   */
+  async validate(composition) {
+    try {
+      await composition.validate();
+    } catch (error) {
+      if (error instanceof mongoose.Error.ValidationError || error instanceof mongoose.Error.CastError) {
+        throw changeError('InvalidChange', error.message);
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get the current state of a change's target
+   * @param {Object} composition - Composition document
+   * @param {string} changeType - Change type
+   * @param {string} targetId - Boundary ID (ignored for composition-level changes)
+   * @returns {{version: number|null, object: Object|null}} Version and contents (null once deleted)
+   */
+  getState(composition, changeType, targetId) {
+    if (changeType === 'restoreComposition') {
+      return { version: composition.version, object: this.getSnapshot(composition) };
+    }
+
+    if (COMPOSITION_CHANGES.includes(changeType)) {
+      const { title, description, location, transitionSettings } = composition.toJSON();
+      return {
+        version: composition.version,
+        object: { title, description, location, transitionSettings }
+      };
+    }
+
+    const region = mongoose.Types.ObjectId.isValid(targetId) ? composition.audioRegions.id(targetId) : null;
+    return region
+      ? { version: region.version, object: region.toJSON() }
+      : { version: null, object: null };
+  }
+}
+
+module.exports = new CompositionChangeService();
@@ -0,0 +1,180 @@
+const EventEmitter = require('events');
+const mongoose = require('mongoose');
+const CollaborationSession = require('../models/CollaborationSession');
+const { isPolygonInPolygon } = require('../utils/geometry');
+
+// Change types that target the composition itself rather than one of its boundaries
+const COMPOSITION_CHANGES = ['updateComposition', 'updateSettings', 'restoreComposition'];
+
+// Limits on a stored scope
+const MAX_ZONE_POINTS = 1000;
+const MAX_BOUNDARY_IDS = 500;
+
+/**
+ * Create an error with a code
+ * @param {string} code - 'OutOfScope', 'InvalidScope', 'Forbidden' or 'NotFound'
+ * @param {string} message - Error message
+ * @returns {Error} The error
+ */
+function scopeError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Edit Scope Service for EONTA
+ * With a session's limitEditRegions setting on, each editor may only change the
+ * boundaries inside their zone (a polygon) or listed in their scope; new boundaries
+ * must be drawn inside the zone. Admins are never limited, and an editor without
+ * a scope can't change anything until an admin gives them one.
+ *
+ * Emits 'scope:updated' with { sessionId, userId, editScope } when a scope is set.
+ */
+class EditScopeService extends EventEmitter {
+  /**
+   * Get the scope limiting a user's changes in a session
+   * @param {Object} session - CollaborationSession document
+   * @param {string} userId - User ID
+   * @returns {Object|null} { zone, boundaryIds }, or null if the user isn't limited
+   */
+  getScope(session, userId) {
+    if (!session.settings || !session.settings.limitEditRegions) return null;
+    if (session.getPermission(userId) === 'admin') return null;
+
+    const collaborator = session.collaborators.find(c => String(c.userId) === String(userId));
+    const scope = collaborator && collaborator.editScope ? collaborator.editScope : {};
+
+    return {
+      zone: scope.zone && scope.zone.length >= 3 ? scope.zone : null,
+      boundaryIds: scope.boundaryIds || []
+    };
+  }
+
+  /**
+   * Check whether a boundary is within a scope
+   * @param {Object} scope - { zone, boundaryIds }
+   * @param {Object} region - Audio region with _id and polygon
+   * @returns {boolean} Whether the boundary may be changed
+   */
+  isBoundaryInScope(scope, region) {
+    return scope.boundaryIds.includes(String(region._id)) || this.isInZone(scope, region.polygon);
+  }
+
+  /**
+   * Check whether a polygon lies within a scope's zone
+   * @param {Object} scope - { zone, boundaryIds }
+   * @param {Array} polygon - Array of {lat, lng}
+   * @returns {boolean} Whether it is inside the zone
+   */
+  isInZone(scope, polygon) {
+    return !!scope.zone && isPolygonInPolygon(polygon, scope.zone);
+  }
+
+  /**
+   * Check that a change stays within its author's scope
+   * Called with the composition the change is about to be applied to, so the
+   * boundary's current polygon is the one checked.
+   * @param {Object} session - CollaborationSession document
+   * @param {Object} change - CollaborationChange
+   * @param {Object} composition - Composition document
+   * @throws {Error} With code 'OutOfScope' if it doesn't
+   */
+  checkChange(session, change, composition) {
+    const scope = this.getScope(session, change.userId);
+    if (!scope) return;
+
+    const payload = change.payload || {};
+
+    if (COMPOSITION_CHANGES.includes(change.changeType)) {
+      throw scopeError('OutOfScope', 'Only session admins can change the whole composition while edit regions are limited');
+    }
+
+    if (change.changeType === 'addBoundary') {
+      if (!this.isInZone(scope, payload.polygon)) {
+        throw scopeError('OutOfScope', 'New boundaries must be drawn inside your edit zone');
+      }
+      return;
+    }
+
+    // A deleted boundary is reported as a conflict when the change is applied
+    const region = mongoose.Types.ObjectId.isValid(change.targetId)
+      ? composition.audioRegions.id(change.targetId)
+      : null;
+    if (!region) return;
+
+    if (!this.isBoundaryInScope(scope, region)) {
+      throw scopeError('OutOfScope', 'This boundary is outside your edit zone');
+    }
+
+    // Boundaries given by ID can be reshaped freely, the others have to stay in the zone
+    if (change.changeType === 'updateBoundary' && payload.polygon &&
+        !scope.boundaryIds.includes(String(region._id)) && !this.isInZone(scope, payload.polygon)) {
+      throw scopeError('OutOfScope', 'Boundaries can\'t be moved outside your edit zone');
+    }
+  }
+
+  /**
+   * Set a collaborator's scope (session admins only)
+   * @param {Object} session - CollaborationSession document
+   * @param {string} userId - Collaborator's user ID
+   * @param {Object} scope - { zone?: Array<{lat, lng}>, boundaryIds?: Array<string> }
+   * @param {string} actorId - ID of the user making the change
+   * @returns {Promise<Object>} The stored scope
+   * @throws {Error} With code 'Forbidden', 'NotFound' or 'InvalidScope'
+   */
+  async setScope(session, userId, scope, actorId) {
+    if (session.getPermission(actorId) !== 'admin') {
+      throw scopeError('Forbidden', 'Only session admins can set edit regions');
+    }
+
+    const editScope = this.normalizeScope(scope);
+
+    // Updated in place so concurrent saves of the session (activity, colours) aren't lost
+    const updated = await CollaborationSession.findOneAndUpdate(
+      { _id: session._id, 'collaborators.userId': userId },
+      { $set: { 'collaborators.$.editScope': editScope } },
+      { new: true }
+    );
+
+    if (!updated) {
+      throw scopeError('NotFound', 'Collaborator not found');
+    }
+
+    this.emit('scope:updated', { sessionId: String(session._id), userId: String(userId), editScope });
+    return editScope;
+  }
+
+  /**
+   * Validate a scope sent by a client
+   * @param {Object} scope - Raw scope
+   * @returns {Object} { zone, boundaryIds }
+   * @throws {Error} With code 'InvalidScope' if it is invalid
+   */
+  normalizeScope(scope) {
+    const { zone = [], boundaryIds = [] } = scope || {};
+
+    if (!Array.isArray(zone) || (zone.length > 0 && zone.length < 3) || zone.length > MAX_ZONE_POINTS) {
+      throw scopeError('InvalidScope', `zone must be a polygon of 3 to ${MAX_ZONE_POINTS} points, or empty`);
+    }
+
+    const points = zone.map(point => ({ lat: Number(point && point.lat), lng: Number(point && point.lng) }));
+    const validPoint = ({ lat, lng }) =>
+      Number.isFinite(lat) && Number.isFinite(lng) && lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+    if (!points.every(validPoint)) {
+      throw scopeError('InvalidScope', 'zone points must be valid {lat, lng} coordinates');
+    }
+
+    if (!Array.isArray(boundaryIds) || boundaryIds.length > MAX_BOUNDARY_IDS ||
+        !boundaryIds.every(id => mongoose.Types.ObjectId.isValid(id))) {
+      throw scopeError('InvalidScope', `boundaryIds must be a list of at most ${MAX_BOUNDARY_IDS} boundary IDs`);
+    }
+
+    return {
+      zone: points,
+      boundaryIds: Array.from(new Set(boundaryIds.map(String)))
+    };
+  }
+}
+
+module.exports = new EditScopeService();
@@ -1,11 +1,19 @@
 const nodemailer = require('nodemailer');
 const pathMapGenerator = require('./PathMapGenerator');
-const { sanitizeHtml } = require('../utils/security'); // Add this utility
-const rateLimit = require('express-rate-limit'); // Add this dependency
+const { sanitizeHtml } = require('../utils/security');
+const emailTemplates = require('../utils/emailTemplates');
+
+// Notification preference each collaboration email respects (see User.notificationPreferences)
+const TEMPLATE_PREFERENCES = {
+  collaborationInvite: 'collaborationInvites',
+  reviewRequest: 'reviewRequests',
+  chatMention: 'mentions',
+  dailyDigest: 'dailyDigest'
+};
 
 /**
  * Enhanced Email Service
- * Sends emails with audio compositions and path maps
+ * Sends emails with audio compositions and path maps, and collaboration notifications
  */
 class EnhancedEmailService {
   constructor() {
@@ -23,6 +31,14 @@ class EnhancedEmailService {
    */
   setupTransporter() {
     try {
+      // Development and tests can capture messages instead of sending them
+      if (process.env.EMAIL_TRANSPORT === 'json' || process.env.EMAIL_TRANSPORT === 'stream') {
+        this.transporter = nodemailer.createTransport(process.env.EMAIL_TRANSPORT === 'json'
+          ? { jsonTransport: true }
+          : { streamTransport: true, buffer: true });
+        return;
+      }
+      
       // Validate required environment variables
       const requiredEnvVars = [
         'EMAIL_HOST', 
@@ -207,4 +223,138 @@ class EnhancedEmailService {
           <p>We've created a unique audio composition based on your journey through this sound installation. Below you'll find both your audio composition and a map of your path.</p>
           
           <div style="background-color: #f9f9f9; border-radius: 8px; padding: 20px; margin: 25px 0;">
-            <h2 style="font-size: 
\ No newline at end of file
+            <h2 style="font-size: 18px; margin-top: 0;">Your Journey</h2>
+            <p style="margin: 5px 0;"><strong>Duration:</strong> ${formattedDuration}</p>
+            <p style="margin: 5px 0;"><strong>Distance:</strong> ${formattedDistance}</p>
+            <p style="margin: 5px 0;"><strong>Sound regions visited:</strong> ${uniqueRegions}</p>
+            <p style="margin: 5px 0;"><strong>Time:</strong> ${startTime} - ${endTime}</p>
+          </div>
+          ${pathMapUrl ? `
+          <div style="margin: 25px 0;">
+            <img src="${sanitizeHtml(pathMapUrl)}" alt="Map of your path" style="max-width: 100%; border-radius: 8px;" />
+          </div>` : ''}
+          <p style="margin: 30px 0;">
+            <a href="${sanitizeHtml(downloadUrl)}" style="background-color: #4a90e2; color: #fff; padding: 12px 24px; border-radius: 4px; text-decoration: none;">Download your composition</a>
+          </p>
+          
+          <p style="font-size: 12px; color: #999;">This download link expires on ${formattedDate}.</p>
+        </div>
+      `;
+      
+      return await this.transporter.sendMail({
+        from: process.env.EMAIL_FROM,
+        to: email,
+        subject: `Your EONTA journey through ${compositionTitle || 'EONTA Composition'}`.replace(/[\r\n]+/g, ' '),
+        html: emailHtml
+      });
+    } catch (error) {
+      console.error('Error sending download email:', error);
+      throw new Error('Failed to send email');
+    }
+  }
+  
+  /**
+   * Check whether a user wants a kind of collaboration email
+   * Every kind is on until the user turns it off.
+   * @param {Object} user - User with notificationPreferences
+   * @param {String} template - Template name
+   * @returns {Boolean} Whether to send it
+   */
+  wantsEmail(user, template) {
+    const preferences = (user && user.notificationPreferences) || {};
+    return preferences[TEMPLATE_PREFERENCES[template]] !== false;
+  }
+  
+  /**
+   * Send a collaboration email from a template, unless the recipient turned that kind off
+   * @param {Object} recipient - User { email, notificationPreferences }
+   * @param {String} template - 'collaborationInvite', 'reviewRequest', 'chatMention' or 'dailyDigest'
+   * @param {Object} data - Template data (see utils/emailTemplates), unescaped
+   * @returns {Promise<Object|null>} Result of sending the email, or null if it wasn't wanted
+   */
+  async sendCollaborationEmail(recipient, template, data) {
+    if (!TEMPLATE_PREFERENCES[template]) {
+      throw new Error(`Unknown email template: ${template}`);
+    }
+    
+    if (!this.wantsEmail(recipient, template)) {
+      return null;
+    }
+    
+    const email = recipient && recipient.email;
+    if (!this.isValidEmail(email)) {
+      throw new Error('Invalid email address');
+    }
+    
+    // Limited per recipient, so a busy session can't flood anyone's inbox
+    const identifier = `notification_${email}`;
+    if (this.isRateLimited(identifier)) {
+      throw new Error('Email rate limit exceeded. Please try again later.');
+    }
+    this.recordEmailAttempt(identifier);
+    
+    if (!this.transporter) {
+      this.setupTransporter();
+      if (!this.transporter) {
+        throw new Error('Email service is unavailable');
+      }
+    }
+    
+    const { subject, html, text } = emailTemplates[template](data);
+    
+    try {
+      return await this.transporter.sendMail({
+        from: process.env.EMAIL_FROM || 'EONTA <no-reply@eonta.app>',
+        to: email,
+        subject,
+        html,
+        text
+      });
+    } catch (error) {
+      console.error(`Error sending ${template} email:`, error);
+      throw new Error('Failed to send email');
+    }
+  }
+  
+  /**
+   * Email someone who was added to a collaboration session
+   * @param {Object} recipient - Invited user
+   * @param {Object} data - { inviterName, sessionName, permission, acceptUrl }
+   * @returns {Promise<Object|null>} Result of sending the email
+   */
+  sendCollaborationInvite(recipient, data) {
+    return this.sendCollaborationEmail(recipient, 'collaborationInvite', data);
+  }
+  
+  /**
+   * Email a session admin about a change waiting for their review
+   * @param {Object} recipient - Admin
+   * @param {Object} data - { authorName, sessionName, changeType, reviewUrl }
+   * @returns {Promise<Object|null>} Result of sending the email
+   */
+  sendReviewRequest(recipient, data) {
+    return this.sendCollaborationEmail(recipient, 'reviewRequest', data);
+  }
+  
+  /**
+   * Email someone who was mentioned in a session's chat
+   * @param {Object} recipient - Mentioned user
+   * @param {Object} data - { authorName, sessionName, content, sessionUrl }
+   * @returns {Promise<Object|null>} Result of sending the email
+   */
+  sendMentionEmail(recipient, data) {
+    return this.sendCollaborationEmail(recipient, 'chatMention', data);
+  }
+  
+  /**
+   * Email a collaborator the changes made in a session while they were away
+   * @param {Object} recipient - Collaborator
+   * @param {Object} data - { sessionName, changes: [{ authorName, changeType }], sessionUrl }
+   * @returns {Promise<Object|null>} Result of sending the email
+   */
+  sendDailyDigest(recipient, data) {
+    return this.sendCollaborationEmail(recipient, 'dailyDigest', data);
+  }
+}
+
+module.exports = new EnhancedEmailService();
@@ -0,0 +1,290 @@
+const storage = require('./StorageService');
+const AudioAsset = require('../models/AudioAsset');
+const Composition = require('../models/Composition');
+const PathRecording = require('../models/PathRecording');
+const UploadSession = require('../models/UploadSession');
+const storageConfig = require('../config/storage');
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Keys written by this server - anything else in the bucket is never touched
+const RECORDING_KEY = /^(?:path-recordings|path-maps)\/([a-zA-Z0-9_-]+)\./;
+const UPLOAD_CHUNK_KEY = /^uploads\/([^/]+)\//;
+const AUDIO_KEY = /^(?:\d+-[^/]+|(?:renditions|peaks)\/.+)$/;
+
+/**
+ * Garbage Collector for EONTA
+ * Deletes expired path recordings (with their mixdowns and map images), abandoned
+ * resumable uploads, audio no composition uses any more and stored files no record
+ * knows about, and reports how much space was reclaimed.
+ */
+class GarbageCollector {
+  /**
+   * Run a collection
+   * @param {Object} options - Options
+   * @param {boolean} options.dryRun - Only report what would be deleted (default from config)
+   * @returns {Promise<Object>} Report with records, files and bytes per category
+   */
+  async run(options = {}) {
+    const settings = storageConfig.garbageCollection;
+    const dryRun = typeof options.dryRun === 'boolean' ? options.dryRun : settings.dryRun;
+    const now = new Date();
+
+    const report = {
+      dryRun,
+      startedAt: now,
+      recordings: { records: 0, files: 0, bytes: 0 },
+      uploads: { records: 0, files: 0, bytes: 0 },
+      audio: { records: 0, files: 0, bytes: 0 },
+      orphans: { files: 0, bytes: 0 },
+      totalFiles: 0,
+      totalBytes: 0,
+      errors: []
+    };
+
+    await this.collectExpiredRecordings(report, now);
+    await this.collectExpiredUploads(report, now);
+    if (settings.unusedAudioDays > 0) {
+      await this.collectUnusedAudio(report, now, settings.unusedAudioDays);
+    }
+    // Last, so the files of everything deleted above are already gone
+    await this.collectOrphanedFiles(report, now, settings.orphanGraceHours);
+
+    ['recordings', 'uploads', 'audio', 'orphans'].forEach(category => {
+      report.totalFiles += report[category].files;
+      report.totalBytes += report[category].bytes;
+    });
+    report.finishedAt = new Date();
+
+    console.log(
+      `Garbage collection${dryRun ? ' (dry run)' : ''}: ` +
+      `${dryRun ? 'would reclaim' : 'reclaimed'} ${report.totalBytes} bytes in ${report.totalFiles} file(s), ` +
+      `${report.errors.length} error(s)`
+    );
+
+    return report;
+  }
+
+  /**
+   * Delete recordings past their expiry date, with their mixdowns and map images
+   * @param {Object} report - Report to add to
+   * @param {Date} now - Time of the run
+   */
+  async collectExpiredRecordings(report, now) {
+    const recordings = PathRecording.find({ expiresAt: { $lte: now } })
+      .select('recordingId expiresAt')
+      .cursor();
+
+    for await (const recording of recordings) {
+      const files = [];
+      try {
+        for (const prefix of recording.getStoragePrefixes()) {
+          for await (const file of storage.list(prefix)) files.push(file);
+        }
+      } catch (error) {
+        this.recordError(report, 'recordings', recording.recordingId, error);
+        continue;
+      }
+
+      // The record is kept while any of its files remain so the next run tries again
+      if (await this.removeFiles(files, report, 'recordings')) {
+        await this.removeRecord(PathRecording, recording, report, 'recordings');
+      }
+    }
+  }
+
+  /**
+   * Delete resumable uploads that can no longer be resumed, with their chunks
+   * @param {Object} report - Report to add to
+   * @param {Date} now - Time of the run
+   */
+  async collectExpiredUploads(report, now) {
+    // Uploads being assembled are left to finish
+    const sessions = UploadSession.find({ expiresAt: { $lte: now }, status: { $ne: 'completing' } })
+      .select('_id')
+      .cursor();
+
+    for await (const session of sessions) {
+      const files = [];
+      try {
+        for await (const file of storage.list(`uploads/${session._id}/`)) files.push(file);
+      } catch (error) {
+        this.recordError(report, 'uploads', session._id.toString(), error);
+        continue;
+      }
+
+      if (await this.removeFiles(files, report, 'uploads')) {
+        await this.removeRecord(UploadSession, session, report, 'uploads');
+      }
+    }
+  }
+
+  /**
+   * Delete audio that compositions used to reference but haven't for a while
+   * Assets still referenced are stamped with lastUsedAt on every run, which is how
+   * the collector knows how long the others have been unused.
+   * @param {Object} report - Report to add to
+   * @param {Date} now - Time of the run
+   * @param {number} unusedDays - Days an asset must have been unused
+   */
+  async collectUnusedAudio(report, now, unusedDays) {
+    const referenced = (await Composition.distinct('audioRegions.audioFile')).filter(Boolean);
+
+    if (!report.dryRun && referenced.length > 0) {
+      await AudioAsset.updateMany({ key: { $in: referenced } }, { $set: { lastUsedAt: now } });
+    }
+
+    // An asset being edited into a new one is still needed until the edit finishes
+    const editing = await AudioAsset.distinct('derivedFrom', { status: 'processing' });
+
+    const assets = AudioAsset.find({
+      lastUsedAt: { $lte: new Date(now.getTime() - unusedDays * DAY) },
+      key: { $nin: referenced },
+      status: { $ne: 'processing' },
+      _id: { $nin: editing.filter(Boolean) }
+    }).cursor();
+
+    for await (const asset of assets) {
+      // A composition may have started using it since the references were read
+      if (await Composition.exists({ 'audioRegions.audioFile': asset.key })) continue;
+
+      const files = [];
+      try {
+        for (const key of asset.getStorageKeys()) {
+          const stats = await storage.stat(key);
+          if (stats) files.push({ key, size: stats.size });
+        }
+      } catch (error) {
+        this.recordError(report, 'audio', asset.key, error);
+        continue;
+      }
+
+      // The record goes first, and only if no other run has since seen the asset in use;
+      // files that then can't be deleted are left to collectOrphanedFiles
+      if (await this.removeRecord(AudioAsset, asset, report, 'audio', { lastUsedAt: asset.lastUsedAt })) {
+        await this.removeFiles(files, report, 'audio');
+      }
+    }
+  }
+
+  /**
+   * Delete stored files that no recording, upload, asset or composition refers to
+   * @param {Object} report - Report to add to
+   * @param {Date} now - Time of the run
+   * @param {number} graceHours - Minimum age of a file before it is deleted
+   */
+  async collectOrphanedFiles(report, now, graceHours) {
+    const [recordingIds, sessionIds, audioKeys] = await Promise.all([
+      PathRecording.distinct('recordingId'),
+      UploadSession.distinct('_id'),
+      this.getKnownAudioKeys()
+    ]);
+    const knownRecordings = new Set(recordingIds);
+    const knownSessions = new Set(sessionIds.map(id => id.toString()));
+    const cutoff = now.getTime() - graceHours * HOUR;
+
+    const isKnown = key => {
+      const recording = RECORDING_KEY.exec(key);
+      if (recording) return knownRecordings.has(recording[1]);
+
+      const upload = UPLOAD_CHUNK_KEY.exec(key);
+      if (upload) return knownSessions.has(upload[1]);
+
+      // Keys the server didn't write count as known so they are never deleted
+      return !AUDIO_KEY.test(key) || audioKeys.has(key);
+    };
+
+    const orphans = [];
+    try {
+      for await (const file of storage.list('')) {
+        if (new Date(file.lastModified).getTime() <= cutoff && !isKnown(file.key)) {
+          orphans.push(file);
+        }
+      }
+    } catch (error) {
+      this.recordError(report, 'orphans', '', error);
+      return;
+    }
+
+    await this.removeFiles(orphans, report, 'orphans');
+  }
+
+  /**
+   * Get every audio storage key in use: asset files, renditions and peaks, plus
+   * files compositions reference directly (uploaded before assets were recorded)
+   * @returns {Promise<Set<string>>} Storage keys
+   */
+  async getKnownAudioKeys() {
+    const keys = new Set((await Composition.distinct('audioRegions.audioFile')).filter(Boolean));
+
+    for await (const asset of AudioAsset.find().select('key renditions peaksKey').cursor()) {
+      asset.getStorageKeys().forEach(key => keys.add(key));
+    }
+
+    return keys;
+  }
+
+  /**
+   * Delete files and count them in the report (only counted in a dry run)
+   * @param {Array<{key: string, size: number}>} files - Files to delete
+   * @param {Object} report - Report to add to
+   * @param {string} category - Report category
+   * @returns {Promise<boolean>} Whether every file was deleted
+   */
+  async removeFiles(files, report, category) {
+    let removedAll = true;
+
+    for (const file of files) {
+      try {
+        if (!report.dryRun) {
+          await storage.delete(file.key);
+        }
+        report[category].files++;
+        report[category].bytes += file.size || 0;
+      } catch (error) {
+        removedAll = false;
+        this.recordError(report, category, file.key, error);
+      }
+    }
+
+    return removedAll;
+  }
+
+  /**
+   * Delete a database record once its files are gone (only counted in a dry run)
+   * @param {Object} Model - Mongoose model
+   * @param {Object} doc - Document to delete
+   * @param {Object} report - Report to add to
+   * @param {string} category - Report category
+   * @param {Object} conditions - Further conditions the record must still meet to be deleted
+   * @returns {Promise<boolean>} Whether the record was deleted (or would be, in a dry run)
+   */
+  async removeRecord(Model, doc, report, category, conditions = {}) {
+    try {
+      if (!report.dryRun) {
+        const { deletedCount } = await Model.deleteOne({ _id: doc._id, ...conditions });
+        if (deletedCount === 0) return false;
+      }
+      report[category].records++;
+      return true;
+    } catch (error) {
+      this.recordError(report, category, doc._id.toString(), error);
+      return false;
+    }
+  }
+
+  /**
+   * Note an error in the report without stopping the run
+   * @param {Object} report - Report to add to
+   * @param {string} category - Report category
+   * @param {string} target - Key or ID the error concerns
+   * @param {Error} error - The error
+   */
+  recordError(report, category, target, error) {
+    console.error(`Garbage collection error (${category} ${target}):`, error);
+    report.errors.push({ category, target, message: error.message });
+  }
+}
+
+module.exports = new GarbageCollector();
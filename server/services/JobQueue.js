@@ -0,0 +1,381 @@
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const Job = require('../models/Job');
+const jobsConfig = require('../config/jobs');
+
+/**
+ * Job Queue for EONTA
+ * Runs background jobs in-process, persisting them in MongoDB so they can be
+ * retried, survive restarts and report their progress to polling clients.
+ *
+ * Emits 'job:progress', 'job:completed' and 'job:failed' with the job document.
+ */
+class JobQueue extends EventEmitter {
+  constructor() {
+    super();
+    this.handlers = new Map();
+    this.running = new Map(); // job ID -> job type
+    this.started = false;
+    this.polling = false;
+    this.timer = null;
+    this.lastRecovery = 0;
+    this.schedules = [];
+    this.lastScheduleCheck = 0;
+  }
+
+  /**
+   * Register the handler for a job type
+   * The handler receives the job and a context with reportProgress(percent),
+   * and resolves with the job's result. Throwing schedules a retry, unless the
+   * error has `retryable: false`.
+   * @param {string} type - Job type
+   * @param {Function} handler - async (job, context) => result
+   * @param {Object} options - Options
+   * @param {number} options.concurrency - Maximum jobs of this type running at once
+   * @param {number} options.maxAttempts - Default attempts for jobs of this type
+   * @param {Function} options.onFailed - Called with (job, error) once all attempts have failed
+   */
+  register(type, handler, options = {}) {
+    this.handlers.set(type, {
+      handler,
+      concurrency: options.concurrency || jobsConfig.concurrency[type] || 1,
+      maxAttempts: options.maxAttempts || jobsConfig.maxAttempts,
+      onFailed: options.onFailed
+    });
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Job type
+   * @param {Object} payload - Input for the handler
+   * @param {Object} options - Options
+   * @param {string} options.user - ID of the user the job belongs to
+   * @param {number} options.maxAttempts - Attempts before the job fails
+   * @returns {Promise<Object>} The queued Job document
+   */
+  async enqueue(type, payload = {}, options = {}) {
+    const registration = this.handlers.get(type);
+    if (!registration) {
+      throw new Error(`No handler registered for job type "${type}"`);
+    }
+
+    const job = await Job.create({
+      type,
+      payload,
+      user: options.user,
+      maxAttempts: options.maxAttempts || registration.maxAttempts
+    });
+
+    this.wake();
+    return job;
+  }
+
+  /**
+   * Run a job type repeatedly
+   * A job is enqueued whenever none of the type has been created within the interval,
+   * so servers sharing the database don't each run it. Finished jobs are only kept for
+   * jobsConfig.retentionDays, so longer intervals aren't honoured.
+   * @param {string} type - Job type
+   * @param {Object} payload - Input for the handler
+   * @param {number} interval - Time between runs (ms)
+   */
+  schedule(type, payload, interval) {
+    this.schedules.push({ type, payload, interval });
+  }
+
+  /**
+   * Enqueue the scheduled jobs that are due
+   * A schedule that can't be enqueued is logged and skipped, so it doesn't hold up the others.
+   */
+  async enqueueScheduledJobs() {
+    for (const { type, payload, interval } of this.schedules) {
+      try {
+        const recent = await Job.exists({ type, createdAt: { $gt: new Date(Date.now() - interval) } });
+        if (!recent) {
+          await this.enqueue(type, payload);
+        }
+      } catch (error) {
+        console.error(`Error scheduling ${type} job:`, error);
+      }
+    }
+  }
+
+  /**
+   * Start processing jobs
+   */
+  start() {
+    if (this.started) return;
+    this.started = true;
+
+    this.timer = setInterval(() => this.poll(), jobsConfig.pollInterval);
+
+    // Don't keep the process alive just for polling
+    if (this.timer.unref) this.timer.unref();
+
+    this.wake();
+    console.log('Job queue started');
+  }
+
+  /**
+   * Stop claiming new jobs. Jobs already running are left to finish.
+   */
+  stop() {
+    this.started = false;
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Check for runnable jobs on the next tick
+   */
+  wake() {
+    if (this.started) {
+      setImmediate(() => this.poll());
+    }
+  }
+
+  /**
+   * Claim and start queued jobs until the concurrency limits are reached
+   */
+  async poll() {
+    if (this.polling || !this.started) return;
+    this.polling = true;
+
+    try {
+      if (Date.now() - this.lastRecovery >= jobsConfig.staleAfter) {
+        this.lastRecovery = Date.now();
+        await this.recoverStaleJobs();
+      }
+
+      if (this.schedules.length > 0 && Date.now() - this.lastScheduleCheck >= jobsConfig.scheduleCheckInterval) {
+        this.lastScheduleCheck = Date.now();
+        await this.enqueueScheduledJobs();
+      }
+
+      let job;
+      while ((job = await this.claimNext())) {
+        this.runJob(job);
+      }
+    } catch (error) {
+      console.error('Error polling job queue:', error);
+    } finally {
+      this.polling = false;
+    }
+  }
+
+  /**
+   * Get the job types that have a free slot
+   * @returns {Array<string>} Job types
+   */
+  getAvailableTypes() {
+    if (this.running.size >= jobsConfig.maxConcurrency) {
+      return [];
+    }
+
+    const runningByType = {};
+    this.running.forEach(type => {
+      runningByType[type] = (runningByType[type] || 0) + 1;
+    });
+
+    return Array.from(this.handlers.entries())
+      .filter(([type, registration]) => (runningByType[type] || 0) < registration.concurrency)
+      .map(([type]) => type);
+  }
+
+  /**
+   * Atomically claim the oldest runnable job of a type with a free slot
+   * @returns {Promise<Object|null>} The claimed job, or null if there is none
+   */
+  async claimNext() {
+    const types = this.getAvailableTypes();
+    if (types.length === 0) {
+      return null;
+    }
+
+    const now = new Date();
+
+    return Job.findOneAndUpdate(
+      { status: 'queued', type: { $in: types }, runAt: { $lte: now } },
+      {
+        $set: { status: 'running', startedAt: now, lockedAt: now, claimToken: crypto.randomUUID() },
+        $inc: { attempts: 1 }
+      },
+      { sort: { runAt: 1 }, new: true }
+    );
+  }
+
+  /**
+   * Get the filter matching a job only while it is still held by this claim
+   * @param {Object} job - Claimed Job document
+   * @returns {Object} MongoDB filter
+   */
+  claimFilter(job) {
+    return { _id: job._id, status: 'running', claimToken: job.claimToken };
+  }
+
+  /**
+   * Run a claimed job and record the outcome
+   * lockedAt is refreshed while the handler runs, so jobs that report progress
+   * rarely (or not at all) aren't recovered as stale.
+   * @param {Object} job - Claimed Job document
+   */
+  async runJob(job) {
+    const jobId = job._id.toString();
+    const registration = this.handlers.get(job.type);
+    this.running.set(jobId, job.type);
+
+    const heartbeat = setInterval(() => {
+      Job.updateOne(this.claimFilter(job), { $set: { lockedAt: new Date() } }).catch(error => {
+        console.error(`Error refreshing lock of job ${jobId}:`, error);
+      });
+    }, jobsConfig.staleAfter / 3);
+    if (heartbeat.unref) heartbeat.unref();
+
+    try {
+      const result = await registration.handler(job, {
+        reportProgress: percent => this.reportProgress(job, percent)
+      });
+
+      const completed = await Job.findOneAndUpdate(this.claimFilter(job), {
+        $set: {
+          status: 'completed',
+          result: result || {},
+          progress: 100,
+          completedAt: new Date(),
+          expiresAt: this.getExpiryDate()
+        },
+        $unset: { lockedAt: 1, claimToken: 1, error: 1 }
+      }, { new: true });
+
+      if (completed) {
+        this.emit('job:completed', completed);
+      } else {
+        console.warn(`Job ${jobId} was claimed again before it completed; its result is discarded`);
+      }
+    } catch (error) {
+      await this.handleFailure(job, registration, error).catch(updateError => {
+        console.error(`Error recording failure of job ${jobId}:`, updateError);
+      });
+    } finally {
+      clearInterval(heartbeat);
+      this.running.delete(jobId);
+      this.wake();
+    }
+  }
+
+  /**
+   * Schedule a retry for a failed job, or mark it as failed when out of attempts
+   * Nothing is recorded if the job has been claimed again since.
+   * @param {Object} job - Job document
+   * @param {Object} registration - Handler registration
+   * @param {Error} error - The error thrown by the handler
+   */
+  async handleFailure(job, registration, error) {
+    const message = error && error.message ? error.message : String(error);
+
+    if (job.attempts < job.maxAttempts && !(error && error.retryable === false)) {
+      const delay = jobsConfig.retryDelay * Math.pow(2, job.attempts - 1);
+      console.warn(`Job ${job._id} (${job.type}) failed on attempt ${job.attempts}, retrying in ${delay}ms: ${message}`);
+
+      await Job.updateOne(this.claimFilter(job), {
+        $set: { status: 'queued', runAt: new Date(Date.now() + delay), error: message },
+        $unset: { lockedAt: 1, claimToken: 1 }
+      });
+      return;
+    }
+
+    console.error(`Job ${job._id} (${job.type}) failed after ${job.attempts} attempt(s):`, error);
+
+    const failed = await Job.findOneAndUpdate(this.claimFilter(job), {
+      $set: {
+        status: 'failed',
+        error: message,
+        completedAt: new Date(),
+        expiresAt: this.getExpiryDate()
+      },
+      $unset: { lockedAt: 1, claimToken: 1 }
+    }, { new: true });
+
+    if (!failed) {
+      console.warn(`Job ${job._id} was claimed again before its failure was recorded`);
+      return;
+    }
+
+    if (typeof registration.onFailed === 'function') {
+      try {
+        await registration.onFailed(failed, error);
+      } catch (hookError) {
+        console.error(`Error in failure handler of job ${job._id}:`, hookError);
+      }
+    }
+
+    this.emit('job:failed', failed);
+  }
+
+  /**
+   * Save and broadcast a running job's progress
+   * Small changes are skipped to keep database writes down.
+   * @param {Object} job - Job document
+   * @param {number} percent - Percentage (0-100)
+   */
+  async reportProgress(job, percent) {
+    const progress = Math.max(0, Math.min(100, Math.round(percent)));
+
+    if (progress - job.progress < jobsConfig.progressStep && progress < 100) {
+      return;
+    }
+
+    job.progress = progress;
+
+    try {
+      await Job.updateOne(this.claimFilter(job), { $set: { progress, lockedAt: new Date() } });
+      this.emit('job:progress', job);
+    } catch (error) {
+      console.error(`Error saving progress of job ${job._id}:`, error);
+    }
+  }
+
+  /**
+   * Re-queue jobs left running by a worker that went away, failing those out of attempts
+   * @returns {Promise<number>} Number of jobs recovered
+   */
+  async recoverStaleJobs() {
+    const staleBefore = new Date(Date.now() - jobsConfig.staleAfter);
+
+    // Don't touch jobs this process is still running
+    const staleJobs = await Job.find({
+      status: 'running',
+      lockedAt: { $lt: staleBefore },
+      _id: { $nin: Array.from(this.running.keys()) }
+    });
+
+    for (const job of staleJobs) {
+      const registration = this.handlers.get(job.type);
+
+      if (registration && job.attempts >= job.maxAttempts) {
+        await this.handleFailure(job, registration, new Error('Job was interrupted'));
+      } else {
+        await Job.updateOne(this.claimFilter(job), {
+          $set: { status: 'queued', runAt: new Date() },
+          $unset: { lockedAt: 1, claimToken: 1 }
+        });
+      }
+    }
+
+    if (staleJobs.length > 0) {
+      console.warn(`Recovered ${staleJobs.length} interrupted job(s)`);
+    }
+
+    return staleJobs.length;
+  }
+
+  /**
+   * Get the date after which a finished job is removed
+   * @returns {Date} Expiry date
+   */
+  getExpiryDate() {
+    return new Date(Date.now() + jobsConfig.retentionDays * 24 * 60 * 60 * 1000);
+  }
+}
+
+module.exports = new JobQueue();
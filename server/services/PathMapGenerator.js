@@ -3,10 +3,7 @@ const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const { promisify } = require('util');
-
-// AWS SDK v3 imports
-const { S3Client, PutObjectCommand, GetObjectCommand } = require('@aws-sdk/client-s3');
-const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const storage = require('./StorageService');
 
 // Use promisify for fs operations
 const writeFileAsync = promisify(fs.writeFile);
@@ -19,25 +16,6 @@ const mkdirAsync = promisify(fs.mkdir);
  * Modified version without canvas dependency
  */
 class PathMapGenerator {
-  constructor() {
-    // Initialize AWS S3 client only if credentials are available
-    if (
-      process.env.AWS_ACCESS_KEY_ID &&
-      process.env.AWS_SECRET_ACCESS_KEY &&
-      process.env.AWS_REGION
-    ) {
-      this.s3Client = new S3Client({
-        region: process.env.AWS_REGION,
-        credentials: {
-          accessKeyId: process.env.AWS_ACCESS_KEY_ID,
-          secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
-        }
-      });
-    } else {
-      console.warn('AWS credentials not configured. S3 uploads will not work.');
-    }
-  }
-
   /**
    * Generate a static map image using the Google Maps Static API
    * @param {Object} recording - The path recording object
@@ -104,8 +82,11 @@ class PathMapGenerator {
     
     // Use composition center if available, otherwise use first point from path
     let mapCenter;
-    if (composition && composition.location && composition.location.coordinates) {
-      mapCenter = composition.location.coordinates.join(',');
+    if (composition && composition.location && composition.location.coordinates &&
+        composition.location.coordinates.length === 2) {
+      // GeoJSON stores [lng, lat] but the Static Maps API expects "lat,lng"
+      const [lng, lat] = composition.location.coordinates;
+      mapCenter = `${lat},${lng}`;
     } else {
       const firstPoint = recording.path[0];
       mapCenter = `${firstPoint.lat},${firstPoint.lng}`;
@@ -127,7 +108,7 @@ class PathMapGenerator {
     // Construct the final URL
     const staticMapUrl = `https://maps.googleapis.com/maps/api/staticmap?center=${mapCenter}&zoom=${mapZoom}&size=${mapSize}&maptype=${mapType}&${pathParam}&${startMarker}&${endMarker}&key=${apiKey}`;
     
-    // For higher security, we'll download the image and upload to our own S3 rather than sending Google Maps URL directly
+    // For higher security, we'll download the image and upload to our own storage rather than sending Google Maps URL directly
     // Set a timeout for the request
     const axiosOptions = {
       responseType: 'arraybuffer',
@@ -147,9 +128,9 @@ class PathMapGenerator {
       // Save to temp file
       await writeFileAsync(tempFilePath, imageResponse.data);
       
-      // Upload to S3
-      const s3Key = `path-maps/${recording.recordingId}.png`;
-      const imageUrl = await this.uploadToS3(tempFilePath, s3Key);
+      // Store it
+      const storageKey = `path-maps/${recording.recordingId}.png`;
+      const imageUrl = await this.uploadToStorage(tempFilePath, storageKey, 'image/png');
       
       // Remove temp file
       try {
@@ -181,47 +162,23 @@ class PathMapGenerator {
   }
   
   /**
-   * Upload file to S3
+   * Upload file to storage
    * @param {string} filePath - Path to the file
-   * @param {string} s3Key - S3 key for the file
-   * @returns {Promise<string>} - Presigned URL
+   * @param {string} storageKey - Storage key for the file
+   * @param {string} contentType - MIME type of the file
+   * @returns {Promise<string>} - Signed URL
    */
-  async uploadToS3(filePath, s3Key) {
-    if (!this.s3Client) {
-      throw new Error('S3 not configured');
-    }
-    
+  async uploadToStorage(filePath, storageKey, contentType) {
     try {
-      // Create a readable stream from the file
-      const fileStream = fs.createReadStream(filePath);
+      await storage.putFile(storageKey, filePath, { contentType });
       
-      // Set up the upload parameters
-      const uploadParams = {
-        Bucket: process.env.S3_BUCKET_NAME,
-        Key: s3Key,
-        Body: fileStream,
-        ContentType: 'image/png',
-        ACL: 'private'
-      };
-      
-      // Upload the file to S3
-      const command = new PutObjectCommand(uploadParams);
-      await this.s3Client.send(command);
-      
-      // Generate a pre-signed URL (valid for 7 days, same as audio)
-      const getObjectCommand = new GetObjectCommand({
-        Bucket: process.env.S3_BUCKET_NAME,
-        Key: s3Key
-      });
-      
-      const imageUrl = await getSignedUrl(this.s3Client, getObjectCommand, {
+      // Generate a signed URL (valid for 7 days, same as audio)
+      return await storage.getSignedUrl(storageKey, {
         expiresIn: 7 * 24 * 60 * 60 // 7 days in seconds
       });
-      
-      return imageUrl;
     } catch (error) {
-      console.error('S3 upload error:', error);
-      throw new Error('Failed to upload image to S3');
+      console.error('Storage upload error:', error);
+      throw new Error('Failed to upload image to storage');
     }
   }
 
@@ -259,7 +216,7 @@ class PathMapGenerator {
     
     try {
       // Return a static placeholder URL or generate a simple text-based map
-      // and upload it to S3
+      // and upload it to storage
       
       // Create a simple text representation of the journey
       const recordingStartTime = new Date(recording.startTime || Date.now()).toLocaleString();
@@ -291,47 +248,24 @@ End: ${recording.path && recording.path.length > 1 ?
       
       await writeFileAsync(tempFilePath, textContent);
       
-      // Upload to S3
-      const s3Key = `path-maps/${recording.recordingId}.txt`;
+      // Store it
+      const storageKey = `path-maps/${recording.recordingId}.txt`;
       
-      if (this.s3Client) {
+      try {
+        const textUrl = await this.uploadToStorage(tempFilePath, storageKey, 'text/plain');
+        return textUrl;
+      } catch (error) {
+        console.error('Error uploading fallback text map:', error);
+      } finally {
+        // Clean up
         try {
-          // Upload the text file
-          const uploadParams = {
-            Bucket: process.env.S3_BUCKET_NAME,
-            Key: s3Key,
-            Body: fs.createReadStream(tempFilePath),
-            ContentType: 'text/plain',
-            ACL: 'private'
-          };
-          
-          const command = new PutObjectCommand(uploadParams);
-          await this.s3Client.send(command);
-          
-          // Create a signed URL
-          const getObjectCommand = new GetObjectCommand({
-            Bucket: process.env.S3_BUCKET_NAME,
-            Key: s3Key
-          });
-          
-          const textUrl = await getSignedUrl(this.s3Client, getObjectCommand, {
-            expiresIn: 7 * 24 * 60 * 60 // 7 days in seconds
-          });
-          
-          // Clean up
-          try {
-            await unlinkAsync(tempFilePath);
-          } catch (err) {
-            console.error('Error removing temp file:', err);
-          }
-          
-          return textUrl;
-        } catch (error) {
-          console.error('Error uploading fallback text map:', error);
+          await unlinkAsync(tempFilePath);
+        } catch (err) {
+          console.error('Error removing temp file:', err);
         }
       }
       
-      // If S3 upload fails or S3 is not configured, return a placeholder URL
+      // If the upload fails, return a placeholder URL
       return `https://placeholder.com/map?id=${recording.recordingId}&t=${Date.now()}`;
     } catch (error) {
       console.error('Error generating fallback map URL:', error);
@@ -0,0 +1,280 @@
+const tmp = require('tmp');
+const AudioConverter = require('./AudioConverter');
+const storage = require('./StorageService');
+
+// Default fade lengths in seconds, matching the client's BoundaryTransitionManager
+const DEFAULT_FADE_IN = 1.5;
+const DEFAULT_FADE_OUT = 2.0;
+
+/**
+ * Normalize the effects recorded for a region into {name: params}
+ * The client records either a list of effect names or an options object
+ * such as { lowpass: true, lowpassFrequency: 800 }.
+ * @param {Array|Object} effects - Recorded effects
+ * @returns {Object} Map of effect name to parameters
+ */
+function normalizeEffects(effects) {
+  const result = {};
+
+  if (Array.isArray(effects)) {
+    effects.forEach(name => {
+      if (typeof name === 'string') result[name] = {};
+    });
+  } else if (effects && typeof effects === 'object') {
+    Object.entries(effects).forEach(([name, value]) => {
+      if (value === true) {
+        result[name] = { frequency: effects[`${name}Frequency`] };
+      }
+    });
+  }
+
+  return result;
+}
+
+/**
+ * Convert a Mongoose subdocument (or plain object) into a plain object
+ * @param {Object} value - Subdocument, object or undefined
+ * @returns {Object} Plain object
+ */
+function toPlainObject(value) {
+  if (!value) return {};
+  return typeof value.toObject === 'function' ? value.toObject() : value;
+}
+
+/**
+ * Path Renderer Service
+ * Produces an offline mixdown of a recorded walk that reproduces what the walker heard
+ */
+class PathRenderer {
+  /**
+   * Render a recording to an audio file and upload it
+   * @param {Object} recording - PathRecording document
+   * @param {Object} composition - Composition document
+   * @param {Function} onProgress - Optional callback receiving a percentage (0-100)
+   * @returns {Promise<{key: string, downloadUrl: string}>} Storage key and signed download URL
+   */
+  async render(recording, composition, onProgress) {
+    const duration = (recording.duration || 0) / 1000;
+    if (!(duration > 0)) {
+      throw new Error('Recording has no duration');
+    }
+
+    const tracks = this.buildTracks(recording, composition);
+    if (tracks.length === 0) {
+      throw new Error('No audio was playing during this recording');
+    }
+
+    const report = (percent) => {
+      if (typeof onProgress === 'function') onProgress(percent);
+    };
+
+    const downloads = [];
+    let mix = null;
+
+    try {
+      // Fetch the audio for every region that was heard
+      for (const track of tracks) {
+        const download = await this.downloadToTempFile(track.audioFile);
+        downloads.push(download);
+        track.inputPath = download.name;
+      }
+      report(20);
+
+      // Mixing is the bulk of the work: map it onto 20-90%
+      mix = await AudioConverter.mixTracks(tracks, duration, percent => {
+        report(20 + percent * 0.7);
+      });
+      report(90);
+
+      const key = `path-recordings/${recording.recordingId}${mix.filename.slice(mix.filename.lastIndexOf('.'))}`;
+      const downloadUrl = await this.uploadMixdown(mix.filePath, key, mix.mimetype, recording.expiresAt);
+
+      return { key, downloadUrl };
+    } finally {
+      downloads.forEach(download => download.removeCallback());
+      if (mix) mix.cleanup();
+    }
+  }
+
+  /**
+   * Turn a recording's audio events into mixable tracks, one per region heard
+   * @param {Object} recording - PathRecording document
+   * @param {Object} composition - Composition document
+   * @returns {Array<Object>} Tracks with audioFile, loop, envelope and effects
+   */
+  buildTracks(recording, composition) {
+    const events = [...(recording.audioEvents || [])]
+      .sort((a, b) => a.timeSinceStart - b.timeSinceStart);
+    const regions = new Map(
+      (composition.audioRegions || []).map(region => [region._id.toString(), region])
+    );
+
+    // Regions that were active at any point, in order of first appearance
+    const heardRegionIds = [];
+    events.forEach(event => {
+      (event.activeRegions || []).forEach(active => {
+        const regionId = active.regionId && active.regionId.toString();
+        if (regionId && !heardRegionIds.includes(regionId)) {
+          heardRegionIds.push(regionId);
+        }
+      });
+    });
+
+    const durationSeconds = (recording.duration || 0) / 1000;
+    const tracks = [];
+
+    heardRegionIds.forEach(regionId => {
+      const region = regions.get(regionId);
+      if (!region || !region.audioFile) return;
+
+      // Region settings override the composition's
+      const transition = {
+        ...toPlainObject(composition.transitionSettings),
+        ...toPlainObject(region.transitionSettings)
+      };
+
+      const samples = this.getRegionSamples(events, regionId);
+
+      tracks.push({
+        regionId,
+        audioFile: region.audioFile,
+        loop: region.loop !== false,
+        loopStart: region.loopStart,
+        loopEnd: region.loopEnd,
+        envelope: this.buildEnvelope(
+          samples,
+          transition.fadeInLength ?? DEFAULT_FADE_IN,
+          transition.fadeOutLength ?? DEFAULT_FADE_OUT
+        ),
+        effects: this.buildEffectIntervals(samples, durationSeconds)
+      });
+    });
+
+    return tracks;
+  }
+
+  /**
+   * Get a region's state at every audio event
+   * @param {Array<Object>} events - Audio events sorted by time
+   * @param {string} regionId - Region ID
+   * @returns {Array<{time: number, volume: number, effects: Object}>} Samples (time in seconds)
+   */
+  getRegionSamples(events, regionId) {
+    return events.map(event => {
+      const active = (event.activeRegions || []).find(
+        region => region.regionId && region.regionId.toString() === regionId
+      );
+
+      return {
+        time: event.timeSinceStart / 1000,
+        volume: active ? Math.max(0, Math.min(1, Number(active.volume) || 0)) : 0,
+        effects: active ? normalizeEffects(active.effects) : {}
+      };
+    });
+  }
+
+  /**
+   * Build volume keyframes from a region's samples
+   * The region ramps up over the fade-in length when it becomes active and down
+   * over the fade-out length when it stops; in between it follows the recorded volume.
+   * @param {Array<Object>} samples - Samples from getRegionSamples
+   * @param {number} fadeIn - Fade-in length in seconds
+   * @param {number} fadeOut - Fade-out length in seconds
+   * @returns {Array<{time: number, volume: number}>} Keyframes with strictly increasing times
+   */
+  buildEnvelope(samples, fadeIn, fadeOut) {
+    const keyframes = [];
+
+    // A later keyframe cuts short any ramp still in progress
+    const addKeyframe = (time, volume) => {
+      while (keyframes.length > 0 && keyframes[keyframes.length - 1].time >= time) {
+        keyframes.pop();
+      }
+      keyframes.push({ time, volume });
+    };
+
+    let previousVolume = 0;
+
+    samples.forEach(sample => {
+      if (sample.volume > 0 && previousVolume === 0) {
+        // Entered the region
+        addKeyframe(sample.time, 0);
+        addKeyframe(sample.time + Math.max(fadeIn, 0.01), sample.volume);
+      } else if (sample.volume === 0 && previousVolume > 0) {
+        // Left the region
+        addKeyframe(sample.time, previousVolume);
+        addKeyframe(sample.time + Math.max(fadeOut, 0.01), 0);
+      } else if (sample.volume > 0) {
+        addKeyframe(sample.time, sample.volume);
+      }
+
+      previousVolume = sample.volume;
+    });
+
+    return keyframes;
+  }
+
+  /**
+   * Build the time intervals during which each effect was active
+   * @param {Array<Object>} samples - Samples from getRegionSamples
+   * @param {number} duration - Recording duration in seconds
+   * @returns {Array<{type: string, intervals: Array<Array<number>>, frequency: number}>} Effects
+   */
+  buildEffectIntervals(samples, duration) {
+    const effects = new Map();
+
+    samples.forEach((sample, index) => {
+      const end = index < samples.length - 1 ? samples[index + 1].time : duration;
+
+      Object.entries(sample.effects).forEach(([type, params]) => {
+        if (!effects.has(type)) {
+          effects.set(type, { type, intervals: [], frequency: params.frequency });
+        }
+
+        const effect = effects.get(type);
+        const last = effect.intervals[effect.intervals.length - 1];
+
+        // Merge with the previous interval when contiguous
+        if (last && last[1] >= sample.time) {
+          last[1] = Math.max(last[1], end);
+        } else if (end > sample.time) {
+          effect.intervals.push([sample.time, end]);
+        }
+      });
+    });
+
+    return Array.from(effects.values());
+  }
+
+  /**
+   * Download a stored audio file to a temporary file
+   * @param {string} key - Storage key
+   * @returns {Promise<Object>} tmp file object ({name, removeCallback})
+   */
+  async downloadToTempFile(key) {
+    const tmpFile = tmp.fileSync({ postfix: key.slice(key.lastIndexOf('.')) });
+
+    try {
+      await storage.downloadToFile(key, tmpFile.name);
+      return tmpFile;
+    } catch (error) {
+      tmpFile.removeCallback();
+      throw new Error(`Failed to download region audio ${key}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Store a rendered mixdown and create a signed download URL
+   * @param {string} filePath - Path of the rendered file
+   * @param {string} key - Storage key
+   * @param {string} mimetype - Content type
+   * @param {Date} expiresAt - When the download should stop working
+   * @returns {Promise<string>} Signed URL
+   */
+  async uploadMixdown(filePath, key, mimetype, expiresAt) {
+    await storage.putFile(key, filePath, { contentType: mimetype });
+    return storage.getSignedUrl(key, { expiresAt });
+  }
+}
+
+module.exports = new PathRenderer();
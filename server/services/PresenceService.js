@@ -0,0 +1,131 @@
+const collaborationConfig = require('../config/collaboration');
+const MemoryPresenceAdapter = require('./presence/MemoryPresenceAdapter');
+const MongoPresenceAdapter = require('./presence/MongoPresenceAdapter');
+
+/**
+ * Presence Service for EONTA
+ * Tracks who is connected for real-time collaboration and which sessions they are in,
+ * and provides the Socket.IO adapter that carries room broadcasts, through a pluggable
+ * adapter: 'memory' for a single server process, or 'mongo' so presence and broadcasts
+ * span every process of a cluster.
+ */
+class PresenceService {
+  constructor() {
+    this.setAdapter(this.createAdapter(collaborationConfig.cluster.adapter));
+  }
+
+  /**
+   * Create a presence adapter
+   * @param {string} name - 'memory' or 'mongo'
+   * @returns {Object} Adapter
+   */
+  createAdapter(name) {
+    switch (name) {
+      case 'memory':
+        return new MemoryPresenceAdapter();
+      case 'mongo':
+        return new MongoPresenceAdapter(collaborationConfig.cluster);
+      default:
+        throw new Error(`Unknown collaboration adapter "${name}"`);
+    }
+  }
+
+  /**
+   * Replace the presence adapter (e.g. in tests)
+   * @param {Object} adapter - Adapter implementing the methods this service delegates to
+   */
+  setAdapter(adapter) {
+    if (this.adapter) this.adapter.stop();
+    this.adapter = adapter;
+  }
+
+  /**
+   * Route a Socket.IO server's rooms through the adapter and start keeping presence
+   * @param {Object} io - Socket.IO server
+   * @returns {Promise} Resolves once the Socket.IO adapter is in place
+   */
+  async attach(io) {
+    const socketAdapter = await this.adapter.createSocketAdapter();
+    if (socketAdapter) io.adapter(socketAdapter);
+
+    this.adapter.start();
+  }
+
+  /**
+   * Record a new connection
+   * @param {string} socketId - Socket ID
+   * @param {Object} user - { id, name }
+   * @returns {Promise}
+   */
+  addConnection(socketId, user) {
+    return this.adapter.addConnection(socketId, user);
+  }
+
+  /**
+   * Forget a closed connection
+   * @param {string} socketId - Socket ID
+   * @returns {Promise<Array<string>>} IDs of the sessions it had joined
+   */
+  removeConnection(socketId) {
+    return this.adapter.removeConnection(socketId);
+  }
+
+  /**
+   * Record that a connection joined a session
+   * @param {string} socketId - Socket ID
+   * @param {string} sessionId - Session ID
+   * @returns {Promise}
+   */
+  joinSession(socketId, sessionId) {
+    return this.adapter.joinSession(socketId, sessionId);
+  }
+
+  /**
+   * Record that a connection left a session
+   * @param {string} socketId - Socket ID
+   * @param {string} sessionId - Session ID
+   * @returns {Promise}
+   */
+  leaveSession(socketId, sessionId) {
+    return this.adapter.leaveSession(socketId, sessionId);
+  }
+
+  /**
+   * Take every connection of a user out of a session (e.g. they were removed from it)
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session ID
+   * @returns {Promise}
+   */
+  removeUserFromSession(userId, sessionId) {
+    return this.adapter.removeUserFromSession(userId, sessionId);
+  }
+
+  /**
+   * Take every connection out of a session (e.g. it closed)
+   * @param {string} sessionId - Session ID
+   * @returns {Promise}
+   */
+  removeSession(sessionId) {
+    return this.adapter.removeSession(sessionId);
+  }
+
+  /**
+   * Find which of some users are connected
+   * @param {Array<string>} userIds - User IDs
+   * @returns {Promise<Map<string, Object>>} Connected users' { name }, keyed by user ID
+   */
+  getConnectedUsers(userIds) {
+    return this.adapter.getConnectedUsers(userIds.map(String));
+  }
+
+  /**
+   * Find the users connected to a session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Array<string>>} User IDs
+   */
+  getSessionUserIds(sessionId) {
+    return this.adapter.getSessionUserIds(sessionId);
+  }
+}
+
+module.exports = new PresenceService();
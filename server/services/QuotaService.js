@@ -0,0 +1,60 @@
+const User = require('../models/User');
+const AudioAsset = require('../models/AudioAsset');
+const UploadSession = require('../models/UploadSession');
+const audioConfig = require('../config/audio');
+
+const BYTES_PER_MB = 1024 * 1024;
+
+/**
+ * Quota Service for EONTA
+ * Tracks how much audio storage each user has used against their quota
+ */
+class QuotaService {
+  /**
+   * Get a user's storage quota
+   * @param {string} userId - User ID
+   * @returns {Promise<number>} Quota in bytes
+   */
+  async getQuota(userId) {
+    const user = await User.findById(userId).select('storageQuotaMB');
+    const quotaMB = user && typeof user.storageQuotaMB === 'number'
+      ? user.storageQuotaMB
+      : audioConfig.quota.defaultMB;
+
+    return quotaMB * BYTES_PER_MB;
+  }
+
+  /**
+   * Get a user's storage usage
+   * Unfinished resumable uploads count as reserved so several can't overshoot the quota together.
+   * @param {string} userId - User ID
+   * @returns {Promise<{used: number, reserved: number, quota: number, available: number}>} Bytes
+   */
+  async getUsage(userId) {
+    const [quota, used, reserved] = await Promise.all([
+      this.getQuota(userId),
+      AudioAsset.getStorageUsed(userId),
+      UploadSession.getReservedSize(userId)
+    ]);
+
+    return {
+      used,
+      reserved,
+      quota,
+      available: Math.max(0, quota - used - reserved)
+    };
+  }
+
+  /**
+   * Check whether a user has room for more data
+   * @param {string} userId - User ID
+   * @param {number} bytes - Size of the data to be stored
+   * @returns {Promise<Object>} Usage (see getUsage) with `allowed`
+   */
+  async checkQuota(userId, bytes) {
+    const usage = await this.getUsage(userId);
+    return { ...usage, allowed: bytes <= usage.available };
+  }
+}
+
+module.exports = new QuotaService();
@@ -0,0 +1,199 @@
+const EventEmitter = require('events');
+const mongoose = require('mongoose');
+const Composition = require('../models/Composition');
+const CollaborationChange = require('../models/CollaborationChange');
+const compositionChangeService = require('./CompositionChangeService');
+
+// History page sizes
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+// Composition-level fields a change to the composition itself can touch
+const COMPOSITION_STATE_FIELDS = ['title', 'description', 'location', 'transitionSettings'];
+
+/**
+ * Create an error with a code
+ * @param {string} code - 'NotFound', 'Forbidden' or 'ChangeConflict'
+ * @param {string} message - Error message
+ * @returns {Error} The error
+ */
+function historyError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Session History Service for EONTA
+ * Every applied change records the state of its target beforehand, so the
+ * composition as of any earlier change can be rebuilt by rolling the current one
+ * back, change by change, and restored as a new change that can itself be undone.
+ * Edits made to the composition outside the session aren't in its history.
+ *
+ * Emits 'change:applied' with (change, result) when a composition is restored.
+ */
+class SessionHistoryService extends EventEmitter {
+  /**
+   * Get a page of a session's applied changes, newest first
+   * @param {string} sessionId - Session ID
+   * @param {Object} options - Options
+   * @param {string} options.before - Only changes applied before this change
+   * @param {number} options.limit - Page size
+   * @returns {Promise<Array<Object>>} Changes, with the author's name
+   */
+  async getHistory(sessionId, { before, limit } = {}) {
+    const filter = { sessionId, status: 'applied' };
+
+    if (before) {
+      const cursor = await this.findAppliedChange(sessionId, before);
+      filter.appliedAt = { $lt: cursor.appliedAt };
+    }
+
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+
+    return CollaborationChange.find(filter)
+      .sort({ appliedAt: -1 })
+      .limit(pageSize)
+      .select('-previous')
+      .populate('userId', 'name')
+      .exec();
+  }
+
+  /**
+   * Rebuild a session's composition as it was right after a change
+   * @param {Object} session - CollaborationSession document
+   * @param {string} changeId - Change ID
+   * @returns {Promise<Object>} { change, composition, currentVersion, regionVersions } - the last two
+   *   are the current versions of the composition and its boundaries
+   * @throws {Error} With code 'NotFound' if the change or composition doesn't exist
+   */
+  async reconstruct(session, changeId) {
+    const change = await this.findAppliedChange(session._id, changeId);
+
+    const current = await Composition.findById(session.compositionId);
+    if (!current) {
+      throw historyError('NotFound', 'The composition no longer exists');
+    }
+
+    let state = JSON.parse(JSON.stringify(compositionChangeService.getSnapshot(current)));
+
+    // Roll back everything applied since, newest first
+    const later = CollaborationChange.find({
+      sessionId: session._id,
+      status: 'applied',
+      appliedAt: { $gt: change.appliedAt }
+    })
+      .sort({ appliedAt: -1 })
+      .cursor();
+
+    for await (const laterChange of later) {
+      state = this.revertState(state, laterChange);
+    }
+
+    return {
+      change,
+      composition: state,
+      currentVersion: current.version,
+      regionVersions: compositionChangeService.getRegionVersions(current.audioRegions)
+    };
+  }
+
+  /**
+   * Undo one change on a plain composition state
+   * @param {Object} state - Composition state (as from getSnapshot)
+   * @param {Object} change - Applied change with `previous`
+   * @returns {Object} The state before the change
+   */
+  revertState(state, change) {
+    const previous = change.previous || {};
+    const before = previous.object === undefined ? undefined : JSON.parse(JSON.stringify(previous.object));
+
+    // Changes applied before history was recorded can't be rolled back
+    if (before === undefined) return state;
+
+    if (change.changeType === 'restoreComposition') {
+      return before;
+    }
+
+    if (change.changeType === 'updateComposition' || change.changeType === 'updateSettings') {
+      const reverted = { ...state, version: previous.version };
+      COMPOSITION_STATE_FIELDS.forEach(field => {
+        reverted[field] = before[field];
+      });
+      return reverted;
+    }
+
+    const regions = state.audioRegions.filter(region => String(region._id) !== String(change.targetId));
+    if (before) {
+      const index = state.audioRegions.findIndex(region => String(region._id) === String(change.targetId));
+      regions.splice(index === -1 ? regions.length : index, 0, before);
+    }
+
+    return { ...state, audioRegions: regions };
+  }
+
+  /**
+   * Restore a session's composition as it was right after a change (session admins only)
+   * The restore is recorded as an applied 'restoreComposition' change, so it shows in
+   * the history and can be undone like any other.
+   * @param {Object} session - CollaborationSession document
+   * @param {string} changeId - Change ID
+   * @param {Object} user - Restoring user { id }
+   * @returns {Promise<Object>} The restore change
+   * @throws {Error} With code 'Forbidden', 'NotFound', 'ChangeConflict' or 'InvalidChange'
+   */
+  async restore(session, changeId, user) {
+    if (session.getPermission(user.id) !== 'admin') {
+      throw historyError('Forbidden', 'Only session admins can restore earlier versions');
+    }
+
+    const { composition, currentVersion, regionVersions } = await this.reconstruct(session, changeId);
+    const { title, description, location, transitionSettings, audioRegions } = composition;
+
+    const change = new CollaborationChange({
+      sessionId: session._id,
+      userId: user.id,
+      timestamp: new Date(),
+      changeType: 'restoreComposition',
+      targetId: String(session.compositionId),
+      payload: { title, description, location, transitionSettings, audioRegions, regionVersions },
+      baseVersion: currentVersion,
+      origin: 'restore',
+      restoredTo: changeId,
+      status: 'pending'
+    });
+
+    // Changed again since it was rebuilt - the caller can simply try again
+    const result = await compositionChangeService.applyChange(session.compositionId, change);
+
+    change.version = result.version;
+    change.previous = result.previous;
+    change.status = 'applied';
+    change.appliedAt = new Date();
+    await change.save();
+
+    this.emit('change:applied', change, result);
+    return change;
+  }
+
+  /**
+   * Find an applied change in a session
+   * @param {string} sessionId - Session ID
+   * @param {string} changeId - Change ID
+   * @returns {Promise<Object>} The change
+   * @throws {Error} With code 'NotFound' if there is none
+   */
+  async findAppliedChange(sessionId, changeId) {
+    const change = mongoose.Types.ObjectId.isValid(changeId)
+      ? await CollaborationChange.findOne({ _id: changeId, sessionId, status: 'applied' })
+      : null;
+
+    if (!change || !change.appliedAt) {
+      throw historyError('NotFound', 'Change not found in this session\'s history');
+    }
+
+    return change;
+  }
+}
+
+module.exports = new SessionHistoryService();
@@ -0,0 +1,317 @@
+const EventEmitter = require('events');
+const mongoose = require('mongoose');
+const Composition = require('../models/Composition');
+const CollaborationSession = require('../models/CollaborationSession');
+const User = require('../models/User');
+const collaborationConfig = require('../config/collaboration');
+
+// Permission levels a collaborator can be given (the owner is always admin)
+const PERMISSIONS = ['viewer', 'editor', 'admin'];
+
+// Settings a session can be created with
+const SETTINGS = ['allowAnonymous', 'autoApproveEdits', 'limitEditRegions', 'requireReview', 'trackChanges'];
+
+/**
+ * Create an error with a code
+ * @param {string} code - 'NotFound', 'Forbidden', 'InvalidSession', 'AlreadyMember' or 'SessionClosed'
+ * @param {string} message - Error message
+ * @returns {Error} The error
+ */
+function sessionError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Session Service for EONTA
+ * Creates and closes collaboration sessions and manages who is in them. Sessions
+ * with an expiresAt close by themselves once it passes: they drop out of listings
+ * straight away, can't be joined or changed, and are marked closed by closeExpired().
+ *
+ * Emits 'session:closed' with { sessionId, reason, closedBy }, and 'collaborator:added',
+ * 'collaborator:updated' and 'collaborator:removed' with { sessionId, userId, ... },
+ * so the WebSocketService can tell connected members.
+ */
+class SessionService extends EventEmitter {
+  /**
+   * Create a session for one of the user's compositions
+   * @param {Object} user - Creating user { id }
+   * @param {Object} details - { compositionId, name?, description?, expiresAt?, settings? }
+   * @returns {Promise<Object>} The new session
+   * @throws {Error} With code 'NotFound', 'Forbidden' or 'InvalidSession'
+   */
+  async create(user, { compositionId, name, description, expiresAt, settings } = {}) {
+    const composition = mongoose.Types.ObjectId.isValid(compositionId)
+      ? await Composition.findById(compositionId)
+      : null;
+
+    if (!composition) {
+      throw sessionError('NotFound', 'Composition not found');
+    }
+    if (!composition.isOwnedBy(user.id)) {
+      throw sessionError('Forbidden', 'Only the composition\'s creator can start a session for it');
+    }
+
+    const session = new CollaborationSession({
+      compositionId: composition._id,
+      name: typeof name === 'string' && name.trim() ? name.trim() : composition.title,
+      description,
+      owner: user.id,
+      collaborators: [],
+      expiresAt: this.normalizeExpiry(expiresAt),
+      settings: this.normalizeSettings(settings)
+    });
+
+    await session.save();
+    return session;
+  }
+
+  /**
+   * List the open sessions a user owns or collaborates in, most recently updated first
+   * @param {string} userId - User ID
+   * @returns {Promise<Array<Object>>} Sessions, with their composition's title
+   */
+  listForUser(userId) {
+    return CollaborationSession.findActiveForUser(userId);
+  }
+
+  /**
+   * Close a session (session admins only)
+   * @param {Object} session - CollaborationSession document
+   * @param {string} actorId - ID of the user closing it
+   * @returns {Promise<Object>} The closed session
+   * @throws {Error} With code 'Forbidden' or 'SessionClosed'
+   */
+  async close(session, actorId) {
+    if (session.getPermission(actorId) !== 'admin') {
+      throw sessionError('Forbidden', 'Only session admins can close the session');
+    }
+
+    const closed = await CollaborationSession.findOneAndUpdate(
+      { _id: session._id, status: 'active' },
+      { $set: { status: 'closed' } },
+      { new: true }
+    );
+
+    if (!closed) {
+      throw sessionError('SessionClosed', 'This session has already been closed');
+    }
+
+    this.emit('session:closed', { sessionId: String(session._id), reason: 'closed', closedBy: String(actorId) });
+    return closed;
+  }
+
+  /**
+   * Close every session past its expiresAt
+   * Each session is only reported by the process that closed it, so it is announced once.
+   * @returns {Promise<number>} Number of sessions closed
+   */
+  async closeExpired() {
+    const expired = await CollaborationSession.find({ status: 'active', expiresAt: { $lte: new Date() } })
+      .select('_id');
+
+    let count = 0;
+    for (const { _id } of expired) {
+      const result = await CollaborationSession.updateOne({ _id, status: 'active' }, { $set: { status: 'closed' } });
+      if (result.modifiedCount > 0) {
+        count++;
+        this.emit('session:closed', { sessionId: String(_id), reason: 'expired', closedBy: null });
+      }
+    }
+
+    return count;
+  }
+
+  /**
+   * Add a registered user to a session by email (session admins only)
+   * @param {Object} session - CollaborationSession document
+   * @param {string} actorId - ID of the user inviting them
+   * @param {Object} invite - { email, permission? } (permission defaults to 'viewer')
+   * @returns {Promise<Object>} The new collaborator
+   * @throws {Error} With code 'Forbidden', 'SessionClosed', 'InvalidSession', 'NotFound' or 'AlreadyMember'
+   */
+  async invite(session, actorId, { email, permission = 'viewer' } = {}) {
+    this.checkAdmin(session, actorId, 'Only session admins can invite collaborators');
+    this.checkPermissionLevel(permission);
+
+    if (typeof email !== 'string' || !email.trim()) {
+      throw sessionError('InvalidSession', 'An email address is required');
+    }
+
+    const user = await User.findOne({ email: email.trim().toLowerCase() });
+    if (!user) {
+      throw sessionError('NotFound', 'No EONTA user has that email address');
+    }
+
+    const userId = String(user._id);
+    if (session.hasMember(userId)) {
+      throw sessionError('AlreadyMember', `${user.name} is already in this session`);
+    }
+
+    const collaborator = {
+      userId: user._id,
+      displayName: user.name,
+      permission,
+      color: this.pickColor(session),
+      addedBy: actorId
+    };
+
+    // Added in place so concurrent saves of the session (activity, colours) aren't lost
+    const updated = await CollaborationSession.findOneAndUpdate(
+      { _id: session._id, owner: { $ne: user._id }, 'collaborators.userId': { $ne: user._id } },
+      { $push: { collaborators: collaborator } },
+      { new: true }
+    );
+
+    if (!updated) {
+      throw sessionError('AlreadyMember', `${user.name} is already in this session`);
+    }
+
+    const added = updated.collaborators.find(c => String(c.userId) === userId);
+    this.emit('collaborator:added', {
+      sessionId: String(session._id),
+      userId,
+      email: user.email,
+      collaborator: added,
+      invitedBy: String(actorId)
+    });
+    return added;
+  }
+
+  /**
+   * Change a collaborator's permission level (session admins only)
+   * @param {Object} session - CollaborationSession document
+   * @param {string} actorId - ID of the user making the change
+   * @param {string} userId - Collaborator's user ID
+   * @param {string} permission - 'viewer', 'editor' or 'admin'
+   * @returns {Promise<Object>} The updated collaborator
+   * @throws {Error} With code 'Forbidden', 'SessionClosed', 'InvalidSession' or 'NotFound'
+   */
+  async setPermission(session, actorId, userId, permission) {
+    this.checkAdmin(session, actorId, 'Only session admins can change permissions');
+    this.checkPermissionLevel(permission);
+
+    if (String(session.owner) === String(userId)) {
+      throw sessionError('InvalidSession', 'The session owner is always an admin');
+    }
+
+    const updated = mongoose.Types.ObjectId.isValid(userId)
+      ? await CollaborationSession.findOneAndUpdate(
+        { _id: session._id, 'collaborators.userId': userId },
+        { $set: { 'collaborators.$.permission': permission } },
+        { new: true }
+      )
+      : null;
+
+    if (!updated) {
+      throw sessionError('NotFound', 'Collaborator not found');
+    }
+
+    this.emit('collaborator:updated', { sessionId: String(session._id), userId: String(userId), permission });
+    return updated.collaborators.find(c => String(c.userId) === String(userId));
+  }
+
+  /**
+   * Remove a collaborator from a session (session admins, or collaborators leaving)
+   * @param {Object} session - CollaborationSession document
+   * @param {string} actorId - ID of the user removing them
+   * @param {string} userId - Collaborator's user ID
+   * @throws {Error} With code 'Forbidden', 'SessionClosed' or 'NotFound'
+   */
+  async removeCollaborator(session, actorId, userId) {
+    if (String(actorId) !== String(userId)) {
+      this.checkAdmin(session, actorId, 'Only session admins can remove collaborators');
+    }
+
+    const updated = mongoose.Types.ObjectId.isValid(userId)
+      ? await CollaborationSession.findOneAndUpdate(
+        { _id: session._id, 'collaborators.userId': userId },
+        { $pull: { collaborators: { userId } } },
+        { new: true }
+      )
+      : null;
+
+    if (!updated) {
+      throw sessionError('NotFound', 'Collaborator not found');
+    }
+
+    this.emit('collaborator:removed', {
+      sessionId: String(session._id),
+      userId: String(userId),
+      removedBy: String(actorId)
+    });
+  }
+
+  /**
+   * Check that a user is an admin of an open session
+   * @param {Object} session - CollaborationSession document
+   * @param {string} actorId - User ID
+   * @param {string} message - Error message if they aren't an admin
+   * @throws {Error} With code 'SessionClosed' or 'Forbidden'
+   */
+  checkAdmin(session, actorId, message) {
+    if (!session.isOpen()) {
+      throw sessionError('SessionClosed', 'This session has ended');
+    }
+    if (session.getPermission(actorId) !== 'admin') {
+      throw sessionError('Forbidden', message);
+    }
+  }
+
+  /**
+   * Check a permission level sent by a client
+   * @param {string} permission - Permission level
+   * @throws {Error} With code 'InvalidSession' if it isn't one
+   */
+  checkPermissionLevel(permission) {
+    if (!PERMISSIONS.includes(permission)) {
+      throw sessionError('InvalidSession', `permission must be one of ${PERMISSIONS.join(', ')}`);
+    }
+  }
+
+  /**
+   * Validate an expiry sent by a client
+   * @param {string|Date} expiresAt - Expiry, or nothing for a session that doesn't expire
+   * @returns {Date|undefined} The expiry
+   * @throws {Error} With code 'InvalidSession' if it isn't a future date
+   */
+  normalizeExpiry(expiresAt) {
+    if (expiresAt === undefined || expiresAt === null || expiresAt === '') return undefined;
+
+    const date = new Date(expiresAt);
+    if (Number.isNaN(date.getTime()) || date <= new Date()) {
+      throw sessionError('InvalidSession', 'expiresAt must be a date in the future');
+    }
+
+    return date;
+  }
+
+  /**
+   * Pick the known settings sent by a client
+   * @param {Object} settings - Raw settings
+   * @returns {Object} Settings, as booleans
+   */
+  normalizeSettings(settings) {
+    const normalized = {};
+    SETTINGS.forEach(setting => {
+      if (settings && settings[setting] !== undefined) {
+        normalized[setting] = settings[setting] === true || settings[setting] === 'true';
+      }
+    });
+    return normalized;
+  }
+
+  /**
+   * Pick a colour no one in a session has yet
+   * @param {Object} session - CollaborationSession document
+   * @returns {string} Colour
+   */
+  pickColor(session) {
+    const colors = collaborationConfig.sessions.colors;
+    const used = session.collaborators.map(c => c.color);
+    return colors.find(color => !used.includes(color)) || colors[session.collaborators.length % colors.length];
+  }
+}
+
+module.exports = new SessionService();
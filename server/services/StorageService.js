@@ -0,0 +1,150 @@
+const fs = require('fs');
+const { pipeline } = require('stream/promises');
+const storageConfig = require('../config/storage');
+const S3StorageDriver = require('./storage/S3StorageDriver');
+const LocalStorageDriver = require('./storage/LocalStorageDriver');
+
+/**
+ * Storage Service for EONTA
+ * Stores uploaded audio, mixdowns and map images through a pluggable driver
+ * (S3 or local disk) so the rest of the server never talks to S3 directly.
+ */
+class StorageService {
+  constructor() {
+    this.setDriver(this.createDriver(storageConfig.driver));
+  }
+
+  /**
+   * Create a storage driver
+   * @param {string} name - 's3' or 'local'
+   * @returns {Object} Driver
+   */
+  createDriver(name) {
+    switch (name) {
+      case 's3':
+        return new S3StorageDriver(storageConfig.s3);
+      case 'local':
+        return new LocalStorageDriver(storageConfig.local);
+      default:
+        throw new Error(`Unknown storage driver "${name}"`);
+    }
+  }
+
+  /**
+   * Replace the storage driver (e.g. in tests)
+   * @param {Object} driver - Driver implementing put, getStream, stat, delete, list and getSignedUrl
+   */
+  setDriver(driver) {
+    this.driver = driver;
+  }
+
+  /**
+   * Whether files are stored on local disk and served by this server
+   * @returns {boolean} True for the local driver
+   */
+  isLocal() {
+    return this.driver instanceof LocalStorageDriver;
+  }
+
+  /**
+   * Store a file
+   * @param {string} key - Storage key
+   * @param {Buffer|string|Readable} body - File contents
+   * @param {Object} options - Options
+   * @param {string} options.contentType - MIME type
+   * @param {number} options.contentLength - Size in bytes (required for streams on S3)
+   * @param {string} options.cacheControl - Cache-Control header to serve the file with
+   * @returns {Promise<{key: string}>} The stored file's key
+   */
+  async put(key, body, options = {}) {
+    await this.driver.put(key, body, options);
+    return { key };
+  }
+
+  /**
+   * Store a file from disk without reading it into memory
+   * @param {string} key - Storage key
+   * @param {string} filePath - Path of the file to store
+   * @param {Object} options - Options passed to put (contentLength is filled in)
+   * @returns {Promise<{key: string, size: number}>} The stored file's key and size
+   */
+  async putFile(key, filePath, options = {}) {
+    const { size } = await fs.promises.stat(filePath);
+
+    await this.driver.put(key, fs.createReadStream(filePath), {
+      ...options,
+      contentLength: size
+    });
+
+    return { key, size };
+  }
+
+  /**
+   * Open a stored file for reading
+   * @param {string} key - Storage key
+   * @returns {Promise<Readable>} File contents
+   * @throws {Error} With code 'NotFound' if the file doesn't exist
+   */
+  getStream(key) {
+    return this.driver.getStream(key);
+  }
+
+  /**
+   * Copy a stored file to disk
+   * @param {string} key - Storage key
+   * @param {string} filePath - Destination path
+   */
+  async downloadToFile(key, filePath) {
+    const stream = await this.driver.getStream(key);
+    await pipeline(stream, fs.createWriteStream(filePath));
+  }
+
+  /**
+   * Get a stored file's size, type and modification time
+   * @param {string} key - Storage key
+   * @returns {Promise<Object|null>} Info, or null if the file doesn't exist
+   */
+  stat(key) {
+    return this.driver.stat(key);
+  }
+
+  /**
+   * Delete a stored file
+   * @param {string} key - Storage key
+   */
+  delete(key) {
+    return this.driver.delete(key);
+  }
+
+  /**
+   * List stored files whose keys start with a prefix
+   * @param {string} prefix - Key prefix ('' for every file)
+   * @returns {AsyncIterable<{key: string, size: number, lastModified: Date}>} Files
+   */
+  list(prefix = '') {
+    return this.driver.list(prefix);
+  }
+
+  /**
+   * Create an expiring URL for downloading a file
+   * @param {string} key - Storage key
+   * @param {Object} options - Options
+   * @param {number} options.expiresIn - Lifetime in seconds
+   * @param {Date} options.expiresAt - Expire at this time instead (capped at the maximum lifetime)
+   * @returns {Promise<string>} Signed URL
+   */
+  getSignedUrl(key, options = {}) {
+    let expiresIn = options.expiresIn || storageConfig.signedUrlExpiration;
+
+    if (options.expiresAt) {
+      expiresIn = Math.floor((new Date(options.expiresAt).getTime() - Date.now()) / 1000);
+    }
+
+    return this.driver.getSignedUrl(
+      key,
+      Math.max(60, Math.min(expiresIn, storageConfig.maxSignedUrlExpiration))
+    );
+  }
+}
+
+module.exports = new StorageService();
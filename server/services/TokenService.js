@@ -0,0 +1,199 @@
+const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
+const authConfig = require('../config/auth');
+const RefreshToken = require('../models/RefreshToken');
+
+/**
+ * Token Service for EONTA
+ * Issues short-lived access tokens and rotating, revocable refresh tokens
+ */
+class TokenService {
+  /**
+   * Get the JWT secret, failing loudly if it is not configured
+   * @returns {string} The secret
+   */
+  getSecret() {
+    const secret = process.env.JWT_SECRET;
+
+    if (!secret) {
+      throw new Error('JWT_SECRET is not configured');
+    }
+
+    return secret;
+  }
+
+  /**
+   * Check the authentication configuration at startup
+   * @throws {Error} If the JWT secret is missing
+   */
+  validateConfig() {
+    const secret = this.getSecret();
+
+    if (secret.length < authConfig.minSecretLength) {
+      console.warn(`JWT_SECRET is shorter than ${authConfig.minSecretLength} characters. Use a longer random value in production.`);
+    }
+  }
+
+  /**
+   * Sign an access token for a user
+   * @param {Object} user - User document or {id, name, email}
+   * @returns {string} Signed JWT
+   */
+  signAccessToken(user) {
+    return jwt.sign(
+      { user: { id: user.id, name: user.name, email: user.email } },
+      this.getSecret(),
+      { expiresIn: authConfig.accessTokenExpiration }
+    );
+  }
+
+  /**
+   * Verify an access token
+   * @param {string} token - JWT
+   * @returns {Object} The token's user payload
+   * @throws {Error} If the token is invalid or expired
+   */
+  verifyAccessToken(token) {
+    const decoded = jwt.verify(token, this.getSecret());
+
+    if (!decoded.user || !decoded.user.id) {
+      throw new Error('Token payload is missing the user');
+    }
+
+    return decoded.user;
+  }
+
+  /**
+   * Extract an access token from a request's headers
+   * Accepts both `x-auth-token: <token>` and `Authorization: Bearer <token>`
+   * @param {Object} req - Express request
+   * @returns {string|null} The token, or null if none was sent
+   */
+  getTokenFromRequest(req) {
+    const headerToken = req.header('x-auth-token');
+    if (headerToken) {
+      return headerToken;
+    }
+
+    const authorization = req.header('authorization');
+    if (authorization) {
+      const match = authorization.match(/^Bearer\s+(\S+)$/i);
+      if (match) {
+        return match[1];
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Hash a refresh token for storage and lookup
+   * @param {string} token - Refresh token
+   * @returns {string} Hex-encoded SHA-256 hash
+   */
+  hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+  }
+
+  /**
+   * Issue a new refresh token for a user
+   * @param {Object} user - User document
+   * @param {Object} options - Options
+   * @param {string} options.userAgent - User agent of the client
+   * @returns {Promise<string>} The refresh token
+   */
+  async issueRefreshToken(user, options = {}) {
+    const token = crypto.randomBytes(48).toString('hex');
+    const expiresAt = new Date(Date.now() + authConfig.refreshTokenExpirationDays * 24 * 60 * 60 * 1000);
+
+    await RefreshToken.create({
+      user: user.id,
+      tokenHash: this.hashToken(token),
+      expiresAt,
+      userAgent: options.userAgent ? String(options.userAgent).slice(0, 500) : undefined
+    });
+
+    return token;
+  }
+
+  /**
+   * Issue an access token and refresh token pair
+   * @param {Object} user - User document
+   * @param {Object} options - Options passed to issueRefreshToken
+   * @returns {Promise<{token: string, refreshToken: string}>} Token pair
+   */
+  async issueTokenPair(user, options = {}) {
+    return {
+      token: this.signAccessToken(user),
+      refreshToken: await this.issueRefreshToken(user, options)
+    };
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair, revoking the old refresh token
+   * If an already-revoked token is presented, every token for that user is revoked,
+   * since the token has most likely been stolen.
+   * @param {string} refreshToken - Refresh token
+   * @param {Function} loadUser - Async function returning the user for an ID
+   * @param {Object} options - Options passed to issueRefreshToken
+   * @returns {Promise<{token: string, refreshToken: string, user: Object}|null>} New pair, or null if invalid
+   */
+  async rotateRefreshToken(refreshToken, loadUser, options = {}) {
+    const tokenHash = this.hashToken(refreshToken);
+    const now = new Date();
+
+    // Revoke atomically so two concurrent refreshes can't both succeed
+    const stored = await RefreshToken.findOneAndUpdate(
+      { tokenHash, revokedAt: { $exists: false }, expiresAt: { $gt: now } },
+      { $set: { revokedAt: now } }
+    );
+
+    if (!stored) {
+      const revoked = await RefreshToken.findOne({ tokenHash, revokedAt: { $exists: true } });
+      if (revoked) {
+        console.warn(`Revoked refresh token reused for user ${revoked.user}. Revoking all sessions.`);
+        await RefreshToken.revokeAllForUser(revoked.user);
+      }
+      return null;
+    }
+
+    const user = await loadUser(stored.user);
+    if (!user) {
+      return null;
+    }
+
+    const pair = await this.issueTokenPair(user, options);
+
+    await RefreshToken.updateOne(
+      { _id: stored._id },
+      { $set: { replacedBy: this.hashToken(pair.refreshToken) } }
+    );
+
+    return { ...pair, user };
+  }
+
+  /**
+   * Revoke a single refresh token
+   * @param {string} refreshToken - Refresh token
+   * @returns {Promise<boolean>} Whether an active token was revoked
+   */
+  async revokeRefreshToken(refreshToken) {
+    const result = await RefreshToken.updateOne(
+      { tokenHash: this.hashToken(refreshToken), revokedAt: { $exists: false } },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    return result.modifiedCount > 0;
+  }
+
+  /**
+   * Revoke every refresh token belonging to a user
+   * @param {string} userId - User ID
+   * @returns {Promise} Update result
+   */
+  revokeAllForUser(userId) {
+    return RefreshToken.revokeAllForUser(userId);
+  }
+}
+
+module.exports = new TokenService();
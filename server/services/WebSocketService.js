@@ -1,11 +1,25 @@
 // server/services/WebSocketService.js
 
 const socketIo = require('socket.io');
-const jwt = require('jsonwebtoken');
+const tokenService = require('./TokenService');
+const jobQueue = require('./JobQueue');
+const compositionChangeService = require('./CompositionChangeService');
+const boundaryLockService = require('./BoundaryLockService');
+const changeReviewService = require('./ChangeReviewService');
+const editScopeService = require('./EditScopeService');
+const sessionHistoryService = require('./SessionHistoryService');
+const sessionService = require('./SessionService');
+const collaborationNotifier = require('./CollaborationNotifier');
+const presenceService = require('./PresenceService');
+const collaborationConfig = require('../config/collaboration');
+const Composition = require('../models/Composition');
 const CollaborationSession = require('../models/CollaborationSession');
 const CollaborationChange = require('../models/CollaborationChange');
 const CollaborationMessage = require('../models/CollaborationMessage');
 
+// Change types that modify an existing boundary, and so respect boundary locks
+const BOUNDARY_CHANGES = ['updateBoundary', 'deleteBoundary', 'addAudio', 'updateAudio', 'deleteAudio'];
+
 /**
  * WebSocket Service for real-time collaboration in EONTA
  */
@@ -22,15 +36,43 @@ class WebSocketService {
       }
     });
     
+    // Share rooms and presence with the other server processes; connections wait
+    // until broadcasts reach them
+    this.ready = presenceService.attach(this.io)
+      .catch(error => console.error('Error setting up the collaboration adapter:', error));
+    
     // Set up authentication middleware
     this.io.use(this.authenticateSocket.bind(this));
     
     // Initialize socket event handlers
     this.setupSocketHandlers();
     
-    // Track connected users
-    this.connectedUsers = new Map();
-    this.userSessions = new Map();
+    // Push background job updates to the users they belong to
+    this.forwardJobEvents();
+    
+    // Apply and announce reviews, including those made through the REST API
+    this.forwardReviewEvents();
+    
+    // Tell sessions when an admin changes someone's edit region
+    editScopeService.on('scope:updated', ({ sessionId, userId, editScope }) => {
+      this.io.to(`session:${sessionId}`).emit('scope:updated', { userId, editScope, timestamp: new Date() });
+    });
+    
+    // Announce earlier versions restored through the REST API
+    sessionHistoryService.on('change:applied', (change, result) => this.announceApplied(change, result));
+    
+    // Tell sessions about closures and membership changes, including those made through the REST API
+    this.forwardSessionEvents();
+    
+    // Release locks whose holders stopped renewing them
+    this.lockSweepTimer = setInterval(() => this.releaseExpiredLocks(), collaborationConfig.locks.sweepInterval);
+    if (this.lockSweepTimer.unref) this.lockSweepTimer.unref();
+    
+    // Close sessions past their expiry
+    this.sessionSweepTimer = setInterval(() => {
+      sessionService.closeExpired().catch(error => console.error('Error closing expired sessions:', error));
+    }, collaborationConfig.sessions.expirySweepInterval);
+    if (this.sessionSweepTimer.unref) this.sessionSweepTimer.unref();
     
     console.log('WebSocket service initialized');
   }
@@ -50,26 +92,140 @@ class WebSocketService {
     
     try {
       // Verify JWT token
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
+      const user = tokenService.verifyAccessToken(token);
       
       // Store user info in socket
       socket.user = {
-        id: decoded.user.id,
-        name: decoded.user.name,
-        email: decoded.user.email
+        id: user.id,
+        name: user.name,
+        email: user.email
       };
-      
-      // Add to connected users map
-      this.connectedUsers.set(decoded.user.id, {
-        socketId: socket.id,
-        name: decoded.user.name,
-        connectedAt: new Date()
-      });
-      
-      return next();
     } catch (error) {
       return next(new Error('Authentication error: Invalid token'));
     }
+    
+    await this.ready;
+    
+    // Record the connection, for presence across the cluster
+    try {
+      await presenceService.addConnection(socket.id, socket.user);
+    } catch (error) {
+      console.error('Error recording presence:', error);
+      return next(new Error('Server error'));
+    }
+    
+    return next();
+  }
+  
+  /**
+   * Forward job queue events to the job owner's sockets
+   */
+  forwardJobEvents() {
+    ['job:progress', 'job:completed', 'job:failed'].forEach(event => {
+      jobQueue.on(event, (job) => {
+        if (!job.user) return;
+        
+        this.io.to(`user:${job.user}`).emit(event, {
+          jobId: job.id,
+          type: job.type,
+          status: job.status,
+          progress: job.progress,
+          result: job.result,
+          error: job.error
+        });
+      });
+    });
+  }
+  
+  /**
+   * Apply approved changes and tell sessions about reviews
+   */
+  forwardReviewEvents() {
+    changeReviewService.on('change:approved', async (change) => {
+      try {
+        this.announceReview(change, 'approved');
+        
+        const session = await CollaborationSession.findById(change.sessionId);
+        if (!session) return;
+        
+        await this.processChange(change, session);
+      } catch (error) {
+        console.error('Error applying approved change:', error);
+      }
+    });
+    
+    changeReviewService.on('change:rejected', (change) => {
+      this.announceReview(change, 'rejected');
+      
+      // The author's client treats this like any other rejection
+      this.io.to(`session:${change.sessionId}`).emit('change:rejected', {
+        changeId: change._id,
+        clientId: change.clientId,
+        userId: change.userId,
+        changeType: change.changeType,
+        targetId: change.targetId,
+        error: change.error,
+        reviewNote: change.reviewNote || null,
+        current: null,
+        timestamp: new Date()
+      });
+    });
+  }
+  
+  /**
+   * Tell sessions about closures and membership changes
+   * Users who are no longer in a session are taken out of its room and lose their locks.
+   */
+  forwardSessionEvents() {
+    sessionService.on('session:closed', async ({ sessionId, reason, closedBy }) => {
+      const room = `session:${sessionId}`;
+      this.io.to(room).emit('session:closed', { sessionId, reason, closedBy, timestamp: new Date() });
+      this.io.in(room).socketsLeave(room);
+      
+      await presenceService.removeSession(sessionId)
+        .catch(error => console.error('Error updating presence of closed session:', error));
+      await boundaryLockService.releaseForSession(sessionId)
+        .catch(error => console.error('Error releasing locks of closed session:', error));
+    });
+    
+    sessionService.on('collaborator:added', ({ sessionId, userId, collaborator }) => {
+      this.io.to(`session:${sessionId}`).emit('collaborator:added', { userId, collaborator, timestamp: new Date() });
+    });
+    
+    sessionService.on('collaborator:updated', ({ sessionId, userId, permission }) => {
+      this.io.to(`session:${sessionId}`).emit('collaborator:updated', { userId, permission, timestamp: new Date() });
+    });
+    
+    sessionService.on('collaborator:removed', async ({ sessionId, userId, removedBy }) => {
+      const room = `session:${sessionId}`;
+      this.io.to(room).emit('collaborator:removed', { userId, removedBy, timestamp: new Date() });
+      this.io.in(`user:${userId}`).socketsLeave(room);
+      
+      try {
+        await presenceService.removeUserFromSession(userId, sessionId);
+        const released = await boundaryLockService.releaseForSession(sessionId, userId);
+        released.forEach(lock => this.announceUnlocked(lock, 'left'));
+      } catch (error) {
+        console.error('Error releasing locks of removed collaborator:', error);
+      }
+    });
+  }
+  
+  /**
+   * Tell a session that a held change was reviewed
+   * @param {Object} change - The reviewed change
+   * @param {string} decision - 'approved' or 'rejected'
+   */
+  announceReview(change, decision) {
+    this.io.to(`session:${change.sessionId}`).emit('change:reviewed', {
+      changeId: change._id,
+      clientId: change.clientId,
+      userId: change.userId,
+      decision,
+      reviewNote: change.reviewNote || null,
+      resolvedBy: change.resolvedBy,
+      timestamp: change.resolvedAt
+    });
   }
   
   /**
@@ -79,22 +235,37 @@ class WebSocketService {
     this.io.on('connection', (socket) => {
       console.log(`User connected: ${socket.user.name} (${socket.user.id})`);
       
+      // Personal room for notifications such as job updates
+      socket.join(`user:${socket.user.id}`);
+      
       // Join a collaboration session
+      // Refused with session:joinDenied as well as an error, so a client rejoining after a
+      // dropped connection knows to give up on the session (reason 'error' if it may retry)
       socket.on('session:join', async (data) => {
+        const { sessionId } = data || {};
+        const deny = (reason, message, details) => {
+          socket.emit('error', details ? { message, details } : { message });
+          socket.emit('session:joinDenied', { sessionId, reason, message });
+        };
+        
         try {
-          const { sessionId } = data;
-          
           // Check if session exists
           const session = await CollaborationSession.findById(sessionId);
           if (!session) {
-            socket.emit('error', { message: 'Session not found' });
+            deny('missing', 'Session not found');
             return;
           }
           
           // Check if user has permission to join
           const canJoin = this.checkSessionPermission(session, socket.user.id);
           if (!canJoin) {
-            socket.emit('error', { message: 'You do not have permission to join this session' });
+            deny('forbidden', 'You do not have permission to join this session');
+            return;
+          }
+          
+          // Closed and expired sessions are read-only history
+          if (!session.isOpen()) {
+            deny('ended', 'This session has ended');
             return;
           }
           
@@ -102,10 +273,7 @@ class WebSocketService {
           socket.join(`session:${sessionId}`);
           
           // Track which session this user is in
-          if (!this.userSessions.has(socket.user.id)) {
-            this.userSessions.set(socket.user.id, new Set());
-          }
-          this.userSessions.get(socket.user.id).add(sessionId);
+          await presenceService.joinSession(socket.id, sessionId);
           
           // Get user color from session or assign a new one
           const userColor = this.getUserColor(session, socket.user.id);
@@ -113,6 +281,9 @@ class WebSocketService {
           // Update user's active status in session
           await this.updateUserActiveStatus(sessionId, socket.user.id);
           
+          // Current state of the composition, with the versions changes must be made against
+          const composition = await Composition.findById(session.compositionId);
+          
           // Get recent changes and messages
           const recentChanges = await CollaborationChange.find({ sessionId })
             .sort({ timestamp: -1 })
@@ -133,7 +304,17 @@ class WebSocketService {
           // Send session data to the joining user
           socket.emit('session:joined', {
             session,
+            userId: socket.user.id,
+            permission: this.getUserPermission(session, socket.user.id),
+            editScope: editScopeService.getScope(session, socket.user.id),
+            composition,
+            locks: (await boundaryLockService.getLocks(sessionId)).map(lock => this.formatLock(lock)),
+            lockSettings: {
+              ttl: collaborationConfig.locks.ttl,
+              heartbeatInterval: collaborationConfig.locks.heartbeatInterval
+            },
             recentChanges,
+            reviewQueue: await changeReviewService.getQueue(sessionId),
             recentMessages,
             color: userColor,
             activeUsers: await this.getSessionActiveUsers(sessionId)
@@ -146,7 +327,7 @@ class WebSocketService {
           await this.addSystemMessage(sessionId, `${socket.user.name} joined the session`);
         } catch (error) {
           console.error('Error joining session:', error);
-          socket.emit('error', { message: 'Error joining session', details: error.message });
+          deny('error', 'Error joining session', error.message);
         }
       });
       
@@ -158,10 +339,12 @@ class WebSocketService {
           // Leave socket room
           socket.leave(`session:${sessionId}`);
           
+          // Locks are only held while in the session
+          const released = await boundaryLockService.releaseForSocket(socket.id, sessionId);
+          released.forEach(lock => this.announceUnlocked(lock, 'left'));
+          
           // Remove from tracking
-          if (this.userSessions.has(socket.user.id)) {
-            this.userSessions.get(socket.user.id).delete(sessionId);
-          }
+          await presenceService.leaveSession(socket.id, sessionId);
           
           // Notify other users
           socket.to(`session:${sessionId}`).emit('user:left', {
@@ -194,24 +377,64 @@ class WebSocketService {
       });
       
       // Submit a change
-      socket.on('change:submit', async (data) => {
+      // Acknowledged with { changeId, status } once the change is applied, held, conflicted,
+      // rejected or failed (status says which), or with { error } if it was refused, so clients can
+      // send changes queued while offline one at a time, in order
+      socket.on('change:submit', async (data, ack) => {
+        const reply = typeof ack === 'function' ? ack : () => {};
+        const refuse = (message) => {
+          socket.emit('error', { message });
+          reply({ error: message });
+        };
+        
         try {
-          const { sessionId, changeType, targetId, payload } = data;
+          const { sessionId, changeType, targetId, payload, baseVersion, clientId, origin } = data;
           
-          // Check if the session exists
+          // Check if the session exists and is still open
           const session = await CollaborationSession.findById(sessionId);
           if (!session) {
-            socket.emit('error', { message: 'Session not found' });
+            refuse('Session not found');
+            return;
+          }
+          if (!session.isOpen()) {
+            refuse('This session has ended');
             return;
           }
           
           // Check if user has editor or admin permission
           const userPermission = this.getUserPermission(session, socket.user.id);
           if (userPermission === 'viewer') {
-            socket.emit('error', { message: 'You do not have permission to make changes' });
+            refuse('You do not have permission to make changes');
+            return;
+          }
+          
+          // Whole-composition restores (also sent when one is undone) are for admins
+          if (changeType === 'restoreComposition' && userPermission !== 'admin') {
+            refuse('Only session admins can restore earlier versions');
             return;
           }
           
+          // A change sent again after the connection dropped (its acknowledgement may have
+          // been lost) is only acknowledged, unless it failed and is being retried; rebased
+          // changes keep their clientId but not their base
+          if (clientId) {
+            const sent = await CollaborationChange.findOne({
+              sessionId,
+              userId: socket.user.id,
+              clientId,
+              baseVersion: baseVersion === undefined ? null : baseVersion,
+              status: { $ne: 'failed' }
+            });
+            
+            if (sent) {
+              reply(await this.getDuplicateAck(sent, session));
+              return;
+            }
+          }
+          
+          // Held for an admin to approve in sessions that require review
+          const reviewRequired = changeReviewService.isReviewRequired(session, socket.user.id);
+          
           // Create new change
           const change = new CollaborationChange({
             sessionId,
@@ -220,6 +443,10 @@ class WebSocketService {
             changeType,
             targetId,
             payload,
+            baseVersion,
+            clientId,
+            origin: ['undo', 'redo'].includes(origin) ? origin : 'edit',
+            reviewRequired,
             status: 'pending'
           });
           
@@ -235,30 +462,121 @@ class WebSocketService {
             }
           });
           
+          if (reviewRequired) {
+            // Changes outside the author's edit region aren't worth an admin's time
+            try {
+              const composition = await Composition.findById(session.compositionId);
+              if (composition) editScopeService.checkChange(session, change, composition);
+            } catch (error) {
+              await this.reportChangeFailure(change, error);
+              reply({ changeId: change._id, status: change.status });
+              return;
+            }
+            
+            this.io.to(`session:${sessionId}`).emit('change:held', {
+              change: change.toObject(),
+              user: {
+                id: socket.user.id,
+                name: socket.user.name
+              }
+            });
+            
+            // Admins who aren't here to see it are emailed
+            this.notifyAway(sessionId, onlineUserIds =>
+              collaborationNotifier.notifyReviewRequest(session, change, socket.user, onlineUserIds));
+            
+            reply({ changeId: change._id, status: change.status });
+            return;
+          }
+          
           // Process the change and apply it if valid
           await this.processChange(change, session);
+          reply({ changeId: change._id, status: change.status });
         } catch (error) {
           console.error('Error submitting change:', error);
           socket.emit('error', { message: 'Error submitting change', details: error.message });
+          reply({ error: 'Error submitting change' });
         }
       });
       
+      // Approve or reject a change held for review (session admins only)
+      ['approve', 'reject'].forEach(decision => {
+        socket.on(`change:${decision}`, async (data) => {
+          try {
+            const { sessionId, changeId, note } = data;
+            
+            const session = await CollaborationSession.findById(sessionId);
+            if (!session) {
+              socket.emit('error', { message: 'Session not found' });
+              return;
+            }
+            
+            await changeReviewService[decision](session, changeId, socket.user.id, note);
+          } catch (error) {
+            if (['Forbidden', 'NotFound', 'InvalidReview'].includes(error.code)) {
+              socket.emit('error', { message: error.message });
+              return;
+            }
+            console.error(`Error reviewing change (${decision}):`, error);
+            socket.emit('error', { message: 'Error reviewing change', details: error.message });
+          }
+        });
+      });
+      
       // Lock a boundary for editing
       socket.on('boundary:lock', async (data) => {
         try {
           const { sessionId, boundaryId } = data;
           
-          // Notify others about the lock
-          socket.to(`session:${sessionId}`).emit('boundary:locked', {
-            boundaryId,
+          if (!socket.rooms.has(`session:${sessionId}`) || !boundaryId) {
+            socket.emit('error', { message: 'Join the session before locking boundaries' });
+            return;
+          }
+          
+          const session = await CollaborationSession.findById(sessionId);
+          if (!session || this.getUserPermission(session, socket.user.id) === 'viewer') {
+            socket.emit('error', { message: 'You do not have permission to make changes' });
+            return;
+          }
+          
+          const { acquired, lock } = await boundaryLockService.acquire({
+            sessionId,
+            boundaryId: String(boundaryId),
             userId: socket.user.id,
             name: socket.user.name,
-            timestamp: new Date()
+            socketId: socket.id
           });
           
-          // TODO: Store lock in database or memory cache
+          if (!acquired) {
+            socket.emit('boundary:lockDenied', this.formatLock(lock));
+            return;
+          }
+          
+          // Everyone including the holder, who learns when the lock expires
+          this.io.to(`session:${sessionId}`).emit('boundary:locked', {
+            ...this.formatLock(lock),
+            timestamp: new Date()
+          });
         } catch (error) {
           console.error('Error locking boundary:', error);
+          socket.emit('error', { message: 'Error locking boundary', details: error.message });
+        }
+      });
+      
+      // Keep the locks this socket holds alive
+      socket.on('boundary:heartbeat', async (data) => {
+        try {
+          const { sessionId } = data;
+          if (!socket.rooms.has(`session:${sessionId}`)) return;
+          
+          const boundaryIds = await boundaryLockService.renew(sessionId, socket.id);
+          socket.emit('boundary:renewed', {
+            sessionId,
+            boundaryIds,
+            expiresAt: boundaryLockService.getExpiryDate()
+          });
+        } catch (error) {
+          console.error('Error renewing boundary locks:', error);
         }
       });
       
@@ -267,14 +585,23 @@ class WebSocketService {
         try {
           const { sessionId, boundaryId } = data;
           
-          // Notify others about the unlock
-          socket.to(`session:${sessionId}`).emit('boundary:unlocked', {
-            boundaryId,
-            userId: socket.user.id,
-            timestamp: new Date()
-          });
+          if (!socket.rooms.has(`session:${sessionId}`)) return;
+          
+          // Admins can release anyone's lock, everyone else only their own
+          const session = await CollaborationSession.findById(sessionId);
+          const isAdmin = session && this.getUserPermission(session, socket.user.id) === 'admin';
+          
+          const lock = await boundaryLockService.getLock(sessionId, String(boundaryId));
+          if (!lock) return;
+          
+          if (String(lock.userId) !== socket.user.id && !isAdmin) {
+            socket.emit('boundary:lockDenied', this.formatLock(lock));
+            return;
+          }
           
-          // TODO: Remove lock from database or memory cache
+          if (await boundaryLockService.release(sessionId, String(boundaryId), lock.userId)) {
+            this.announceUnlocked(lock, String(lock.userId) === socket.user.id ? 'released' : 'revoked');
+          }
         } catch (error) {
           console.error('Error unlocking boundary:', error);
         }
@@ -285,6 +612,12 @@ class WebSocketService {
         try {
           const { sessionId, content } = data;
           
+          const session = await CollaborationSession.findById(sessionId);
+          if (!session || !session.hasMember(socket.user.id)) {
+            socket.emit('error', { message: 'Session not found' });
+            return;
+          }
+          
           // Create new message
           const message = new CollaborationMessage({
             sessionId,
@@ -305,6 +638,10 @@ class WebSocketService {
               name: socket.user.name
             }
           });
+          
+          // Mentioned members who aren't here to see it are emailed
+          this.notifyAway(sessionId, onlineUserIds =>
+            collaborationNotifier.notifyMentions(session, message, socket.user, onlineUserIds));
         } catch (error) {
           console.error('Error sending message:', error);
           socket.emit('error', { message: 'Error sending message', details: error.message });
@@ -315,31 +652,105 @@ class WebSocketService {
       socket.on('disconnect', async () => {
         console.log(`User disconnected: ${socket.user.name} (${socket.user.id})`);
         
-        // Remove from connected users
-        this.connectedUsers.delete(socket.user.id);
+        // Forget the connection, and the sessions it was in
+        let sessions = [];
+        try {
+          sessions = await presenceService.removeConnection(socket.id);
+        } catch (error) {
+          console.error('Error updating presence:', error);
+        }
         
-        // Handle all active sessions for this user
-        if (this.userSessions.has(socket.user.id)) {
-          const sessions = this.userSessions.get(socket.user.id);
-          
-          for (const sessionId of sessions) {
-            // Notify others in each session
-            this.io.to(`session:${sessionId}`).emit('user:left', {
-              userId: socket.user.id,
-              name: socket.user.name,
-              timestamp: new Date()
-            });
-            
-            // Add system message
-            await this.addSystemMessage(sessionId, `${socket.user.name} disconnected`);
-          }
+        // Release the locks held through this connection
+        try {
+          const released = await boundaryLockService.releaseForSocket(socket.id);
+          released.forEach(lock => this.announceUnlocked(lock, 'disconnected'));
+        } catch (error) {
+          console.error('Error releasing boundary locks:', error);
+        }
+        
+        // Notify others in each session
+        for (const sessionId of sessions) {
+          this.io.to(`session:${sessionId}`).emit('user:left', {
+            userId: socket.user.id,
+            name: socket.user.name,
+            timestamp: new Date()
+          });
           
-          this.userSessions.delete(socket.user.id);
+          // Add system message
+          await this.addSystemMessage(sessionId, `${socket.user.name} disconnected`);
         }
       });
     });
   }
   
+  /**
+   * Format a lock for clients
+   * @param {Object} lock - BoundaryLock document
+   * @returns {Object} { boundaryId, userId, name, expiresAt }
+   */
+  formatLock(lock) {
+    return {
+      boundaryId: lock.boundaryId,
+      userId: String(lock.userId),
+      name: lock.name,
+      expiresAt: lock.expiresAt
+    };
+  }
+  
+  /**
+   * Tell a session that a boundary is no longer locked
+   * @param {Object} lock - The released BoundaryLock
+   * @param {string} reason - 'released', 'revoked', 'expired', 'left' or 'disconnected'
+   */
+  announceUnlocked(lock, reason) {
+    this.io.to(`session:${lock.sessionId}`).emit('boundary:unlocked', {
+      boundaryId: lock.boundaryId,
+      userId: String(lock.userId),
+      reason,
+      timestamp: new Date()
+    });
+  }
+  
+  /**
+   * Email members of a session who aren't connected to it, in the background
+   * @param {string} sessionId - Session ID
+   * @param {Function} notify - Given the IDs of the users connected to the session, sends the emails
+   */
+  notifyAway(sessionId, notify) {
+    presenceService.getSessionUserIds(sessionId)
+      .then(notify)
+      .catch(error => console.error('Error sending collaboration emails:', error));
+  }
+  
+  /**
+   * Release and announce locks whose holders stopped renewing them
+   */
+  async releaseExpiredLocks() {
+    try {
+      const released = await boundaryLockService.releaseExpired();
+      released.forEach(lock => this.announceUnlocked(lock, 'expired'));
+    } catch (error) {
+      console.error('Error releasing expired boundary locks:', error);
+    }
+  }
+  
+  /**
+   * Check that no one else holds the lock on the boundary a change targets
+   * @param {Object} change - The change object
+   * @throws {Error} With code 'BoundaryLocked' if someone else does
+   */
+  async checkBoundaryLock(change) {
+    if (!BOUNDARY_CHANGES.includes(change.changeType) || !change.targetId) return;
+    
+    const lock = await boundaryLockService.getLock(change.sessionId, change.targetId);
+    
+    if (lock && String(lock.userId) !== String(change.userId)) {
+      const error = new Error(`${lock.name || 'Another collaborator'} is editing this boundary`);
+      error.code = 'BoundaryLocked';
+      throw error;
+    }
+  }
+  
   /**
    * Add a system message to a session
    * @param {string} sessionId - Session ID
@@ -380,14 +791,7 @@ class WebSocketService {
    * @returns {boolean} Whether user has permission
    */
   checkSessionPermission(session, userId) {
-    // Session owner always has permission
-    if (session.owner === userId) {
-      return true;
-    }
-    
-    // Check collaborators list
-    const collaborator = session.collaborators.find(c => c.userId === userId);
-    return !!collaborator;
+    return session.hasMember(userId);
   }
   
   /**
@@ -397,14 +801,7 @@ class WebSocketService {
    * @returns {string} Permission level ('viewer', 'editor', 'admin')
    */
   getUserPermission(session, userId) {
-    // Owner is always admin
-    if (session.owner === userId) {
-      return 'admin';
-    }
-    
-    // Find in collaborators
-    const collaborator = session.collaborators.find(c => c.userId === userId);
-    return collaborator ? collaborator.permission : 'viewer';
+    return session.getPermission(userId);
   }
   
   /**
@@ -415,16 +812,13 @@ class WebSocketService {
    */
   getUserColor(session, userId) {
     // Check if user already has a color assigned
-    const collaborator = session.collaborators.find(c => c.userId === userId);
+    const collaborator = session.collaborators.find(c => String(c.userId) === String(userId));
     if (collaborator && collaborator.color) {
       return collaborator.color;
     }
     
     // Assign a new color
-    const colors = [
-      '#4A90E2', '#D0021B', '#7ED321', '#9013FE', '#F5A623', 
-      '#50E3C2', '#BD10E0', '#00FF00', '#FF9500', '#8B572A'
-    ];
+    const colors = collaborationConfig.sessions.colors;
     
     // Find used colors
     const usedColors = session.collaborators
@@ -454,27 +848,27 @@ class WebSocketService {
   
   /**
    * Update a user's activity status in a session
+   * Only the user's own timestamp is written, so concurrent changes to other
+   * collaborators aren't overwritten.
    * @param {string} sessionId - Session ID
    * @param {string} userId - User ID
    */
   async updateUserActiveStatus(sessionId, userId) {
     try {
-      const session = await CollaborationSession.findById(sessionId);
-      if (!session) return;
-      
-      // Update owner's last active time if this is the owner
-      if (session.owner === userId) {
-        session.ownerLastActive = new Date();
-      }
-      
-      // Update collaborator's last active time
-      const collaborator = session.collaborators.find(c => c.userId === userId);
-      if (collaborator) {
-        collaborator.lastActive = new Date();
-        session.markModified('collaborators');
-      }
+      const now = new Date();
       
-      await session.save();
+      await Promise.all([
+        // Owner's last active time, if this is the owner
+        CollaborationSession.updateOne(
+          { _id: sessionId, owner: userId },
+          { $set: { ownerLastActive: now } }
+        ),
+        // Collaborator's last active time
+        CollaborationSession.updateOne(
+          { _id: sessionId, 'collaborators.userId': userId },
+          { $set: { 'collaborators.$.lastActive': now } }
+        )
+      ]);
     } catch (error) {
       console.error('Error updating user active status:', error);
     }
@@ -492,11 +886,18 @@ class WebSocketService {
       
       const activeUsers = [];
       
+      // Members connected to any server process
+      const ownerId = String(session.owner);
+      const connectedUsers = await presenceService.getConnectedUsers([
+        ownerId,
+        ...session.collaborators.map(c => String(c.userId))
+      ]);
+      
       // Add owner if they're connected
-      if (this.connectedUsers.has(session.owner)) {
+      if (connectedUsers.has(ownerId)) {
         activeUsers.push({
-          userId: session.owner,
-          name: this.connectedUsers.get(session.owner).name,
+          userId: ownerId,
+          name: connectedUsers.get(ownerId).name,
           color: '#FF0000', // Owner gets red
           permission: 'admin',
           isOwner: true
@@ -505,10 +906,11 @@ class WebSocketService {
       
       // Add connected collaborators
       for (const collaborator of session.collaborators) {
-        if (this.connectedUsers.has(collaborator.userId)) {
+        const collaboratorId = String(collaborator.userId);
+        if (connectedUsers.has(collaboratorId)) {
           activeUsers.push({
-            userId: collaborator.userId,
-            name: this.connectedUsers.get(collaborator.userId).name,
+            userId: collaboratorId,
+            name: connectedUsers.get(collaboratorId).name,
             color: collaborator.color || '#CCCCCC',
             permission: collaborator.permission,
             isOwner: false
@@ -524,42 +926,132 @@ class WebSocketService {
   }
   
   /**
-   * Process a change and apply it if valid
+   * Apply a change to the session's composition
+   * Changes made against an outdated version of their target are marked 'conflicted'
+   * and sent back with the target's current state so the author can rebase them;
+   * invalid changes, changes outside the author's edit region and changes to
+   * boundaries someone else has locked are 'rejected'. Changes that couldn't be applied
+   * for any other reason are 'failed', and may be sent again.
    * @param {Object} change - The change object
    * @param {Object} session - The session object
    */
   async processChange(change, session) {
+    const room = `session:${change.sessionId}`;
+    
     try {
-      // For this example, we'll just mark all changes as applied immediately
-      // In a real implementation, you'd check for conflicts and validate changes
+      await this.checkBoundaryLock(change);
+      
+      const result = await compositionChangeService.applyChange(
+        session.compositionId,
+        change,
+        composition => editScopeService.checkChange(session, change, composition)
+      );
       
-      // Update change status
+      // New boundaries get their ID on the server unless the client chose one
+      change.targetId = result.targetId;
+      change.version = result.version;
+      change.previous = result.previous;
       change.status = 'applied';
+      change.appliedAt = new Date();
       await change.save();
       
-      // Notify everyone about the applied change
-      this.io.to(`session:${change.sessionId}`).emit('change:applied', {
-        changeId: change._id,
-        timestamp: new Date()
-      });
-      
-      // In a real implementation, you would apply the change to the composition model
-      // This would involve updating the composition in the database
+      this.announceApplied(change, result);
     } catch (error) {
-      console.error('Error processing change:', error);
-      
-      // Mark as conflicted
+      await this.reportChangeFailure(change, error);
+    }
+  }
+  
+  /**
+   * Tell a session that a change was applied
+   * Everyone gets the new state, so their next change is made against the right
+   * version; the author also keeps the inverse change for undo.
+   * @param {Object} change - The applied change
+   * @param {Object} result - Result from CompositionChangeService.applyChange
+   */
+  announceApplied(change, result) {
+    this.io.to(`session:${change.sessionId}`).emit('change:applied', this.getAppliedEvent(change, result));
+  }
+  
+  /**
+   * Build the change:applied event for a change
+   * @param {Object} change - The applied change
+   * @param {Object} result - { targetId, version, object } of its target
+   * @returns {Object} Event data
+   */
+  getAppliedEvent(change, result) {
+    return {
+      changeId: change._id,
+      clientId: change.clientId,
+      userId: change.userId,
+      changeType: change.changeType,
+      targetId: result.targetId,
+      version: result.version,
+      object: result.object,
+      origin: change.origin,
+      inverse: compositionChangeService.invertChange(change, result),
+      timestamp: new Date()
+    };
+  }
+  
+  /**
+   * Describe the outcome of a change sent again after the connection dropped
+   * The client may have missed the change:applied or change:conflict event while it was
+   * offline, so an applied change comes with the same details, and the target's current
+   * state; stale is set if someone else has changed the target since.
+   * @param {Object} change - The change as first submitted
+   * @param {Object} session - Its session
+   * @returns {Promise<Object>} Acknowledgement
+   */
+  async getDuplicateAck(change, session) {
+    const ack = { changeId: change._id, status: change.status, error: change.error, duplicate: true };
+    if (!['applied', 'conflicted'].includes(change.status)) return ack;
+    
+    const composition = await Composition.findById(session.compositionId);
+    const current = composition
+      ? compositionChangeService.getState(composition, change.changeType, change.targetId)
+      : { version: null, object: null };
+    
+    if (change.status === 'conflicted') {
+      return { ...ack, current };
+    }
+    
+    return {
+      ...this.getAppliedEvent(change, { targetId: change.targetId, ...current }),
+      ...ack,
+      stale: current.version !== change.version
+    };
+  }
+  
+  /**
+   * Record why a change wasn't applied and tell the session
+   * @param {Object} change - The change object
+   * @param {Error} error - Why it failed
+   */
+  async reportChangeFailure(change, error) {
+    if (['InvalidChange', 'BoundaryLocked', 'OutOfScope'].includes(error.code)) {
+      change.status = 'rejected';
+    } else if (error.code === 'ChangeConflict') {
       change.status = 'conflicted';
-      change.error = error.message;
-      await change.save();
-      
-      // Notify everyone about the conflict
-      this.io.to(`session:${change.sessionId}`).emit('change:conflict', {
-        changeId: change._id,
-        error: error.message,
-        timestamp: new Date()
-      });
+    } else {
+      // Not the change's fault, so its author can send it again
+      console.error('Error processing change:', error);
+      change.status = 'failed';
     }
+    
+    change.error = error.message;
+    await change.save().catch(saveError => console.error('Error saving change status:', saveError));
+    
+    const events = { rejected: 'change:rejected', conflicted: 'change:conflict', failed: 'change:failed' };
+    this.io.to(`session:${change.sessionId}`).emit(events[change.status], {
+      changeId: change._id,
+      clientId: change.clientId,
+      userId: change.userId,
+      changeType: change.changeType,
+      targetId: change.targetId,
+      error: change.status === 'failed' ? 'Error applying change' : error.message,
+      current: error.current || null,
+      timestamp: new Date()
+    });
   }
 }
 
@@ -0,0 +1,125 @@
+/**
+ * Memory Presence Adapter
+ * Keeps presence in this process and leaves Socket.IO's rooms in memory too, so it
+ * only suits a single server process.
+ */
+class MemoryPresenceAdapter {
+  constructor() {
+    // Connections keyed by socket ID: { userId, name, sessions }
+    this.connections = new Map();
+  }
+
+  /**
+   * Nothing to set up: Socket.IO's default adapter keeps rooms in memory
+   * @returns {Promise<null>} No Socket.IO adapter
+   */
+  async createSocketAdapter() {
+    return null;
+  }
+
+  /**
+   * Nothing to keep alive
+   */
+  start() {}
+
+  /**
+   * Nothing to stop
+   */
+  stop() {}
+
+  /**
+   * Record a new connection
+   * @param {string} socketId - Socket ID
+   * @param {Object} user - { id, name }
+   */
+  async addConnection(socketId, user) {
+    this.connections.set(socketId, { userId: String(user.id), name: user.name, sessions: new Set() });
+  }
+
+  /**
+   * Forget a closed connection
+   * @param {string} socketId - Socket ID
+   * @returns {Promise<Array<string>>} IDs of the sessions it had joined
+   */
+  async removeConnection(socketId) {
+    const connection = this.connections.get(socketId);
+    if (!connection) return [];
+
+    this.connections.delete(socketId);
+    return [...connection.sessions];
+  }
+
+  /**
+   * Record that a connection joined a session
+   * @param {string} socketId - Socket ID
+   * @param {string} sessionId - Session ID
+   */
+  async joinSession(socketId, sessionId) {
+    const connection = this.connections.get(socketId);
+    if (connection) connection.sessions.add(String(sessionId));
+  }
+
+  /**
+   * Record that a connection left a session
+   * @param {string} socketId - Socket ID
+   * @param {string} sessionId - Session ID
+   */
+  async leaveSession(socketId, sessionId) {
+    const connection = this.connections.get(socketId);
+    if (connection) connection.sessions.delete(String(sessionId));
+  }
+
+  /**
+   * Take every connection of a user out of a session
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session ID
+   */
+  async removeUserFromSession(userId, sessionId) {
+    for (const connection of this.connections.values()) {
+      if (connection.userId === String(userId)) connection.sessions.delete(String(sessionId));
+    }
+  }
+
+  /**
+   * Take every connection out of a session
+   * @param {string} sessionId - Session ID
+   */
+  async removeSession(sessionId) {
+    for (const connection of this.connections.values()) {
+      connection.sessions.delete(String(sessionId));
+    }
+  }
+
+  /**
+   * Find which of some users are connected
+   * @param {Array<string>} userIds - User IDs
+   * @returns {Promise<Map<string, Object>>} Connected users' { name }, keyed by user ID
+   */
+  async getConnectedUsers(userIds) {
+    const wanted = new Set(userIds.map(String));
+    const connected = new Map();
+
+    for (const { userId, name } of this.connections.values()) {
+      if (wanted.has(userId) && !connected.has(userId)) connected.set(userId, { name });
+    }
+
+    return connected;
+  }
+
+  /**
+   * Find the users connected to a session
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Array<string>>} User IDs
+   */
+  async getSessionUserIds(sessionId) {
+    const userIds = new Set();
+
+    for (const { userId, sessions } of this.connections.values()) {
+      if (sessions.has(String(sessionId))) userIds.add(userId);
+    }
+
+    return [...userIds];
+  }
+}
+
+module.exports = MemoryPresenceAdapter;
@@ -0,0 +1,169 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const { createAdapter } = require('@socket.io/mongo-adapter');
+const Presence = require('../../models/Presence');
+
+/**
+ * MongoDB Presence Adapter
+ * Shares presence between server processes through the Presence collection, and relays
+ * Socket.IO room broadcasts between them through a change stream, so an event emitted
+ * on one process reaches sockets connected to any of them. Change streams need MongoDB
+ * to run as a replica set (a single-node replica set is enough).
+ */
+class MongoPresenceAdapter {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.eventsCollection - Collection Socket.IO events are relayed through
+   * @param {number} options.eventsRetention - How long relayed events are kept (s)
+   * @param {number} options.heartbeatInterval - How often this process renews its connections (ms)
+   * @param {number} options.presenceTtl - How long connections last without being renewed (ms)
+   */
+  constructor(options = {}) {
+    this.options = options;
+    this.nodeId = crypto.randomUUID();
+    this.timer = null;
+  }
+
+  /**
+   * Create the Socket.IO adapter, once MongoDB is connected
+   * @returns {Promise<Function>} Socket.IO adapter
+   */
+  async createSocketAdapter() {
+    await mongoose.connection.asPromise();
+
+    const collection = mongoose.connection.db.collection(this.options.eventsCollection);
+    await collection.createIndex({ createdAt: 1 }, { expireAfterSeconds: this.options.eventsRetention });
+
+    return createAdapter(collection, { uid: this.nodeId, addCreatedAtField: true });
+  }
+
+  /**
+   * Start renewing this process's connections
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      Presence.updateMany({ nodeId: this.nodeId }, { $set: { expiresAt: this.getExpiry() } })
+        .catch(error => console.error('Error renewing presence:', error));
+    }, this.options.heartbeatInterval);
+
+    // Don't keep the process alive just for heartbeats
+    if (this.timer.unref) this.timer.unref();
+  }
+
+  /**
+   * Stop renewing this process's connections
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * When connections renewed now expire
+   * @returns {Date} Expiry
+   */
+  getExpiry() {
+    return new Date(Date.now() + this.options.presenceTtl);
+  }
+
+  /**
+   * Conditions matching connections whose process is still running
+   * @param {Object} conditions - Other conditions
+   * @returns {Object} Query
+   */
+  live(conditions) {
+    return { ...conditions, expiresAt: { $gt: new Date() } };
+  }
+
+  /**
+   * Record a new connection
+   * @param {string} socketId - Socket ID
+   * @param {Object} user - { id, name }
+   */
+  async addConnection(socketId, user) {
+    await Presence.create({
+      socketId,
+      userId: user.id,
+      name: user.name,
+      nodeId: this.nodeId,
+      sessions: [],
+      expiresAt: this.getExpiry()
+    });
+  }
+
+  /**
+   * Forget a closed connection
+   * @param {string} socketId - Socket ID
+   * @returns {Promise<Array<string>>} IDs of the sessions it had joined
+   */
+  async removeConnection(socketId) {
+    const connection = await Presence.findOneAndDelete({ socketId });
+    return connection ? connection.sessions : [];
+  }
+
+  /**
+   * Record that a connection joined a session
+   * @param {string} socketId - Socket ID
+   * @param {string} sessionId - Session ID
+   */
+  async joinSession(socketId, sessionId) {
+    await Presence.updateOne({ socketId }, { $addToSet: { sessions: String(sessionId) } });
+  }
+
+  /**
+   * Record that a connection left a session
+   * @param {string} socketId - Socket ID
+   * @param {string} sessionId - Session ID
+   */
+  async leaveSession(socketId, sessionId) {
+    await Presence.updateOne({ socketId }, { $pull: { sessions: String(sessionId) } });
+  }
+
+  /**
+   * Take every connection of a user out of a session, on every process
+   * @param {string} userId - User ID
+   * @param {string} sessionId - Session ID
+   */
+  async removeUserFromSession(userId, sessionId) {
+    await Presence.updateMany({ userId, sessions: String(sessionId) }, { $pull: { sessions: String(sessionId) } });
+  }
+
+  /**
+   * Take every connection out of a session, on every process
+   * @param {string} sessionId - Session ID
+   */
+  async removeSession(sessionId) {
+    await Presence.updateMany({ sessions: String(sessionId) }, { $pull: { sessions: String(sessionId) } });
+  }
+
+  /**
+   * Find which of some users are connected to any process
+   * @param {Array<string>} userIds - User IDs
+   * @returns {Promise<Map<string, Object>>} Connected users' { name }, keyed by user ID
+   */
+  async getConnectedUsers(userIds) {
+    const connections = await Presence.find(this.live({ userId: { $in: userIds } }))
+      .select('userId name');
+
+    const connected = new Map();
+    connections.forEach(({ userId, name }) => {
+      if (!connected.has(String(userId))) connected.set(String(userId), { name });
+    });
+
+    return connected;
+  }
+
+  /**
+   * Find the users connected to a session on any process
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<Array<string>>} User IDs
+   */
+  async getSessionUserIds(sessionId) {
+    const userIds = await Presence.distinct('userId', this.live({ sessions: String(sessionId) }));
+    return userIds.map(String);
+  }
+}
+
+module.exports = MongoPresenceAdapter;
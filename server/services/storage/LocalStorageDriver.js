@@ -0,0 +1,260 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { Readable } = require('stream');
+
+// Metadata (content type, cache control) is kept beside the files in this directory
+const METADATA_DIR = '.meta';
+
+/**
+ * Local Storage Driver
+ * Stores files on disk. Files are served by the /api/files route through
+ * links signed with an HMAC, so they expire just like S3 presigned URLs.
+ */
+class LocalStorageDriver {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.root - Directory files are stored in
+   * @param {string} options.publicUrl - Absolute base URL of the server
+   * @param {string} options.routePath - Route that serves stored files
+   */
+  constructor(options = {}) {
+    this.root = path.resolve(options.root);
+    this.publicUrl = (options.publicUrl || '').replace(/\/+$/, '');
+    this.routePath = options.routePath || '/api/files';
+  }
+
+  /**
+   * Get the secret used to sign links, failing loudly if none is configured
+   * @returns {string} The secret
+   */
+  getSigningSecret() {
+    const secret = process.env.STORAGE_SIGNING_SECRET || process.env.JWT_SECRET;
+
+    if (!secret) {
+      throw new Error('STORAGE_SIGNING_SECRET is not configured');
+    }
+
+    return secret;
+  }
+
+  /**
+   * Map a storage key to a path inside the storage root
+   * Keys are "/"-separated; empty, "." and ".." segments and hidden names are rejected
+   * so a key can never escape the root or reach the metadata directory.
+   * @param {string} key - Storage key
+   * @returns {string} Absolute file path
+   * @throws {Error} With code 'InvalidKey' if the key is invalid
+   */
+  resolvePath(key) {
+    const segments = String(key || '').split('/');
+
+    if (segments.some(segment => segment === '' || segment.startsWith('.') || segment.includes('\\') || segment.includes('\0'))) {
+      const error = new Error(`Invalid storage key: ${key}`);
+      error.code = 'InvalidKey';
+      throw error;
+    }
+
+    return path.join(this.root, ...segments);
+  }
+
+  /**
+   * Get the path of a file's metadata
+   * @param {string} key - Storage key
+   * @returns {string} Absolute file path
+   */
+  metadataPath(key) {
+    this.resolvePath(key);
+    return `${path.join(this.root, METADATA_DIR, ...key.split('/'))}.json`;
+  }
+
+  /**
+   * Store a file
+   * The file is written to a temporary name and renamed, so readers never see a partial file.
+   * @param {string} key - Storage key
+   * @param {Buffer|string|Readable} body - File contents
+   * @param {Object} options - Options
+   * @param {string} options.contentType - MIME type
+   * @param {string} options.cacheControl - Cache-Control header to serve the file with
+   */
+  async put(key, body, options = {}) {
+    const filePath = this.resolvePath(key);
+    const metadataPath = this.metadataPath(key);
+    const tempPath = `${filePath}.${crypto.randomBytes(6).toString('hex')}.tmp`;
+
+    await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.promises.mkdir(path.dirname(metadataPath), { recursive: true });
+
+    try {
+      const source = Buffer.isBuffer(body) || typeof body === 'string' ? Readable.from([body]) : body;
+      await pipeline(source, fs.createWriteStream(tempPath));
+      await fs.promises.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.promises.unlink(tempPath).catch(() => {});
+      throw error;
+    }
+
+    await fs.promises.writeFile(metadataPath, JSON.stringify({
+      contentType: options.contentType,
+      cacheControl: options.cacheControl
+    }));
+  }
+
+  /**
+   * Open a stored file for reading
+   * @param {string} key - Storage key
+   * @returns {Promise<Readable>} File contents
+   */
+  async getStream(key) {
+    const filePath = this.resolvePath(key);
+
+    try {
+      await fs.promises.access(filePath, fs.constants.R_OK);
+    } catch (error) {
+      const notFound = new Error(`File not found: ${key}`);
+      notFound.code = 'NotFound';
+      throw notFound;
+    }
+
+    return fs.createReadStream(filePath);
+  }
+
+  /**
+   * Get a stored file's size, type and modification time
+   * @param {string} key - Storage key
+   * @returns {Promise<{size: number, contentType: string, cacheControl: string, lastModified: Date}|null>} Info, or null if missing
+   */
+  async stat(key) {
+    let stats;
+    try {
+      stats = await fs.promises.stat(this.resolvePath(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+
+    let metadata = {};
+    try {
+      metadata = JSON.parse(await fs.promises.readFile(this.metadataPath(key), 'utf8'));
+    } catch (error) {
+      // Files without metadata are served with a type guessed from the extension
+    }
+
+    return {
+      size: stats.size,
+      contentType: metadata.contentType,
+      cacheControl: metadata.cacheControl,
+      lastModified: stats.mtime
+    };
+  }
+
+  /**
+   * Delete a stored file. Deleting a missing file is not an error.
+   * @param {string} key - Storage key
+   */
+  async delete(key) {
+    const ignoreMissing = error => {
+      if (error.code !== 'ENOENT') throw error;
+    };
+
+    await fs.promises.unlink(this.resolvePath(key)).catch(ignoreMissing);
+    await fs.promises.unlink(this.metadataPath(key)).catch(ignoreMissing);
+  }
+
+  /**
+   * List stored files whose keys start with a prefix, in key order
+   * @param {string} prefix - Key prefix
+   * @returns {AsyncGenerator<{key: string, size: number, lastModified: Date}>} Files
+   */
+  async *list(prefix = '') {
+    // Only walk the directory the prefix points into
+    const slash = prefix.lastIndexOf('/');
+    yield* this.walk(slash === -1 ? '' : prefix.slice(0, slash), prefix);
+  }
+
+  /**
+   * List the files below a directory of the storage root
+   * @param {string} dir - Directory key ('' for the root)
+   * @param {string} prefix - Key prefix files must start with
+   * @returns {AsyncGenerator<{key: string, size: number, lastModified: Date}>} Files
+   */
+  async *walk(dir, prefix) {
+    let entries;
+    try {
+      entries = await fs.promises.readdir(dir ? this.resolvePath(dir) : this.root, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+    for (const entry of entries) {
+      // Hidden names (including the metadata directory) can't be storage keys
+      if (entry.name.startsWith('.')) continue;
+
+      const key = dir ? `${dir}/${entry.name}` : entry.name;
+
+      if (entry.isDirectory()) {
+        if (key.startsWith(prefix) || prefix.startsWith(`${key}/`)) {
+          yield* this.walk(key, prefix);
+        }
+      } else if (entry.isFile() && key.startsWith(prefix)) {
+        const stats = await fs.promises.stat(this.resolvePath(key));
+        yield { key, size: stats.size, lastModified: stats.mtime };
+      }
+    }
+  }
+
+  /**
+   * Compute the signature of a link
+   * @param {string} key - Storage key
+   * @param {number} expires - Expiry time in seconds since the epoch
+   * @returns {string} Hex-encoded HMAC-SHA256
+   */
+  sign(key, expires) {
+    return crypto
+      .createHmac('sha256', this.getSigningSecret())
+      .update(`${key}:${expires}`)
+      .digest('hex');
+  }
+
+  /**
+   * Check a link's signature and expiry
+   * @param {string} key - Storage key
+   * @param {string|number} expires - Expiry time in seconds since the epoch
+   * @param {string} signature - Signature from the link
+   * @returns {boolean} Whether the link is valid
+   */
+  verifySignature(key, expires, signature) {
+    const expiresAt = Number(expires);
+    if (!Number.isInteger(expiresAt) || expiresAt * 1000 < Date.now()) {
+      return false;
+    }
+
+    if (typeof signature !== 'string' || !/^[0-9a-f]{64}$/i.test(signature)) {
+      return false;
+    }
+
+    const expected = Buffer.from(this.sign(key, expiresAt), 'hex');
+    return crypto.timingSafeEqual(expected, Buffer.from(signature, 'hex'));
+  }
+
+  /**
+   * Create a signed link for downloading a file
+   * @param {string} key - Storage key
+   * @param {number} expiresIn - Lifetime in seconds
+   * @returns {Promise<string>} Signed URL
+   */
+  async getSignedUrl(key, expiresIn) {
+    this.resolvePath(key);
+
+    const expires = Math.floor(Date.now() / 1000) + Math.round(expiresIn);
+    const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+
+    return `${this.publicUrl}${this.routePath}/${encodedKey}?expires=${expires}&signature=${this.sign(key, expires)}`;
+  }
+}
+
+module.exports = LocalStorageDriver;
@@ -0,0 +1,160 @@
+// AWS SDK v3 imports
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command
+} = require('@aws-sdk/client-s3');
+const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+
+/**
+ * S3 Storage Driver
+ * Stores files as private objects in an S3 bucket
+ */
+class S3StorageDriver {
+  /**
+   * @param {Object} options - Options
+   * @param {string} options.bucket - Bucket name
+   * @param {string} options.region - AWS region
+   */
+  constructor(options = {}) {
+    this.bucket = options.bucket;
+    this.client = new S3Client({
+      region: options.region,
+      credentials: {
+        accessKeyId: process.env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: process.env.AWS_SECRET_ACCESS_KEY
+      }
+    });
+  }
+
+  /**
+   * Store a file
+   * @param {string} key - Storage key
+   * @param {Buffer|string|Readable} body - File contents
+   * @param {Object} options - Options
+   * @param {string} options.contentType - MIME type
+   * @param {number} options.contentLength - Size in bytes (required for streams)
+   * @param {string} options.cacheControl - Cache-Control header to serve the file with
+   */
+  async put(key, body, options = {}) {
+    await this.client.send(new PutObjectCommand({
+      Bucket: this.bucket,
+      Key: key,
+      Body: body,
+      ContentType: options.contentType,
+      ContentLength: options.contentLength,
+      CacheControl: options.cacheControl,
+      ACL: 'private' // Restrict public access
+    }));
+  }
+
+  /**
+   * Open a stored file for reading
+   * @param {string} key - Storage key
+   * @returns {Promise<Readable>} File contents
+   */
+  async getStream(key) {
+    try {
+      const response = await this.client.send(new GetObjectCommand({
+        Bucket: this.bucket,
+        Key: key
+      }));
+      return response.Body;
+    } catch (error) {
+      throw this.translateError(error, key);
+    }
+  }
+
+  /**
+   * Get a stored file's size, type and modification time
+   * @param {string} key - Storage key
+   * @returns {Promise<{size: number, contentType: string, lastModified: Date}|null>} Info, or null if missing
+   */
+  async stat(key) {
+    try {
+      const response = await this.client.send(new HeadObjectCommand({
+        Bucket: this.bucket,
+        Key: key
+      }));
+
+      return {
+        size: response.ContentLength,
+        contentType: response.ContentType,
+        lastModified: response.LastModified
+      };
+    } catch (error) {
+      if (this.translateError(error, key).code === 'NotFound') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a stored file. Deleting a missing file is not an error.
+   * @param {string} key - Storage key
+   */
+  async delete(key) {
+    await this.client.send(new DeleteObjectCommand({
+      Bucket: this.bucket,
+      Key: key
+    }));
+  }
+
+  /**
+   * List stored files whose keys start with a prefix, in key order
+   * @param {string} prefix - Key prefix
+   * @returns {AsyncGenerator<{key: string, size: number, lastModified: Date}>} Files
+   */
+  async *list(prefix = '') {
+    let continuationToken;
+
+    do {
+      const response = await this.client.send(new ListObjectsV2Command({
+        Bucket: this.bucket,
+        Prefix: prefix || undefined,
+        ContinuationToken: continuationToken
+      }));
+
+      for (const object of response.Contents || []) {
+        yield { key: object.Key, size: object.Size, lastModified: object.LastModified };
+      }
+
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+  }
+
+  /**
+   * Create a presigned URL for downloading a file
+   * @param {string} key - Storage key
+   * @param {number} expiresIn - Lifetime in seconds
+   * @returns {Promise<string>} Signed URL
+   */
+  getSignedUrl(key, expiresIn) {
+    return getSignedUrl(this.client, new GetObjectCommand({
+      Bucket: this.bucket,
+      Key: key
+    }), { expiresIn });
+  }
+
+  /**
+   * Give "no such key" errors the same code as the local driver
+   * @param {Error} error - AWS SDK error
+   * @param {string} key - Storage key
+   * @returns {Error} The error
+   */
+  translateError(error, key) {
+    if (error.name === 'NoSuchKey' || error.name === 'NotFound' ||
+        (error.$metadata && error.$metadata.httpStatusCode === 404)) {
+      const notFound = new Error(`File not found: ${key}`);
+      notFound.code = 'NotFound';
+      return notFound;
+    }
+    return error;
+  }
+}
+
+module.exports = S3StorageDriver;
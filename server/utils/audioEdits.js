@@ -0,0 +1,169 @@
+/**
+ * Audio edit helpers for EONTA
+ * Validate the edits a composer asks for and turn them into an ffmpeg filter graph
+ */
+const audioConfig = require('../config/audio');
+
+const EDIT_FIELDS = ['trimStart', 'trimEnd', 'fadeIn', 'fadeOut', 'loopCrossfade', 'gain', 'reverse'];
+
+/**
+ * Create an error for an edit that can't be applied
+ * @param {string} message - Error message
+ * @returns {Error} Error with code 'InvalidEdit'
+ */
+function invalidEdit(message) {
+  const error = new Error(message);
+  error.code = 'InvalidEdit';
+  return error;
+}
+
+/**
+ * Read an optional number of seconds or decibels from the request
+ * @param {Object} input - Request body
+ * @param {string} field - Field name
+ * @param {number} defaultValue - Value when the field is missing
+ * @returns {number} The value
+ */
+function readNumber(input, field, defaultValue) {
+  if (input[field] === undefined || input[field] === null) {
+    return defaultValue;
+  }
+
+  const value = Number(input[field]);
+  if (!Number.isFinite(value)) {
+    throw invalidEdit(`${field} must be a number`);
+  }
+  return value;
+}
+
+/**
+ * Check edit instructions against the source file and fill in the defaults
+ * @param {Object} input - Requested edits (times in seconds, gain in dB)
+ * @param {number} duration - Duration of the source file in seconds
+ * @returns {Object} Edits with every field set, plus the resulting duration
+ * @throws {Error} With code 'InvalidEdit' if the edits can't be applied
+ */
+function normalizeEdits(input, duration) {
+  const settings = audioConfig.edits;
+
+  if (!input || typeof input !== 'object' || !EDIT_FIELDS.some(field => input[field] !== undefined)) {
+    throw invalidEdit(`No edits given. Use any of: ${EDIT_FIELDS.join(', ')}`);
+  }
+
+  if (!(duration > 0)) {
+    throw invalidEdit('The duration of the source file is unknown');
+  }
+
+  const edits = {
+    trimStart: readNumber(input, 'trimStart', 0),
+    trimEnd: readNumber(input, 'trimEnd', duration),
+    fadeIn: readNumber(input, 'fadeIn', 0),
+    fadeOut: readNumber(input, 'fadeOut', 0),
+    loopCrossfade: readNumber(input, 'loopCrossfade', 0),
+    gain: readNumber(input, 'gain', 0),
+    reverse: input.reverse === true || input.reverse === 'true'
+  };
+
+  if (edits.trimStart < 0 || edits.trimStart >= duration) {
+    throw invalidEdit(`trimStart must be from 0 to ${duration} seconds`);
+  }
+
+  // Allow for rounding in the probed duration
+  edits.trimEnd = Math.min(edits.trimEnd, duration);
+  const selection = edits.trimEnd - edits.trimStart;
+  if (selection < settings.minDuration) {
+    throw invalidEdit(`trimEnd must be at least ${settings.minDuration} seconds after trimStart`);
+  }
+
+  if (edits.reverse && selection > settings.maxReverseSeconds) {
+    throw invalidEdit(`Only selections up to ${settings.maxReverseSeconds} seconds can be reversed`);
+  }
+
+  // The crossfade overlaps the end of the loop with its start, so it can't exceed half of it
+  if (edits.loopCrossfade < 0 || edits.loopCrossfade > selection / 2) {
+    throw invalidEdit(`loopCrossfade must be from 0 to ${selection / 2} seconds`);
+  }
+
+  edits.duration = selection - edits.loopCrossfade;
+
+  if (edits.fadeIn < 0 || edits.fadeOut < 0 || edits.fadeIn + edits.fadeOut > edits.duration) {
+    throw invalidEdit(`fadeIn and fadeOut must together fit in ${edits.duration} seconds`);
+  }
+
+  if (Math.abs(edits.gain) > settings.maxGain) {
+    throw invalidEdit(`gain must be from -${settings.maxGain} to ${settings.maxGain} dB`);
+  }
+
+  return edits;
+}
+
+/**
+ * Estimate the size of an edit once stored
+ * Edits are stored as FLAC at the source's sample rate and channels, so a compressed
+ * source says little about their size. Reserving the uncompressed 16-bit PCM size covers
+ * FLAC of 16-bit audio, and roughly what 24-bit audio compresses to.
+ * @param {Object} source - Source AudioAsset (sampleRate, channels)
+ * @param {number} duration - Duration of the edit in seconds
+ * @returns {number} Estimated size in bytes
+ */
+function estimateEditSize(source, duration) {
+  const sampleRate = source.sampleRate || 44100;
+  const channels = source.channels || 2;
+  return Math.ceil(duration * sampleRate * channels * 2);
+}
+
+/**
+ * Format a number compactly for use in a filter graph
+ * @param {number} value - The number
+ * @returns {string} Formatted number
+ */
+function formatNumber(value) {
+  return String(Math.round(value * 1000) / 1000);
+}
+
+/**
+ * Build the filter graph that applies edits to input 0
+ * A loop crossfade moves the first loopCrossfade seconds of the selection over its
+ * end, so the result starts where it ends and loops without a click.
+ * @param {Object} edits - Edits from normalizeEdits
+ * @returns {string} filter_complex graph whose output is labelled [edited]
+ */
+function buildEditFilterGraph(edits) {
+  const filters = [
+    `atrim=start=${formatNumber(edits.trimStart)}:end=${formatNumber(edits.trimEnd)}`,
+    'asetpts=PTS-STARTPTS'
+  ];
+
+  if (edits.reverse) filters.push('areverse');
+  if (edits.gain) filters.push(`volume=${formatNumber(edits.gain)}dB`);
+
+  const chains = [];
+  let label = '0:a';
+
+  if (edits.loopCrossfade > 0) {
+    const crossfade = formatNumber(edits.loopCrossfade);
+    chains.push(`[0:a]${filters.join(',')},asplit=2[body][head]`);
+    chains.push(`[body]atrim=start=${crossfade},asetpts=PTS-STARTPTS[loopbody]`);
+    chains.push(`[head]atrim=end=${crossfade},asetpts=PTS-STARTPTS[loophead]`);
+    chains.push(`[loopbody][loophead]acrossfade=d=${crossfade}:c1=tri:c2=tri[looped]`);
+    label = 'looped';
+    filters.length = 0;
+  }
+
+  if (edits.fadeIn > 0) {
+    filters.push(`afade=t=in:st=0:d=${formatNumber(edits.fadeIn)}`);
+  }
+  if (edits.fadeOut > 0) {
+    filters.push(`afade=t=out:st=${formatNumber(edits.duration - edits.fadeOut)}:d=${formatNumber(edits.fadeOut)}`);
+  }
+
+  chains.push(`[${label}]${filters.length > 0 ? filters.join(',') : 'anull'}[edited]`);
+  return chains.join(';');
+}
+
+module.exports = {
+  EDIT_FIELDS,
+  normalizeEdits,
+  estimateEditSize,
+  buildEditFilterGraph
+};
@@ -0,0 +1,89 @@
+/**
+ * Audio probe helpers for EONTA
+ * Turn ffprobe output into validated audio metadata
+ */
+const audioConfig = require('../config/audio');
+
+/**
+ * Create an error for a file that isn't acceptable audio
+ * @param {string} message - Reason
+ * @returns {Error} Error with code 'InvalidAudio'
+ */
+function invalidAudio(message) {
+  const error = new Error(message);
+  error.code = 'InvalidAudio';
+  return error;
+}
+
+/**
+ * Parse a numeric ffprobe field
+ * @param {*} value - Raw value (ffprobe reports most numbers as strings)
+ * @returns {number|undefined} The number, or undefined if missing or invalid
+ */
+function toNumber(value) {
+  const number = parseFloat(value);
+  return Number.isFinite(number) ? number : undefined;
+}
+
+/**
+ * Validate ffprobe output and extract the metadata stored for an upload
+ * The client's MIME type is ignored: the container and streams decide what the file is.
+ * @param {Object} probeData - Output of ffprobe (-show_format -show_streams)
+ * @returns {Object} {mimeType, format, codec, duration, sampleRate, channels, bitrate}
+ * @throws {Error} With code 'InvalidAudio' if the file isn't acceptable audio
+ */
+function extractAudioMetadata(probeData) {
+  const format = probeData && probeData.format;
+  const streams = (probeData && probeData.streams) || [];
+
+  if (!format || !format.format_name) {
+    throw invalidAudio('File format could not be recognised');
+  }
+
+  const mimeType = audioConfig.probe.allowedFormats[format.format_name];
+  if (!mimeType) {
+    throw invalidAudio(`Unsupported file format: ${format.format_name}`);
+  }
+
+  // Cover art is stored as a single-picture video stream, which is fine
+  const hasVideo = streams.some(stream =>
+    stream.codec_type === 'video' && !(stream.disposition && stream.disposition.attached_pic)
+  );
+  if (hasVideo) {
+    throw invalidAudio('File contains video');
+  }
+
+  const audio = streams.find(stream => stream.codec_type === 'audio');
+  if (!audio) {
+    throw invalidAudio('File has no audio stream');
+  }
+
+  const duration = toNumber(format.duration) || toNumber(audio.duration);
+  if (!duration || duration <= 0) {
+    throw invalidAudio('File has no playable duration');
+  }
+
+  if (duration > audioConfig.probe.maxDurationSeconds) {
+    throw invalidAudio(`File is longer than ${Math.round(audioConfig.probe.maxDurationSeconds / 60)} minutes`);
+  }
+
+  const sampleRate = toNumber(audio.sample_rate);
+  const channels = toNumber(audio.channels);
+  if (!sampleRate || !channels) {
+    throw invalidAudio('Audio stream is missing its sample rate or channel count');
+  }
+
+  return {
+    mimeType,
+    format: format.format_name,
+    codec: audio.codec_name,
+    duration,
+    sampleRate,
+    channels,
+    bitrate: toNumber(audio.bit_rate) || toNumber(format.bit_rate)
+  };
+}
+
+module.exports = {
+  extractAudioMetadata
+};
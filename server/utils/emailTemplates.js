@@ -0,0 +1,142 @@
+const { sanitizeHtml } = require('./security');
+
+/**
+ * Email templates for collaboration notifications
+ * Each template takes plain data and returns { subject, html, text }. Every value is
+ * escaped here, so callers pass names, titles and messages exactly as users typed them.
+ */
+
+// Most changes listed in one digest
+const MAX_LISTED = 20;
+
+/**
+ * Make a value safe for a header line such as the subject
+ * @param {*} value - Value
+ * @returns {string} Single-line text
+ */
+const oneLine = value => String(value === undefined || value === null ? '' : value).replace(/[\r\n]+/g, ' ').trim();
+
+/**
+ * Describe a change type for people ('addBoundary' -> 'added a boundary')
+ * @param {string} changeType - Change type
+ * @returns {string} Description
+ */
+function describeChange(changeType) {
+  const descriptions = {
+    addBoundary: 'added a boundary',
+    updateBoundary: 'reshaped or renamed a boundary',
+    deleteBoundary: 'deleted a boundary',
+    addAudio: 'added audio to a boundary',
+    updateAudio: 'changed the audio of a boundary',
+    deleteAudio: 'removed the audio of a boundary',
+    updateComposition: 'edited the composition details',
+    updateSettings: 'changed the transition settings',
+    restoreComposition: 'restored an earlier version'
+  };
+  return descriptions[changeType] || 'made a change';
+}
+
+/**
+ * Wrap a template's body in the common layout
+ * @param {string} heading - Heading (already escaped)
+ * @param {string} body - Body HTML
+ * @param {Object} action - Optional button { label, url } (not yet escaped)
+ * @returns {string} HTML
+ */
+function layout(heading, body, action) {
+  const button = action
+    ? `
+          <p style="margin: 30px 0;">
+            <a href="${sanitizeHtml(action.url)}" style="background-color: #4a90e2; color: #fff; padding: 12px 24px; border-radius: 4px; text-decoration: none;">${sanitizeHtml(action.label)}</a>
+          </p>`
+    : '';
+
+  return `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; color: #333;">
+          <h1 style="color: #4a90e2; margin-bottom: 20px;">${heading}</h1>
+          ${body}${button}
+          <p style="font-size: 12px; color: #999; margin-top: 40px;">You can choose which emails EONTA sends you in your notification preferences.</p>
+        </div>`;
+}
+
+/**
+ * Invitation to a collaboration session
+ * @param {Object} data - { inviterName, sessionName, permission, acceptUrl }
+ * @returns {Object} { subject, html, text }
+ */
+function collaborationInvite({ inviterName, sessionName, permission, acceptUrl }) {
+  const role = permission === 'viewer' ? 'a viewer' : `an ${permission}`;
+
+  return {
+    subject: oneLine(`${inviterName} invited you to collaborate on ${sessionName}`),
+    html: layout('You\'re invited to collaborate', `
+          <p><strong>${sanitizeHtml(inviterName)}</strong> invited you to the EONTA session <strong>${sanitizeHtml(sessionName)}</strong> as ${sanitizeHtml(role)}.</p>`,
+    { label: 'Accept and open the session', url: acceptUrl }),
+    text: `${inviterName} invited you to the EONTA session "${sessionName}" as ${role}.\n\nAccept and open the session: ${acceptUrl}\n`
+  };
+}
+
+/**
+ * A change waiting for an admin's review
+ * @param {Object} data - { authorName, sessionName, changeType, reviewUrl }
+ * @returns {Object} { subject, html, text }
+ */
+function reviewRequest({ authorName, sessionName, changeType, reviewUrl }) {
+  const description = describeChange(changeType);
+
+  return {
+    subject: oneLine(`${authorName} ${description} in ${sessionName} - review needed`),
+    html: layout('A change needs your review', `
+          <p><strong>${sanitizeHtml(authorName)}</strong> ${sanitizeHtml(description)} in <strong>${sanitizeHtml(sessionName)}</strong>. It won't be applied until a session admin approves it.</p>`,
+    { label: 'Review the change', url: reviewUrl }),
+    text: `${authorName} ${description} in "${sessionName}". It won't be applied until a session admin approves it.\n\nReview the change: ${reviewUrl}\n`
+  };
+}
+
+/**
+ * A mention in a session's chat
+ * @param {Object} data - { authorName, sessionName, content, sessionUrl }
+ * @returns {Object} { subject, html, text }
+ */
+function chatMention({ authorName, sessionName, content, sessionUrl }) {
+  return {
+    subject: oneLine(`${authorName} mentioned you in ${sessionName}`),
+    html: layout('You were mentioned', `
+          <p><strong>${sanitizeHtml(authorName)}</strong> mentioned you in <strong>${sanitizeHtml(sessionName)}</strong>:</p>
+          <blockquote style="border-left: 4px solid #4a90e2; margin: 20px 0; padding: 10px 20px; background-color: #f9f9f9; white-space: pre-wrap;">${sanitizeHtml(content)}</blockquote>`,
+    { label: 'Reply in the session', url: sessionUrl }),
+    text: `${authorName} mentioned you in "${sessionName}":\n\n${content}\n\nReply in the session: ${sessionUrl}\n`
+  };
+}
+
+/**
+ * Daily digest of the changes made in a session
+ * @param {Object} data - { sessionName, changes: [{ authorName, changeType, appliedAt }], sessionUrl }
+ * @returns {Object} { subject, html, text }
+ */
+function dailyDigest({ sessionName, changes, sessionUrl }) {
+  const listed = changes.slice(0, MAX_LISTED);
+  const more = changes.length - listed.length;
+  const count = `${changes.length} change${changes.length === 1 ? '' : 's'}`;
+
+  const lines = listed.map(change => `${change.authorName} ${describeChange(change.changeType)}`);
+  const moreLine = more > 0 ? `...and ${more} more` : null;
+
+  return {
+    subject: oneLine(`${count} in ${sessionName} since you were last there`),
+    html: layout(`${sanitizeHtml(count)} in ${sanitizeHtml(sessionName)}`, `
+          <p>Here's what your collaborators did while you were away:</p>
+          <ul style="padding-left: 20px;">
+            ${lines.map(line => `<li>${sanitizeHtml(line)}</li>`).join('\n            ')}${moreLine ? `\n            <li>${sanitizeHtml(moreLine)}</li>` : ''}
+          </ul>`,
+    { label: 'Open the session', url: sessionUrl }),
+    text: `Here's what your collaborators did in "${sessionName}" while you were away:\n\n${lines.map(line => `- ${line}`).join('\n')}${moreLine ? `\n- ${moreLine}` : ''}\n\nOpen the session: ${sessionUrl}\n`
+  };
+}
+
+module.exports = {
+  collaborationInvite,
+  reviewRequest,
+  chatMention,
+  dailyDigest
+};
@@ -0,0 +1,190 @@
+/**
+ * Geospatial query helpers for EONTA
+ * Parse and validate location query parameters into MongoDB geo queries
+ */
+
+// Earth's equatorial radius in meters, as used by MongoDB's $centerSphere
+const EARTH_RADIUS = 6378100;
+
+// Search radius limits in meters
+const DEFAULT_RADIUS = 1000;
+const MAX_RADIUS = 50000;
+
+/**
+ * Parse a query string value as a finite number
+ * @param {*} value - Raw query value
+ * @returns {Number|null} The number, or null if missing or invalid
+ */
+function parseNumber(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+
+  const number = Number(value);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Parse a "near a point" search from query parameters
+ * @param {Object} query - Request query ({lat, lng, radius})
+ * @returns {{lng: Number, lat: Number, radius: Number}} The search
+ * @throws {Error} If the parameters are invalid
+ */
+function parseNearQuery(query) {
+  const lat = parseNumber(query.lat);
+  const lng = parseNumber(query.lng);
+
+  if (lat === null || lng === null || lat < -90 || lat > 90 || lng < -180 || lng > 180) {
+    throw new Error('lat and lng must be valid coordinates');
+  }
+
+  let radius = DEFAULT_RADIUS;
+  if (query.radius !== undefined) {
+    radius = parseNumber(query.radius);
+    if (radius === null || radius <= 0) {
+      throw new Error('radius must be a positive number of meters');
+    }
+  }
+
+  return {
+    lng,
+    lat,
+    radius: Math.min(radius, MAX_RADIUS)
+  };
+}
+
+/**
+ * Parse a map viewport bounding box ("west,south,east,north")
+ * @param {string} bbox - Bounding box string
+ * @returns {{west: Number, south: Number, east: Number, north: Number}} The box
+ * @throws {Error} If the bounding box is invalid
+ */
+function parseBoundingBox(bbox) {
+  const parts = String(bbox).split(',').map(parseNumber);
+
+  if (parts.length !== 4 || parts.some(part => part === null)) {
+    throw new Error('bbox must be "west,south,east,north"');
+  }
+
+  const [west, south, east, north] = parts;
+
+  if (south < -90 || north > 90 || south >= north) {
+    throw new Error('bbox latitudes must be within -90..90 with south < north');
+  }
+
+  if (west < -180 || west > 180 || east < -180 || east > 180) {
+    throw new Error('bbox longitudes must be within -180..180');
+  }
+
+  return { west, south, east, north };
+}
+
+/**
+ * Get how many degrees of longitude a bounding box spans
+ * A box whose west edge is east of its east edge crosses the antimeridian.
+ * @param {Object} box - {west, east}
+ * @returns {Number} Span in degrees (360 for the whole world)
+ */
+function longitudeSpan({ west, east }) {
+  return east >= west ? east - west : east + 360 - west;
+}
+
+/**
+ * Split a bounding box into boxes spanning less than 180 degrees of longitude each
+ * @param {Object} box - {west, south, east, north}
+ * @returns {Array<Object>} Boxes covering the same area, west to east
+ */
+function splitBoundingBox(box) {
+  const span = longitudeSpan(box);
+  const count = Math.floor(span / 180) + 1;
+  const step = span / count;
+  const wrap = lng => (lng > 180 ? lng - 360 : lng);
+
+  return Array.from({ length: count }, (_, i) => ({
+    ...box,
+    west: wrap(box.west + i * step),
+    east: wrap(box.west + (i + 1) * step)
+  }));
+}
+
+/**
+ * Build a GeoJSON polygon for a bounding box
+ * A box whose west edge is east of its east edge crosses the antimeridian.
+ * Edges are geodesics, which is a close approximation at map-viewport scales.
+ * Only valid for boxes spanning less than 180 degrees of longitude.
+ * @param {Object} box - {west, south, east, north}
+ * @returns {Object} GeoJSON Polygon
+ */
+function boundingBoxToPolygon({ west, south, east, north }) {
+  // Normalise an antimeridian-crossing box so the ring is ordered correctly
+  const eastEdge = east < west ? east + 360 : east;
+  const midLng = (west + eastEdge) / 2;
+  const wrap = lng => (lng > 180 ? lng - 360 : lng);
+
+  // Include the midpoints so no edge spans 180 degrees or more
+  return {
+    type: 'Polygon',
+    coordinates: [[
+      [west, south],
+      [wrap(midLng), south],
+      [wrap(eastEdge), south],
+      [wrap(eastEdge), north],
+      [wrap(midLng), north],
+      [west, north],
+      [west, south]
+    ]]
+  };
+}
+
+/**
+ * Build a $geoWithin filter for a circle around a point
+ * Unlike $near, this can be used with countDocuments
+ * @param {string} field - Field holding the coordinates
+ * @param {Object} near - {lng, lat, radius}
+ * @returns {Object} MongoDB filter
+ */
+function withinRadiusFilter(field, { lng, lat, radius }) {
+  return {
+    [field]: {
+      $geoWithin: {
+        $centerSphere: [[lng, lat], radius / EARTH_RADIUS]
+      }
+    }
+  };
+}
+
+/**
+ * Build a $geoWithin filter for a bounding box
+ * MongoDB rejects polygons covering half the world or more, or takes them as the
+ * area outside, so a zoomed-out viewport spanning 180 degrees of longitude or
+ * more is split into narrower boxes matched with $or.
+ * @param {string} field - Field holding the coordinates
+ * @param {Object} box - {west, south, east, north}
+ * @returns {Object} MongoDB filter
+ */
+function withinBoundingBoxFilter(field, box) {
+  const within = part => ({
+    [field]: {
+      $geoWithin: {
+        $geometry: boundingBoxToPolygon(part)
+      }
+    }
+  });
+
+  if (longitudeSpan(box) < 180) {
+    return within(box);
+  }
+
+  return { $or: splitBoundingBox(box).map(within) };
+}
+
+module.exports = {
+  DEFAULT_RADIUS,
+  MAX_RADIUS,
+  parseNearQuery,
+  parseBoundingBox,
+  longitudeSpan,
+  boundingBoxToPolygon,
+  withinRadiusFilter,
+  withinBoundingBoxFilter
+};
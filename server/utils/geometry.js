@@ -0,0 +1,81 @@
+/**
+ * Planar geometry helpers for EONTA
+ * Polygons are arrays of {lat, lng} points, treated as flat (lng as x, lat as y) like
+ * the client's MapUtils - accurate enough at the scale of an installation.
+ */
+
+/**
+ * Check if a point is inside a polygon (ray casting, as in MapUtils.isPointInPolygon)
+ * @param {Object} point - {lat, lng}
+ * @param {Array} polygon - Array of {lat, lng}
+ * @returns {Boolean} True if the point is inside
+ */
+function isPointInPolygon(point, polygon) {
+  if (!point || !Array.isArray(polygon) || polygon.length < 3) {
+    return false;
+  }
+
+  let inside = false;
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const xi = polygon[i].lng;
+    const yi = polygon[i].lat;
+    const xj = polygon[j].lng;
+    const yj = polygon[j].lat;
+
+    const intersect = ((yi > point.lat) !== (yj > point.lat)) &&
+      (point.lng < (xj - xi) * (point.lat - yi) / (yj - yi) + xi);
+
+    if (intersect) inside = !inside;
+  }
+
+  return inside;
+}
+
+/**
+ * Check if two segments cross each other (touching at an end doesn't count)
+ * @param {Object} a1 - Start of the first segment
+ * @param {Object} a2 - End of the first segment
+ * @param {Object} b1 - Start of the second segment
+ * @param {Object} b2 - End of the second segment
+ * @returns {Boolean} True if they cross
+ */
+function segmentsCross(a1, a2, b1, b2) {
+  const side = (p, q, r) => Math.sign((q.lng - p.lng) * (r.lat - p.lat) - (q.lat - p.lat) * (r.lng - p.lng));
+
+  return side(a1, a2, b1) * side(a1, a2, b2) < 0 &&
+    side(b1, b2, a1) * side(b1, b2, a2) < 0;
+}
+
+/**
+ * Check if a polygon lies entirely within another one
+ * Every vertex must be inside and no edges may cross, so a concave zone can't
+ * contain a polygon that bridges one of its notches.
+ * @param {Array} polygon - Array of {lat, lng}
+ * @param {Array} zone - Array of {lat, lng}
+ * @returns {Boolean} True if the polygon is inside the zone
+ */
+function isPolygonInPolygon(polygon, zone) {
+  if (!Array.isArray(polygon) || polygon.length < 3 || !Array.isArray(zone) || zone.length < 3) {
+    return false;
+  }
+
+  if (!polygon.every(point => isPointInPolygon(point, zone))) {
+    return false;
+  }
+
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    for (let k = 0, l = zone.length - 1; k < zone.length; l = k++) {
+      if (segmentsCross(polygon[j], polygon[i], zone[l], zone[k])) {
+        return false;
+      }
+    }
+  }
+
+  return true;
+}
+
+module.exports = {
+  isPointInPolygon,
+  isPolygonInPolygon
+};
@@ -0,0 +1,295 @@
+/**
+ * Waveform and spectrogram helpers for EONTA
+ * Reduce decoded audio to the peak data the client draws waveforms from
+ */
+const audioConfig = require('../config/audio');
+
+// Bumped whenever the format of stored peak data changes
+const PEAKS_VERSION = 1;
+
+/**
+ * Get the storage key of a file's peak data
+ * @param {string} fileName - Storage key of the uploaded source file
+ * @returns {string} Storage key
+ */
+function getPeaksKey(fileName) {
+  return `peaks/${fileName}.json`;
+}
+
+/**
+ * Transform real samples into the frequency domain in place (iterative radix-2 FFT)
+ * @param {Float64Array} real - Real parts, length a power of two
+ * @param {Float64Array} imag - Imaginary parts, same length
+ */
+function fft(real, imag) {
+  const size = real.length;
+
+  for (let i = 1, j = 0; i < size; i++) {
+    let bit = size >> 1;
+    for (; j & bit; bit >>= 1) {
+      j ^= bit;
+    }
+    j ^= bit;
+
+    if (i < j) {
+      [real[i], real[j]] = [real[j], real[i]];
+      [imag[i], imag[j]] = [imag[j], imag[i]];
+    }
+  }
+
+  for (let length = 2; length <= size; length <<= 1) {
+    const angle = -2 * Math.PI / length;
+    const half = length >> 1;
+
+    for (let start = 0; start < size; start += length) {
+      for (let k = 0; k < half; k++) {
+        const cos = Math.cos(angle * k);
+        const sin = Math.sin(angle * k);
+        const evenIndex = start + k;
+        const oddIndex = evenIndex + half;
+        const oddReal = real[oddIndex] * cos - imag[oddIndex] * sin;
+        const oddImag = real[oddIndex] * sin + imag[oddIndex] * cos;
+
+        real[oddIndex] = real[evenIndex] - oddReal;
+        imag[oddIndex] = imag[evenIndex] - oddImag;
+        real[evenIndex] += oddReal;
+        imag[evenIndex] += oddImag;
+      }
+    }
+  }
+}
+
+/**
+ * Quantize a sample (-1 to 1) to a signed 8-bit value
+ * @param {number} value - Sample value
+ * @returns {number} Integer from -128 to 127
+ */
+function quantizeSample(value) {
+  return Math.max(-128, Math.min(127, Math.round(value * 127)));
+}
+
+/**
+ * Peak Builder
+ * Accumulates mono samples as they are decoded and produces multi-resolution
+ * waveform peaks plus a coarse log-frequency spectrogram, without keeping the audio.
+ */
+class PeakBuilder {
+  /**
+   * @param {Object} options - Settings (defaults from audioConfig.peaks)
+   * @param {number} options.sampleRate - Rate of the samples passed to addSamples
+   * @param {number} options.duration - Expected duration in seconds, used to space spectrogram frames
+   */
+  constructor(options = {}) {
+    const settings = { ...audioConfig.peaks, ...options };
+    const spectrogram = { ...audioConfig.peaks.spectrogram, ...options.spectrogram };
+
+    this.sampleRate = settings.sampleRate;
+    this.samplesPerPixel = settings.samplesPerPixel;
+    this.minPixels = settings.minPixels;
+    this.sampleCount = 0;
+
+    // Finest waveform level
+    this.mins = [];
+    this.maxes = [];
+    this.pixelMin = Infinity;
+    this.pixelMax = -Infinity;
+    this.pixelCount = 0;
+
+    // One FFT frame is taken at the start of every hop
+    const expectedSamples = Math.ceil((options.duration || 0) * this.sampleRate);
+    this.spectrogram = spectrogram;
+    this.fftSize = spectrogram.fftSize;
+    this.hop = Math.max(this.fftSize, Math.ceil(expectedSamples / spectrogram.maxColumns));
+    this.hopPosition = 0;
+    this.frame = new Float64Array(this.fftSize);
+    this.window = Float64Array.from({ length: this.fftSize }, (value, i) =>
+      0.5 - 0.5 * Math.cos((2 * Math.PI * i) / (this.fftSize - 1)));
+    this.bandEdges = this.getBandEdges();
+    this.columns = [];
+  }
+
+  /**
+   * Get the FFT bin range of every spectrogram band, log-spaced up to the Nyquist frequency
+   * @returns {Array<{from: number, to: number, frequency: number}>} Bin ranges (to is exclusive)
+   */
+  getBandEdges() {
+    const { bands, minFrequency } = this.spectrogram;
+    const nyquist = this.sampleRate / 2;
+    const binWidth = this.sampleRate / this.fftSize;
+    const ratio = nyquist / minFrequency;
+    const edges = [];
+
+    for (let band = 0; band < bands; band++) {
+      const low = minFrequency * Math.pow(ratio, band / bands);
+      const high = minFrequency * Math.pow(ratio, (band + 1) / bands);
+      const from = Math.min(this.fftSize / 2 - 1, Math.floor(low / binWidth));
+
+      // Low bands can be narrower than a bin, so always cover at least one
+      edges.push({
+        from,
+        to: Math.max(from + 1, Math.min(this.fftSize / 2, Math.ceil(high / binWidth))),
+        frequency: Math.round(Math.sqrt(low * high))
+      });
+    }
+
+    return edges;
+  }
+
+  /**
+   * Add decoded samples
+   * @param {ArrayLike<number>} samples - Mono samples from -1 to 1
+   */
+  addSamples(samples) {
+    for (let i = 0; i < samples.length; i++) {
+      const sample = samples[i];
+
+      if (sample < this.pixelMin) this.pixelMin = sample;
+      if (sample > this.pixelMax) this.pixelMax = sample;
+      if (++this.pixelCount === this.samplesPerPixel) {
+        this.flushPixel();
+      }
+
+      if (this.hopPosition < this.fftSize) {
+        this.frame[this.hopPosition] = sample;
+        if (this.hopPosition === this.fftSize - 1) {
+          this.flushColumn();
+        }
+      }
+      if (++this.hopPosition === this.hop) {
+        this.hopPosition = 0;
+      }
+    }
+
+    this.sampleCount += samples.length;
+  }
+
+  /**
+   * Record the current waveform pixel
+   */
+  flushPixel() {
+    this.mins.push(this.pixelMin);
+    this.maxes.push(this.pixelMax);
+    this.pixelMin = Infinity;
+    this.pixelMax = -Infinity;
+    this.pixelCount = 0;
+  }
+
+  /**
+   * Compute a spectrogram column from the current frame
+   */
+  flushColumn() {
+    const real = new Float64Array(this.fftSize);
+    const imag = new Float64Array(this.fftSize);
+    for (let i = 0; i < this.fftSize; i++) {
+      real[i] = this.frame[i] * this.window[i];
+    }
+
+    fft(real, imag);
+
+    // A full-scale sine through a Hann window peaks at fftSize / 4, which is 0 dB
+    const reference = this.fftSize / 4;
+    const { minDb, maxDb } = this.spectrogram;
+
+    this.columns.push(this.bandEdges.map(({ from, to }) => {
+      let power = 0;
+      for (let bin = from; bin < to; bin++) {
+        power += (real[bin] * real[bin] + imag[bin] * imag[bin]) / (reference * reference);
+      }
+
+      const db = 10 * Math.log10(power / (to - from) || Number.MIN_VALUE);
+      return Math.max(0, Math.min(255, Math.round(((db - minDb) / (maxDb - minDb)) * 255)));
+    }));
+  }
+
+  /**
+   * Finish and get the peak data
+   * @returns {Object} Peak data ({version, sampleRate, duration, bits, levels, spectrogram})
+   */
+  finish() {
+    if (this.pixelCount > 0) {
+      this.flushPixel();
+    }
+
+    // Files shorter than one frame still get a (zero-padded) column
+    if (this.columns.length === 0 && this.sampleCount > 0) {
+      this.frame.fill(0, this.hopPosition);
+      this.flushColumn();
+    }
+
+    const levels = [];
+    let mins = this.mins;
+    let maxes = this.maxes;
+    let samplesPerPixel = this.samplesPerPixel;
+
+    for (;;) {
+      const data = new Array(mins.length * 2);
+      mins.forEach((min, i) => {
+        data[i * 2] = quantizeSample(min);
+        data[i * 2 + 1] = quantizeSample(maxes[i]);
+      });
+      levels.push({ samplesPerPixel, length: mins.length, data });
+
+      if (Math.ceil(mins.length / 2) < this.minPixels) break;
+
+      const nextMins = [];
+      const nextMaxes = [];
+      for (let i = 0; i < mins.length; i += 2) {
+        nextMins.push(i + 1 < mins.length ? Math.min(mins[i], mins[i + 1]) : mins[i]);
+        nextMaxes.push(i + 1 < maxes.length ? Math.max(maxes[i], maxes[i + 1]) : maxes[i]);
+      }
+      mins = nextMins;
+      maxes = nextMaxes;
+      samplesPerPixel *= 2;
+    }
+
+    return {
+      version: PEAKS_VERSION,
+      sampleRate: this.sampleRate,
+      duration: this.sampleCount / this.sampleRate,
+      bits: 8,
+      levels,
+      spectrogram: {
+        fftSize: this.fftSize,
+        hop: this.hop,
+        columns: this.columns.length,
+        frequencies: this.bandEdges.map(edge => edge.frequency),
+        minDb: this.spectrogram.minDb,
+        maxDb: this.spectrogram.maxDb,
+        // Column-major: the bands of column 0, then column 1, ...
+        data: [].concat(...this.columns)
+      }
+    };
+  }
+}
+
+/**
+ * Pick the parts of stored peak data a client asked for
+ * @param {Object} peaks - Peak data from PeakBuilder.finish
+ * @param {Object} options - Options
+ * @param {number} options.samplesPerPixel - Only return the coarsest level at least this detailed
+ * @param {boolean} options.spectrogram - Whether to include the spectrogram (default true)
+ * @returns {Object} Peak data
+ */
+function selectPeaks(peaks, { samplesPerPixel, spectrogram = true } = {}) {
+  let { levels } = peaks;
+
+  if (samplesPerPixel > 0) {
+    const detailed = levels.filter(level => level.samplesPerPixel <= samplesPerPixel);
+    levels = [detailed.length > 0 ? detailed[detailed.length - 1] : levels[0]];
+  }
+
+  const selected = { ...peaks, levels };
+  if (!spectrogram) {
+    delete selected.spectrogram;
+  }
+
+  return selected;
+}
+
+module.exports = {
+  PEAKS_VERSION,
+  getPeaksKey,
+  fft,
+  PeakBuilder,
+  selectPeaks
+};
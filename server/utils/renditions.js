@@ -0,0 +1,121 @@
+/**
+ * Audio rendition helpers for EONTA
+ * Locate the renditions of an uploaded file and pick the one a client should get
+ */
+const audioConfig = require('../config/audio');
+
+/**
+ * Get the storage key of one rendition of a file
+ * @param {string} fileName - Storage key of the uploaded source file
+ * @param {string} name - Rendition name
+ * @returns {string} Storage key
+ */
+function getRenditionKey(fileName, name) {
+  return `renditions/${fileName}/${name}${audioConfig.renditions[name].extension}`;
+}
+
+/**
+ * Parse an Accept header into media ranges
+ * @param {string} header - Accept header
+ * @returns {Array<{type: string, subtype: string, q: number}>} Media ranges
+ */
+function parseAccept(header) {
+  if (!header || typeof header !== 'string') {
+    return [];
+  }
+
+  return header.split(',').map(part => {
+    const [range, ...params] = part.trim().split(';');
+    const [type, subtype] = range.trim().toLowerCase().split('/');
+
+    let q = 1;
+    params.forEach(param => {
+      const [key, value] = param.trim().split('=');
+      if (key === 'q') {
+        const parsed = parseFloat(value);
+        q = Number.isFinite(parsed) ? Math.max(0, Math.min(1, parsed)) : 1;
+      }
+    });
+
+    return { type, subtype, q };
+  }).filter(range => range.type && range.subtype);
+}
+
+/**
+ * Score how well a MIME type matches an Accept header
+ * The most specific matching range decides the quality, as in RFC 9110.
+ * @param {string} mimeType - MIME type of a rendition
+ * @param {Array<Object>} ranges - Ranges from parseAccept
+ * @returns {{q: number, specificity: number}} Match (q of 0 means not acceptable)
+ */
+function scoreMimeType(mimeType, ranges) {
+  const [type, subtype] = mimeType.toLowerCase().split(';')[0].trim().split('/');
+  let best = { q: 0, specificity: -1 };
+
+  ranges.forEach(range => {
+    let specificity = -1;
+
+    if (range.type === type && range.subtype === subtype) {
+      specificity = 2;
+    } else if (range.type === type && range.subtype === '*') {
+      specificity = 1;
+    } else if (range.type === '*' && range.subtype === '*') {
+      specificity = 0;
+    }
+
+    if (specificity > best.specificity) {
+      best = { q: range.q, specificity };
+    }
+  });
+
+  return best;
+}
+
+/**
+ * Choose the rendition to serve
+ * An explicitly requested rendition wins if it exists. Otherwise the Accept header
+ * picks among the streaming renditions, falling back to the preference order.
+ * Lossless archives are only served when requested by name.
+ * @param {Object} renditions - Available renditions by name ({mimeType, ...})
+ * @param {Object} options - Options
+ * @param {string} options.requested - Rendition named in the query string
+ * @param {string} options.accept - Accept header
+ * @returns {string|null} Rendition name, or null if none is acceptable
+ */
+function negotiateRendition(renditions, { requested, accept } = {}) {
+  const available = renditions || {};
+
+  if (requested && Object.prototype.hasOwnProperty.call(available, requested)) {
+    return requested;
+  }
+
+  const candidates = audioConfig.renditionPreference.filter(name => available[name]);
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  const ranges = parseAccept(accept);
+  if (ranges.length === 0) {
+    return candidates[0];
+  }
+
+  let best = null;
+
+  candidates.forEach(name => {
+    const score = scoreMimeType(available[name].mimeType, ranges);
+    if (score.q <= 0) return;
+
+    // Prefer a higher q, then a more specific match, then the earlier preference
+    if (!best || score.q > best.q || (score.q === best.q && score.specificity > best.specificity)) {
+      best = { name, ...score };
+    }
+  });
+
+  return best ? best.name : null;
+}
+
+module.exports = {
+  getRenditionKey,
+  parseAccept,
+  negotiateRendition
+};
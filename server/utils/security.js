@@ -0,0 +1,30 @@
+/**
+ * Security helpers for EONTA
+ */
+
+// Characters with a meaning in HTML, and their entities
+const HTML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  '\'': '&#39;',
+  '/': '&#x2F;',
+  '`': '&#x60;',
+  '=': '&#x3D;'
+};
+
+/**
+ * Escape user-provided text for use in HTML, such as email bodies
+ * Everything is escaped rather than filtered, so the text shows exactly as typed.
+ * @param {*} value - Text to escape (other values are converted to strings; null and undefined become '')
+ * @returns {string} Escaped text
+ */
+function sanitizeHtml(value) {
+  if (value === undefined || value === null) return '';
+  return String(value).replace(/[&<>"'`=/]/g, char => HTML_ENTITIES[char]);
+}
+
+module.exports = {
+  sanitizeHtml
+};
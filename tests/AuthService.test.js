@@ -0,0 +1,89 @@
+// tests/AuthService.test.js
+
+import authService from '../client/src/services/AuthService';
+
+// Unsigned JWT that expires in the given number of seconds
+const makeToken = (expiresIn) => {
+  const payload = btoa(JSON.stringify({ id: 'u1', exp: Math.floor(Date.now() / 1000) + expiresIn }));
+  return `header.${payload}.signature`;
+};
+
+const respond = (status, body = {}) => Promise.resolve({
+  ok: status >= 200 && status < 300,
+  status,
+  json: () => Promise.resolve(body)
+});
+
+describe('AuthService', () => {
+  beforeEach(() => {
+    localStorage.clear();
+    global.fetch = jest.fn();
+  });
+
+  test('sends a valid access token as is', async () => {
+    const token = makeToken(900);
+    authService.setTokens({ token, refreshToken: 'r1' });
+    fetch.mockReturnValueOnce(respond(200));
+
+    await authService.fetch('/api/audio');
+
+    expect(fetch).toHaveBeenCalledTimes(1);
+    expect(fetch.mock.calls[0][1].headers.Authorization).toBe(`Bearer ${token}`);
+  });
+
+  test('refreshes an access token about to expire before using it', async () => {
+    const fresh = makeToken(900);
+    authService.setTokens({ token: makeToken(30), refreshToken: 'r1' });
+    fetch
+      .mockReturnValueOnce(respond(200, { token: fresh, refreshToken: 'r2' }))
+      .mockReturnValueOnce(respond(200));
+
+    await authService.fetch('/api/audio');
+
+    expect(fetch.mock.calls[0][0]).toBe('/api/users/refresh');
+    expect(JSON.parse(fetch.mock.calls[0][1].body)).toEqual({ refreshToken: 'r1' });
+    expect(fetch.mock.calls[1][1].headers.Authorization).toBe(`Bearer ${fresh}`);
+    expect(localStorage.getItem('refreshToken')).toBe('r2');
+  });
+
+  test('refreshes once for concurrent requests', async () => {
+    const fresh = makeToken(900);
+    authService.setTokens({ token: makeToken(-10), refreshToken: 'r1' });
+    fetch.mockImplementation(url => (url === '/api/users/refresh'
+      ? respond(200, { token: fresh, refreshToken: 'r2' })
+      : respond(200)));
+
+    const tokens = await Promise.all([authService.getToken(), authService.getToken()]);
+
+    expect(tokens).toEqual([fresh, fresh]);
+    expect(fetch).toHaveBeenCalledTimes(1);
+  });
+
+  test('retries a request refused with 401 after refreshing', async () => {
+    const fresh = makeToken(900);
+    authService.setTokens({ token: makeToken(900), refreshToken: 'r1' });
+    fetch
+      .mockReturnValueOnce(respond(401))
+      .mockReturnValueOnce(respond(200, { token: fresh, refreshToken: 'r2' }))
+      .mockReturnValueOnce(respond(200));
+
+    const response = await authService.fetch('/api/audio');
+
+    expect(response.status).toBe(200);
+    expect(fetch.mock.calls[2][1].headers.Authorization).toBe(`Bearer ${fresh}`);
+  });
+
+  test('forgets the tokens once the refresh token is refused', async () => {
+    authService.setTokens({ token: makeToken(900), refreshToken: 'r1' });
+    fetch
+      .mockReturnValueOnce(respond(401))
+      .mockReturnValueOnce(respond(401));
+
+    const response = await authService.fetch('/api/audio');
+
+    expect(response.status).toBe(401);
+    expect(localStorage.getItem('authToken')).toBeNull();
+    expect(localStorage.getItem('refreshToken')).toBeNull();
+    await expect(authService.fetch('/api/audio')).rejects.toThrow('Authentication required');
+  });
+});
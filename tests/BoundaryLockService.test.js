@@ -0,0 +1,90 @@
+/**
+ * @jest-environment node
+ */
+// tests/BoundaryLockService.test.js
+
+jest.mock('../server/models/BoundaryLock', () => ({
+  findOneAndUpdate: jest.fn(),
+  findOne: jest.fn(),
+  find: jest.fn(),
+  updateMany: jest.fn(),
+  deleteOne: jest.fn()
+}));
+
+const BoundaryLock = require('../server/models/BoundaryLock');
+const boundaryLockService = require('../server/services/BoundaryLockService');
+
+const lock = { sessionId: 's1', boundaryId: 'b1', userId: 'u1', name: 'Ana', socketId: 'sock1' };
+
+// Chainable stand-in for a Mongoose query
+const query = docs => {
+  const chain = Promise.resolve(docs);
+  chain.select = () => chain;
+  return chain;
+};
+
+describe('BoundaryLockService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  test('takes a free lock with an expiry date', async () => {
+    BoundaryLock.findOneAndUpdate.mockResolvedValue({ ...lock, _id: 'l1' });
+
+    const result = await boundaryLockService.acquire(lock);
+
+    expect(result).toEqual({ acquired: true, lock: expect.objectContaining({ userId: 'u1' }) });
+    const [filter, update, options] = BoundaryLock.findOneAndUpdate.mock.calls[0];
+    expect(filter).toMatchObject({ sessionId: 's1', boundaryId: 'b1', $or: [{ userId: 'u1' }, expect.any(Object)] });
+    expect(update.$set.expiresAt.getTime()).toBeGreaterThan(Date.now());
+    expect(options).toMatchObject({ upsert: true });
+  });
+
+  test('returns the holder when someone else has the lock', async () => {
+    const duplicate = Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    const held = { ...lock, userId: 'u2', name: 'Ben' };
+    BoundaryLock.findOneAndUpdate.mockRejectedValue(duplicate);
+    BoundaryLock.findOne.mockResolvedValue(held);
+
+    await expect(boundaryLockService.acquire(lock)).resolves.toEqual({ acquired: false, lock: held });
+  });
+
+  test('retries when the holder released the lock in between', async () => {
+    const duplicate = Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+    BoundaryLock.findOneAndUpdate
+      .mockRejectedValueOnce(duplicate)
+      .mockResolvedValueOnce(lock);
+    BoundaryLock.findOne.mockResolvedValue(null);
+
+    await expect(boundaryLockService.acquire(lock)).resolves.toEqual({ acquired: true, lock });
+    expect(BoundaryLock.findOneAndUpdate).toHaveBeenCalledTimes(2);
+  });
+
+  test('renews the locks a socket still holds', async () => {
+    BoundaryLock.updateMany.mockResolvedValue({ modifiedCount: 1 });
+    BoundaryLock.find.mockReturnValue(query([{ boundaryId: 'b1' }]));
+
+    await expect(boundaryLockService.renew('s1', 'sock1')).resolves.toEqual(['b1']);
+    expect(BoundaryLock.updateMany).toHaveBeenCalledWith(
+      expect.objectContaining({ sessionId: 's1', socketId: 'sock1' }),
+      { $set: { expiresAt: expect.any(Date) } }
+    );
+  });
+
+  test('only reports the expired locks it deleted itself', async () => {
+    const expiresAt = new Date(Date.now() - 1000);
+    BoundaryLock.find.mockResolvedValue([
+      { _id: 'l1', boundaryId: 'b1', expiresAt },
+      { _id: 'l2', boundaryId: 'b2', expiresAt }
+    ]);
+    // Another server process got to the second one first
+    BoundaryLock.deleteOne
+      .mockResolvedValueOnce({ deletedCount: 1 })
+      .mockResolvedValueOnce({ deletedCount: 0 });
+
+    const released = await boundaryLockService.releaseExpired();
+
+    expect(released.map(expired => expired.boundaryId)).toEqual(['b1']);
+    expect(BoundaryLock.deleteOne).toHaveBeenCalledWith({ _id: 'l1', expiresAt });
+  });
+});
@@ -143,6 +143,44 @@ describe('BoundaryTransitionManager', () => {
         })
       );
     });
+
+    test('plays regions with their loudness correction', () => {
+      const regionId = 'region1';
+      const audioData = { url: 'test.mp3', gain: -4.5 };
+      const settings = manager.createTransitionSettings({ id: regionId });
+      
+      manager.applyEntryTransition(regionId, audioData, settings, 5);
+      
+      expect(mockAudioService.playAudio).toHaveBeenCalledWith(
+        regionId,
+        audioData.url,
+        expect.objectContaining({ normalizationGain: -4.5 })
+      );
+    });
+
+    test('looks up the audio of a region being entered', async () => {
+      const settings = manager.createTransitionSettings({ id: 'region1' });
+      mockAudioService.getAudioSource = jest.fn().mockResolvedValue({ url: 'https://cdn.example/a.mp3', gain: -3 });
+      
+      await expect(manager.enterRegion('region1', 'user1/a.wav', settings)).resolves.toBe(true);
+      
+      expect(mockAudioService.getAudioSource).toHaveBeenCalledWith('user1/a.wav');
+      expect(mockAudioService.playAudio).toHaveBeenCalledWith(
+        'region1',
+        'https://cdn.example/a.mp3',
+        expect.objectContaining({ normalizationGain: -3, volume: 1 })
+      );
+    });
+
+    test('plays nothing when a region\'s audio cannot be looked up', async () => {
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      mockAudioService.getAudioSource = jest.fn().mockRejectedValue(new Error('Failed to get audio source: 404'));
+      
+      await expect(manager.enterRegion('region1', 'missing.wav')).resolves.toBe(false);
+      
+      expect(mockAudioService.playAudio).not.toHaveBeenCalled();
+      console.error.mockRestore();
+    });
   });
 
   describe('Geolocation Fallback', () => {
@@ -0,0 +1,95 @@
+/**
+ * @jest-environment node
+ */
+// tests/ChangeReviewService.test.js
+
+jest.mock('../server/models/CollaborationChange', () => ({
+  findOneAndUpdate: jest.fn(),
+  getReviewQueue: jest.fn()
+}));
+
+const CollaborationChange = require('../server/models/CollaborationChange');
+const CollaborationSession = require('../server/models/CollaborationSession');
+const changeReviewService = require('../server/services/ChangeReviewService');
+
+const ownerId = '64b7f0c2a1b2c3d4e5f60701';
+const adminId = '64b7f0c2a1b2c3d4e5f60702';
+const editorId = '64b7f0c2a1b2c3d4e5f60703';
+const changeId = '64b7f0c2a1b2c3d4e5f60710';
+
+const loadSession = (settings = {}) => CollaborationSession.hydrate({
+  _id: '64b7f0c2a1b2c3d4e5f60700',
+  compositionId: '64b7f0c2a1b2c3d4e5f60720',
+  name: 'Washington Square',
+  owner: ownerId,
+  collaborators: [
+    { userId: adminId, displayName: 'Ana', permission: 'admin' },
+    { userId: editorId, displayName: 'Ben', permission: 'editor' }
+  ],
+  settings: { requireReview: true, ...settings }
+});
+
+describe('ChangeReviewService', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    changeReviewService.removeAllListeners();
+  });
+
+  test('holds changes from editors but not from admins', () => {
+    const session = loadSession();
+
+    expect(changeReviewService.isReviewRequired(session, editorId)).toBe(true);
+    expect(changeReviewService.isReviewRequired(session, adminId)).toBe(false);
+    expect(changeReviewService.isReviewRequired(session, ownerId)).toBe(false);
+    expect(changeReviewService.isReviewRequired(loadSession({ autoApproveEdits: true }), editorId)).toBe(false);
+    expect(changeReviewService.isReviewRequired(loadSession({ requireReview: false }), editorId)).toBe(false);
+  });
+
+  test('approves a held change and hands it on to be applied', async () => {
+    const change = { _id: changeId, status: 'pending' };
+    CollaborationChange.findOneAndUpdate.mockResolvedValue(change);
+    const approved = jest.fn();
+    changeReviewService.on('change:approved', approved);
+
+    await expect(changeReviewService.approve(loadSession(), changeId, adminId, ' Nice ')).resolves.toBe(change);
+
+    const [filter, update] = CollaborationChange.findOneAndUpdate.mock.calls[0];
+    expect(filter).toMatchObject({ _id: changeId, status: 'pending', reviewRequired: true, resolvedBy: { $exists: false } });
+    expect(update.$set).toEqual({ reviewNote: 'Nice', resolvedBy: adminId, resolvedAt: expect.any(Date) });
+    expect(approved).toHaveBeenCalledWith(change);
+  });
+
+  test('rejects a held change with the note as its error', async () => {
+    CollaborationChange.findOneAndUpdate.mockImplementation((filter, update) => Promise.resolve(update.$set));
+    const rejected = jest.fn();
+    changeReviewService.on('change:rejected', rejected);
+
+    const change = await changeReviewService.reject(loadSession(), changeId, ownerId, 'Too loud');
+
+    expect(change).toMatchObject({
+      status: 'rejected',
+      error: 'Rejected in review: Too loud',
+      reviewNote: 'Too loud',
+      resolvedBy: ownerId
+    });
+    expect(rejected).toHaveBeenCalledWith(change);
+  });
+
+  test('only lets admins review, and each change once', async () => {
+    const approved = jest.fn();
+    changeReviewService.on('change:approved', approved);
+
+    await expect(changeReviewService.approve(loadSession(), changeId, editorId))
+      .rejects.toMatchObject({ code: 'Forbidden' });
+    expect(CollaborationChange.findOneAndUpdate).not.toHaveBeenCalled();
+
+    // Another admin got there first
+    CollaborationChange.findOneAndUpdate.mockResolvedValue(null);
+    await expect(changeReviewService.approve(loadSession(), changeId, adminId))
+      .rejects.toMatchObject({ code: 'NotFound' });
+
+    await expect(changeReviewService.reject(loadSession(), changeId, adminId, { text: 'no' }))
+      .rejects.toMatchObject({ code: 'InvalidReview' });
+    expect(approved).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,276 @@
+// tests/CollaborationManager.test.js
+
+import io from 'socket.io-client';
+import eontaDB from '../client/src/db';
+import collaborationManager from '../client/src/services/CollaborationManager';
+
+// The socket is faked, so the client doesn't need socket.io-client installed here
+jest.mock('socket.io-client', () => jest.fn(), { virtual: true });
+
+jest.mock('../client/src/db', () => ({
+  __esModule: true,
+  default: {
+    savePendingChange: jest.fn(),
+    getPendingChanges: jest.fn(),
+    deletePendingChange: jest.fn(),
+    clearPendingChanges: jest.fn()
+  }
+}));
+
+// Fake socket: records handlers, plain emits and changes submitted with an acknowledgement
+const createSocket = () => {
+  const handlers = {};
+  const socket = {
+    id: 'socket-1',
+    submitted: [],
+    on: jest.fn((event, handler) => {
+      handlers[event] = handler;
+    }),
+    emit: jest.fn(),
+    disconnect: jest.fn(),
+    timeout: jest.fn(() => ({
+      emit: (event, data, ack) => socket.submitted.push({ event, data, ack })
+    })),
+    fire: (event, data) => handlers[event](data)
+  };
+  return socket;
+};
+
+const boundary = (id, version, name) => ({ _id: id, version, name, polygon: [] });
+
+const joinedData = (regions = [boundary('b1', 3, 'North'), boundary('b2', 1, 'South')]) => ({
+  session: { id: 's1', name: 'Walk', collaborators: [] },
+  userId: 'u1',
+  permission: 'editor',
+  composition: { _id: 'c1', version: 1, title: 'Walk', audioRegions: regions }
+});
+
+// Let pending promises (IndexedDB calls, acknowledgements) settle
+const flush = () => new Promise(resolve => setTimeout(resolve, 0));
+
+describe('CollaborationManager offline changes', () => {
+  let manager;
+  let socket;
+
+  // Reconnect on a new socket ID, as socket.io does, and rejoin the session
+  const reconnect = async (joined = joinedData()) => {
+    socket.id = 'socket-2';
+    socket.fire('connect');
+    socket.fire('session:joined', joined);
+    await flush();
+  };
+
+  // Acknowledge the next submitted change
+  const acknowledge = async (response) => {
+    const { ack } = socket.submitted.find(submission => !submission.acked);
+    ack(null, response);
+    socket.submitted.find(submission => !submission.acked).acked = true;
+    await flush();
+  };
+
+  beforeEach(async () => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    window.location = { protocol: 'http:', host: 'localhost', search: '' };
+    localStorage.clear();
+
+    eontaDB.savePendingChange.mockResolvedValue();
+    eontaDB.getPendingChanges.mockResolvedValue([]);
+    eontaDB.deletePendingChange.mockResolvedValue();
+    eontaDB.clearPendingChanges.mockResolvedValue();
+
+    socket = createSocket();
+    io.mockReturnValue(socket);
+
+    manager = new collaborationManager.constructor();
+    const connecting = manager.connect('token');
+    socket.fire('connect');
+    await connecting;
+
+    socket.fire('session:joined', joinedData());
+    await flush();
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  test('queues changes made while disconnected', () => {
+    socket.fire('disconnect');
+
+    const clientId = manager.submitChange('updateBoundary', 'b1', { name: 'East' });
+
+    expect(clientId).toEqual(expect.any(String));
+    expect(socket.submitted).toHaveLength(0);
+    expect(eontaDB.savePendingChange).toHaveBeenCalledWith(expect.objectContaining({
+      clientId,
+      sessionId: 's1',
+      targetId: 'b1',
+      baseVersion: 3
+    }));
+  });
+
+  test('replays queued changes in order, one per acknowledgement', async () => {
+    socket.fire('disconnect');
+    const first = manager.submitChange('updateBoundary', 'b1', { name: 'East' });
+    const second = manager.submitChange('updateBoundary', 'b2', { name: 'West' });
+
+    socket.id = 'socket-2';
+    socket.fire('connect');
+    expect(socket.emit).toHaveBeenCalledWith('session:join', { sessionId: 's1' });
+
+    // New edits wait for the replay
+    const third = manager.submitChange('updateBoundary', 'b1', { name: 'Centre' });
+    socket.fire('session:joined', joinedData());
+    await flush();
+
+    expect(socket.submitted.map(({ data }) => data.clientId)).toEqual([first]);
+
+    socket.fire('change:applied', {
+      changeId: 'x1',
+      clientId: first,
+      changeType: 'updateBoundary',
+      targetId: 'b1',
+      version: 4,
+      object: boundary('b1', 4, 'East')
+    });
+    await acknowledge({ changeId: 'x1', status: 'applied' });
+
+    expect(socket.submitted.map(({ data }) => data.clientId)).toEqual([first, second]);
+
+    await acknowledge({ changeId: 'x2', status: 'pending' });
+
+    expect(socket.submitted.map(({ data }) => data.clientId)).toEqual([first, second, third]);
+    // Made on top of the first, so it moved onto the version that created
+    expect(socket.submitted[2].data.baseVersion).toBe(4);
+  });
+
+  test('takes in a change applied while the acknowledgement was lost', async () => {
+    const onChangeApplied = jest.fn();
+    manager.on('onChangeApplied', onChangeApplied);
+
+    const first = manager.submitChange('updateBoundary', 'b1', { name: 'East' });
+    socket.fire('disconnect');
+    const second = manager.submitChange('updateBoundary', 'b1', { name: 'Centre' });
+
+    await reconnect();
+
+    // Sent again, since it wasn't acknowledged on the old connection
+    expect(socket.submitted.map(({ data }) => data.clientId)).toEqual([first, first]);
+    socket.submitted[0].acked = true;
+
+    await acknowledge({
+      changeId: 'x1',
+      status: 'applied',
+      duplicate: true,
+      stale: false,
+      changeType: 'updateBoundary',
+      targetId: 'b1',
+      version: 4,
+      object: boundary('b1', 4, 'East'),
+      origin: 'edit',
+      inverse: { changeType: 'updateBoundary', targetId: 'b1', payload: { name: 'North' } }
+    });
+
+    expect(manager.getObjectState('b1').version).toBe(4);
+    expect(manager.canUndo()).toBe(true);
+    expect(onChangeApplied).toHaveBeenCalledWith(expect.objectContaining({ clientId: first }));
+    expect(socket.submitted[2].data).toMatchObject({ clientId: second, baseVersion: 4 });
+  });
+
+  test('reports replayed changes that conflict through onChangeConflict', async () => {
+    const onChangeConflict = jest.fn();
+    manager.on('onChangeConflict', onChangeConflict);
+
+    socket.fire('disconnect');
+    const clientId = manager.submitChange('updateBoundary', 'b1', { name: 'East' });
+    manager.submitChange('updateBoundary', 'b2', { name: 'West' });
+
+    await reconnect();
+
+    // Someone else renamed the boundary in the meantime
+    const current = { version: 4, object: boundary('b1', 4, 'Harbour') };
+    socket.fire('change:conflict', { changeId: 'x1', clientId, targetId: 'b1', current });
+    await acknowledge({ changeId: 'x1', status: 'conflicted' });
+
+    expect(onChangeConflict).toHaveBeenCalledWith(expect.objectContaining({
+      clientId,
+      current,
+      change: expect.objectContaining({ clientId })
+    }));
+    expect(eontaDB.deletePendingChange).toHaveBeenCalledWith(clientId);
+    // The replay goes on with the next change
+    expect(socket.submitted).toHaveLength(2);
+  });
+
+  test('keeps a change the server failed to apply, and sends it again after reconnecting', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const onError = jest.fn();
+    manager.on('onError', onError);
+
+    socket.fire('disconnect');
+    const clientId = manager.submitChange('updateBoundary', 'b1', { name: 'East' });
+    manager.submitChange('updateBoundary', 'b2', { name: 'West' });
+
+    await reconnect();
+
+    socket.fire('change:failed', { changeId: 'x1', clientId, targetId: 'b1', error: 'Error applying change' });
+    await acknowledge({ changeId: 'x1', status: 'failed' });
+
+    expect(onError).toHaveBeenCalledWith('Error applying change');
+    expect(eontaDB.deletePendingChange).not.toHaveBeenCalled();
+    // The replay stops there, so the changes stay in order
+    expect(socket.submitted).toHaveLength(1);
+
+    socket.id = 'socket-3';
+    socket.fire('connect');
+    socket.fire('session:joined', joinedData());
+    await flush();
+
+    expect(socket.submitted.map(({ data }) => data.clientId)).toEqual([clientId, clientId]);
+    console.error.mockRestore();
+  });
+
+  test('gives up on a session that was closed while offline', async () => {
+    const onChangeRejected = jest.fn();
+    const onSessionClosed = jest.fn();
+    manager.on('onChangeRejected', onChangeRejected);
+    manager.on('onSessionClosed', onSessionClosed);
+
+    socket.fire('disconnect');
+    const clientId = manager.submitChange('updateBoundary', 'b1', { name: 'East' });
+
+    socket.id = 'socket-2';
+    socket.fire('connect');
+    const denied = { sessionId: 's1', reason: 'ended', message: 'This session has ended' };
+    socket.fire('session:joinDenied', denied);
+
+    expect(onChangeRejected).toHaveBeenCalledWith(expect.objectContaining({
+      clientId,
+      error: 'This session has ended',
+      change: expect.objectContaining({ clientId })
+    }));
+    expect(onSessionClosed).toHaveBeenCalledWith(denied);
+    expect(eontaDB.clearPendingChanges).toHaveBeenCalledWith('s1');
+    expect(manager.replaying).toBe(false);
+    expect(manager.submitChange('updateBoundary', 'b1', { name: 'West' })).toBe(false);
+  });
+
+  test('keeps queued changes when rejoining failed on the server', async () => {
+    const onChangeRejected = jest.fn();
+    manager.on('onChangeRejected', onChangeRejected);
+
+    socket.fire('disconnect');
+    manager.submitChange('updateBoundary', 'b1', { name: 'East' });
+
+    socket.id = 'socket-2';
+    socket.fire('connect');
+    socket.fire('session:joinDenied', { sessionId: 's1', reason: 'error', message: 'Error joining session' });
+
+    expect(onChangeRejected).not.toHaveBeenCalled();
+    expect(eontaDB.clearPendingChanges).not.toHaveBeenCalled();
+    expect(manager.activeSession).toBeNull();
+    expect(manager.replaying).toBe(false);
+  });
+});
@@ -0,0 +1,143 @@
+/**
+ * @jest-environment node
+ */
+// tests/CollaborationNotifier.test.js
+
+jest.mock('../server/services/EnhancedEmailService', () => ({
+  sendCollaborationInvite: jest.fn(),
+  sendReviewRequest: jest.fn(),
+  sendMentionEmail: jest.fn(),
+  sendDailyDigest: jest.fn()
+}));
+
+const emailService = require('../server/services/EnhancedEmailService');
+const CollaborationSession = require('../server/models/CollaborationSession');
+const CollaborationChange = require('../server/models/CollaborationChange');
+const User = require('../server/models/User');
+const collaborationNotifier = require('../server/services/CollaborationNotifier');
+
+const ownerId = '64b7f0c2a1b2c3d4e5f60701';
+const adminId = '64b7f0c2a1b2c3d4e5f60702';
+const editorId = '64b7f0c2a1b2c3d4e5f60703';
+const sessionId = '64b7f0c2a1b2c3d4e5f60700';
+
+const users = [
+  User.hydrate({ _id: ownerId, name: 'Ana', email: 'ana@example.com' }),
+  User.hydrate({ _id: adminId, name: 'Ben Ode', email: 'ben@example.com' }),
+  User.hydrate({ _id: editorId, name: 'Cleo', email: 'cleo@example.com' })
+];
+
+const loadSession = (fields = {}) => CollaborationSession.hydrate({
+  _id: sessionId,
+  compositionId: '64b7f0c2a1b2c3d4e5f60710',
+  name: 'Washington Square',
+  owner: ownerId,
+  collaborators: [
+    { userId: adminId, displayName: 'Ben Ode', permission: 'admin' },
+    { userId: editorId, displayName: 'Cleo', permission: 'editor' }
+  ],
+  status: 'active',
+  ...fields
+});
+
+describe('CollaborationNotifier', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    Object.values(emailService).forEach(send => send.mockReset().mockResolvedValue({ messageId: 'sent' }));
+    jest.spyOn(User, 'find').mockImplementation(({ _id }) =>
+      Promise.resolve(users.filter(user => _id.$in.includes(String(user._id)))));
+  });
+
+  test('emails admins who aren\'t online about held changes, but not the author', async () => {
+    const sent = await collaborationNotifier.notifyReviewRequest(
+      loadSession(),
+      { changeType: 'addBoundary' },
+      { id: adminId, name: 'Ben Ode' },
+      []
+    );
+
+    expect(sent).toBe(1);
+    expect(emailService.sendReviewRequest).toHaveBeenCalledWith(users[0], expect.objectContaining({
+      authorName: 'Ben Ode',
+      sessionName: 'Washington Square',
+      changeType: 'addBoundary',
+      reviewUrl: `http://localhost:3000/?session=${sessionId}`
+    }));
+
+    emailService.sendReviewRequest.mockClear();
+    await collaborationNotifier.notifyReviewRequest(loadSession(), { changeType: 'addBoundary' }, { id: editorId, name: 'Cleo' }, [ownerId]);
+    expect(emailService.sendReviewRequest.mock.calls.map(([user]) => user.email)).toEqual(['ben@example.com']);
+  });
+
+  test('emails the members mentioned in chat', async () => {
+    const sent = await collaborationNotifier.notifyMentions(
+      loadSession(),
+      { content: '@ben ode and @Cleo, does the fountain loop? cc @Anabel' },
+      { id: ownerId, name: 'Ana' },
+      [editorId]
+    );
+
+    expect(sent).toBe(1);
+    expect(emailService.sendMentionEmail).toHaveBeenCalledTimes(1);
+    expect(emailService.sendMentionEmail).toHaveBeenCalledWith(users[1], expect.objectContaining({ authorName: 'Ana' }));
+  });
+
+  test('doesn\'t count emails recipients turned off, and carries on past failures', async () => {
+    emailService.sendMentionEmail
+      .mockRejectedValueOnce(new Error('Email rate limit exceeded'))
+      .mockResolvedValueOnce(null);
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const sent = await collaborationNotifier.notifyMentions(
+      loadSession(),
+      { content: '@Ana @Cleo' },
+      { id: adminId, name: 'Ben Ode' }
+    );
+
+    expect(sent).toBe(0);
+    expect(emailService.sendMentionEmail).toHaveBeenCalledTimes(2);
+  });
+
+  test('sends digests of others\' changes to members who were away', async () => {
+    const since = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    const recently = new Date(Date.now() - 60 * 1000);
+
+    jest.spyOn(CollaborationChange, 'distinct').mockResolvedValue([sessionId]);
+    jest.spyOn(CollaborationSession, 'findById').mockResolvedValue(loadSession({
+      ownerLastActive: recently,
+      collaborators: [
+        { userId: adminId, displayName: 'Ben Ode', permission: 'admin', lastActive: new Date(since - 1000) },
+        { userId: editorId, displayName: 'Cleo', permission: 'editor', lastActive: new Date(since - 60000) }
+      ]
+    }));
+    const changes = [
+      { userId: { _id: ownerId, name: 'Ana' }, changeType: 'addBoundary', appliedAt: recently },
+      { userId: { _id: editorId, name: 'Cleo' }, changeType: 'updateAudio', appliedAt: recently }
+    ];
+    jest.spyOn(CollaborationChange, 'find').mockReturnValue({
+      sort: () => ({ select: () => ({ populate: () => Promise.resolve(changes) }) })
+    });
+
+    const sent = await collaborationNotifier.sendDailyDigests({ since });
+
+    // Ana was there, so only Ben and Cleo hear about it - and Cleo not about her own change
+    expect(sent).toBe(2);
+    expect(emailService.sendDailyDigest).toHaveBeenCalledWith(users[1], expect.objectContaining({
+      changes: [
+        expect.objectContaining({ authorName: 'Ana', changeType: 'addBoundary' }),
+        expect.objectContaining({ authorName: 'Cleo', changeType: 'updateAudio' })
+      ]
+    }));
+    expect(emailService.sendDailyDigest).toHaveBeenCalledWith(users[2], expect.objectContaining({
+      changes: [expect.objectContaining({ authorName: 'Ana' })]
+    }));
+  });
+
+  test('skips digests for closed sessions', async () => {
+    jest.spyOn(CollaborationChange, 'distinct').mockResolvedValue([sessionId]);
+    jest.spyOn(CollaborationSession, 'findById').mockResolvedValue(loadSession({ status: 'closed' }));
+
+    expect(await collaborationNotifier.sendDailyDigests({ since: new Date() })).toBe(0);
+    expect(emailService.sendDailyDigest).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,181 @@
+/**
+ * @jest-environment node
+ */
+// tests/CompositionChangeService.test.js
+
+const mongoose = require('mongoose');
+const Composition = require('../server/models/Composition');
+const AudioAsset = require('../server/models/AudioAsset');
+const compositionChangeService = require('../server/services/CompositionChangeService');
+
+const userId = '64b7f0c2a1b2c3d4e5f60718';
+const regionId = '64b7f0c2a1b2c3d4e5f60720';
+const otherRegionId = '64b7f0c2a1b2c3d4e5f60721';
+const polygon = [{ lat: 40.73, lng: -73.99 }, { lat: 40.74, lng: -73.99 }, { lat: 40.74, lng: -73.98 }];
+
+// A composition as loaded from the database
+const loadComposition = () => Composition.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  title: 'Washington Square',
+  creator: new mongoose.Types.ObjectId(userId),
+  version: 4,
+  audioRegions: [
+    { _id: new mongoose.Types.ObjectId(regionId), name: 'Fountain', polygon, audioFile: 'a.mp3', version: 3 },
+    { _id: new mongoose.Types.ObjectId(otherRegionId), name: 'Arch', polygon, version: 1 }
+  ],
+  __v: 0
+});
+
+const apply = (composition, change) =>
+  compositionChangeService.applyToComposition(composition, { userId, payload: {}, ...change });
+
+describe('Composition versions', () => {
+  test('only bump the objects whose contents changed', async () => {
+    const composition = loadComposition();
+
+    composition.audioRegions.id(regionId).name = 'Big fountain';
+    composition.audioRegions.push({ name: 'Benches', polygon, version: 9 });
+    await composition.validate();
+    await composition.validate();
+
+    expect(composition.version).toBe(4);
+    expect(composition.audioRegions.map(region => region.version)).toEqual([4, 1, 1]);
+  });
+
+  test('treat identical regions replaced wholesale as unchanged', async () => {
+    const composition = loadComposition();
+
+    composition.set({
+      title: 'Washington Square Park',
+      audioRegions: composition.audioRegions.map(region => ({ ...region.toObject(), version: 99 }))
+    });
+    await composition.validate();
+
+    expect(composition.version).toBe(5);
+    expect(composition.audioRegions.map(region => region.version)).toEqual([3, 1]);
+  });
+});
+
+describe('CompositionChangeService', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('applies a change made against the current version', async () => {
+    const composition = loadComposition();
+
+    const targetId = await apply(composition, {
+      changeType: 'updateBoundary',
+      targetId: regionId,
+      baseVersion: 3,
+      payload: { name: 'Big fountain', volume: 0.2 }
+    });
+
+    const region = composition.audioRegions.id(regionId);
+    expect(targetId).toBe(regionId);
+    expect(region.name).toBe('Big fountain');
+    expect(region.volume).toBe(1); // Not a boundary field
+    expect(region.version).toBe(4);
+  });
+
+  test('marks a change against a stale version as a conflict with the current state', async () => {
+    const composition = loadComposition();
+
+    await expect(apply(composition, {
+      changeType: 'updateBoundary',
+      targetId: regionId,
+      baseVersion: 2,
+      payload: { name: 'Big fountain' }
+    })).rejects.toMatchObject({
+      code: 'ChangeConflict',
+      message: expect.stringContaining('now version 3, change made to version 2'),
+      current: { version: 3, object: expect.objectContaining({ name: 'Fountain' }) }
+    });
+  });
+
+  test('reports changes to deleted boundaries as conflicts', async () => {
+    await expect(apply(loadComposition(), {
+      changeType: 'deleteAudio',
+      targetId: '64b7f0c2a1b2c3d4e5f60799',
+      baseVersion: 1
+    })).rejects.toMatchObject({ code: 'ChangeConflict', current: { version: null, object: null } });
+  });
+
+  test('rejects invalid changes', async () => {
+    await expect(apply(loadComposition(), {
+      changeType: 'updateBoundary',
+      targetId: regionId,
+      payload: { name: 'No version' }
+    })).rejects.toMatchObject({ code: 'InvalidChange', message: 'baseVersion is required' });
+
+    await expect(apply(loadComposition(), {
+      changeType: 'updateBoundary',
+      targetId: regionId,
+      baseVersion: 3,
+      payload: { polygon: polygon.slice(0, 2) }
+    })).rejects.toMatchObject({ code: 'InvalidChange', message: expect.stringContaining('between 3 and 1000 points') });
+  });
+
+  test('adds boundaries under the ID the client chose', async () => {
+    const composition = loadComposition();
+    const newId = '64b7f0c2a1b2c3d4e5f60730';
+
+    expect(await apply(composition, {
+      changeType: 'addBoundary',
+      targetId: newId,
+      payload: { name: 'Benches', polygon }
+    })).toBe(newId);
+    expect(composition.audioRegions.id(newId).version).toBe(1);
+
+    await expect(apply(composition, {
+      changeType: 'addBoundary',
+      targetId: newId,
+      payload: { name: 'Benches', polygon }
+    })).rejects.toMatchObject({ code: 'ChangeConflict' });
+  });
+
+  test('only lets users add audio they can access', async () => {
+    jest.spyOn(AudioAsset, 'findByKey').mockResolvedValue(null);
+    const visible = jest.spyOn(Composition, 'isAudioFileVisibleTo').mockResolvedValue(false);
+    const composition = loadComposition();
+    const change = { changeType: 'addAudio', targetId: otherRegionId, baseVersion: 1, payload: { audioFile: 'secret.mp3' } };
+
+    await expect(apply(composition, change)).rejects.toMatchObject({ code: 'InvalidChange', message: 'Audio file not found' });
+
+    visible.mockResolvedValue(true);
+    await apply(composition, change);
+    expect(composition.audioRegions.id(otherRegionId).audioFile).toBe('secret.mp3');
+  });
+
+  test('applies composition settings and removes audio', async () => {
+    const composition = loadComposition();
+
+    await apply(composition, { changeType: 'updateSettings', baseVersion: 4, payload: { fadeInLength: 3 } });
+    await apply(composition, { changeType: 'deleteAudio', targetId: regionId, baseVersion: 3 });
+
+    expect(composition.transitionSettings.fadeInLength).toBe(3);
+    expect(composition.transitionSettings.fadeOutLength).toBe(2);
+    expect(composition.version).toBe(5);
+    expect(composition.audioRegions.id(regionId).audioFile).toBeUndefined();
+  });
+
+  test('checks the change again when the composition was saved in between', async () => {
+    const first = loadComposition();
+    const second = loadComposition();
+    second.$locals.loaded.regions.get(regionId).version = 4;
+    second.audioRegions.id(regionId).version = 4;
+
+    jest.spyOn(Composition, 'findById')
+      .mockResolvedValueOnce(first)
+      .mockResolvedValueOnce(second);
+    jest.spyOn(first, 'save').mockRejectedValue(new mongoose.Error.VersionError(first, 1, ['audioRegions']));
+
+    await expect(compositionChangeService.applyChange(first._id, {
+      userId,
+      changeType: 'updateBoundary',
+      targetId: regionId,
+      baseVersion: 3,
+      payload: { name: 'Big fountain' }
+    })).rejects.toMatchObject({ code: 'ChangeConflict', current: { version: 4 } });
+  });
+});
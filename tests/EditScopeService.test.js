@@ -0,0 +1,117 @@
+/**
+ * @jest-environment node
+ */
+// tests/EditScopeService.test.js
+
+const mongoose = require('mongoose');
+const Composition = require('../server/models/Composition');
+const CollaborationSession = require('../server/models/CollaborationSession');
+const editScopeService = require('../server/services/EditScopeService');
+const { isPointInPolygon, isPolygonInPolygon } = require('../server/utils/geometry');
+
+const ownerId = '64b7f0c2a1b2c3d4e5f60701';
+const editorId = '64b7f0c2a1b2c3d4e5f60703';
+const insideId = '64b7f0c2a1b2c3d4e5f60720';
+const outsideId = '64b7f0c2a1b2c3d4e5f60721';
+const listedId = '64b7f0c2a1b2c3d4e5f60722';
+
+const square = (lat, lng, size) => [
+  { lat, lng },
+  { lat: lat + size, lng },
+  { lat: lat + size, lng: lng + size },
+  { lat, lng: lng + size }
+];
+
+// U-shaped zone: the notch between the arms (lng 1..2, lat 1..3) is outside it
+const zone = [
+  { lat: 0, lng: 0 }, { lat: 0, lng: 3 }, { lat: 3, lng: 3 }, { lat: 3, lng: 2 },
+  { lat: 1, lng: 2 }, { lat: 1, lng: 1 }, { lat: 3, lng: 1 }, { lat: 3, lng: 0 }
+];
+
+const loadSession = (settings = { limitEditRegions: true }) => CollaborationSession.hydrate({
+  _id: '64b7f0c2a1b2c3d4e5f60700',
+  compositionId: '64b7f0c2a1b2c3d4e5f60710',
+  name: 'Washington Square',
+  owner: ownerId,
+  collaborators: [
+    { userId: editorId, displayName: 'Ben', permission: 'editor', editScope: { zone, boundaryIds: [listedId] } }
+  ],
+  settings
+});
+
+const loadComposition = () => Composition.hydrate({
+  _id: new mongoose.Types.ObjectId(),
+  title: 'Washington Square',
+  creator: new mongoose.Types.ObjectId(ownerId),
+  audioRegions: [
+    { _id: new mongoose.Types.ObjectId(insideId), name: 'Arm', polygon: square(1.5, 0.2, 0.5), version: 1 },
+    { _id: new mongoose.Types.ObjectId(outsideId), name: 'Notch', polygon: square(1.5, 1.2, 0.5), version: 1 },
+    { _id: new mongoose.Types.ObjectId(listedId), name: 'Far', polygon: square(10, 10, 1), version: 1 }
+  ]
+});
+
+const check = (change, session = loadSession()) =>
+  editScopeService.checkChange(session, { userId: editorId, payload: {}, ...change }, loadComposition());
+
+describe('geometry', () => {
+  test('finds points inside a concave polygon', () => {
+    expect(isPointInPolygon({ lat: 2, lng: 0.5 }, zone)).toBe(true);
+    expect(isPointInPolygon({ lat: 2, lng: 1.5 }, zone)).toBe(false);
+  });
+
+  test('rejects polygons that bridge a notch even with every vertex inside', () => {
+    expect(isPolygonInPolygon(square(1.5, 0.2, 0.5), zone)).toBe(true);
+    expect(isPolygonInPolygon([{ lat: 2, lng: 0.5 }, { lat: 2, lng: 2.5 }, { lat: 2.5, lng: 2.5 }, { lat: 2.5, lng: 0.5 }], zone)).toBe(false);
+  });
+});
+
+describe('EditScopeService', () => {
+  test('only limits editors while limitEditRegions is on', () => {
+    expect(editScopeService.getScope(loadSession(), ownerId)).toBeNull();
+    expect(editScopeService.getScope(loadSession({ limitEditRegions: false }), editorId)).toBeNull();
+    expect(editScopeService.getScope(loadSession(), editorId)).toMatchObject({ boundaryIds: [listedId] });
+  });
+
+  test('allows changes to boundaries in the zone or in the list', () => {
+    expect(() => check({ changeType: 'updateAudio', targetId: insideId })).not.toThrow();
+    expect(() => check({ changeType: 'deleteBoundary', targetId: listedId })).not.toThrow();
+    expect(() => check({ changeType: 'updateBoundary', targetId: listedId, payload: { polygon: square(20, 20, 1) } })).not.toThrow();
+    expect(() => check({ changeType: 'addBoundary', payload: { polygon: square(0.2, 0.2, 0.5) } })).not.toThrow();
+  });
+
+  test('refuses changes outside the scope', () => {
+    expect(() => check({ changeType: 'updateAudio', targetId: outsideId }))
+      .toThrow(expect.objectContaining({ code: 'OutOfScope', message: 'This boundary is outside your edit zone' }));
+    expect(() => check({ changeType: 'updateBoundary', targetId: insideId, payload: { polygon: square(1.5, 1.2, 0.5) } }))
+      .toThrow(expect.objectContaining({ code: 'OutOfScope' }));
+    expect(() => check({ changeType: 'addBoundary', payload: { polygon: square(5, 5, 1) } }))
+      .toThrow(expect.objectContaining({ code: 'OutOfScope' }));
+    expect(() => check({ changeType: 'updateSettings', payload: { fadeInLength: 3 } }))
+      .toThrow(expect.objectContaining({ code: 'OutOfScope' }));
+  });
+
+  test('validates scopes and only lets admins set them', async () => {
+    const update = jest.spyOn(CollaborationSession, 'findOneAndUpdate').mockResolvedValue({});
+
+    await expect(editScopeService.setScope(loadSession(), editorId, { zone }, editorId))
+      .rejects.toMatchObject({ code: 'Forbidden' });
+    await expect(editScopeService.setScope(loadSession(), editorId, { zone: zone.slice(0, 2) }, ownerId))
+      .rejects.toMatchObject({ code: 'InvalidScope' });
+    await expect(editScopeService.setScope(loadSession(), editorId, { boundaryIds: ['not-an-id'] }, ownerId))
+      .rejects.toMatchObject({ code: 'InvalidScope' });
+
+    const updated = jest.fn();
+    editScopeService.on('scope:updated', updated);
+    await editScopeService.setScope(loadSession(), editorId, { boundaryIds: [listedId, listedId] }, ownerId);
+
+    expect(update).toHaveBeenCalledTimes(1);
+    expect(updated).toHaveBeenCalledWith({
+      sessionId: '64b7f0c2a1b2c3d4e5f60700',
+      userId: editorId,
+      editScope: { zone: [], boundaryIds: [listedId] }
+    });
+
+    update.mockRestore();
+    editScopeService.removeAllListeners();
+  });
+});
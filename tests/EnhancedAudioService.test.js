@@ -0,0 +1,125 @@
+// tests/EnhancedAudioService.test.js
+
+import EnhancedAudioService from '../client/src/services/EnhancedAudioServices';
+import authService from '../client/src/services/AuthService';
+import BoundaryTransitionManager from '../client/src/services/BoundaryTransitionManager';
+
+jest.mock('../client/src/db', () => ({
+  __esModule: true,
+  default: { getAudioFile: jest.fn() }
+}));
+
+jest.mock('../client/src/services/AuthService', () => ({
+  __esModule: true,
+  default: { fetch: jest.fn() }
+}));
+
+// Minimal Web Audio graph: records gain nodes and what each node is connected to
+const createAudioContext = () => {
+  const createNode = () => ({ connect: jest.fn(), disconnect: jest.fn() });
+
+  return {
+    state: 'running',
+    currentTime: 0,
+    gainNodes: [],
+    destination: createNode(),
+    decodeAudioData: jest.fn().mockResolvedValue({ duration: 10 }),
+    createBufferSource: jest.fn(() => ({ ...createNode(), start: jest.fn() })),
+    createGain: jest.fn(function createGain() {
+      const node = {
+        ...createNode(),
+        gain: { value: 1, setValueAtTime: jest.fn(), linearRampToValueAtTime: jest.fn() }
+      };
+      this.gainNodes.push(node);
+      return node;
+    })
+  };
+};
+
+describe('EnhancedAudioService', () => {
+  let audioService;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    window.location = { origin: 'http://localhost' };
+    global.fetch = jest.fn().mockResolvedValue({
+      ok: true,
+      arrayBuffer: () => Promise.resolve(new ArrayBuffer(8))
+    });
+
+    audioService = new EnhancedAudioService();
+    audioService.audioContext = createAudioContext();
+    audioService.masterGain = audioService.audioContext.createGain();
+  });
+
+  test('looks up a region file with its loudness correction', async () => {
+    authService.fetch.mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({ url: 'https://cdn.example/a.mp3', rendition: 'standard', gain: -6 })
+    });
+
+    const source = await audioService.getAudioSource('user 1/a.wav');
+
+    expect(authService.fetch).toHaveBeenCalledWith('/api/audio/user%201%2Fa.wav');
+    expect(source).toMatchObject({ url: 'https://cdn.example/a.mp3', gain: -6 });
+  });
+
+  test('requests the preferred rendition', async () => {
+    authService.fetch.mockResolvedValue({ ok: true, json: () => Promise.resolve({ url: '/a.mp3', gain: 0 }) });
+
+    audioService.setPreferredRendition('low');
+    await audioService.getAudioSource('a.wav');
+    await audioService.getAudioSource('a.wav', { rendition: 'mp3' });
+
+    expect(authService.fetch.mock.calls.map(([url]) => url)).toEqual([
+      '/api/audio/a.wav?rendition=low',
+      '/api/audio/a.wav?rendition=mp3'
+    ]);
+  });
+
+  test('plays a region entered in the preferred rendition, with its loudness correction', async () => {
+    authService.fetch.mockResolvedValue({
+      ok: true,
+      json: () => Promise.resolve({ url: 'https://cdn.example/a-low.mp3', rendition: 'low', gain: -6 })
+    });
+    const transitionManager = new BoundaryTransitionManager(audioService);
+    jest.spyOn(audioService, 'playAudio');
+
+    audioService.setPreferredRendition('low');
+    await transitionManager.enterRegion('region1', 'a.wav', transitionManager.createTransitionSettings({ id: 'region1' }));
+    await audioService.playAudio.mock.results[0].value;
+
+    expect(authService.fetch).toHaveBeenCalledWith('/api/audio/a.wav?rendition=low');
+    expect(fetch).toHaveBeenCalledWith('https://cdn.example/a-low.mp3', expect.anything());
+    const [, , normalizationNode] = audioService.audioContext.gainNodes;
+    expect(normalizationNode.gain.value).toBeCloseTo(Math.pow(10, -6 / 20));
+    expect(audioService.sources.has('region1')).toBe(true);
+  });
+
+  test('rejects when the file cannot be looked up', async () => {
+    authService.fetch.mockResolvedValue({ ok: false, status: 404 });
+
+    await expect(audioService.getAudioSource('missing.wav')).rejects.toThrow('404');
+  });
+
+  test('applies the loudness correction on playback', async () => {
+    await audioService.playAudio('region1', '/a.mp3', { normalizationGain: -6 });
+
+    // Master gain, then the region's volume and its fixed correction
+    const [, volumeNode, normalizationNode] = audioService.audioContext.gainNodes;
+    const source = audioService.sources.get('region1');
+
+    expect(normalizationNode.gain.value).toBeCloseTo(Math.pow(10, -6 / 20));
+    expect(source.connect).toHaveBeenCalledWith(normalizationNode);
+    expect(normalizationNode.connect).toHaveBeenCalledWith(volumeNode);
+  });
+
+  test('plays uncorrected files straight into the volume control', async () => {
+    await audioService.playAudio('region1', '/a.mp3');
+
+    const [, volumeNode] = audioService.audioContext.gainNodes;
+
+    expect(audioService.audioContext.gainNodes).toHaveLength(2);
+    expect(audioService.sources.get('region1').connect).toHaveBeenCalledWith(volumeNode);
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * @jest-environment node
+ */
+// tests/EnhancedEmailService.test.js
+
+process.env.EMAIL_TRANSPORT = 'json';
+
+// Only used for download emails
+jest.mock('../server/services/PathMapGenerator', () => ({}));
+
+const emailService = require('../server/services/EnhancedEmailService');
+
+const recipient = { email: 'cleo@example.com' };
+
+// The message nodemailer's JSON transport would have sent
+const sent = info => JSON.parse(info.message);
+
+describe('EnhancedEmailService collaboration emails', () => {
+  beforeEach(() => {
+    emailService.emailSendAttempts.clear();
+  });
+
+  test('sends an invitation with a link to accept it', async () => {
+    const message = sent(await emailService.sendCollaborationInvite(recipient, {
+      inviterName: 'Ana',
+      sessionName: 'Washington Square',
+      permission: 'editor',
+      acceptUrl: 'https://eonta.app/?session=64b7f0c2a1b2c3d4e5f60700'
+    }));
+
+    expect(message.to).toEqual([{ address: 'cleo@example.com', name: '' }]);
+    expect(message.subject).toBe('Ana invited you to collaborate on Washington Square');
+    expect(message.text).toContain('as an editor');
+    expect(message.text).toContain('https://eonta.app/?session=64b7f0c2a1b2c3d4e5f60700');
+    expect(message.html).toContain('href="https:&#x2F;&#x2F;eonta.app&#x2F;?session&#x3D;64b7f0c2a1b2c3d4e5f60700"');
+  });
+
+  test('escapes what collaborators typed', async () => {
+    const message = sent(await emailService.sendMentionEmail(recipient, {
+      authorName: '<img src=x onerror=alert(1)>',
+      sessionName: 'Square\r\nBcc: everyone@example.com',
+      content: '@Cleo <script>alert(1)</script>',
+      sessionUrl: 'javascript:alert(1)" onclick="x'
+    }));
+
+    expect(message.html).not.toContain('<img');
+    expect(message.html).not.toContain('<script>');
+    expect(message.html).not.toContain('" onclick="');
+    expect(message.html).toContain('&lt;script&gt;');
+    expect(message.subject).not.toMatch(/[\r\n]/);
+  });
+
+  test('lists the changes in a digest', async () => {
+    const changes = Array.from({ length: 22 }, (_, i) => ({
+      authorName: i % 2 ? 'Ana' : 'Ben',
+      changeType: i % 2 ? 'addBoundary' : 'updateAudio'
+    }));
+
+    const message = sent(await emailService.sendDailyDigest(recipient, {
+      sessionName: 'Washington Square',
+      changes,
+      sessionUrl: 'https://eonta.app/?session=1'
+    }));
+
+    expect(message.subject).toBe('22 changes in Washington Square since you were last there');
+    expect(message.text).toContain('- Ben changed the audio of a boundary');
+    expect(message.text).toContain('- Ana added a boundary');
+    expect(message.text).toContain('...and 2 more');
+  });
+
+  test('skips emails the recipient turned off', async () => {
+    const sendMail = jest.spyOn(emailService.transporter, 'sendMail');
+    const result = await emailService.sendReviewRequest({
+      email: 'cleo@example.com',
+      notificationPreferences: { reviewRequests: false, mentions: true }
+    }, { authorName: 'Ana', sessionName: 'Square', changeType: 'addBoundary', reviewUrl: 'https://eonta.app' });
+
+    expect(result).toBeNull();
+    expect(sendMail).not.toHaveBeenCalled();
+    sendMail.mockRestore();
+  });
+
+  test('limits how many emails one recipient gets an hour', async () => {
+    const data = { authorName: 'Ana', sessionName: 'Square', content: '@Cleo hi', sessionUrl: 'https://eonta.app' };
+
+    for (let i = 0; i < emailService.maxEmailsPerHour; i++) {
+      await emailService.sendMentionEmail(recipient, data);
+    }
+
+    await expect(emailService.sendMentionEmail(recipient, data)).rejects.toThrow('rate limit');
+    await expect(emailService.sendMentionEmail({ email: 'ben@example.com' }, data)).resolves.toBeTruthy();
+  });
+
+  test('refuses invalid addresses and unknown templates', async () => {
+    await expect(emailService.sendCollaborationEmail({ email: 'not-an-email' }, 'chatMention', {}))
+      .rejects.toThrow('Invalid email address');
+    await expect(emailService.sendCollaborationEmail(recipient, 'passwordReset', {}))
+      .rejects.toThrow('Unknown email template');
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * @jest-environment node
+ */
+// tests/GarbageCollector.test.js
+
+jest.mock('../server/models/PathRecording', () => ({
+  find: jest.fn(),
+  distinct: jest.fn(),
+  deleteOne: jest.fn()
+}));
+jest.mock('../server/models/UploadSession', () => ({
+  find: jest.fn(),
+  distinct: jest.fn(),
+  deleteOne: jest.fn()
+}));
+jest.mock('../server/models/AudioAsset', () => ({
+  find: jest.fn(),
+  distinct: jest.fn(),
+  updateMany: jest.fn(),
+  deleteOne: jest.fn()
+}));
+jest.mock('../server/models/Composition', () => ({
+  distinct: jest.fn(),
+  exists: jest.fn()
+}));
+
+const PathRecording = require('../server/models/PathRecording');
+const UploadSession = require('../server/models/UploadSession');
+const AudioAsset = require('../server/models/AudioAsset');
+const Composition = require('../server/models/Composition');
+const storage = require('../server/services/StorageService');
+const garbageCollector = require('../server/services/GarbageCollector');
+
+const DAY = 24 * 60 * 60 * 1000;
+const daysAgo = days => new Date(Date.now() - days * DAY);
+
+// Storage driver keeping files in memory
+class MemoryDriver {
+  constructor(files) {
+    this.files = new Map(Object.entries(files));
+    this.failing = new Set();
+  }
+
+  async *list(prefix) {
+    for (const key of Array.from(this.files.keys()).sort()) {
+      if (key.startsWith(prefix)) yield { key, ...this.files.get(key) };
+    }
+  }
+
+  async stat(key) {
+    return this.files.get(key) || null;
+  }
+
+  async delete(key) {
+    if (this.failing.has(key)) throw new Error('Access denied');
+    this.files.delete(key);
+  }
+}
+
+// Chainable stand-in for a Mongoose query
+const query = docs => {
+  const chain = {
+    select: () => chain,
+    cursor: () => docs
+  };
+  return chain;
+};
+
+const file = (size, age = 10) => ({ size, lastModified: daysAgo(age) });
+const unusedSince = daysAgo(100);
+
+describe('GarbageCollector', () => {
+  let driver;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    driver = new MemoryDriver({
+      'path-recordings/rec_old.mp3': file(5000),
+      'path-maps/rec_old.png': file(300),
+      'path-recordings/rec_new.mp3': file(4000),
+      'uploads/u1/0': file(100),
+      'uploads/u1/1': file(100),
+      '1700000000000-kept.wav': file(2000),
+      '1700000000001-unused.wav': file(1500),
+      'peaks/1700000000001-unused.wav.json': file(50),
+      '1700000000002-lost.wav': file(700),
+      '1700000000003-fresh.wav': file(900, 0),
+      'backups/db.gz': file(99999)
+    });
+    storage.setDriver(driver);
+
+    const expiredRecording = {
+      _id: 'r1',
+      recordingId: 'rec_old',
+      getStoragePrefixes: () => ['path-recordings/rec_old.', 'path-maps/rec_old.']
+    };
+    const unusedAsset = {
+      _id: 'a2',
+      key: '1700000000001-unused.wav',
+      lastUsedAt: unusedSince,
+      getStorageKeys: () => ['1700000000001-unused.wav', 'peaks/1700000000001-unused.wav.json']
+    };
+    const keptAsset = { _id: 'a1', getStorageKeys: () => ['1700000000000-kept.wav'] };
+
+    PathRecording.find.mockReturnValue(query([expiredRecording]));
+    PathRecording.distinct.mockResolvedValue(['rec_old', 'rec_new']);
+    UploadSession.find.mockReturnValue(query([{ _id: 'u1' }]));
+    UploadSession.distinct.mockResolvedValue(['u1']);
+    Composition.distinct.mockResolvedValue(['1700000000000-kept.wav']);
+    Composition.exists.mockResolvedValue(null);
+    [PathRecording, UploadSession, AudioAsset].forEach(Model => Model.deleteOne.mockResolvedValue({ deletedCount: 1 }));
+    AudioAsset.distinct.mockResolvedValue([]);
+    AudioAsset.find
+      .mockReturnValueOnce(query([unusedAsset]))
+      .mockReturnValue(query([keptAsset, unusedAsset]));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('reports what would be reclaimed without deleting anything in a dry run', async () => {
+    const report = await garbageCollector.run({ dryRun: true });
+
+    expect(report).toMatchObject({
+      dryRun: true,
+      recordings: { records: 1, files: 2, bytes: 5300 },
+      uploads: { records: 1, files: 2, bytes: 200 },
+      audio: { records: 1, files: 2, bytes: 1550 },
+      orphans: { files: 1, bytes: 700 },
+      totalFiles: 7,
+      totalBytes: 7750,
+      errors: []
+    });
+
+    expect(driver.files.size).toBe(11);
+    expect(PathRecording.deleteOne).not.toHaveBeenCalled();
+    expect(UploadSession.deleteOne).not.toHaveBeenCalled();
+    expect(AudioAsset.deleteOne).not.toHaveBeenCalled();
+    expect(AudioAsset.updateMany).not.toHaveBeenCalled();
+  });
+
+  test('deletes expired and unused files and their records', async () => {
+    // Records deleted earlier in the run no longer vouch for their files
+    PathRecording.distinct.mockResolvedValue(['rec_new']);
+    UploadSession.distinct.mockResolvedValue([]);
+
+    const report = await garbageCollector.run({ dryRun: false });
+
+    expect(report.totalBytes).toBe(7750);
+    expect(Array.from(driver.files.keys()).sort()).toEqual([
+      '1700000000000-kept.wav',
+      '1700000000003-fresh.wav',
+      'backups/db.gz',
+      'path-recordings/rec_new.mp3'
+    ]);
+    expect(PathRecording.deleteOne).toHaveBeenCalledWith({ _id: 'r1' });
+    expect(UploadSession.deleteOne).toHaveBeenCalledWith({ _id: 'u1' });
+    expect(AudioAsset.deleteOne).toHaveBeenCalledWith({ _id: 'a2', lastUsedAt: unusedSince });
+    expect(AudioAsset.updateMany).toHaveBeenCalledWith(
+      { key: { $in: ['1700000000000-kept.wav'] } },
+      { $set: { lastUsedAt: expect.any(Date) } }
+    );
+  });
+
+  test('keeps audio a composition started using during the run', async () => {
+    Composition.exists.mockResolvedValue({ _id: 'c1' });
+
+    const report = await garbageCollector.run({ dryRun: false });
+
+    expect(Composition.exists).toHaveBeenCalledWith({ 'audioRegions.audioFile': '1700000000001-unused.wav' });
+    expect(AudioAsset.deleteOne).not.toHaveBeenCalled();
+    expect(driver.files.has('1700000000001-unused.wav')).toBe(true);
+    expect(report.audio).toEqual({ records: 0, files: 0, bytes: 0 });
+  });
+
+  test('keeps audio another run has seen in use since it was read', async () => {
+    AudioAsset.deleteOne.mockResolvedValue({ deletedCount: 0 });
+
+    const report = await garbageCollector.run({ dryRun: false });
+
+    expect(driver.files.has('1700000000001-unused.wav')).toBe(true);
+    expect(driver.files.has('peaks/1700000000001-unused.wav.json')).toBe(true);
+    expect(report.audio).toEqual({ records: 0, files: 0, bytes: 0 });
+  });
+
+  test('keeps a record whose files could not all be deleted', async () => {
+    driver.failing.add('path-maps/rec_old.png');
+
+    const report = await garbageCollector.run({ dryRun: false });
+
+    expect(PathRecording.deleteOne).not.toHaveBeenCalled();
+    expect(report.recordings).toEqual({ records: 0, files: 1, bytes: 5000 });
+    expect(report.errors).toEqual([
+      { category: 'recordings', target: 'path-maps/rec_old.png', message: 'Access denied' }
+    ]);
+  });
+});
@@ -0,0 +1,212 @@
+/**
+ * @jest-environment node
+ */
+// tests/JobQueue.test.js
+
+jest.mock('../server/models/Job', () => ({
+  create: jest.fn(),
+  exists: jest.fn(),
+  find: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  findByIdAndUpdate: jest.fn(),
+  updateOne: jest.fn()
+}));
+jest.mock('../server/services/PathMapGenerator', () => ({}));
+
+const Job = require('../server/models/Job');
+const jobQueue = require('../server/services/JobQueue');
+const jobsConfig = require('../server/config/jobs');
+const registerJobs = require('../server/jobs');
+
+const JobModel = jest.requireActual('../server/models/Job');
+
+const makeJob = (overrides = {}) => ({
+  _id: '64b7f0c2a1b2c3d4e5f60001',
+  id: '64b7f0c2a1b2c3d4e5f60001',
+  type: 'path-map',
+  status: 'running',
+  progress: 0,
+  attempts: 1,
+  maxAttempts: 3,
+  claimToken: 'claim-1',
+  payload: {},
+  ...overrides
+});
+
+describe('JobQueue', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    jobQueue.handlers.clear();
+    jobQueue.running.clear();
+    jobQueue.schedules = [];
+    jobQueue.removeAllListeners();
+    Job.updateOne.mockResolvedValue({});
+  });
+
+  test('refuses to enqueue unknown job types', async () => {
+    await expect(jobQueue.enqueue('nope', {})).rejects.toThrow('No handler registered');
+    expect(Job.create).not.toHaveBeenCalled();
+  });
+
+  test('only offers job types with a free slot', () => {
+    jobQueue.register('path-render', jest.fn(), { concurrency: 1 });
+    jobQueue.register('path-map', jest.fn(), { concurrency: 2 });
+
+    jobQueue.running.set('a', 'path-render');
+    jobQueue.running.set('b', 'path-map');
+    // The process-wide limit of two is reached
+    expect(jobQueue.getAvailableTypes()).toEqual([]);
+
+    jobQueue.running.delete('b');
+    expect(jobQueue.getAvailableTypes()).toEqual(['path-map']);
+  });
+
+  test('stores the result and emits job:completed', async () => {
+    const completed = makeJob({ status: 'completed' });
+    Job.findOneAndUpdate.mockResolvedValue(completed);
+    jobQueue.register('path-map', jest.fn().mockResolvedValue({ ok: true }));
+
+    const listener = jest.fn();
+    jobQueue.on('job:completed', listener);
+
+    await jobQueue.runJob(makeJob());
+
+    expect(Job.findOneAndUpdate.mock.calls[0][0]).toMatchObject({ status: 'running', claimToken: 'claim-1' });
+    expect(Job.findOneAndUpdate.mock.calls[0][1].$set).toMatchObject({
+      status: 'completed',
+      result: { ok: true },
+      progress: 100
+    });
+    expect(listener).toHaveBeenCalledWith(completed);
+    expect(jobQueue.running.size).toBe(0);
+  });
+
+  test('schedules a retry with backoff while attempts remain', async () => {
+    const onFailed = jest.fn();
+    jobQueue.register('path-map', jest.fn().mockRejectedValue(new Error('boom')), { onFailed });
+
+    const before = Date.now();
+    await jobQueue.runJob(makeJob({ attempts: 2 }));
+
+    expect(Job.updateOne.mock.calls[0][0]).toMatchObject({ claimToken: 'claim-1' });
+    const update = Job.updateOne.mock.calls[0][1].$set;
+    expect(update.status).toBe('queued');
+    expect(update.error).toBe('boom');
+    expect(update.runAt.getTime()).toBeGreaterThanOrEqual(before + jobsConfig.retryDelay * 2);
+    expect(onFailed).not.toHaveBeenCalled();
+  });
+
+  test('fails the job and calls onFailed after the last attempt', async () => {
+    const failed = makeJob({ status: 'failed', error: 'boom' });
+    Job.findOneAndUpdate.mockResolvedValue(failed);
+
+    const onFailed = jest.fn();
+    const listener = jest.fn();
+    jobQueue.register('path-map', jest.fn().mockRejectedValue(new Error('boom')), { onFailed });
+    jobQueue.on('job:failed', listener);
+
+    await jobQueue.runJob(makeJob({ attempts: 3 }));
+
+    expect(Job.findOneAndUpdate.mock.calls[0][0]).toMatchObject({ claimToken: 'claim-1' });
+    expect(Job.findOneAndUpdate.mock.calls[0][1].$set.status).toBe('failed');
+    expect(onFailed).toHaveBeenCalledWith(failed, expect.any(Error));
+    expect(listener).toHaveBeenCalledWith(failed);
+  });
+
+  test('records nothing for a job claimed again after it was recovered as stale', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    Job.findOneAndUpdate.mockResolvedValue(null);
+
+    const onFailed = jest.fn();
+    const listener = jest.fn();
+    jobQueue.on('job:completed', listener);
+    jobQueue.on('job:failed', listener);
+
+    jobQueue.register('path-map', jest.fn().mockResolvedValue({ ok: true }));
+    await jobQueue.runJob(makeJob());
+
+    jobQueue.register('path-map', jest.fn().mockRejectedValue(new Error('boom')), { onFailed });
+    await jobQueue.runJob(makeJob({ attempts: 3 }));
+
+    expect(listener).not.toHaveBeenCalled();
+    expect(onFailed).not.toHaveBeenCalled();
+    console.warn.mockRestore();
+    console.error.mockRestore();
+  });
+
+  test('refreshes the lock of a running job that reports no progress', async () => {
+    jest.useFakeTimers();
+    let finish;
+    jobQueue.register('path-map', () => new Promise(resolve => { finish = resolve; }));
+    Job.findOneAndUpdate.mockResolvedValue(makeJob({ status: 'completed' }));
+
+    const running = jobQueue.runJob(makeJob());
+    jest.advanceTimersByTime(jobsConfig.staleAfter);
+
+    expect(Job.updateOne).toHaveBeenCalledTimes(3);
+    expect(Job.updateOne.mock.calls[0][0]).toMatchObject({ status: 'running', claimToken: 'claim-1' });
+    expect(Job.updateOne.mock.calls[0][1].$set.lockedAt).toEqual(expect.any(Date));
+
+    finish({});
+    await running;
+    jest.advanceTimersByTime(jobsConfig.staleAfter);
+
+    expect(Job.updateOne).toHaveBeenCalledTimes(3);
+    jest.useRealTimers();
+  });
+
+  test('throttles progress updates', async () => {
+    const job = makeJob();
+    const listener = jest.fn();
+    jobQueue.on('job:progress', listener);
+
+    await jobQueue.reportProgress(job, 2);
+    await jobQueue.reportProgress(job, 12);
+    await jobQueue.reportProgress(job, 14);
+
+    expect(Job.updateOne).toHaveBeenCalledTimes(1);
+    expect(Job.updateOne.mock.calls[0][1].$set.progress).toBe(12);
+    expect(listener).toHaveBeenCalledTimes(1);
+  });
+
+  test('enqueues the scheduled jobs as valid Job documents', async () => {
+    Job.exists.mockResolvedValue(null);
+    Job.create.mockImplementation(async data => data);
+    registerJobs(jobQueue);
+
+    await jobQueue.enqueueScheduledJobs();
+
+    const types = Job.create.mock.calls.map(([data]) => data.type);
+    expect(types).toEqual(expect.arrayContaining(['storage-cleanup', 'collaboration-digest']));
+    Job.create.mock.calls.forEach(([data]) => {
+      expect(new JobModel(data).validateSync()).toBeUndefined();
+    });
+  });
+
+  test('accepts every registered job type', () => {
+    registerJobs(jobQueue);
+
+    [...jobQueue.handlers.keys()].forEach(type => {
+      expect(new JobModel({ type }).validateSync()).toBeUndefined();
+    });
+  });
+
+  test('keeps enqueueing other scheduled jobs when one fails', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    Job.exists.mockResolvedValue(null);
+    Job.create
+      .mockRejectedValueOnce(new Error('invalid'))
+      .mockImplementation(async data => data);
+    jobQueue.register('storage-cleanup', jest.fn());
+    jobQueue.register('collaboration-digest', jest.fn());
+    jobQueue.schedule('storage-cleanup', {}, 1000);
+    jobQueue.schedule('collaboration-digest', {}, 1000);
+
+    await jobQueue.enqueueScheduledJobs();
+
+    expect(Job.create).toHaveBeenCalledTimes(2);
+    expect(Job.create.mock.calls[1][0].type).toBe('collaboration-digest');
+    console.error.mockRestore();
+  });
+});
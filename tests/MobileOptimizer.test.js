@@ -62,6 +62,7 @@ describe('MobileOptimizer', () => {
       resumeAudio: jest.fn(),
       dispose: jest.fn(),
       createLowpassFilter: jest.fn(),
+      setPreferredRendition: jest.fn(),
       masterGain: {
         disconnect: jest.fn(),
         connect: jest.fn()
@@ -188,6 +189,18 @@ describe('MobileOptimizer', () => {
     expect(mockMapService.setRefreshRate).toHaveBeenCalledWith(3000);
   });
   
+  it('requests the low audio rendition only while saving power', async () => {
+    await mobileOptimizer.init();
+    
+    mockBatteryManager.level = 0.2;
+    await batteryLevelChangeCallback();
+    expect(mockAudioService.setPreferredRendition).toHaveBeenLastCalledWith('low');
+    
+    mockBatteryManager.charging = true;
+    await batteryChargingChangeCallback();
+    expect(mockAudioService.setPreferredRendition).toHaveBeenLastCalledWith(null);
+  });
+  
   it('applies correct battery optimizations for low battery', async () => {
     await mobileOptimizer.init();
     
@@ -0,0 +1,147 @@
+/**
+ * @jest-environment node
+ */
+// tests/PathRenderer.test.js
+
+const pathRenderer = require('../server/services/PathRenderer');
+const AudioConverter = require('../server/services/AudioConverter');
+
+const REGION_A = '64b7f0c2a1b2c3d4e5f60001';
+const REGION_B = '64b7f0c2a1b2c3d4e5f60002';
+
+const event = (seconds, activeRegions) => ({
+  timeSinceStart: seconds * 1000,
+  activeRegions
+});
+
+describe('PathRenderer', () => {
+  describe('buildEnvelope', () => {
+    test('fades in on entry and out on exit', () => {
+      const samples = [
+        { time: 0, volume: 0 },
+        { time: 2, volume: 0.8 },
+        { time: 4, volume: 0.8 },
+        { time: 10, volume: 0 }
+      ];
+
+      expect(pathRenderer.buildEnvelope(samples, 1.5, 2)).toEqual([
+        { time: 2, volume: 0 },
+        { time: 3.5, volume: 0.8 },
+        { time: 4, volume: 0.8 },
+        { time: 10, volume: 0.8 },
+        { time: 12, volume: 0 }
+      ]);
+    });
+
+    test('cuts a fade short when the next sample arrives first', () => {
+      const samples = [
+        { time: 0, volume: 1 },
+        { time: 1, volume: 0.5 }
+      ];
+
+      expect(pathRenderer.buildEnvelope(samples, 3, 3)).toEqual([
+        { time: 0, volume: 0 },
+        { time: 1, volume: 0.5 }
+      ]);
+    });
+
+    test('keeps keyframe times strictly increasing', () => {
+      const samples = [0, 0.5, 1, 1.5, 2].map((time, i) => ({ time, volume: i % 2 }));
+      const envelope = pathRenderer.buildEnvelope(samples, 2, 2);
+
+      for (let i = 1; i < envelope.length; i++) {
+        expect(envelope[i].time).toBeGreaterThan(envelope[i - 1].time);
+      }
+    });
+  });
+
+  describe('buildEffectIntervals', () => {
+    test('merges contiguous samples into intervals', () => {
+      const samples = [
+        { time: 0, volume: 1, effects: { lowpass: { frequency: 800 } } },
+        { time: 1, volume: 1, effects: { lowpass: { frequency: 800 } } },
+        { time: 2, volume: 1, effects: {} },
+        { time: 3, volume: 1, effects: { lowpass: {} } }
+      ];
+
+      expect(pathRenderer.buildEffectIntervals(samples, 5)).toEqual([
+        { type: 'lowpass', intervals: [[0, 2], [3, 5]], frequency: 800 }
+      ]);
+    });
+  });
+
+  describe('buildTracks', () => {
+    const composition = {
+      transitionSettings: { fadeInLength: 1, fadeOutLength: 1 },
+      audioRegions: [
+        { _id: REGION_A, audioFile: 'a.mp3', loop: true },
+        { _id: REGION_B, audioFile: 'b.mp3', loop: false, transitionSettings: { fadeInLength: 4 } }
+      ]
+    };
+
+    test('creates one track per region heard', () => {
+      const recording = {
+        duration: 6000,
+        audioEvents: [
+          event(0, [{ regionId: REGION_A, volume: 1, effects: ['reverb'] }]),
+          event(2, [{ regionId: REGION_A, volume: 1 }]),
+          event(4, [{ regionId: REGION_B, volume: 0.5 }])
+        ]
+      };
+
+      const tracks = pathRenderer.buildTracks(recording, composition);
+
+      expect(tracks.map(track => track.audioFile)).toEqual(['a.mp3', 'b.mp3']);
+      expect(tracks[0].loop).toBe(true);
+      expect(tracks[1].loop).toBe(false);
+      expect(tracks[0].effects).toEqual([{ type: 'reverb', intervals: [[0, 2]], frequency: undefined }]);
+      // Region B uses its own fade-in length
+      expect(tracks[1].envelope).toEqual([{ time: 4, volume: 0 }, { time: 8, volume: 0.5 }]);
+    });
+
+    test('ignores regions that are not in the composition', () => {
+      const recording = {
+        duration: 1000,
+        audioEvents: [event(0, [{ regionId: '64b7f0c2a1b2c3d4e5f69999', volume: 1 }])]
+      };
+
+      expect(pathRenderer.buildTracks(recording, composition)).toEqual([]);
+    });
+  });
+});
+
+describe('AudioConverter mix expressions', () => {
+  test('builds a flat piecewise-linear volume expression', () => {
+    const expression = AudioConverter.buildVolumeExpression([
+      { time: 0, volume: 0 },
+      { time: 2, volume: 1 },
+      { time: 5, volume: 1 }
+    ]);
+
+    expect(expression).toBe('gte(t,0)*lt(t,2)*(0+0.5*(t-0))+gte(t,2)*lt(t,5)*1+gte(t,5)*1');
+  });
+
+  test('returns silence for an empty envelope', () => {
+    expect(AudioConverter.buildVolumeExpression([])).toBe('0');
+  });
+
+  test('builds a graph with a wet path for echo effects', () => {
+    const graph = AudioConverter.buildMixFilterGraph([
+      { envelope: [{ time: 0, volume: 1 }], effects: [{ type: 'reverb', intervals: [[1, 2]] }] },
+      { envelope: [{ time: 0, volume: 1 }], effects: [{ type: 'lowpass', intervals: [[0, 3]], frequency: 500 }] }
+    ], 10);
+
+    expect(graph).toContain('asplit=2[t0][t0w0in]');
+    expect(graph).toContain("lowpass=f=500:enable='between(t,0,3)'");
+    expect(graph).toContain('amix=inputs=3');
+    expect(graph).toMatch(/\[mix\]$/);
+  });
+
+  test('loops only the selected part of a file', () => {
+    const graph = AudioConverter.buildMixFilterGraph([
+      { loop: true, loopStart: 1.5, loopEnd: 3.5, envelope: [{ time: 0, volume: 1 }] }
+    ], 10);
+
+    expect(graph).toContain('atrim=start=1.5:end=3.5,asetpts=PTS-STARTPTS,aloop=loop=-1:size=88200,atrim=0:10');
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * @jest-environment node
+ */
+// tests/PresenceService.test.js
+
+const mongoose = require('mongoose');
+const Presence = require('../server/models/Presence');
+const presenceService = require('../server/services/PresenceService');
+const MemoryPresenceAdapter = require('../server/services/presence/MemoryPresenceAdapter');
+const MongoPresenceAdapter = require('../server/services/presence/MongoPresenceAdapter');
+
+const anaId = '64b7f0c2a1b2c3d4e5f60701';
+const benId = '64b7f0c2a1b2c3d4e5f60702';
+const sessionId = '64b7f0c2a1b2c3d4e5f60700';
+
+describe('PresenceService', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    presenceService.setAdapter(new MemoryPresenceAdapter());
+  });
+
+  test('tracks the sessions each connection is in', async () => {
+    await presenceService.addConnection('socket-1', { id: anaId, name: 'Ana' });
+    await presenceService.addConnection('socket-2', { id: anaId, name: 'Ana' });
+    await presenceService.addConnection('socket-3', { id: benId, name: 'Ben' });
+
+    await presenceService.joinSession('socket-1', sessionId);
+    await presenceService.joinSession('socket-3', sessionId);
+    expect((await presenceService.getSessionUserIds(sessionId)).sort()).toEqual([anaId, benId]);
+
+    await presenceService.leaveSession('socket-3', sessionId);
+    expect(await presenceService.getSessionUserIds(sessionId)).toEqual([anaId]);
+
+    // Ana's other tab was never in the session
+    expect(await presenceService.removeConnection('socket-2')).toEqual([]);
+    expect(await presenceService.removeConnection('socket-1')).toEqual([sessionId]);
+    expect(await presenceService.getSessionUserIds(sessionId)).toEqual([]);
+  });
+
+  test('reports which users are connected', async () => {
+    await presenceService.addConnection('socket-1', { id: anaId, name: 'Ana' });
+
+    const connected = await presenceService.getConnectedUsers([anaId, benId]);
+    expect([...connected]).toEqual([[anaId, { name: 'Ana' }]]);
+
+    await presenceService.removeConnection('socket-1');
+    expect((await presenceService.getConnectedUsers([anaId])).size).toBe(0);
+  });
+
+  test('takes users out of sessions they were removed from or that closed', async () => {
+    await presenceService.addConnection('socket-1', { id: anaId, name: 'Ana' });
+    await presenceService.addConnection('socket-2', { id: anaId, name: 'Ana' });
+    await presenceService.addConnection('socket-3', { id: benId, name: 'Ben' });
+    await Promise.all(['socket-1', 'socket-2', 'socket-3'].map(id => presenceService.joinSession(id, sessionId)));
+
+    await presenceService.removeUserFromSession(anaId, sessionId);
+    expect(await presenceService.getSessionUserIds(sessionId)).toEqual([benId]);
+
+    await presenceService.removeSession(sessionId);
+    expect(await presenceService.getSessionUserIds(sessionId)).toEqual([]);
+  });
+
+  test('refuses unknown adapters', () => {
+    expect(() => presenceService.createAdapter('redis')).toThrow('Unknown collaboration adapter "redis"');
+  });
+
+  describe('MongoPresenceAdapter', () => {
+    const adapter = new MongoPresenceAdapter({ heartbeatInterval: 15000, presenceTtl: 60000 });
+
+    afterEach(() => adapter.stop());
+
+    test('records connections against this process', async () => {
+      const create = jest.spyOn(Presence, 'create').mockResolvedValue({});
+
+      await adapter.addConnection('socket-1', { id: anaId, name: 'Ana' });
+
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({
+        socketId: 'socket-1',
+        userId: anaId,
+        nodeId: adapter.nodeId,
+        sessions: []
+      }));
+      expect(create.mock.calls[0][0].expiresAt.getTime()).toBeGreaterThan(Date.now() + 59000);
+    });
+
+    test('ignores connections of processes that stopped renewing them', async () => {
+      const distinct = jest.spyOn(Presence, 'distinct').mockResolvedValue([new mongoose.Types.ObjectId(benId)]);
+
+      expect(await adapter.getSessionUserIds(sessionId)).toEqual([benId]);
+      expect(distinct).toHaveBeenCalledWith('userId', {
+        sessions: sessionId,
+        expiresAt: { $gt: expect.any(Date) }
+      });
+    });
+
+    test('renews this process\'s connections while running', () => {
+      jest.useFakeTimers();
+      const update = jest.spyOn(Presence, 'updateMany').mockResolvedValue({});
+
+      adapter.start();
+      jest.advanceTimersByTime(15000);
+      adapter.stop();
+      jest.advanceTimersByTime(15000);
+      jest.useRealTimers();
+
+      expect(update).toHaveBeenCalledTimes(1);
+      expect(update).toHaveBeenCalledWith({ nodeId: adapter.nodeId }, { $set: { expiresAt: expect.any(Date) } });
+    });
+  });
+});
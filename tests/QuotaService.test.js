@@ -0,0 +1,90 @@
+/**
+ * @jest-environment node
+ */
+// tests/QuotaService.test.js
+
+jest.mock('../server/models/User', () => ({
+  findById: jest.fn()
+}));
+jest.mock('../server/models/UploadSession', () => ({
+  getReservedSize: jest.fn()
+}));
+
+const mongoose = require('mongoose');
+const User = require('../server/models/User');
+const AudioAsset = require('../server/models/AudioAsset');
+const UploadSession = require('../server/models/UploadSession');
+const quotaService = require('../server/services/QuotaService');
+const audioConfig = require('../server/config/audio');
+
+const MB = 1024 * 1024;
+const userId = '64b7f0c2a1b2c3d4e5f60718';
+
+const mockUser = (user) => {
+  User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+};
+
+describe('QuotaService', () => {
+  let storageUsed;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    storageUsed = jest.spyOn(AudioAsset, 'getStorageUsed').mockResolvedValue(300 * MB);
+    UploadSession.getReservedSize.mockResolvedValue(100 * MB);
+  });
+
+  afterEach(() => {
+    storageUsed.mockRestore();
+  });
+
+  test('uses the default quota', async () => {
+    mockUser({});
+
+    expect(await quotaService.getUsage(userId)).toEqual({
+      used: 300 * MB,
+      reserved: 100 * MB,
+      quota: audioConfig.quota.defaultMB * MB,
+      available: (audioConfig.quota.defaultMB - 400) * MB
+    });
+  });
+
+  test('honours a per-user quota', async () => {
+    mockUser({ storageQuotaMB: 500 });
+
+    expect(await quotaService.checkQuota(userId, 100 * MB)).toMatchObject({ available: 100 * MB, allowed: true });
+    expect(await quotaService.checkQuota(userId, 100 * MB + 1)).toMatchObject({ allowed: false });
+  });
+
+  test('never reports negative space', async () => {
+    mockUser({ storageQuotaMB: 0 });
+
+    expect(await quotaService.checkQuota(userId, 1)).toMatchObject({ available: 0, allowed: false });
+  });
+});
+
+describe('AudioAsset', () => {
+  const createAsset = () => new AudioAsset({
+    owner: new mongoose.Types.ObjectId(userId),
+    key: '1700000000000-rain.wav',
+    mimeType: 'audio/wav',
+    peaksKey: 'peaks/1700000000000-rain.wav.json',
+    renditions: {
+      mp3: { key: 'renditions/1700000000000-rain.wav/mp3.mp3', mimeType: 'audio/mpeg' },
+      archive: { key: '1700000000000-rain.wav', mimeType: 'audio/wav', source: true }
+    }
+  });
+
+  test('knows its owner', () => {
+    expect(createAsset().isOwnedBy(userId)).toBe(true);
+    expect(createAsset().isOwnedBy('64b7f0c2a1b2c3d4e5f60719')).toBe(false);
+    expect(createAsset().isOwnedBy(undefined)).toBe(false);
+  });
+
+  test('lists each stored file once', () => {
+    expect(createAsset().getStorageKeys()).toEqual([
+      '1700000000000-rain.wav',
+      'renditions/1700000000000-rain.wav/mp3.mp3',
+      'peaks/1700000000000-rain.wav.json'
+    ]);
+  });
+});
@@ -0,0 +1,276 @@
+/**
+ * @jest-environment node
+ */
+// tests/SessionHistoryService.test.js
+
+const mongoose = require('mongoose');
+const Composition = require('../server/models/Composition');
+const CollaborationSession = require('../server/models/CollaborationSession');
+const CollaborationChange = require('../server/models/CollaborationChange');
+const compositionChangeService = require('../server/services/CompositionChangeService');
+const sessionHistoryService = require('../server/services/SessionHistoryService');
+
+const ownerId = '64b7f0c2a1b2c3d4e5f60701';
+const editorId = '64b7f0c2a1b2c3d4e5f60703';
+const sessionId = '64b7f0c2a1b2c3d4e5f60700';
+const compositionId = '64b7f0c2a1b2c3d4e5f60710';
+const regionId = '64b7f0c2a1b2c3d4e5f60720';
+const otherRegionId = '64b7f0c2a1b2c3d4e5f60721';
+const polygon = [{ lat: 40.73, lng: -73.99 }, { lat: 40.74, lng: -73.99 }, { lat: 40.74, lng: -73.98 }];
+
+const loadComposition = () => Composition.hydrate({
+  _id: new mongoose.Types.ObjectId(compositionId),
+  title: 'Washington Square',
+  creator: new mongoose.Types.ObjectId(ownerId),
+  version: 4,
+  audioRegions: [
+    { _id: new mongoose.Types.ObjectId(regionId), name: 'Fountain', polygon, audioFile: 'a.mp3', version: 3 },
+    { _id: new mongoose.Types.ObjectId(otherRegionId), name: 'Arch', polygon, version: 1 }
+  ],
+  __v: 0
+});
+
+const loadSession = () => CollaborationSession.hydrate({
+  _id: sessionId,
+  compositionId,
+  name: 'Washington Square',
+  owner: ownerId,
+  collaborators: [{ userId: editorId, displayName: 'Ben', permission: 'editor' }]
+});
+
+// Apply a change and return what the service would record for it
+const applyRecorded = async (composition, change) => {
+  const recorded = { userId: ownerId, payload: {}, ...change };
+  recorded.previous = compositionChangeService.getState(composition, recorded.changeType, recorded.targetId);
+  recorded.targetId = await compositionChangeService.applyToComposition(composition, recorded);
+  return recorded;
+};
+
+// Build the inverse of a recorded change right after it was applied
+const invert = (composition, recorded) => compositionChangeService.invertChange(
+  recorded,
+  compositionChangeService.getState(composition, recorded.changeType, recorded.targetId)
+);
+
+// Apply the inverse of a recorded change against the target's current version
+const undo = async (composition, recorded) => {
+  const inverse = invert(composition, recorded);
+  const current = compositionChangeService.getState(composition, inverse.changeType, inverse.targetId);
+  return applyRecorded(composition, { ...inverse, baseVersion: current.version });
+};
+
+const plain = composition => JSON.parse(JSON.stringify(compositionChangeService.getSnapshot(composition)));
+
+describe('Undoing changes', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.spyOn(compositionChangeService, 'checkAudioFile').mockResolvedValue();
+  });
+
+  test('puts back the fields a change overwrote', async () => {
+    const composition = loadComposition();
+
+    const recorded = await applyRecorded(composition, {
+      changeType: 'updateBoundary',
+      targetId: regionId,
+      baseVersion: 3,
+      payload: { name: 'Big fountain' }
+    });
+    expect(compositionChangeService.invertChange(recorded)).toEqual({
+      changeType: 'updateBoundary',
+      targetId: regionId,
+      payload: { name: 'Fountain' }
+    });
+
+    await undo(composition, recorded);
+    expect(composition.audioRegions.id(regionId).name).toBe('Fountain');
+  });
+
+  test('deletes added boundaries and brings deleted ones back', async () => {
+    const composition = loadComposition();
+
+    const added = await applyRecorded(composition, { changeType: 'addBoundary', payload: { name: 'Benches', polygon } });
+    expect(compositionChangeService.invertChange(added)).toMatchObject({ changeType: 'deleteBoundary', targetId: added.targetId });
+
+    const deleted = await applyRecorded(composition, { changeType: 'deleteBoundary', targetId: regionId, baseVersion: 3 });
+    await undo(composition, deleted);
+
+    // Brought back at the end, with its ID
+    const region = composition.audioRegions.id(regionId);
+    expect(region).toMatchObject({ name: 'Fountain', audioFile: 'a.mp3' });
+    expect(composition.audioRegions.map(r => r.name)).toEqual(['Arch', 'Benches', 'Fountain']);
+  });
+
+  test('clears audio that was added to a boundary without any', async () => {
+    const composition = loadComposition();
+
+    const recorded = await applyRecorded(composition, {
+      changeType: 'addAudio',
+      targetId: otherRegionId,
+      baseVersion: 1,
+      payload: { audioFile: 'b.mp3' }
+    });
+    await undo(composition, recorded);
+
+    expect(composition.audioRegions.id(otherRegionId).audioFile).toBeNull();
+  });
+
+  test('undoes a restore by restoring what it replaced', async () => {
+    const composition = loadComposition();
+    const before = plain(composition);
+
+    const recorded = await applyRecorded(composition, {
+      changeType: 'restoreComposition',
+      targetId: compositionId,
+      baseVersion: 4,
+      payload: {
+        title: 'Old title',
+        audioRegions: [before.audioRegions[1]],
+        regionVersions: compositionChangeService.getRegionVersions(composition.audioRegions)
+      }
+    });
+    expect(composition.title).toBe('Old title');
+    expect(composition.audioRegions).toHaveLength(1);
+
+    await undo(composition, recorded);
+    const after = plain(composition);
+    expect(after.title).toBe('Washington Square');
+    expect(after.audioRegions).toEqual(before.audioRegions);
+  });
+
+  test('refuses a restore made before a boundary was edited', async () => {
+    const composition = loadComposition();
+    const before = plain(composition);
+    const regionVersions = compositionChangeService.getRegionVersions(composition.audioRegions);
+
+    // Boundary edits leave the composition's own version as it was
+    await applyRecorded(composition, {
+      changeType: 'updateBoundary',
+      targetId: regionId,
+      baseVersion: 3,
+      payload: { name: 'Big fountain' }
+    });
+    expect(composition.version).toBe(4);
+
+    await expect(applyRecorded(composition, {
+      changeType: 'restoreComposition',
+      targetId: compositionId,
+      baseVersion: 4,
+      payload: { title: 'Old title', audioRegions: before.audioRegions, regionVersions }
+    })).rejects.toMatchObject({ code: 'ChangeConflict' });
+    expect(composition.audioRegions.id(regionId).name).toBe('Big fountain');
+  });
+
+  test('refuses to undo a restore once a restored boundary was edited', async () => {
+    const composition = loadComposition();
+    const before = plain(composition);
+
+    const recorded = await applyRecorded(composition, {
+      changeType: 'restoreComposition',
+      targetId: compositionId,
+      baseVersion: 4,
+      payload: {
+        title: 'Old title',
+        audioRegions: [before.audioRegions[1]],
+        regionVersions: compositionChangeService.getRegionVersions(composition.audioRegions)
+      }
+    });
+    const inverse = invert(composition, recorded);
+
+    await applyRecorded(composition, {
+      changeType: 'updateBoundary',
+      targetId: otherRegionId,
+      baseVersion: 1,
+      payload: { name: 'Big arch' }
+    });
+
+    await expect(applyRecorded(composition, { ...inverse, baseVersion: composition.version }))
+      .rejects.toMatchObject({ code: 'ChangeConflict' });
+    expect(composition.audioRegions.map(region => region.name)).toEqual(['Big arch']);
+  });
+});
+
+describe('SessionHistoryService', () => {
+  let composition;
+  let history;
+
+  // Record three changes, then mock the database with their history
+  beforeEach(async () => {
+    jest.restoreAllMocks();
+
+    composition = loadComposition();
+    const original = plain(composition);
+
+    history = [];
+    const record = async (change) => {
+      const recorded = await applyRecorded(composition, change);
+      history.push(CollaborationChange.hydrate({
+        _id: new mongoose.Types.ObjectId(),
+        sessionId,
+        ...recorded,
+        status: 'applied',
+        appliedAt: new Date(Date.UTC(2026, 0, 1, 12, history.length))
+      }));
+    };
+
+    await record({ changeType: 'updateComposition', targetId: compositionId, baseVersion: 4, payload: { title: 'Renamed' } });
+    await record({ changeType: 'addBoundary', payload: { name: 'Benches', polygon } });
+    await record({ changeType: 'deleteBoundary', targetId: regionId, baseVersion: 3 });
+    history.original = original;
+
+    jest.spyOn(Composition, 'findById').mockResolvedValue(composition);
+    jest.spyOn(CollaborationChange, 'findOne').mockImplementation(({ _id }) =>
+      Promise.resolve(history.find(change => String(change._id) === String(_id)) || null));
+    jest.spyOn(CollaborationChange, 'find').mockImplementation(({ appliedAt }) => ({
+      sort: () => ({
+        cursor: () => history.filter(change => change.appliedAt > appliedAt.$gt).reverse()
+      })
+    }));
+  });
+
+  test('rebuilds the composition as it was right after a change', async () => {
+    const { composition: asOf, currentVersion } = await sessionHistoryService.reconstruct(loadSession(), history[0]._id);
+
+    expect(currentVersion).toBe(5);
+    expect(asOf.title).toBe('Renamed');
+    expect(asOf.audioRegions.map(region => region.name)).toEqual(['Arch', 'Fountain']);
+    expect(asOf.audioRegions[1]).toEqual(history.original.audioRegions[0]);
+  });
+
+  test('refuses changes that aren\'t in the session history', async () => {
+    await expect(sessionHistoryService.reconstruct(loadSession(), 'not-an-id'))
+      .rejects.toMatchObject({ code: 'NotFound' });
+    await expect(sessionHistoryService.reconstruct(loadSession(), new mongoose.Types.ObjectId()))
+      .rejects.toMatchObject({ code: 'NotFound' });
+  });
+
+  test('only lets admins restore, and records the restore as a change', async () => {
+    const applyChange = jest.spyOn(compositionChangeService, 'applyChange')
+      .mockResolvedValue({ targetId: compositionId, version: 6, object: {}, previous: { version: 5, object: {} } });
+    jest.spyOn(CollaborationChange.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+
+    await expect(sessionHistoryService.restore(loadSession(), history[1]._id, { id: editorId }))
+      .rejects.toMatchObject({ code: 'Forbidden' });
+    expect(applyChange).not.toHaveBeenCalled();
+
+    const applied = jest.fn();
+    sessionHistoryService.on('change:applied', applied);
+    const change = await sessionHistoryService.restore(loadSession(), history[1]._id, { id: ownerId });
+
+    expect(change).toMatchObject({
+      changeType: 'restoreComposition',
+      origin: 'restore',
+      baseVersion: 5,
+      version: 6,
+      status: 'applied'
+    });
+    expect(String(change.restoredTo)).toBe(String(history[1]._id));
+    expect(change.payload.audioRegions.map(region => region.name)).toEqual(['Arch', 'Benches', 'Fountain']);
+    expect(change.payload.regionVersions).toEqual(compositionChangeService.getRegionVersions(composition.audioRegions));
+    expect(applied).toHaveBeenCalledWith(change, expect.objectContaining({ version: 6 }));
+
+    sessionHistoryService.removeAllListeners();
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * @jest-environment node
+ */
+// tests/SessionService.test.js
+
+const mongoose = require('mongoose');
+const Composition = require('../server/models/Composition');
+const CollaborationSession = require('../server/models/CollaborationSession');
+const User = require('../server/models/User');
+const sessionService = require('../server/services/SessionService');
+
+const ownerId = '64b7f0c2a1b2c3d4e5f60701';
+const editorId = '64b7f0c2a1b2c3d4e5f60703';
+const inviteeId = '64b7f0c2a1b2c3d4e5f60704';
+const sessionId = '64b7f0c2a1b2c3d4e5f60700';
+const compositionId = '64b7f0c2a1b2c3d4e5f60710';
+
+const loadSession = (fields = {}) => CollaborationSession.hydrate({
+  _id: sessionId,
+  compositionId,
+  name: 'Washington Square',
+  owner: ownerId,
+  collaborators: [{ userId: editorId, displayName: 'Ben', permission: 'editor', color: '#4A90E2' }],
+  status: 'active',
+  ...fields
+});
+
+describe('SessionService', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    sessionService.removeAllListeners();
+  });
+
+  test('creates sessions only for the composition\'s creator', async () => {
+    jest.spyOn(Composition, 'findById').mockResolvedValue(Composition.hydrate({
+      _id: compositionId,
+      title: 'Washington Square',
+      creator: ownerId
+    }));
+    jest.spyOn(CollaborationSession.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+
+    await expect(sessionService.create({ id: editorId }, { compositionId }))
+      .rejects.toMatchObject({ code: 'Forbidden' });
+    await expect(sessionService.create({ id: ownerId }, { compositionId, expiresAt: '2001-01-01' }))
+      .rejects.toMatchObject({ code: 'InvalidSession' });
+
+    const expiresAt = new Date(Date.now() + 60 * 60 * 1000);
+    const session = await sessionService.create({ id: ownerId }, {
+      compositionId,
+      expiresAt: expiresAt.toISOString(),
+      settings: { requireReview: true, unknown: true }
+    });
+
+    expect(session.name).toBe('Washington Square');
+    expect(String(session.owner)).toBe(ownerId);
+    expect(session.expiresAt).toEqual(expiresAt);
+    expect(session.settings.requireReview).toBe(true);
+    expect(session.settings.unknown).toBeUndefined();
+  });
+
+  test('treats sessions past their expiry as closed', () => {
+    expect(loadSession().isOpen()).toBe(true);
+    expect(loadSession({ expiresAt: new Date(Date.now() + 60000) }).isOpen()).toBe(true);
+    expect(loadSession({ expiresAt: new Date(Date.now() - 60000) }).isOpen()).toBe(false);
+    expect(loadSession({ status: 'closed' }).isOpen()).toBe(false);
+  });
+
+  test('closes expired sessions once, announcing each', async () => {
+    const expiredId = new mongoose.Types.ObjectId();
+    jest.spyOn(CollaborationSession, 'find').mockReturnValue({
+      select: () => Promise.resolve([{ _id: expiredId }])
+    });
+    const update = jest.spyOn(CollaborationSession, 'updateOne')
+      .mockResolvedValueOnce({ modifiedCount: 1 })
+      .mockResolvedValueOnce({ modifiedCount: 0 });
+
+    const closed = jest.fn();
+    sessionService.on('session:closed', closed);
+
+    expect(await sessionService.closeExpired()).toBe(1);
+    // Another process got there first
+    expect(await sessionService.closeExpired()).toBe(0);
+
+    expect(update).toHaveBeenCalledWith({ _id: expiredId, status: 'active' }, { $set: { status: 'closed' } });
+    expect(closed).toHaveBeenCalledTimes(1);
+    expect(closed).toHaveBeenCalledWith({ sessionId: String(expiredId), reason: 'expired', closedBy: null });
+  });
+
+  test('lets admins invite registered users by email', async () => {
+    jest.spyOn(User, 'findOne').mockImplementation(({ email }) => Promise.resolve(email === 'cleo@example.com'
+      ? User.hydrate({ _id: inviteeId, name: 'Cleo', email })
+      : null));
+    const update = jest.spyOn(CollaborationSession, 'findOneAndUpdate').mockImplementation((filter, { $push }) =>
+      Promise.resolve(loadSession({ collaborators: [$push.collaborators] })));
+
+    await expect(sessionService.invite(loadSession(), editorId, { email: 'cleo@example.com' }))
+      .rejects.toMatchObject({ code: 'Forbidden' });
+    await expect(sessionService.invite(loadSession(), ownerId, { email: 'cleo@example.com', permission: 'owner' }))
+      .rejects.toMatchObject({ code: 'InvalidSession' });
+    await expect(sessionService.invite(loadSession(), ownerId, { email: 'nobody@example.com' }))
+      .rejects.toMatchObject({ code: 'NotFound' });
+    await expect(sessionService.invite(loadSession({ status: 'closed' }), ownerId, { email: 'cleo@example.com' }))
+      .rejects.toMatchObject({ code: 'SessionClosed' });
+
+    const added = jest.fn();
+    sessionService.on('collaborator:added', added);
+    const collaborator = await sessionService.invite(loadSession(), ownerId, {
+      email: ' Cleo@Example.com ',
+      permission: 'editor'
+    });
+
+    expect(collaborator).toMatchObject({ displayName: 'Cleo', permission: 'editor', color: '#D0021B' });
+    expect(update).toHaveBeenCalledTimes(1);
+    expect(added).toHaveBeenCalledWith(expect.objectContaining({ sessionId, userId: inviteeId, invitedBy: ownerId }));
+  });
+
+  test('refuses to invite existing members', async () => {
+    jest.spyOn(User, 'findOne').mockResolvedValue(User.hydrate({ _id: editorId, name: 'Ben', email: 'ben@example.com' }));
+    const update = jest.spyOn(CollaborationSession, 'findOneAndUpdate');
+
+    await expect(sessionService.invite(loadSession(), ownerId, { email: 'ben@example.com' }))
+      .rejects.toMatchObject({ code: 'AlreadyMember' });
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  test('changes permissions, but never the owner\'s', async () => {
+    jest.spyOn(CollaborationSession, 'findOneAndUpdate').mockResolvedValue(loadSession({
+      collaborators: [{ userId: editorId, displayName: 'Ben', permission: 'admin' }]
+    }));
+
+    await expect(sessionService.setPermission(loadSession(), ownerId, ownerId, 'viewer'))
+      .rejects.toMatchObject({ code: 'InvalidSession' });
+    await expect(sessionService.setPermission(loadSession(), editorId, editorId, 'admin'))
+      .rejects.toMatchObject({ code: 'Forbidden' });
+
+    const updated = jest.fn();
+    sessionService.on('collaborator:updated', updated);
+    const collaborator = await sessionService.setPermission(loadSession(), ownerId, editorId, 'admin');
+
+    expect(collaborator.permission).toBe('admin');
+    expect(updated).toHaveBeenCalledWith({ sessionId, userId: editorId, permission: 'admin' });
+  });
+
+  test('lets admins remove collaborators and collaborators leave', async () => {
+    const update = jest.spyOn(CollaborationSession, 'findOneAndUpdate').mockResolvedValue(loadSession({ collaborators: [] }));
+    const removed = jest.fn();
+    sessionService.on('collaborator:removed', removed);
+
+    await expect(sessionService.removeCollaborator(loadSession(), editorId, ownerId))
+      .rejects.toMatchObject({ code: 'Forbidden' });
+
+    await sessionService.removeCollaborator(loadSession(), editorId, editorId);
+    await sessionService.removeCollaborator(loadSession(), ownerId, editorId);
+
+    expect(update).toHaveBeenCalledTimes(2);
+    expect(removed).toHaveBeenLastCalledWith({ sessionId, userId: editorId, removedBy: ownerId });
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * @jest-environment node
+ */
+// tests/audioEdits.test.js
+
+const { normalizeEdits, estimateEditSize, buildEditFilterGraph } = require('../server/utils/audioEdits');
+
+describe('normalizeEdits', () => {
+  test('fills in defaults and computes the resulting duration', () => {
+    expect(normalizeEdits({ trimStart: 2, loopCrossfade: '1.5' }, 10)).toEqual({
+      trimStart: 2,
+      trimEnd: 10,
+      fadeIn: 0,
+      fadeOut: 0,
+      loopCrossfade: 1.5,
+      gain: 0,
+      reverse: false,
+      duration: 6.5
+    });
+  });
+
+  test('requires at least one edit', () => {
+    expect(() => normalizeEdits({ name: 'Loop' }, 10)).toThrow('No edits given');
+  });
+
+  test.each([
+    [{ trimStart: 10 }, 'trimStart'],
+    [{ trimStart: 5, trimEnd: 5.05 }, 'trimEnd'],
+    [{ trimEnd: 4, loopCrossfade: 3 }, 'loopCrossfade'],
+    [{ fadeIn: 6, fadeOut: 5 }, 'fadeIn and fadeOut'],
+    [{ gain: 40 }, 'gain'],
+    [{ gain: 'loud' }, 'gain must be a number']
+  ])('rejects %j', (edits, message) => {
+    expect(() => normalizeEdits(edits, 10)).toThrow(message);
+
+    try {
+      normalizeEdits(edits, 10);
+    } catch (error) {
+      expect(error.code).toBe('InvalidEdit');
+    }
+  });
+
+  test('limits how much can be reversed', () => {
+    expect(() => normalizeEdits({ reverse: true }, 3600)).toThrow('reversed');
+    expect(normalizeEdits({ reverse: true, trimEnd: 60 }, 3600).reverse).toBe(true);
+  });
+});
+
+describe('estimateEditSize', () => {
+  test('reserves the uncompressed size whatever the source was compressed with', () => {
+    // A minute of 48 kHz stereo, from a 1 MB mp3
+    expect(estimateEditSize({ size: 1000000, sampleRate: 48000, channels: 2, duration: 60 }, 60)).toBe(11520000);
+    expect(estimateEditSize({ sampleRate: 22050, channels: 1 }, 2.5)).toBe(110250);
+  });
+
+  test('assumes CD audio when the source wasn\'t probed', () => {
+    expect(estimateEditSize({}, 1)).toBe(176400);
+  });
+});
+
+describe('buildEditFilterGraph', () => {
+  test('applies edits in a single chain', () => {
+    const edits = normalizeEdits({ trimStart: 1, trimEnd: 9, reverse: true, gain: -3, fadeIn: 0.5, fadeOut: 2 }, 10);
+
+    expect(buildEditFilterGraph(edits)).toBe(
+      '[0:a]atrim=start=1:end=9,asetpts=PTS-STARTPTS,areverse,volume=-3dB,' +
+      'afade=t=in:st=0:d=0.5,afade=t=out:st=6:d=2[edited]'
+    );
+  });
+
+  test('crossfades the start of the selection over its end', () => {
+    const edits = normalizeEdits({ trimEnd: 8, loopCrossfade: 2 }, 10);
+
+    expect(buildEditFilterGraph(edits).split(';')).toEqual([
+      '[0:a]atrim=start=0:end=8,asetpts=PTS-STARTPTS,asplit=2[body][head]',
+      '[body]atrim=start=2,asetpts=PTS-STARTPTS[loopbody]',
+      '[head]atrim=end=2,asetpts=PTS-STARTPTS[loophead]',
+      '[loopbody][loophead]acrossfade=d=2:c1=tri:c2=tri[looped]',
+      '[looped]anull[edited]'
+    ]);
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * @jest-environment node
+ */
+// tests/audioProbe.test.js
+
+const { extractAudioMetadata } = require('../server/utils/audioProbe');
+
+const probe = (overrides = {}) => ({
+  format: {
+    format_name: 'wav',
+    duration: '12.5',
+    bit_rate: '1411200',
+    ...overrides.format
+  },
+  streams: overrides.streams || [{
+    codec_type: 'audio',
+    codec_name: 'pcm_s16le',
+    sample_rate: '44100',
+    channels: 2
+  }]
+});
+
+describe('extractAudioMetadata', () => {
+  test('extracts metadata from a valid file', () => {
+    expect(extractAudioMetadata(probe())).toEqual({
+      mimeType: 'audio/wav',
+      format: 'wav',
+      codec: 'pcm_s16le',
+      duration: 12.5,
+      sampleRate: 44100,
+      channels: 2,
+      bitrate: 1411200
+    });
+  });
+
+  test('uses the detected type, not the claimed one', () => {
+    const metadata = extractAudioMetadata(probe({
+      format: { format_name: 'mp3' },
+      streams: [{ codec_type: 'audio', codec_name: 'mp3', sample_rate: '48000', channels: 1, bit_rate: '128000' }]
+    }));
+
+    expect(metadata.mimeType).toBe('audio/mpeg');
+    expect(metadata.bitrate).toBe(128000);
+  });
+
+  test('rejects unsupported containers', () => {
+    expect(() => extractAudioMetadata(probe({ format: { format_name: 'png_pipe' } })))
+      .toThrow('Unsupported file format');
+  });
+
+  test('rejects files without an audio stream', () => {
+    expect(() => extractAudioMetadata(probe({ streams: [] }))).toThrow('no audio stream');
+  });
+
+  test('rejects video files but allows cover art', () => {
+    const audio = { codec_type: 'audio', codec_name: 'aac', sample_rate: '44100', channels: 2 };
+
+    expect(() => extractAudioMetadata(probe({
+      format: { format_name: 'mov,mp4,m4a,3gp,3g2,mj2' },
+      streams: [{ codec_type: 'video', codec_name: 'h264' }, audio]
+    }))).toThrow('contains video');
+
+    expect(extractAudioMetadata(probe({
+      format: { format_name: 'mp3' },
+      streams: [audio, { codec_type: 'video', codec_name: 'mjpeg', disposition: { attached_pic: 1 } }]
+    })).codec).toBe('aac');
+  });
+
+  test('rejects files without a duration', () => {
+    expect(() => extractAudioMetadata(probe({ format: { duration: 'N/A' } }))).toThrow('no playable duration');
+  });
+
+  test('rejects overly long files', () => {
+    expect(() => extractAudioMetadata(probe({ format: { duration: '100000' } }))).toThrow('longer than');
+  });
+
+  test('marks errors as invalid audio', () => {
+    try {
+      extractAudioMetadata({});
+    } catch (error) {
+      expect(error.code).toBe('InvalidAudio');
+    }
+    expect.assertions(1);
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * @jest-environment node
+ */
+// tests/auth.test.js
+
+process.env.JWT_SECRET = 'test-secret-that-is-long-enough-for-tests';
+
+const jwt = require('jsonwebtoken');
+const tokenService = require('../server/services/TokenService');
+const { auth, optionalAuth } = require('../server/middleware/auth');
+
+const mockRequest = (headers = {}) => {
+  const lowerCased = Object.fromEntries(
+    Object.entries(headers).map(([key, value]) => [key.toLowerCase(), value])
+  );
+  return {
+    header: jest.fn(name => lowerCased[name.toLowerCase()])
+  };
+};
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn().mockReturnValue(res);
+  res.json = jest.fn().mockReturnValue(res);
+  return res;
+};
+
+describe('TokenService', () => {
+  const user = { id: '64b7f0c2a1b2c3d4e5f60718', name: 'Test User', email: 'test@example.com' };
+
+  test('signs and verifies access tokens', () => {
+    const token = tokenService.signAccessToken(user);
+    expect(tokenService.verifyAccessToken(token)).toEqual(user);
+  });
+
+  test('rejects tokens signed with another secret', () => {
+    const token = jwt.sign({ user }, 'some-other-secret');
+    expect(() => tokenService.verifyAccessToken(token)).toThrow();
+  });
+
+  test('rejects tokens without a user payload', () => {
+    const token = jwt.sign({ foo: 'bar' }, process.env.JWT_SECRET);
+    expect(() => tokenService.verifyAccessToken(token)).toThrow();
+  });
+
+  test('hashes refresh tokens deterministically', () => {
+    expect(tokenService.hashToken('abc')).toBe(tokenService.hashToken('abc'));
+    expect(tokenService.hashToken('abc')).not.toBe(tokenService.hashToken('abd'));
+  });
+
+  test('refuses to work without a secret', () => {
+    const secret = process.env.JWT_SECRET;
+    delete process.env.JWT_SECRET;
+    try {
+      expect(() => tokenService.validateConfig()).toThrow('JWT_SECRET is not configured');
+    } finally {
+      process.env.JWT_SECRET = secret;
+    }
+  });
+
+  describe('getTokenFromRequest', () => {
+    test('reads the x-auth-token header', () => {
+      expect(tokenService.getTokenFromRequest(mockRequest({ 'x-auth-token': 'abc' }))).toBe('abc');
+    });
+
+    test('reads an Authorization Bearer header', () => {
+      expect(tokenService.getTokenFromRequest(mockRequest({ Authorization: 'Bearer abc' }))).toBe('abc');
+    });
+
+    test('ignores other Authorization schemes', () => {
+      expect(tokenService.getTokenFromRequest(mockRequest({ Authorization: 'Basic abc' }))).toBeNull();
+    });
+
+    test('returns null without a token', () => {
+      expect(tokenService.getTokenFromRequest(mockRequest())).toBeNull();
+    });
+  });
+});
+
+describe('auth middleware', () => {
+  const user = { id: '64b7f0c2a1b2c3d4e5f60718', name: 'Test User', email: 'test@example.com' };
+
+  test('accepts a Bearer token and sets req.user', () => {
+    const req = mockRequest({ Authorization: `Bearer ${tokenService.signAccessToken(user)}` });
+    const res = mockResponse();
+    const next = jest.fn();
+
+    auth(req, res, next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user).toEqual(user);
+  });
+
+  test('rejects a request without a token', () => {
+    const res = mockResponse();
+    const next = jest.fn();
+
+    auth(mockRequest(), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  test('rejects an expired token', () => {
+    const token = jwt.sign({ user }, process.env.JWT_SECRET, { expiresIn: -10 });
+    const res = mockResponse();
+    const next = jest.fn();
+
+    auth(mockRequest({ 'x-auth-token': token }), res, next);
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  test('optionalAuth treats an invalid token as anonymous', () => {
+    const req = mockRequest({ 'x-auth-token': 'not-a-token' });
+    const next = jest.fn();
+
+    optionalAuth(req, mockResponse(), next);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user).toBeUndefined();
+  });
+});
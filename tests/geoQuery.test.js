@@ -0,0 +1,131 @@
+/**
+ * @jest-environment node
+ */
+// tests/geoQuery.test.js
+
+const {
+  DEFAULT_RADIUS,
+  MAX_RADIUS,
+  parseNearQuery,
+  parseBoundingBox,
+  longitudeSpan,
+  boundingBoxToPolygon,
+  withinRadiusFilter,
+  withinBoundingBoxFilter
+} = require('../server/utils/geoQuery');
+
+describe('geoQuery', () => {
+  describe('parseNearQuery', () => {
+    test('parses coordinates and applies the default radius', () => {
+      expect(parseNearQuery({ lat: '40.7308', lng: '-73.9973' })).toEqual({
+        lat: 40.7308,
+        lng: -73.9973,
+        radius: DEFAULT_RADIUS
+      });
+    });
+
+    test('caps the radius', () => {
+      expect(parseNearQuery({ lat: '0', lng: '0', radius: '1e9' }).radius).toBe(MAX_RADIUS);
+    });
+
+    test('rejects missing or out-of-range coordinates', () => {
+      expect(() => parseNearQuery({ lat: '40' })).toThrow();
+      expect(() => parseNearQuery({ lat: '91', lng: '0' })).toThrow();
+      expect(() => parseNearQuery({ lat: 'abc', lng: '0' })).toThrow();
+    });
+
+    test('rejects a non-positive radius', () => {
+      expect(() => parseNearQuery({ lat: '0', lng: '0', radius: '-5' })).toThrow();
+      expect(() => parseNearQuery({ lat: '0', lng: '0', radius: 'far' })).toThrow();
+    });
+  });
+
+  describe('parseBoundingBox', () => {
+    test('parses west,south,east,north', () => {
+      expect(parseBoundingBox('-74.01,40.72,-73.99,40.74')).toEqual({
+        west: -74.01,
+        south: 40.72,
+        east: -73.99,
+        north: 40.74
+      });
+    });
+
+    test('rejects malformed boxes', () => {
+      expect(() => parseBoundingBox('1,2,3')).toThrow();
+      expect(() => parseBoundingBox('0,10,1,5')).toThrow();
+      expect(() => parseBoundingBox('-200,0,10,10')).toThrow();
+    });
+  });
+
+  describe('boundingBoxToPolygon', () => {
+    test('builds a closed ring', () => {
+      const ring = boundingBoxToPolygon({ west: -74.01, south: 40.72, east: -73.99, north: 40.74 }).coordinates[0];
+      expect(ring[0]).toEqual(ring[ring.length - 1]);
+      expect(ring).toContainEqual([-73.99, 40.74]);
+    });
+
+    test('handles boxes crossing the antimeridian', () => {
+      const ring = boundingBoxToPolygon({ west: 170, south: -10, east: -170, north: 10 }).coordinates[0];
+      ring.forEach(([lng]) => {
+        expect(lng).toBeGreaterThanOrEqual(-180);
+        expect(lng).toBeLessThanOrEqual(180);
+      });
+      expect(ring).toContainEqual([180, -10]);
+    });
+  });
+
+  describe('withinBoundingBoxFilter', () => {
+    // Whether a polygon built from a box covers a longitude, read back from its ring
+    const coversLongitude = (polygon, lng) => {
+      const ring = polygon.coordinates[0];
+      const west = ring[0][0];
+      const east = ring[2][0];
+      return east >= west ? lng >= west && lng <= east : lng >= west || lng <= east;
+    };
+
+    const polygonsOf = filter => (filter.$or || [filter])
+      .map(part => part['location.coordinates'].$geoWithin.$geometry);
+
+    test('measures spans across the antimeridian', () => {
+      expect(longitudeSpan({ west: 170, east: -170 })).toBe(20);
+      expect(longitudeSpan({ west: -180, east: 180 })).toBe(360);
+    });
+
+    test('filters narrow viewports with one polygon', () => {
+      const filter = withinBoundingBoxFilter('location.coordinates', { west: -10, south: 0, east: 10, north: 20 });
+      expect(filter['location.coordinates'].$geoWithin.$geometry.type).toBe('Polygon');
+    });
+
+    test('splits viewports spanning half the world or more into polygons under 180 degrees', () => {
+      const boxes = [
+        { west: -180, south: -85, east: 180, north: 85 },
+        { west: -120, south: -85, east: 60, north: 85 },
+        { west: 30, south: -85, east: -100, north: 85 }
+      ];
+
+      boxes.forEach(box => {
+        const polygons = polygonsOf(withinBoundingBoxFilter('location.coordinates', box));
+        expect(polygons.length).toBeGreaterThan(1);
+        polygons.forEach(polygon => {
+          const ring = polygon.coordinates[0];
+          expect(longitudeSpan({ west: ring[0][0], east: ring[2][0] })).toBeLessThan(180);
+        });
+      });
+    });
+
+    test('leaves out compositions outside the longitude range of a wide viewport', () => {
+      const polygons = polygonsOf(withinBoundingBoxFilter('location.coordinates', {
+        west: -120, south: -60, east: 60, north: 60
+      }));
+
+      // Berlin is inside; Tokyo is outside the range, though within the latitudes
+      expect(polygons.some(polygon => coversLongitude(polygon, 13.4))).toBe(true);
+      expect(polygons.some(polygon => coversLongitude(polygon, 139.7))).toBe(false);
+    });
+  });
+
+  test('withinRadiusFilter converts meters to radians', () => {
+    const filter = withinRadiusFilter('location.coordinates', { lng: 1, lat: 2, radius: 6378100 });
+    expect(filter['location.coordinates'].$geoWithin.$centerSphere).toEqual([[1, 2], 1]);
+  });
+});
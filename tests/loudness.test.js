@@ -0,0 +1,66 @@
+/**
+ * @jest-environment node
+ */
+// tests/loudness.test.js
+
+const AudioConverter = require('../server/services/AudioConverter');
+
+const report = ({ input_i = '-23.40', input_tp = '-6.10', input_lra = '4.20' } = {}) => [
+  '[Parsed_volumedetect_0 @ 0x1] mean_volume: -27.3 dB',
+  '[Parsed_volumedetect_0 @ 0x1] max_volume: -6.5 dB',
+  '[Parsed_loudnorm_1 @ 0x2] ',
+  '{',
+  `\t"input_i" : "${input_i}",`,
+  `\t"input_tp" : "${input_tp}",`,
+  `\t"input_lra" : "${input_lra}",`,
+  '\t"input_thresh" : "-33.80",',
+  '\t"output_i" : "-16.02",',
+  '\t"normalization_type" : "dynamic",',
+  '\t"target_offset" : "0.02"',
+  '}'
+].join('\n');
+
+describe('parseLoudnessReport', () => {
+  test('reads the loudnorm and volumedetect measurements', () => {
+    expect(AudioConverter.parseLoudnessReport(report())).toEqual({
+      loudness: -23.4,
+      truePeak: -6.1,
+      loudnessRange: 4.2,
+      peak: -6.5
+    });
+  });
+
+  test('maps silence to -Infinity', () => {
+    const result = AudioConverter.parseLoudnessReport(report({ input_i: '-inf', input_tp: '-inf' }));
+
+    expect(result.loudness).toBe(-Infinity);
+    expect(result.truePeak).toBe(-Infinity);
+  });
+
+  test('rejects output without a loudness report', () => {
+    expect(() => AudioConverter.parseLoudnessReport('max_volume: -1.0 dB'))
+      .toThrow('Could not measure audio loudness');
+  });
+});
+
+describe('calculateGain', () => {
+  test('raises quiet files to the target', () => {
+    expect(AudioConverter.calculateGain({ loudness: -23.4, truePeak: -12 })).toBe(7.4);
+  });
+
+  test('lowers loud files to the target', () => {
+    expect(AudioConverter.calculateGain({ loudness: -9, truePeak: 0.5 })).toBe(-7);
+  });
+
+  test('limits a boost by the true peak', () => {
+    expect(AudioConverter.calculateGain({ loudness: -23.4, truePeak: -6.1 })).toBe(5.1);
+  });
+
+  test('clamps to the maximum gain', () => {
+    expect(AudioConverter.calculateGain({ loudness: -50, truePeak: -40 })).toBe(20);
+  });
+
+  test('leaves silent files alone', () => {
+    expect(AudioConverter.calculateGain({ loudness: -Infinity, truePeak: -Infinity })).toBe(0);
+  });
+});
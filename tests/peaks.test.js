@@ -0,0 +1,112 @@
+/**
+ * @jest-environment node
+ */
+// tests/peaks.test.js
+
+const { fft, PeakBuilder, selectPeaks, getPeaksKey } = require('../server/utils/peaks');
+
+const SAMPLE_RATE = 8000;
+
+const sine = (frequency, seconds, amplitude = 1) =>
+  Float32Array.from({ length: Math.round(seconds * SAMPLE_RATE) }, (value, i) =>
+    amplitude * Math.sin((2 * Math.PI * frequency * i) / SAMPLE_RATE));
+
+const builderOptions = (overrides = {}) => ({
+  sampleRate: SAMPLE_RATE,
+  samplesPerPixel: 100,
+  minPixels: 10,
+  spectrogram: { fftSize: 256, maxColumns: 16, bands: 16, minFrequency: 40, minDb: -100, maxDb: 0 },
+  ...overrides
+});
+
+describe('fft', () => {
+  test('finds the frequency of a cosine', () => {
+    const size = 64;
+    const real = Float64Array.from({ length: size }, (value, i) => Math.cos((2 * Math.PI * 5 * i) / size));
+    const imag = new Float64Array(size);
+
+    fft(real, imag);
+
+    const magnitudes = Array.from(real, (re, i) => Math.hypot(re, imag[i]));
+    expect(magnitudes[5]).toBeCloseTo(size / 2);
+    expect(magnitudes[59]).toBeCloseTo(size / 2);
+    expect(magnitudes[4]).toBeCloseTo(0);
+  });
+});
+
+describe('PeakBuilder', () => {
+  test('builds levels down to the minimum width', () => {
+    const builder = new PeakBuilder({ ...builderOptions(), duration: 1 });
+    builder.addSamples(sine(100, 0.5));
+    builder.addSamples(sine(100, 0.5));
+    const peaks = builder.finish();
+
+    expect(peaks.duration).toBe(1);
+    expect(peaks.levels.map(level => level.samplesPerPixel)).toEqual([100, 200, 400, 800]);
+    expect(peaks.levels.map(level => level.length)).toEqual([80, 40, 20, 10]);
+    expect(peaks.levels[0].data).toHaveLength(160);
+
+    // Every pixel spans at least one period
+    expect(peaks.levels[2].data[0]).toBe(-127);
+    expect(peaks.levels[2].data[1]).toBe(127);
+  });
+
+  test('keeps a partial last pixel', () => {
+    const builder = new PeakBuilder(builderOptions());
+    builder.addSamples(new Float32Array(150).fill(0.25));
+
+    const [level] = builder.finish().levels;
+    expect(level.length).toBe(2);
+    expect(level.data).toEqual([32, 32, 32, 32]);
+  });
+
+  test('puts a tone in the matching spectrogram band', () => {
+    const builder = new PeakBuilder({ ...builderOptions(), duration: 1 });
+    builder.addSamples(sine(1000, 1));
+    const { spectrogram } = builder.finish();
+
+    expect(spectrogram.columns).toBe(16);
+    expect(spectrogram.hop).toBe(500);
+    expect(spectrogram.data).toHaveLength(16 * 16);
+
+    const firstColumn = spectrogram.data.slice(0, 16);
+    const loudestBand = firstColumn.indexOf(Math.max(...firstColumn));
+    const nearestBand = spectrogram.frequencies.reduce((best, frequency, band) =>
+      (Math.abs(frequency - 1000) < Math.abs(spectrogram.frequencies[best] - 1000) ? band : best), 0);
+
+    expect(Math.abs(loudestBand - nearestBand)).toBeLessThanOrEqual(1);
+    expect(firstColumn[loudestBand]).toBeGreaterThan(200);
+  });
+
+  test('pads files shorter than one frame', () => {
+    const builder = new PeakBuilder(builderOptions());
+    builder.addSamples(sine(440, 0.01));
+
+    expect(builder.finish().spectrogram.columns).toBe(1);
+  });
+});
+
+describe('selectPeaks', () => {
+  const peaks = {
+    sampleRate: SAMPLE_RATE,
+    levels: [100, 200, 400].map(samplesPerPixel => ({ samplesPerPixel, length: 0, data: [] })),
+    spectrogram: { columns: 0, data: [] }
+  };
+
+  test('returns everything by default', () => {
+    expect(selectPeaks(peaks)).toEqual(peaks);
+  });
+
+  test('picks the coarsest level detailed enough', () => {
+    expect(selectPeaks(peaks, { samplesPerPixel: 300 }).levels.map(level => level.samplesPerPixel)).toEqual([200]);
+    expect(selectPeaks(peaks, { samplesPerPixel: 50 }).levels.map(level => level.samplesPerPixel)).toEqual([100]);
+  });
+
+  test('can leave out the spectrogram', () => {
+    expect(selectPeaks(peaks, { spectrogram: false })).not.toHaveProperty('spectrogram');
+  });
+
+  test('stores peaks beside the audio', () => {
+    expect(getPeaksKey('123-song.wav')).toBe('peaks/123-song.wav.json');
+  });
+});
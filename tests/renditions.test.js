@@ -0,0 +1,77 @@
+/**
+ * @jest-environment node
+ */
+// tests/renditions.test.js
+
+const {
+  getRenditionKey,
+  parseAccept,
+  negotiateRendition
+} = require('../server/utils/renditions');
+
+const renditions = {
+  mp3: { mimeType: 'audio/mpeg' },
+  aac: { mimeType: 'audio/mp4' },
+  opus: { mimeType: 'audio/ogg' },
+  low: { mimeType: 'audio/mpeg' },
+  archive: { mimeType: 'audio/flac' }
+};
+
+describe('rendition keys', () => {
+  test('stores renditions next to each other', () => {
+    expect(getRenditionKey('123-song.wav', 'opus')).toBe('renditions/123-song.wav/opus.opus');
+  });
+});
+
+describe('parseAccept', () => {
+  test('parses media ranges and quality values', () => {
+    expect(parseAccept('audio/ogg;q=0.8, audio/*; q=0.5, */*')).toEqual([
+      { type: 'audio', subtype: 'ogg', q: 0.8 },
+      { type: 'audio', subtype: '*', q: 0.5 },
+      { type: '*', subtype: '*', q: 1 }
+    ]);
+  });
+
+  test('ignores a missing header', () => {
+    expect(parseAccept(undefined)).toEqual([]);
+  });
+});
+
+describe('negotiateRendition', () => {
+  test('serves the requested rendition', () => {
+    expect(negotiateRendition(renditions, { requested: 'low', accept: 'audio/ogg' })).toBe('low');
+    expect(negotiateRendition(renditions, { requested: 'archive' })).toBe('archive');
+  });
+
+  test('falls back to negotiation when the requested rendition is missing', () => {
+    expect(negotiateRendition({ mp3: renditions.mp3 }, { requested: 'opus' })).toBe('mp3');
+  });
+
+  test('ignores requested names inherited from Object.prototype', () => {
+    expect(negotiateRendition(renditions, { requested: 'constructor' })).toBe('mp3');
+    expect(negotiateRendition(renditions, { requested: 'toString' })).toBe('mp3');
+  });
+
+  test('serves mp3 without an Accept header or with only wildcards', () => {
+    expect(negotiateRendition(renditions, {})).toBe('mp3');
+    expect(negotiateRendition(renditions, { accept: '*/*' })).toBe('mp3');
+  });
+
+  test('picks the rendition matching the Accept header', () => {
+    expect(negotiateRendition(renditions, { accept: 'audio/ogg' })).toBe('opus');
+    expect(negotiateRendition(renditions, { accept: 'audio/mp4, audio/*;q=0.1' })).toBe('aac');
+    expect(negotiateRendition(renditions, { accept: 'audio/ogg;q=0.5, audio/mp4' })).toBe('aac');
+  });
+
+  test('prefers a specific match over a wildcard at the same quality', () => {
+    expect(negotiateRendition(renditions, { accept: '*/*, audio/ogg' })).toBe('opus');
+  });
+
+  test('never negotiates the archive', () => {
+    expect(negotiateRendition(renditions, { accept: 'audio/flac' })).toBeNull();
+  });
+
+  test('honours q=0 exclusions', () => {
+    expect(negotiateRendition(renditions, { accept: 'audio/mpeg;q=0, audio/*' })).toBe('aac');
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * @jest-environment node
+ */
+// tests/storage.test.js
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const LocalStorageDriver = require('../server/services/storage/LocalStorageDriver');
+
+process.env.STORAGE_SIGNING_SECRET = 'test-storage-secret';
+
+const readStream = async (stream) => {
+  const chunks = [];
+  for await (const chunk of stream) chunks.push(chunk);
+  return Buffer.concat(chunks).toString();
+};
+
+describe('LocalStorageDriver', () => {
+  let root;
+  let driver;
+
+  beforeEach(() => {
+    root = fs.mkdtempSync(path.join(os.tmpdir(), 'eonta-storage-'));
+    driver = new LocalStorageDriver({ root, publicUrl: 'http://localhost:3001/', routePath: '/api/files' });
+  });
+
+  afterEach(() => {
+    fs.rmSync(root, { recursive: true, force: true });
+  });
+
+  test('stores, reads and deletes files', async () => {
+    await driver.put('path-maps/rec_1.txt', Buffer.from('hello'), { contentType: 'text/plain' });
+
+    expect(await readStream(await driver.getStream('path-maps/rec_1.txt'))).toBe('hello');
+    expect(await driver.stat('path-maps/rec_1.txt')).toMatchObject({ size: 5, contentType: 'text/plain' });
+
+    await driver.delete('path-maps/rec_1.txt');
+    expect(await driver.stat('path-maps/rec_1.txt')).toBeNull();
+    await expect(driver.getStream('path-maps/rec_1.txt')).rejects.toMatchObject({ code: 'NotFound' });
+  });
+
+  test('stores streams', async () => {
+    await driver.put('a.mp3', fs.createReadStream(__filename));
+    expect((await driver.stat('a.mp3')).size).toBe(fs.statSync(__filename).size);
+  });
+
+  test('lists files by prefix', async () => {
+    await driver.put('path-maps/rec_1.png', Buffer.from('png'));
+    await driver.put('path-maps/rec_10.txt', Buffer.from('text'));
+    await driver.put('path-recordings/rec_1.mp3', Buffer.from('mp3'));
+    await driver.put('1700000000000-rain.wav', Buffer.from('wav'));
+
+    const list = async (prefix) => {
+      const files = [];
+      for await (const file of driver.list(prefix)) files.push(file);
+      return files;
+    };
+
+    expect((await list('')).map(file => file.key)).toEqual([
+      '1700000000000-rain.wav',
+      'path-maps/rec_1.png',
+      'path-maps/rec_10.txt',
+      'path-recordings/rec_1.mp3'
+    ]);
+    expect((await list('path-maps/rec_1.')).map(({ key, size }) => ({ key, size }))).toEqual([
+      { key: 'path-maps/rec_1.png', size: 3 }
+    ]);
+    expect(await list('missing/')).toEqual([]);
+  });
+
+  test('rejects keys that escape the storage root', () => {
+    ['../secret', 'a/../../b', '/etc/passwd', '.meta/a.json', 'a//b', '', 'a\\b', 'a\0b'].forEach(key => {
+      expect(() => driver.resolvePath(key)).toThrow(expect.objectContaining({
+        message: expect.stringContaining('Invalid storage key'),
+        code: 'InvalidKey'
+      }));
+    });
+  });
+
+  test('signs links that verify until they expire', async () => {
+    const url = new URL(await driver.getSignedUrl('folder/my file.mp3', 60));
+
+    expect(url.origin).toBe('http://localhost:3001');
+    expect(url.pathname).toBe('/api/files/folder/my%20file.mp3');
+
+    const expires = url.searchParams.get('expires');
+    const signature = url.searchParams.get('signature');
+
+    expect(driver.verifySignature('folder/my file.mp3', expires, signature)).toBe(true);
+    expect(driver.verifySignature('folder/other.mp3', expires, signature)).toBe(false);
+    expect(driver.verifySignature('folder/my file.mp3', Number(expires) + 1, signature)).toBe(false);
+    expect(driver.verifySignature('folder/my file.mp3', expires, 'abc')).toBe(false);
+  });
+
+  test('rejects expired links', () => {
+    const expires = Math.floor(Date.now() / 1000) - 10;
+    expect(driver.verifySignature('a.mp3', expires, driver.sign('a.mp3', expires))).toBe(false);
+  });
+});
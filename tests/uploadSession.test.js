@@ -0,0 +1,45 @@
+/**
+ * @jest-environment node
+ */
+// tests/uploadSession.test.js
+
+const mongoose = require('mongoose');
+const UploadSession = require('../server/models/UploadSession');
+
+const createSession = (overrides = {}) => new UploadSession({
+  owner: new mongoose.Types.ObjectId(),
+  originalName: 'field-recording.wav',
+  size: 12,
+  chunkSize: 5,
+  totalChunks: 3,
+  expiresAt: new Date(Date.now() + 60 * 1000),
+  ...overrides
+});
+
+describe('UploadSession', () => {
+  test('lists the chunks still missing', () => {
+    const session = createSession({ receivedChunks: [2, 0] });
+
+    expect(session.missingChunks).toEqual([1]);
+    expect(session.toJSON().missingChunks).toEqual([1]);
+  });
+
+  test('expects a short last chunk', () => {
+    const session = createSession();
+
+    expect(session.getChunkLength(0)).toBe(5);
+    expect(session.getChunkLength(1)).toBe(5);
+    expect(session.getChunkLength(2)).toBe(2);
+  });
+
+  test('keeps chunks under the upload', () => {
+    const session = createSession();
+
+    expect(session.getChunkKey(1)).toBe(`uploads/${session._id}/1`);
+  });
+
+  test('expires', () => {
+    expect(createSession().isExpired()).toBe(false);
+    expect(createSession({ expiresAt: new Date(Date.now() - 1000) }).isExpired()).toBe(true);
+  });
+});